@@ -17,10 +17,29 @@ var tags = require("./routes/tags");
 var spots = require("./routes/spots");
 var login = require("./routes/login");
 var register = require("./routes/register");
+var password = require("./routes/password");
+var verify = require("./routes/verify");
 var profile = require("./routes/profile");
-
-// Require Users model for Authentication
+var events = require("./routes/events");
+var moderation = require("./routes/moderation");
+var admin = require("./routes/admin");
+var campuses = require("./routes/campuses");
+var collections = require("./routes/collections");
+var api = require("./routes/api");
+
+// Require Users model and API tokens for Authentication
 var Users = require("./models/Users").Users;
+var Authorization = require("./utils/authorization");
+
+// Require the settings and store of sessions
+var sessionConfig = require("./utils/sessionConfig");
+var MongoStore = require("./utils/sessionStore");
+
+// Require the protection from cross-site request forgery
+var Csrf = require("./utils/csrf");
+
+// Require the storage of uploaded photos
+var PhotoStorage = require("./utils/photoStorage");
 
 // Setting up MongoDB
 var mongoose = require("mongoose");
@@ -55,17 +74,36 @@ app.use(bodyParser.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
 
+// Serve uploaded photos kept on the local disk
+app.use(PhotoStorage.url, express.static(PhotoStorage.directory));
+
 // View engine stuff
 app.set("view engine", "ejs");
 app.set("views", "./views");
 
 
-// Set up a secret to encrypt cookies
-app.use(session({ secret: "sweetspots", resave: true, saveUninitialized: true }));
+// Set up sessions, which are kept in MongoDB and signed with the secret from the config
+// Secure cookies are sent by a proxy over HTTPS (such as on Heroku), which has to be trusted for them to be set
+if (sessionConfig.cookie.secure) {
+    app.set("trust proxy", 1);
+}
+app.use(session({
+    name: sessionConfig.name,
+    secret: sessionConfig.secret,
+    store: new MongoStore(sessionConfig.lifetime),
+    cookie: sessionConfig.cookie,
+    // Sessions are only saved once someone signs in, and last for the lifetime since they were last used
+    resave: false,
+    saveUninitialized: false,
+    rolling: true
+}));
 
 // // Authentication middleware
 app.use(function(req, res, next) {
-    if (req.session.email) {
+    if (req.get("Authorization")) {
+        // Scripts sign in with a personal API token instead of a session
+        Authorization.authenticateApiToken(req, res, next);
+    } else if (req.session.email) {
         Users.findUser(req.session.email, function(err, user) {
             if (user) {
                 req.currentUser = user;
@@ -79,6 +117,9 @@ app.use(function(req, res, next) {
     }
 });
 
+// Every request that can change anything must send a token from one of our pages
+app.use(Csrf.verifyToken);
+
 // Setting up routes
 app.use("/users", users);
 app.use("/reviews", reviews);
@@ -86,7 +127,15 @@ app.use("/tags", tags);
 app.use("/spots", spots);
 app.use("/login", login);
 app.use("/register", register);
+app.use("/password", password);
+app.use("/verify", verify);
 app.use("/profile", profile);
+app.use("/events", events);
+app.use("/moderation", moderation);
+app.use("/admin", admin);
+app.use("/campuses", campuses);
+app.use("/collections", collections);
+app.use("/api", api);
 
 
 
@@ -0,0 +1,195 @@
+// @author: Maryam Archie
+
+/**
+ * Model representing the personal API tokens that Users create for their scripts, which send them in the
+ * Authorization header instead of signing in (see utils/authorization.js).
+ * A token is only shown to its User when it is created. Only a hash of it is stored, so that the tokens
+ * cannot be used by anyone who reads the database, along with the first few characters so that the User
+ * can tell their tokens apart.
+ * The scope of a token is either read, which can only make GET requests, or write, which can do everything
+ * that the User can, apart from managing their tokens, sessions and account.
+ */
+
+var mongoose = require("mongoose");
+var crypto = require("crypto");
+
+const BAD_REQUEST = 400;
+const UNAUTHORIZED = 401;
+const NOT_FOUND = 404;
+const SCOPES = ["read", "write"];
+const TOKEN_PREFIX = "ss_";
+// How many characters of a token are kept so that its User can recognise it
+const SHOWN_LENGTH = 8;
+const MAX_TOKENS = 20;
+
+var apiTokenSchema = mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    name: String,
+    scope: { type: String, enum: SCOPES },
+    hash: { type: String, unique: true },
+    start: String,
+    createdAt: { type: Date, default: Date.now },
+    lastUsed: { type: Date, default: null }
+});
+
+var apiTokenModel = mongoose.model("ApiToken", apiTokenSchema);
+
+var ApiTokens = function(apiTokenModel) {
+
+    var that = Object.create(ApiTokens.prototype);
+
+    that.SCOPES = SCOPES;
+
+    /**
+     * Hashes a token, so that it can be looked up without being stored
+     * Tokens are long and random, so a fast hash is enough to keep them from being recovered.
+     * @param {String} token - the token
+     * @return {String} the hash, in hex
+     */
+    var hashToken = function(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    };
+
+    /**
+     * Gives what a User can see of a token
+     * @param {ApiToken} apiToken - the stored token
+     * @return {Object} the token, of the form { id, name, scope, start, createdAt, lastUsed }
+     */
+    var describeToken = function(apiToken) {
+        return {
+            id: apiToken._id,
+            name: apiToken.name,
+            scope: apiToken.scope,
+            start: apiToken.start,
+            createdAt: apiToken.createdAt,
+            lastUsed: apiToken.lastUsed
+        };
+    };
+
+    /**
+     * Creates a token for a User
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} name - what the token is for, between 1 and 30 characters
+     * @param {String} scope - read or write
+     * @param {function} callback - the function to be called after createToken has executed
+     *                              must be called with (err, token, apiToken) as params, where token is
+     *                              the token itself, which cannot be found out again, and apiToken is of the
+     *                              form given by getTokensByUser
+     */
+    that.createToken = function(userId, name, scope, callback) {
+        name = typeof name === "string" ? name.trim() : "";
+        if (name.length < 1 || name.length > 30) {
+            callback({ msg: "Token names must be between 1 and 30 characters long!", http_status: BAD_REQUEST });
+        } else if (SCOPES.indexOf(scope) === -1) {
+            callback({ msg: "The scope of a token must be read or write!", http_status: BAD_REQUEST });
+        } else {
+            apiTokenModel.count({ owner: userId }, function(err, count) {
+                if (err) {
+                    callback({ msg: err });
+                } else if (count >= MAX_TOKENS) {
+                    callback({
+                        msg: "You can only have " + MAX_TOKENS + " tokens. Please revoke one to create another.",
+                        http_status: BAD_REQUEST
+                    });
+                } else {
+                    var token = TOKEN_PREFIX + crypto.randomBytes(20).toString("hex");
+                    apiTokenModel.create({
+                        owner: userId,
+                        name: name,
+                        scope: scope,
+                        hash: hashToken(token),
+                        start: token.slice(0, TOKEN_PREFIX.length + SHOWN_LENGTH)
+                    }, function(err, apiToken) {
+                        if (err) {
+                            callback({ msg: err });
+                        } else {
+                            callback(null, token, describeToken(apiToken));
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+    /**
+     * Gets the tokens of a User, the most recently created first
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {function} callback - the function to be called after getTokensByUser has executed
+     *                              must be called with (err, apiTokens) as params, where each token is of the form
+     *                              { id, name, scope, start, createdAt, lastUsed }
+     */
+    that.getTokensByUser = function(userId, callback) {
+        apiTokenModel.find({ owner: userId }).sort({ createdAt: -1 }).lean().exec(function(err, apiTokens) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                callback(null, apiTokens.map(describeToken));
+            }
+        });
+    };
+
+    /**
+     * Revokes a token of a User, so that it can no longer be used
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {ObjectId} tokenId - the id of the token, as given by getTokensByUser
+     * @param {function} callback - the function to be called after revokeToken has executed
+     *                              must be called with (err) as the param
+     */
+    that.revokeToken = function(userId, tokenId, callback) {
+        if (!mongoose.Types.ObjectId.isValid(tokenId)) {
+            callback({ msg: "No such token with that id!", http_status: NOT_FOUND });
+        } else {
+            apiTokenModel.findOneAndRemove({ _id: tokenId, owner: userId }, function(err, apiToken) {
+                if (err) {
+                    callback({ msg: err });
+                } else if (!apiToken) {
+                    callback({ msg: "No such token with that id!", http_status: NOT_FOUND });
+                } else {
+                    callback(null);
+                }
+            });
+        }
+    };
+
+    /**
+     * Revokes every token of a User, for when their account is deleted
+     * @param {ObjectId} userId - the id of the User
+     * @param {function} callback - the function to be called after removeUserTokens has executed
+     *                              must be called with (err) as the param
+     */
+    that.removeUserTokens = function(userId, callback) {
+        apiTokenModel.remove({ owner: userId }, function(err) {
+            callback(err ? { msg: err } : null);
+        });
+    };
+
+    /**
+     * Finds the User that a token belongs to, and records that the token was used
+     * Otherwise, return an error message
+     * @param {String} token - the token sent by a script
+     * @param {function} callback - the function to be called after authenticate has executed
+     *                              must be called with (err, user, apiToken) as params, where apiToken is of the
+     *                              form given by getTokensByUser
+     */
+    that.authenticate = function(token, callback) {
+        apiTokenModel.findOneAndUpdate({ hash: hashToken(token) }, { lastUsed: new Date() }, { new: true })
+            .populate("owner")
+            .exec(function(err, apiToken) {
+                if (err) {
+                    callback({ msg: err });
+                } else if (!apiToken || !apiToken.owner) {
+                    callback({ msg: "This API token is not valid. It may have been revoked.", http_status: UNAUTHORIZED });
+                } else {
+                    callback(null, apiToken.owner, describeToken(apiToken));
+                }
+            });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = { apiTokenModel: apiTokenModel, ApiTokens: ApiTokens(apiTokenModel) };
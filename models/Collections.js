@@ -0,0 +1,347 @@
+// @author: Maryam Archie
+
+/**
+ * Model representing the named collections that users group Spots into, such as "Quiet study"
+ * Collections must have an owner (User) and a name of 1 to 30 characters that the owner has not
+ * given to another of their collections
+ * Collections have a list of Spots in the order that the owner chose, with each Spot at most once
+ * Collections are private unless the owner makes them public. Public collections can be seen by anyone
+ * with a link to them, while private collections can only be seen by their owner.
+ * Spots are taken out of every collection when they are removed, and the collections of a user are
+ * removed along with their account.
+ */
+
+var mongoose = require("mongoose");
+var _ = require("lodash");
+var Pages = require("../utils/pages");
+
+const BAD_REQUEST = 400;
+const FORBIDDEN = 403;
+const NOT_FOUND = 404;
+const NAME_UPPER_LIMIT = 30;
+const COLLECTION_NOT_FOUND = "No such collection with that id!";
+
+var collectionSchema = mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+    name: { type: String, required: true },
+    isPublic: { type: Boolean, default: false },
+    spots: [
+        { type: mongoose.Schema.Types.ObjectId, ref: "Spot" }
+    ],
+    timestamp: { type: Date, default: Date.now }
+});
+
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+var collectionModel = mongoose.model("Collection", collectionSchema);
+
+var Collections = function(collectionModel) {
+
+    var that = Object.create(Collections.prototype);
+
+    /**
+     * Checks that the name of a collection follows the rep invariant
+     * @param {String} name - the name of the collection
+     * @return {String} the error message if the name is invalid, null otherwise
+     */
+    var checkName = function(name) {
+        if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > NAME_UPPER_LIMIT) {
+            return "Collection names must be between 1 and 30 characters long!";
+        }
+        return null;
+    };
+
+    /**
+     * Handles the errors of saving a collection
+     * @param {Object} err - the error from mongoose
+     * @param {function} callback - called with the error to give back
+     */
+    var saveErrorHandler = function(err, callback) {
+        if (err.code === 11000) {
+            callback({ msg: "You already have a collection with this name!", http_status: BAD_REQUEST });
+        } else {
+            callback({ msg: err });
+        }
+    };
+
+    /**
+     * Populates the Spots of collections with what is needed to list them
+     * @param {Collection|Collection[]} collections - the collections to populate
+     * @param {function} callback - called with (err, collections)
+     */
+    var populateSpots = function(collections, callback) {
+        collectionModel.populate(collections, { path: "spots", select: "title rating location campus" }, function(err, collections) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                callback(null, collections);
+            }
+        });
+    };
+
+    /**
+     * Finds a collection that the given User can see
+     * Private collections of other Users are treated as if they did not exist, so that links to them reveal nothing
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the current User, undefined if not signed in
+     * @param {function} callback - called with (err, collection)
+     */
+    var findVisibleCollection = function(collectionId, userId, callback) {
+        if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+            callback({ msg: COLLECTION_NOT_FOUND, http_status: NOT_FOUND });
+        } else {
+            collectionModel.findOne({ _id: collectionId }, function(err, collection) {
+                if (err) {
+                    callback({ msg: err });
+                } else if (collection === null || (!collection.isPublic && String(collection.owner) !== String(userId))) {
+                    callback({ msg: COLLECTION_NOT_FOUND, http_status: NOT_FOUND });
+                } else {
+                    callback(null, collection);
+                }
+            });
+        }
+    };
+
+    /**
+     * Changes a collection of the given User
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the User, who must own the collection
+     * @param {Object} conditions - what else must be true of the collection for the change to be made
+     * @param {Object} update - the change to make
+     * @param {String} failure - the error message if the conditions do not hold
+     * @param {function} callback - called with (err, collection)
+     */
+    var changeOwnCollection = function(collectionId, userId, conditions, update, failure, callback) {
+        findVisibleCollection(collectionId, userId, function(err, collection) {
+            if (err) {
+                callback(err);
+            } else if (String(collection.owner) !== String(userId)) {
+                callback({ msg: "You can only change your own collections!", http_status: FORBIDDEN });
+            } else {
+                var query = _.assign({ _id: collection._id }, conditions);
+                collectionModel.findOneAndUpdate(query, update, { new: true }, function(err, collection) {
+                    if (err) {
+                        saveErrorHandler(err, callback);
+                    } else if (collection === null) {
+                        callback({ msg: failure, http_status: BAD_REQUEST });
+                    } else {
+                        populateSpots(collection, callback);
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Creates a new, empty collection
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User who owns the collection
+     * @param {String} name - the name of the collection
+     * @param {Boolean} isPublic - true if anyone with a link can see the collection, false otherwise
+     * @param {function} callback - the function to be called after createCollection has executed
+     *                              must be called with (err, collection) as params
+     */
+    that.createCollection = function(userId, name, isPublic, callback) {
+        var isInvalid = checkName(name);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+        } else {
+            var collection = new collectionModel({ owner: userId, name: name.trim(), isPublic: isPublic === true || isPublic === "true", spots: [] });
+            collection.save(function(err, collection) {
+                if (err) {
+                    saveErrorHandler(err, callback);
+                } else {
+                    callback(null, collection);
+                }
+            });
+        }
+    };
+
+    /**
+     * Gets a collection with its Spots, if the given User can see it
+     * Otherwise, return an error message
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the current User, undefined if not signed in
+     * @param {function} callback - the function to be called after getCollection has executed
+     *                              must be called with (err, collection) as params
+     */
+    that.getCollection = function(collectionId, userId, callback) {
+        findVisibleCollection(collectionId, userId, function(err, collection) {
+            if (err) {
+                callback(err);
+            } else {
+                populateSpots(collection, callback);
+            }
+        });
+    };
+
+    /**
+     * Gets the collections of a User with their Spots, oldest first, a page at a time
+     * Only the owner sees their private collections
+     * Otherwise, return an error message
+     * @param {ObjectId} ownerId - the id of the User whose collections are given
+     * @param {ObjectId} userId - the id of the current User, undefined if not signed in
+     * @param {Object} page - { limit, after } the page of collections to get (see utils/pages.js)
+     * @param {function} callback - the function to be called after getCollectionsByUser has executed
+     *                              must be called with (err, collections, next) as params
+     *                              next is the cursor for the following page, null if there is none
+     */
+    that.getCollectionsByUser = function(ownerId, userId, page, callback) {
+        if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+            callback(null, [], null);
+        } else {
+            var query = { owner: ownerId };
+            if (String(ownerId) !== String(userId)) {
+                query.isPublic = true;
+            }
+            Pages.findPage(collectionModel, query, page, [], function(err, collections, next) {
+                if (err) {
+                    callback(err);
+                } else {
+                    populateSpots(collections, function(err, collections) {
+                        if (err) {
+                            callback(err);
+                        } else {
+                            callback(null, collections, next);
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+    /**
+     * Renames a collection or changes who can see it
+     * Otherwise, return an error message
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the User, who must own the collection
+     * @param {Object} changes - may contain name and isPublic
+     * @param {function} callback - the function to be called after updateCollection has executed
+     *                              must be called with (err, collection) as params
+     */
+    that.updateCollection = function(collectionId, userId, changes, callback) {
+        var isInvalid = changes.name === undefined ? null : checkName(changes.name);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+        } else {
+            var update = {};
+            if (changes.name !== undefined) {
+                update.name = changes.name.trim();
+            }
+            if (changes.isPublic !== undefined) {
+                update.isPublic = changes.isPublic === true || changes.isPublic === "true";
+            }
+            changeOwnCollection(collectionId, userId, {}, update, COLLECTION_NOT_FOUND, callback);
+        }
+    };
+
+    /**
+     * Removes a collection. The Spots in it are not affected.
+     * Otherwise, return an error message
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the User, who must own the collection
+     * @param {function} callback - the function to be called after deleteCollection has executed
+     *                              must be called with (err) as the param
+     */
+    that.deleteCollection = function(collectionId, userId, callback) {
+        findVisibleCollection(collectionId, userId, function(err, collection) {
+            if (err) {
+                callback(err);
+            } else if (String(collection.owner) !== String(userId)) {
+                callback({ msg: "You can only change your own collections!", http_status: FORBIDDEN });
+            } else {
+                collectionModel.remove({ _id: collection._id }, function(err) {
+                    callback(err ? { msg: err } : null);
+                });
+            }
+        });
+    };
+
+    /**
+     * Adds a Spot to the end of a collection
+     * Otherwise, return an error message
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the User, who must own the collection
+     * @param {ObjectId} spotId - the id of the Spot to add
+     * @param {function} callback - the function to be called after addSpot has executed
+     *                              must be called with (err, collection) as params
+     */
+    that.addSpot = function(collectionId, userId, spotId, callback) {
+        var Spots = require("../models/Spots").Spots;
+        Spots.getSpotById(spotId, function(err, spot) {
+            if (err) {
+                callback(err);
+            } else {
+                changeOwnCollection(collectionId, userId, { spots: { $ne: spot._id } }, { $push: { spots: spot._id } },
+                    "This spot is already in the collection!", callback);
+            }
+        });
+    };
+
+    /**
+     * Takes a Spot out of a collection
+     * Otherwise, return an error message
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the User, who must own the collection
+     * @param {ObjectId} spotId - the id of the Spot to take out
+     * @param {function} callback - the function to be called after removeSpot has executed
+     *                              must be called with (err, collection) as params
+     */
+    that.removeSpot = function(collectionId, userId, spotId, callback) {
+        if (!mongoose.Types.ObjectId.isValid(spotId)) {
+            callback({ msg: "This spot is not in the collection!", http_status: BAD_REQUEST });
+        } else {
+            changeOwnCollection(collectionId, userId, { spots: spotId }, { $pull: { spots: spotId } },
+                "This spot is not in the collection!", callback);
+        }
+    };
+
+    /**
+     * Puts the Spots of a collection in a new order
+     * The order must have every Spot in the collection exactly once. It is only applied if the collection
+     * still has exactly those Spots, so that a Spot added or removed at the same time is not lost or brought back.
+     * Otherwise, return an error message
+     * @param {ObjectId} collectionId - the id of the collection
+     * @param {ObjectId} userId - the id of the User, who must own the collection
+     * @param {ObjectId[]} spotIds - the ids of the Spots in their new order
+     * @param {function} callback - the function to be called after reorderSpots has executed
+     *                              must be called with (err, collection) as params
+     */
+    that.reorderSpots = function(collectionId, userId, spotIds, callback) {
+        var invalidOrder = "The new order must have every spot in the collection exactly once!";
+        if (!Array.isArray(spotIds) || !spotIds.every(mongoose.Types.ObjectId.isValid) ||
+            _.uniq(spotIds.map(String)).length !== spotIds.length) {
+            callback({ msg: invalidOrder, http_status: BAD_REQUEST });
+        } else {
+            var conditions = { spots: spotIds.length === 0 ? { $size: 0 } : { $size: spotIds.length, $all: spotIds } };
+            changeOwnCollection(collectionId, userId, conditions, { spots: spotIds }, invalidOrder, callback);
+        }
+    };
+
+    /**
+     * Takes a Spot out of every collection, for when the Spot is removed
+     * @param {ObjectId} spotId - the id of the Spot
+     * @param {function} callback - called with (err)
+     */
+    that.removeSpotFromAll = function(spotId, callback) {
+        collectionModel.update({ spots: spotId }, { $pull: { spots: spotId } }, { multi: true }, function(err) {
+            callback(err ? { msg: err } : null);
+        });
+    };
+
+    /**
+     * Removes every collection of a User, for when their account is deleted
+     * @param {ObjectId} userId - the id of the User
+     * @param {function} callback - called with (err)
+     */
+    that.removeUserCollections = function(userId, callback) {
+        collectionModel.remove({ owner: userId }, function(err) {
+            callback(err ? { msg: err } : null);
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = { collectionModel: collectionModel, Collections: Collections(collectionModel) };
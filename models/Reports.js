@@ -0,0 +1,162 @@
+// @author: Maryam Archie
+
+/**
+* Reports that users make about Spots and Reviews, which are kept with the item that was reported
+* Reports must have a reporter (User) and the rep that the reporter had when reporting
+* Reports must have a reason: duplicate, wrong-location, closed, offensive or spam
+* Reports may have a comment of at most 500 characters
+* Reports have a timestamp
+* An item keeps count of its pending reports, the reports that a moderator has not dealt with yet.
+* Since reports are only ever added to the end, the pending reports are always the last ones.
+* Once the combined rep of the reporters of the pending reports is high enough, the item is hidden
+* until a moderator approves its removal or restores it.
+*/
+
+var mongoose = require("mongoose");
+
+const BAD_REQUEST = 400;
+const REASONS = ["duplicate", "wrong-location", "closed", "offensive", "spam"];
+const COMMENT_UPPER_LIMIT = 500;
+
+var reportSchema = mongoose.Schema({
+    reporter: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+    reporterScore: Number,
+    // Reports made before reasons were recorded do not have one
+    reason: { type: String, enum: REASONS },
+    comment: String,
+    timestamp: { type: Date, default: Date.now }
+});
+
+var Reports = function() {
+
+    var that = Object.create(Reports.prototype);
+
+    that.REASONS = REASONS;
+
+    /**
+    * Checks that a report follows the rep invariant
+    * @param {String} reason - one of the REASONS
+    * @param {String} comment - an optional comment of at most 500 characters
+    * @return {String} the error message if the report is invalid, null otherwise
+    */
+    var checkRep = function(reason, comment) {
+        if (REASONS.indexOf(reason) === -1) {
+            return "Please give one of the following reasons for the report: " + REASONS.join(", ") + ".";
+        }
+        if (comment && comment.length > COMMENT_UPPER_LIMIT) {
+            return "The comment must be less than 500 characters!";
+        }
+        return null;
+    };
+
+    /**
+    * Gets the reports of an item that a moderator has not dealt with yet
+    * @param {Object} item - a Spot or Review
+    * @return {Object[]} the pending reports, in the order they were made
+    */
+    that.getPendingReports = function(item) {
+        var reports = item.reports || [];
+        return reports.slice(reports.length - (item.pendingReports || 0));
+    };
+
+    /**
+    * Gives the conditions for an item to be in the moderation queue
+    * Items are in the queue while they are hidden or have pending reports
+    * @return {Object} the conditions, as a new object since mongoose may change the conditions it is given
+    */
+    that.getQueueQuery = function() {
+        return { $or: [{ hidden: true }, { pendingReports: { $gt: 0 } }] };
+    };
+
+    /**
+    * Determines whether an item is in the moderation queue
+    * @param {Object} item - a Spot or Review
+    * @return {Boolean} true if the item is hidden or has pending reports, false otherwise
+    */
+    that.isQueued = function(item) {
+        return Boolean(item.hidden) || item.pendingReports > 0;
+    };
+
+    /**
+    * Adds a report to an item, unless the user already reported it
+    * The item is hidden if the combined rep of the reporters of its pending reports is greater than the threshold
+    * @param {Model} model - the model of the item (Spot or Review)
+    * @param {ObjectId} itemId - the id of the item
+    * @param {User} user - the user making the report
+    * @param {String} reason - one of the REASONS
+    * @param {String} comment - an optional comment of at most 500 characters
+    * @param {function} getThreshold - called with the item, must return the threshold for hiding the item
+    * @param {function} callback - must be called with (err, item, hidden) as params
+    *                              item is null if it does not exist or the user already reported it
+    *                              hidden is true if this report caused the item to be hidden
+    */
+    that.addReport = function(model, itemId, user, reason, comment, getThreshold, callback) {
+        var isInvalid = checkRep(reason, comment);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+            return;
+        }
+        var report = { reporter: user._id, reporterScore: user.rep, reason: reason };
+        if (comment) {
+            report.comment = comment;
+        }
+        var query = { _id: itemId, "reports.reporter": { $ne: user._id } };
+        var update = { $push: { reports: report }, $inc: { pendingReports: 1 } };
+        model.findOneAndUpdate(query, update, { new: true }, function(err, item) {
+            if (err) {
+                callback({ msg: err });
+            } else if (item === null) {
+                callback(null, null, false);
+            } else {
+                var reportScore = that.getPendingReports(item).reduce(function(total, report) {
+                    return total + report.reporterScore;
+                }, 0);
+                if (item.hidden || reportScore <= getThreshold(item)) {
+                    callback(null, item, false);
+                } else {
+                    model.findOneAndUpdate({ _id: itemId, hidden: { $ne: true } }, { hidden: true }, { new: true }, function(err, hiddenItem) {
+                        if (err) {
+                            callback({ msg: err });
+                        } else {
+                            // Another report may have hidden the item first
+                            callback(null, hiddenItem || item, hiddenItem !== null);
+                        }
+                    });
+                }
+            }
+        });
+    };
+
+    /**
+    * Marks the pending reports of an item as dealt with by a moderator
+    * @param {Model} model - the model of the item (Spot or Review)
+    * @param {Object} item - the item, as the moderator saw it
+    * @param {Object} changes - other changes to make to the item, such as showing it again
+    * @param {function} callback - must be called with (err, item) as params
+    *                              item is null if another moderator dealt with the item first
+    */
+    that.resolveReports = function(model, item, changes, callback) {
+        var numPending = item.pendingReports || 0;
+        var query = {
+            _id: item._id,
+            hidden: item.hidden ? true : { $ne: true },
+            pendingReports: { $gte: numPending }
+        };
+        var update = { $inc: { pendingReports: -numPending } };
+        if (Object.keys(changes).length > 0) {
+            update.$set = changes;
+        }
+        model.findOneAndUpdate(query, update, { new: true }, function(err, item) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                callback(null, item);
+            }
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = { reportSchema: reportSchema, Reports: Reports() };
@@ -5,10 +5,17 @@
 * Reviews must have a creator (User)
 * Reviews must have a description of what the reviewer thought about the Spot
 * Reviews must have a quantitative rating of the spot
+* Reviews have a score that is the number of upvotes minus the number of downvotes
+* Reviews keep the vote of each user who voted on them, which can be changed or withdrawn
+* Reviews may have reports with a reason and information about the user who reported it
+* Reviews are hidden once they are reported enough, until a moderator approves their removal or restores them
 */
 
 var mongoose = require("mongoose");
 var Users = require("../models/Users").Users;
+var reportsFile = require("../models/Reports");
+var Reports = reportsFile.Reports;
+var Pages = require("../utils/pages");
 
 const BAD_REQUEST = 400;
 const FORBIDDEN = 403;
@@ -19,9 +26,15 @@ var reviewSchema = mongoose.Schema({
     description: { type: String, required: true },
     rating: { type: Number, required: true },
     score: { type: Number, default: 0 },
-    voters: [
-        { type: mongoose.Schema.Types.ObjectId, required: false, ref: "User" }
-    ]
+    votes: [
+        {
+            voter: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+            upvote: { type: Boolean, required: true }
+        }
+    ],
+    reports: [reportsFile.reportSchema],
+    pendingReports: { type: Number, default: 0 },
+    hidden: { type: Boolean, default: false }
 });
 
 var reviewModel = mongoose.model("Review", reviewSchema);
@@ -34,6 +47,11 @@ var Reviews = function(reviewModel) {
     const RATING_UPPER_LIMIT = 5;
     const DESCRIPTION_UPPER_LIMIT = 500;
 
+    // The fields of a Review that can be chosen when listing Reviews (see utils/pages.js)
+    that.FIELDS = ["creator", "description", "rating", "score", "votes", "reports"];
+    // The fields of a Review that can be populated when listing Reviews
+    that.POPULATE = ["creator"];
+
 	/**
 	* Checks that the Review follows the rep invariant
 	* @param {String} description - the 500 character description of a User's thoughts about a Spot
@@ -82,7 +100,7 @@ var Reviews = function(reviewModel) {
                 creator: creatorId,
                 description: description,
                 rating: rating,
-                voters: []
+                votes: []
             });
             Users.findUserById(creatorId, function(err, user) {
                 if (err) {
@@ -122,13 +140,17 @@ var Reviews = function(reviewModel) {
     };
 
 	/**
-	* Gets all the Reviews for a specific User
+	* Gets the Reviews for a specific User, a page at a time
 	* Otherwise, return an error.
 	* @param {ObjectId} userId - the id of the user whose reviews will be given
+	* @param {Object} page - the page of Reviews to get (see utils/pages.js), null for every Review
+	*                        the Reviews that have been hidden after being reported are only given if page.includeHidden is true
 	* @param {function} callback - the function to be called after getReviewsByUser has executed
-    *                              must be called with (err, reviews) as params
+    *                              must be called with (err, reviews, next) as params
+    *                              next is the cursor for the following page, null if there is none
 	*/
-    that.getReviewsByUser = function(userId, callback) {
+    that.getReviewsByUser = function(userId, page, callback) {
+        var conditions = page && page.includeHidden ? { creator: userId } : { creator: userId, hidden: { $ne: true } };
         Users.findUserById(userId, function(err, user) {
             if (err) {
                 if (err.http_status) {
@@ -138,27 +160,154 @@ var Reviews = function(reviewModel) {
                     // Unknown Error
                     callback({ msg: err });
                 }
+            } else if (page) {
+                var population = Pages.isPopulated(page, "creator") ? [{ path: "creator" }] : [];
+                Pages.findPage(reviewModel, conditions, page, population, callback);
             } else {
-                reviewModel.find({ creator: userId }, function(err, reviews) {
+                reviewModel.find(conditions, function(err, reviews) {
                     if (err) {
                         callback({ msg: err });
                     } else {
-                        callback(null, reviews);
+                        callback(null, reviews, null);
                     }
                 });
             }
         });
     };
 
+    /**
+    * Edits the description and rating of a Review if they do not violate the rep invariant
+    * Only the creator of the Review can edit it
+    * Otherwise, return an error
+    * @param {ObjectId} reviewId - the id of the Review to be edited
+    * @param {ObjectId} userId - the id of the user attempting to edit the Review
+    * @param {String} description - the new description of the Review
+    * @param {Number} rating - the new rating of the Review
+    * @param {function} callback - the function to be called after updateReview has executed
+    *                              must be called with (err, review) as params
+    */
+    that.updateReview = function(reviewId, userId, description, rating, callback) {
+        that.getReviewById(reviewId, function(err, review) {
+            if (err) {
+                errorHandler(err, callback);
+            } else if (JSON.stringify(review.creator) !== JSON.stringify(userId)) {
+                callback({ msg: "You can only edit your own reviews!", http_status: FORBIDDEN });
+            } else {
+                var isInvalid = checkRep(description, rating);
+                if (isInvalid) {
+                    callback({ msg: isInvalid, http_status: BAD_REQUEST });
+                } else {
+                    review.description = description;
+                    review.rating = rating;
+                    review.save(function(err, review) {
+                        if (err) {
+                            callback({ msg: err });
+                        } else {
+                            callback(null, review);
+                        }
+                    });
+                }
+            }
+        });
+    };
+
+    /**
+    * Deletes a Review
+    * The votes on the Review no longer count towards the rep of its creator
+    * Only the creator of the Review can delete it
+    * Otherwise, return an error
+    * @param {ObjectId} reviewId - the id of the Review to be deleted
+    * @param {ObjectId} userId - the id of the user attempting to delete the Review
+    * @param {function} callback - the function to be called after deleteReview has executed
+    *                              must be called with (err, review) as params
+    */
+    that.deleteReview = function(reviewId, userId, callback) {
+        that.getReviewById(reviewId, function(err, review) {
+            if (err) {
+                errorHandler(err, callback);
+            } else if (JSON.stringify(review.creator) !== JSON.stringify(userId)) {
+                callback({ msg: "You can only delete your own reviews!", http_status: FORBIDDEN });
+            } else {
+                reviewModel.findOneAndRemove({ _id: reviewId }, function(err, review) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else if (review === null) {
+                        // Another request deleted the Review first
+                        callback({ msg: "No such review with that id!", http_status: NOT_FOUND });
+                    } else if (review.score === 0) {
+                        callback(null, review);
+                    } else {
+                        Users.changeRep(review.creator, -review.score, function(err) {
+                            if (err) {
+                                errorHandler(err, callback);
+                            } else {
+                                callback(null, review);
+                            }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+    * Atomically applies a change to the votes of a Review if it matches the query,
+    * then changes the rep of the creator of the Review by the same amount as the score
+    * @param {Object} query - the conditions that the Review must match
+    * @param {Object} update - the update operators to apply to the votes of the Review
+    * @param {Number} change - the amount that the score of the Review changes by
+    * @param {function} callback - must be called with (err, review) as params
+    *                              review is null if the Review did not match the query
+    */
+    var changeVotes = function(query, update, change, callback) {
+        update.$inc = { score: change };
+        reviewModel.findOneAndUpdate(query, update, { new: true }, function(err, review) {
+            if (err) {
+                callback({ msg: err });
+            } else if (review === null) {
+                callback(null, null);
+            } else {
+                Users.changeRep(review.creator, change, function(err) {
+                    if (err) {
+                        errorHandler(err, callback);
+                    } else {
+                        callback(null, review);
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+    * Gets the vote of a user on a Review
+    * @param {Review} review - the Review of interest
+    * @param {ObjectId} userId - the id of the user
+    * @return {Number} 1 if the user upvoted the Review, -1 if they downvoted it, otherwise 0
+    */
+    that.getVote = function(review, userId) {
+        var votes = (review.votes || []).filter(function(vote) {
+            return JSON.stringify(vote.voter) === JSON.stringify(userId);
+        });
+        if (votes.length === 0) {
+            return 0;
+        }
+        return votes[0].upvote ? 1 : -1;
+    };
+
     /**
     * Updates the score of the review after an upvote or downvote
+    * A user who has already voted can switch their vote to the other direction
+    * The rep of the creator of the review changes along with the score
     * Otherwise, return an error
     * @param {ObjectId} reviewId - the id of the review whose score will be updated
+    * @param {ObjectId} voterId - the id of the user voting on the review
     * @param {Boolean} upvote - true if the person likes the review, false otherwise
     * @param {function} callback - the function to be called after updateScore has executed
-    *                              must be called with (err) as the param
+    *                              must be called with (err, review) as params
     */
     that.updateScore = function(reviewId, voterId, upvote, callback) {
+        upvote = Boolean(upvote);
+        var direction = upvote ? 1 : -1;
         that.getReviewById(reviewId, function(err, review) {
             if (err) {
                 errorHandler(err, callback);
@@ -166,42 +315,131 @@ var Reviews = function(reviewModel) {
                 Users.findUserById(voterId, function(err, voter) {
                     if (err) {
                         errorHandler(err, callback);
+                    } else if (JSON.stringify(voterId) === JSON.stringify(review.creator)) {
+                        callback({ msg: "You cannot upvote your own review!", http_status: FORBIDDEN });
                     } else {
-                        var voters = review.voters.map(function(previousVoter) {
-                            return JSON.stringify(previousVoter);
+                        // First vote of the user
+                        var query = { _id: reviewId, "votes.voter": { $ne: voterId } };
+                        var update = { $push: { votes: { voter: voterId, upvote: upvote } } };
+                        changeVotes(query, update, direction, function(err, review) {
+                            if (err || review) {
+                                callback(err, review);
+                            } else {
+                                // The user switches their vote from the other direction
+                                var query = { _id: reviewId, votes: { $elemMatch: { voter: voterId, upvote: !upvote } } };
+                                var update = { $set: { "votes.$.upvote": upvote } };
+                                changeVotes(query, update, 2 * direction, function(err, review) {
+                                    if (err || review) {
+                                        callback(err, review);
+                                    } else {
+                                        callback({ msg: "You have already voted on this review!", http_status: FORBIDDEN });
+                                    }
+                                });
+                            }
                         });
-                        if (JSON.stringify(voterId) === JSON.stringify(review.creator)) {
-                            callback({ msg: "You cannot upvote your own review!", http_status: FORBIDDEN });
-                        } else if (voters.indexOf(JSON.stringify(voterId)) > -1) {
-                            callback({ msg: "You have already voted on this review!", http_status: FORBIDDEN });
-                        } else {
-                            review.voters.push(voterId);
-                            if (upvote) {
-                                review.score += 1;
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+    * Withdraws the vote of a user on a review
+    * The score of the review and the rep of its creator no longer count the vote
+    * Otherwise, return an error
+    * @param {ObjectId} reviewId - the id of the review
+    * @param {ObjectId} voterId - the id of the user withdrawing their vote
+    * @param {function} callback - the function to be called after retractVote has executed
+    *                              must be called with (err, review) as params
+    */
+    that.retractVote = function(reviewId, voterId, callback) {
+        that.getReviewById(reviewId, function(err, review) {
+            if (err) {
+                errorHandler(err, callback);
+            } else {
+                var update = { $pull: { votes: { voter: voterId } } };
+                var query = { _id: reviewId, votes: { $elemMatch: { voter: voterId, upvote: true } } };
+                changeVotes(query, update, -1, function(err, review) {
+                    if (err || review) {
+                        callback(err, review);
+                    } else {
+                        var update = { $pull: { votes: { voter: voterId } } };
+                        var query = { _id: reviewId, votes: { $elemMatch: { voter: voterId, upvote: false } } };
+                        changeVotes(query, update, 1, function(err, review) {
+                            if (err || review) {
+                                callback(err, review);
                             } else {
-                                review.score -= 1;
+                                callback({ msg: "You have not voted on this review!", http_status: FORBIDDEN });
                             }
-                            var creatorId = review.creator;
-                            Users.updateRep(creatorId, upvote, function(err) {
-                                if (err) {
-                                    errorHandler(err, callback);
-                                } else {
-                                    review.save(function(err, review) {
-                                        if (err) {
-                                            callback({ msg: err });
-                                        } else {
-                                            callback(null, review);
-                                        }
-                                    });
-                                }
-                            });
-                        }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+    * Reports a review for one of the reasons that reports can have
+    * Once the combined rep of the reporters of its pending reports is greater than 10 plus its score,
+    * the review is hidden until a moderator approves its removal or restores it
+    * Otherwise, return an error
+    * @param {ObjectId} reviewId - the id of the review
+    * @param {ObjectId} userId - the id of the user reporting the review
+    * @param {String} reason - one of Reports.REASONS
+    * @param {String} comment - an optional comment about the review
+    * @param {function} callback - the function to be called after reportReview has executed
+    *                              must be called with (err, review, hidden) as params
+    *                              hidden is true if the report caused the review to be hidden
+    */
+    that.reportReview = function(reviewId, userId, reason, comment, callback) {
+        that.getReviewById(reviewId, function(err, review) {
+            if (err) {
+                errorHandler(err, callback);
+            } else if (review.hidden) {
+                callback({ msg: "No such review with that id!", http_status: NOT_FOUND });
+            } else {
+                Users.findUserById(userId, function(err, user) {
+                    if (err) {
+                        errorHandler(err, callback);
+                    } else {
+                        var getThreshold = function(review) {
+                            return 10 + Math.max(review.score, 0);
+                        };
+                        Reports.addReport(reviewModel, reviewId, user, reason, comment, getThreshold, function(err, review, hidden) {
+                            if (err) {
+                                callback(err);
+                            } else if (review === null) {
+                                callback({ msg: "You have already reported this review!", http_status: FORBIDDEN });
+                            } else {
+                                callback(null, review, hidden);
+                            }
+                        });
                     }
                 });
             }
         });
     };
 
+    /**
+    * Gets the votes that a user cast on Reviews
+    * Otherwise, return an error
+    * @param {ObjectId} userId - the id of the user
+    * @param {function} callback - the function to be called after getVotesByUser has executed
+    *                              must be called with (err, votes) as params
+    *                              each vote is of the form { review: the id of the Review, upvote: Boolean }
+    */
+    that.getVotesByUser = function(userId, callback) {
+        reviewModel.find({ "votes.voter": userId }, function(err, reviews) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                callback(null, reviews.map(function(review) {
+                    return { review: review._id, upvote: that.getVote(review, userId) === 1 };
+                }));
+            }
+        });
+    };
+
     Object.freeze(that);
     return that;
 
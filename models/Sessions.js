@@ -0,0 +1,125 @@
+// @author: Maryam Archie
+
+/**
+ * Model representing the sessions of the users who are signed in, which are kept in MongoDB
+ * (see utils/sessionStore.js) so that they survive restarts and are shared by every server.
+ * Each session is stored under its session id, along with the data that express-session keeps for it,
+ * the User it belongs to and when it expires. MongoDB removes sessions once they expire.
+ * Sessions also have a handle, derived from the session id, that identifies them to their User.
+ * The session id itself is never sent anywhere but the cookie, since anyone who has it is signed in.
+ * Sessions that are signed out or revoked are marked as revoked until they would have expired,
+ * so that a request that was already under way cannot save them again.
+ */
+
+var mongoose = require("mongoose");
+var crypto = require("crypto");
+
+const NOT_FOUND = 404;
+
+var sessionSchema = mongoose.Schema({
+    _id: String,
+    handle: String,
+    session: mongoose.Schema.Types.Mixed,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    userAgent: String,
+    ip: String,
+    revoked: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    lastActive: Date,
+    expires: { type: Date, index: { expireAfterSeconds: 0 } }
+});
+
+var sessionModel = mongoose.model("Session", sessionSchema);
+
+var Sessions = function(sessionModel) {
+
+    var that = Object.create(Sessions.prototype);
+
+    /**
+     * Gives the conditions for a session to still be usable
+     * @return {Object} the conditions, as a new object so that callers can add to them
+     */
+    var activeQuery = function() {
+        return { revoked: { $ne: true }, expires: { $gt: new Date() } };
+    };
+
+    /**
+     * Gives the handle of a session
+     * @param {String} sessionId - the session id from the cookie
+     * @return {String} the handle, which cannot be turned back into the session id
+     */
+    that.getHandle = function(sessionId) {
+        return crypto.createHash("sha256").update(String(sessionId)).digest("hex").slice(0, 32);
+    };
+
+    /**
+     * Gets the sessions of a User that can still be used, the most recently used first
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} currentSessionId - the session id of the request, so that its session can be marked
+     * @param {function} callback - the function to be called after getSessionsByUser has executed
+     *                              must be called with (err, sessions) as params, where each session is of the form
+     *                              { id, current, userAgent, ip, createdAt, lastActive, expires }
+     */
+    that.getSessionsByUser = function(userId, currentSessionId, callback) {
+        var query = activeQuery();
+        query.user = userId;
+        sessionModel.find(query).sort({ lastActive: -1 }).lean().exec(function(err, sessions) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                callback(null, sessions.map(function(session) {
+                    return {
+                        id: session.handle,
+                        current: session._id === currentSessionId,
+                        userAgent: session.userAgent,
+                        ip: session.ip,
+                        createdAt: session.createdAt,
+                        lastActive: session.lastActive,
+                        expires: session.expires
+                    };
+                }));
+            }
+        });
+    };
+
+    /**
+     * Signs a User out of one of their sessions
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} handle - the handle of the session, as given by getSessionsByUser
+     * @param {function} callback - the function to be called after revokeSession has executed
+     *                              must be called with (err) as the param
+     */
+    that.revokeSession = function(userId, handle, callback) {
+        var query = activeQuery();
+        query.user = userId;
+        query.handle = String(handle);
+        sessionModel.update(query, { revoked: true }, function(err, result) {
+            if (err) {
+                callback({ msg: err });
+            } else if (result.n === 0) {
+                callback({ msg: "No such session with that id!", http_status: NOT_FOUND });
+            } else {
+                callback(null);
+            }
+        });
+    };
+
+    /**
+     * Signs a User out of every one of their sessions
+     * @param {ObjectId} userId - the id of the User
+     * @param {function} callback - the function to be called after revokeAllSessions has executed
+     *                              must be called with (err) as the param
+     */
+    that.revokeAllSessions = function(userId, callback) {
+        sessionModel.update({ user: userId, revoked: { $ne: true } }, { revoked: true }, { multi: true }, function(err) {
+            callback(err ? { msg: err } : null);
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = { sessionModel: sessionModel, Sessions: Sessions(sessionModel) };
@@ -5,28 +5,62 @@
 * Spots must have a unique title that is between 3 and 20 characters
 * Spots must have a creator (User)
 * Spots must have a location with latitude and longitude
+* Spots store their location as a GeoJSON point (geometry) so that they can be queried by distance
 * Spots may have a floor atrribute. Defaults to 1 if none.
 * Spots must be defined by a Tag
 * Spots may have Reviews giving a description of the Spot itself
 * Spots may have a rating that is the average of all of the ratings of its Reviews
+* Spots keep track of the users who reviewed them, so that a user can only review a Spot once
+* Spots have a revision that increases whenever their Reviews change
 * Spots have a timestamp
-* Spots may have reports with information about the user who reported it
+* Spots may have reports with a reason and information about the user who reported it
+* Spots are hidden once they are reported enough, until a moderator approves their removal or restores them
+* Spots may have photos, each with a thumbnail, uploaded for the Spot itself or for one of its Reviews
+* Spots belong to the campus whose bounds contain them, or the default campus if none does
+* Photo files that cannot be removed are left behind and their names are logged,
+* to the "6170-sweet-spots:photos" debug log by default (see Spots.useLogger)
 */
 
 var mongoose = require("mongoose");
+var _ = require("lodash");
+var debug = require("debug");
 var reviewsFile = require("../models/Reviews");
 var tagsFile = require("../models/Tags");
 var Reviews = reviewsFile.Reviews;
 var Tags = tagsFile.Tags;
-var Users = require("../models/Users").Users;
+var usersFile = require("../models/Users");
+var Users = usersFile.Users;
+var Photos = require("../utils/photos");
+var Campuses = require("../utils/campuses");
+var Pages = require("../utils/pages");
+var reportsFile = require("../models/Reports");
+var Reports = reportsFile.Reports;
+var Collections = require("../models/Collections").Collections;
 
 var tagModel = tagsFile.tagModel;
 var reviewModel = reviewsFile.reviewModel;
+var userModel = usersFile.userModel;
 
 const BAD_REQUEST = 400;
 const NOT_FOUND = 404;
 const FORBIDDEN = 403;
 const SPOT_NOT_FOUND = "No such spot with that id!";
+const REVIEW_NOT_FOUND = "No such review with that id!";
+const INVALID_COORDINATES = "Please provide a valid latitude and longitude!";
+const INVALID_BOUNDS = "Please provide valid bounds!";
+const INVALID_CURSOR = "The cursor for the next page of spots is invalid!";
+const CAMPUS_NOT_FOUND = "No such campus with that id!";
+// Hidden spots and reviews are waiting for a moderator, so they are left out of everything else
+const VISIBLE = { $ne: true };
+
+// Orderings supported by Spots.search
+// Ties are broken by _id in the same direction so that cursors are stable
+const SEARCH_SORTS = {
+    rating: { field: "rating", direction: -1 },
+    newest: { field: "timestamp", direction: -1 },
+    reviews: { field: "numReviews", direction: -1 },
+    distance: { field: "distance", direction: 1 }
+};
 
 var spotSchema = mongoose.Schema({
     title: { type: String, unique: true, required: true },
@@ -35,6 +69,12 @@ var spotSchema = mongoose.Schema({
         latitude: { type: Number, required: true },
         longitude: { type: Number, required: true }
     },
+    geometry: {
+        type: { type: String, enum: ["Point"], default: "Point" },
+        coordinates: { type: [Number] }
+    },
+    // The id of the campus of the spot
+    campus: String,
     floor: { type: String, default: "1" },
     tag:
     { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Tag" }
@@ -42,19 +82,48 @@ var spotSchema = mongoose.Schema({
     reviews: [
         { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Review" }
     ],
+    reviewers: [
+        { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+    ],
     rating: { type: Number, required: true },
+    revision: { type: Number, default: 0 },
     timestamp: {
         type: Date,
         default: Date.now
     },
-    reports: [
+    reports: [reportsFile.reportSchema],
+    pendingReports: { type: Number, default: 0 },
+    hidden: { type: Boolean, default: false },
+    photos: [
         {
-            reporter: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
-            reporterScore: Number
+            uploader: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+            review: { type: mongoose.Schema.Types.ObjectId, ref: "Review" },
+            file: { type: String, required: true },
+            url: { type: String, required: true },
+            thumbnail: { type: String, required: true },
+            thumbnailUrl: { type: String, required: true },
+            timestamp: { type: Date, default: Date.now }
         }
     ]
 });
 
+spotSchema.index({ geometry: "2dsphere" });
+
+/**
+ * Mongoose Middleware that keeps the GeoJSON geometry and the campus in sync with the location
+ * before the Spot is validated and saved to the database.
+ * N.B. GeoJSON coordinates are ordered [longitude, latitude]
+ * @param {function} next - callback function that calls the next piece of middleware
+ */
+spotSchema.pre("validate", function(next) {
+    var spot = this;
+    if (spot.location && spot.location.latitude !== undefined && spot.location.longitude !== undefined) {
+        spot.geometry = { type: "Point", coordinates: [spot.location.longitude, spot.location.latitude] };
+        spot.campus = (Campuses.getCampusForLocation(spot.location) || Campuses.getDefaultCampus()).id;
+    }
+    next();
+});
+
 var spotModel = mongoose.model("Spot", spotSchema);
 
 var Spots = function(spotModel) {
@@ -65,6 +134,26 @@ var Spots = function(spotModel) {
     const TITLE_UPPER_LIMIT = 20;
     const FLOOR_UPPER_LIMIT = 3;
     const MILLISECONDS_IN_A_DAY = 86.4 * Math.pow(10, 6);
+    const MAX_NEAR_RESULTS = 50;
+    const DEFAULT_SEARCH_LIMIT = 20;
+    const MAX_SEARCH_LIMIT = 50;
+
+    // The ways that search results can be sorted
+    that.SEARCH_SORTS = Object.keys(SEARCH_SORTS);
+    // The fields of a spot that can be chosen when listing spots (see utils/pages.js)
+    that.FIELDS = ["title", "creator", "location", "campus", "floor", "tag", "reviews", "rating", "timestamp", "photos", "reports"];
+    // The fields of a spot that can be populated when listing spots
+    that.POPULATE = ["tag", "reviews", "creator"];
+
+    var log = debug("6170-sweet-spots:photos");
+
+    /**
+     * Replaces the function that the names of photo files that could not be removed are logged with
+     * @param {function} newLogger - called with a message
+     */
+    that.useLogger = function(newLogger) {
+        log = newLogger;
+    };
 
 	/**
 	* Checks that the spot follows the rep invariant
@@ -72,8 +161,8 @@ var Spots = function(spotModel) {
 	* @param {String} floor - an optional argument that specifies which floor the spot is on
 	*/
     var checkRep = function(title, floor) {
-        var titleLength = title.length;
-        var validTitle = (/^[a-zA-z0-9\s\']+$/.test(title) && titleLength >= TITLE_LOWER_LIMIT && titleLength <= TITLE_UPPER_LIMIT);
+        var validTitle = (typeof title === "string" && /^[a-zA-z0-9\s\']+$/.test(title)
+            && title.length >= TITLE_LOWER_LIMIT && title.length <= TITLE_UPPER_LIMIT);
         var validFloor = true;
         if (floor !== null) {
             validFloor = (/^[A-Z0-9]+$/.test(floor) && floor.length <= FLOOR_UPPER_LIMIT);
@@ -101,221 +190,362 @@ var Spots = function(spotModel) {
         }
     };
 
-	/**
-	* Checks to see that the created spot will be valid
-	* If the spot is valid, the spot will be added to the database
-	* Otherwise, return an error
-	* @param {String} title - the unique name that is between 3 and 20 characters
-	* @param {ObjectId} creatorId - the id of poster of the Spot
-	* @param {Object} location - where the spot is in GPS coordinates
-	*							 should be in the form:
-	*							 { latitude: the latitude of the spot,
-	*							   longitude: the longitude of the spot }
-	* @param {String} floor - an optional argument that specifies the floor the spot is on
-	* @param {Tag} tag - the tag attached to the spot
-	* @param {Review} review - the review that is created with the spot
-	* @param {Boolean} createdTag - true if the tag did not exist prior to creating the spot, otherwise false
-	* @param {function} callback - the function to be called after checkSpot has executed
-	*							   must be called with (err, newSpot) as params
-	*/
-    var checkSpot = function(title, creatorId, location, floor, tag, review, createdTag, callback) {
-        var isInvalid = checkRep(title, floor);
-        if (!isInvalid) {
-            var spot = new spotModel({
-                title: title,
-                creator: creatorId,
-                location: location,
-                tag: tag.id,
-                reviews: [review.id],
-                rating: review.rating
-            });
-            if (floor !== null) {
-                spot.floor = floor;
-            }
-            Users.updateRep(creatorId, true, function(err) {
-                if (err) {
-                    if (err.http_status) {
-                        // User cannot be found
-                        removeIfInvalid(review.id, tag.id, createdTag, { msg: err.msg, http_status: err.http_status }, callback);
-                    } else {
-                        // Unknown Error
-                        removeIfInvalid(review.id, tag.id, createdTag, { msg: err }, callback);
-                    }
-                } else {
-                    spot.save(function(err, newSpot) {
-                        if (err) {
-                            // Duplicate title
-                            if (err.code === 11000) {
-                                removeIfInvalid(review.id, tag.id, createdTag, { msg: "A Spot already exists with this title.", http_status: BAD_REQUEST }, callback);
-                            } else {
-                                removeIfInvalid(review.id, tag.id, createdTag, { msg: err }, callback);
-                            }
-                        } else {
-                            // Add spot
-                            callback(null, newSpot);
-                        }
-                    });
-                }
-            });
-        } else {
-            removeIfInvalid(review.id, tag.id, createdTag, { msg: isInvalid, http_status: BAD_REQUEST }, callback);
+    /**
+     * Gives the paths of a spot to populate, leaving out hidden reviews
+     * A new array is made every time since mongoose keeps state in the options it is given
+     * @return {Object[]} the populate options for the tag and reviews of a spot
+     */
+    var spotPopulation = function() {
+        return [{ path: "tag" }, { path: "reviews", match: { hidden: VISIBLE }, populate: { path: "creator" } }];
+    };
+
+    /**
+     * Gives the fields to find of a page of spots
+     * The reviews are found along with the photos, since the photos of hidden reviews are left out
+     * @param {Object} page - the page of spots (see utils/pages.js)
+     * @param {String[]} extraFields - other fields that are needed to find the page, such as the field it is sorted by
+     * @return {String[]} the fields to find, undefined for every field
+     */
+    var pageFields = function(page, extraFields) {
+        if (!page.fields) {
+            return undefined;
         }
+        var needed = Pages.isSelected(page, "photos") ? ["reviews"] : [];
+        return _.union(page.fields, needed, extraFields || []);
     };
 
-	/**
-	* Removes the created tag and review if the created spot is invalid
-	* @param {ObjectId} reviewId - the id of the review that was created
-	* @param {ObjectId} tagId - the id of the tag that was created
-	* @param {Boolean} createdTag - true if the tag did not exist prior to creating the spot, otherwise false
-	* @param {Object} error - the error message that will be given to the user
-	* @param {function} callback - the function to be called after removeIfInvalid has executed
-	*							   will be called with (error) as the param
-	*/
-    var removeIfInvalid = function(reviewId, tagId, createdTag, error, callback) {
-        reviewModel.remove({ _id: reviewId }, function(err) {
-            if (createdTag) {
-                tagModel.remove({ _id: tagId }, function(err) {
-                    callback(error);
+    /**
+     * Gives the paths of a page of spots to populate
+     * Reviews that are not populated are still found with only their ids, so that the hidden ones are left out
+     * @param {Object} page - the page of spots (see utils/pages.js)
+     * @return {Object[]} the populate options for the fields of the spots
+     */
+    var pagePopulation = function(page) {
+        var population = [];
+        if (Pages.isPopulated(page, "tag")) {
+            population.push({ path: "tag" });
+        }
+        if (Pages.isPopulated(page, "creator")) {
+            population.push({ path: "creator" });
+        }
+        if (Pages.isPopulated(page, "reviews")) {
+            population.push({ path: "reviews", match: { hidden: VISIBLE }, populate: { path: "creator" } });
+        } else if (Pages.isSelected(page, "reviews") || Pages.isSelected(page, "photos")) {
+            population.push({ path: "reviews", match: { hidden: VISIBLE }, select: "_id" });
+        }
+        return population;
+    };
+
+    /**
+     * Turns the reviews of a page of spots back into ids, unless they were asked to be populated
+     * @param {Object[]} spots - the spots, as populated by pagePopulation
+     * @param {Object} page - the page of spots (see utils/pages.js)
+     * @return {Object[]} the spots
+     */
+    var reviewsToIds = function(spots, page) {
+        if (Pages.isPopulated(page, "reviews")) {
+            return spots;
+        }
+        return spots.map(function(spot) {
+            var spotObject = spot.toObject ? spot.toObject() : spot;
+            if (spotObject.reviews) {
+                spotObject.reviews = spotObject.reviews.map(function(review) {
+                    return review._id;
                 });
+            }
+            return spotObject;
+        });
+    };
+
+    /**
+     * Finds a page of the spots that match the given conditions, in the order they were created
+     * @param {Object} conditions - the conditions that every spot must match
+     * @param {Object} page - the page of spots (see utils/pages.js)
+     * @param {function} callback - must be called with (err, spots, next) as params
+     *                              next is the cursor for the following page, null if there is none
+     */
+    var findSpotsPage = function(conditions, page, callback) {
+        var found = _.assign({}, page, { fields: pageFields(page) });
+        Pages.findPage(spotModel, conditions, found, pagePopulation(page), function(err, spots, next) {
+            if (err) {
+                callback(err);
             } else {
-                callback(error);
+                callback(null, reviewsToIds(spots, page), next);
             }
         });
     };
 
-	/**
-	* Adds the spot to the database if the spot does not already exist and if it does not violate the rep invariant
-	* Adds one to the creator's rep for creating a new spot
-	* Otherwise, return an error.
-	* @param {String} title - the unique name that is between 3 and 20 characters
-	* @param {ObjectId} creatorId - the id of poster of the Spot
-	* @param {Object} location - where the spot is in GPS coordinates
-	*							 should be in the form:
-	*							 { latitude: the latitude of the spot,
-	*							   longitude: the longitude of the spot }
-	* @param {String} floor - an optional argument that specifies the floor the spot is on
-	* @param {String} label - the name of the tag to be attached to the spot
-	* @param {String} description - the written review of the spot
-	* @param {Number} rating - the quantitative review of the spot as a number between 1 and 5 inclusive
-	* @param {function} callback - the function to be called after addSpot has executed
-	*							   must be called with (err, newSpot) as params
-	*/
-    that.addSpot = function(title, creatorId, location, floor, label, description, rating, callback) {
-        var createdTag = false;
-        Reviews.addReview(creatorId, description, rating, function(err, review) {
+    /**
+     * Populates a page of spots that was found with an aggregation
+     * @param {Object[]} spots - the spots of the page
+     * @param {Object} page - the page of spots (see utils/pages.js)
+     * @param {function} callback - must be called with (err, spots) as params
+     */
+    var populatePage = function(spots, page, callback) {
+        spotModel.populate(spots, pagePopulation(page), function(err, spots) {
             if (err) {
-                errorHandler(err, callback);
+                callback({ msg: err });
+            } else {
+                callback(null, reviewsToIds(spots, page));
+            }
+        });
+    };
+
+    /**
+     * Determines whether the given coordinates describe a point on the map
+     * @param {Number} latitude - must be between -90 and 90 inclusive
+     * @param {Number} longitude - must be between -180 and 180 inclusive
+     * @return {Boolean} true if the coordinates are valid, false otherwise
+     */
+    var isValidCoordinate = function(latitude, longitude) {
+        return (typeof latitude === "number" && typeof longitude === "number"
+            && latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180);
+    };
+
+    /**
+     * Finds the spots closest to the given point, ordered by distance
+     * Each spot is given a distance field (in meters) from the given point
+     * @param {Number} latitude - the latitude of the point
+     * @param {Number} longitude - the longitude of the point
+     * @param {Number} radius - the maximum distance (in meters) of a spot from the point, null if unbounded
+     * @param {Number} limit - the maximum number of spots to return
+     * @param {Object} query - additional conditions that the spots must satisfy
+     * @param {function} callback - must be called with (err, spots) as params
+     */
+    var findNear = function(latitude, longitude, radius, limit, query, callback) {
+        var geoNear = {
+            near: { type: "Point", coordinates: [longitude, latitude] },
+            distanceField: "distance",
+            query: _.assign({ hidden: VISIBLE }, query),
+            spherical: true
+        };
+        if (radius !== null) {
+            geoNear.maxDistance = radius;
+        }
+        spotModel.aggregate([{ $geoNear: geoNear }, { $limit: limit }]).exec(function(err, spots) {
+            if (err) {
+                callback({ msg: err });
             } else {
-                Tags.getTagByLabel(label, function(err, tag) {
+                spotModel.populate(spots, spotPopulation(), function(err, spots) {
                     if (err) {
-                        if (err.http_status) {
-                            //Tag does not exist
-                            createdTag = true;
-                            Tags.addTag(label, false, function(err, newTag) {
-                                if (err) {
-                                    if (err.http_status) {
-                                        // checkRep is violated
-                                        reviewModel.remove({ _id: review.id }, function(error) {
-                                            callback({ msg: err.msg, http_status: err.http_status });
-                                        });
-                                    } else {
-                                        // Unknown Error
-                                        reviewModel.remove({ _id: review.id }, function(error) {
-                                            callback({ msg: err.msg });
-                                        });
-                                    }
-                                } else {
-                                    checkSpot(title, creatorId, location, floor, newTag, review, createdTag, callback);
-                                }
-                            });
-                        } else {
-                            //Unknown Error
-                            reviewModel.remove({ _id: review.id }, function(error) {
-                                callback({ msg: err.msg });
-                            });
-                        }
+                        callback({ msg: err });
                     } else {
-                        //Tag exists already
-                        checkSpot(title, creatorId, location, floor, tag, review, createdTag, callback);
+                        callback(null, spots);
                     }
                 });
             }
         });
     };
 
-	/**
-	* Adds a review to the specified spot
-	* Updates the rating of the Spot
-	* Otherwise, return an error.
-	* @param {ObjectId} spotId - the spot to have the review added
-	* @param {ObjectId} creatorId - the id of the creator of the review
-	* @param {String} description - the written review
-	* @param {Number} rating - a rating on a 5 scale
-	* @param {function} callback - the function to be called after addReview has executed
-	*							   must be called with (err, spot, review) as param
-	*/
-    that.addReviewToSpot = function(spotId, creatorId, description, rating, callback) {
-        that.getSpotById(spotId, function(err, spot) {
-            if (err) {
-                errorHandler(err, callback);
-            } else {
-                // Spot exists
-                var currentReviews = spot.reviews.filter(function(reviewToCheck) {
-                    return (JSON.stringify(reviewToCheck.creator._id) === JSON.stringify(creatorId));
-                });
-                if (currentReviews.length !== 0 || spot.creator === creatorId) {
-                    callback({ msg: "You already submitted a review for this spot!", http_status: FORBIDDEN });
+    /**
+     * Builds a GeoJSON polygon for the given bounds
+     * @param {Object} bounds - of the form { minLatitude, maxLatitude, minLongitude, maxLongitude }
+     * @return {Object} the GeoJSON polygon enclosing the bounds
+     */
+    var boundsToPolygon = function(bounds) {
+        return {
+            type: "Polygon",
+            coordinates: [[
+                [bounds.minLongitude, bounds.minLatitude],
+                [bounds.maxLongitude, bounds.minLatitude],
+                [bounds.maxLongitude, bounds.maxLatitude],
+                [bounds.minLongitude, bounds.maxLatitude],
+                [bounds.minLongitude, bounds.minLatitude]
+            ]]
+        };
+    };
+
+    /**
+     * Builds the aggregation pipeline for a page of search results
+     * @param {Object} match - the conditions that every spot in the results must satisfy
+     * @param {String} sortName - the name of one of the SEARCH_SORTS
+     * @param {Object} near - { latitude, longitude } the point to measure distances from,
+     *                        with radius: the maximum distance (in meters) of a spot from the point, if any
+     * @param {Object} cursor - the decoded cursor of the previous page, null if first page
+     * @param {Number} limit - the number of spots in a page
+     * @param {String[]} fields - the fields of the spots to find, undefined for every field
+     * @return {Object[]} the aggregation pipeline
+     */
+    var buildSearchPipeline = function(match, sortName, near, cursor, limit, fields) {
+        var sort = SEARCH_SORTS[sortName];
+        var pipeline = [];
+        if (sortName === "distance") {
+            var geoNear = {
+                near: { type: "Point", coordinates: [near.longitude, near.latitude] },
+                distanceField: "distance",
+                query: match,
+                spherical: true
+            };
+            if (cursor) {
+                geoNear.minDistance = cursor.value;
+            }
+            if (near.radius !== undefined) {
+                geoNear.maxDistance = near.radius;
+            }
+            pipeline.push({ $geoNear: geoNear });
+        } else {
+            pipeline.push({ $match: match });
+        }
+        pipeline.push({ $addFields: { numReviews: { $size: "$reviews" } } });
+        if (cursor) {
+            var comparison = sort.direction === 1 ? "$gt" : "$lt";
+            var after = {};
+            var tie = {};
+            after[sort.field] = {};
+            after[sort.field][comparison] = cursor.value;
+            tie[sort.field] = cursor.value;
+            tie._id = {};
+            tie._id[comparison] = cursor.id;
+            pipeline.push({ $match: { $or: [after, tie] } });
+        }
+        var order = {};
+        order[sort.field] = sort.direction;
+        order._id = sort.direction;
+        pipeline.push({ $sort: order });
+        // Fetch one extra spot to know whether there is another page
+        pipeline.push({ $limit: limit + 1 });
+        if (fields) {
+            var projection = {};
+            fields.forEach(function(field) {
+                projection[field] = 1;
+            });
+            pipeline.push({ $project: projection });
+        }
+        return pipeline;
+    };
+
+    /**
+     * Finds the ids of the tags with the given labels
+     * @param {String[]} labels - the labels of the tags, empty if the search is not restricted by tag
+     * @param {function} callback - must be called with (err, tagIds) as params
+     *                              tagIds is null if the search is not restricted by tag
+     */
+    var findTagIds = function(labels, callback) {
+        if (labels.length === 0) {
+            callback(null, null);
+        } else {
+            tagModel.find({ label: { $in: labels } }, function(err, tags) {
+                if (err) {
+                    callback({ msg: err });
                 } else {
-                    // User can write a Review for the Spot
-                    Reviews.addReview(creatorId, description, rating, function(err, review) {
-                        if (err) {
-                            errorHandler(err, callback);
-                        } else {
-                            var reviews = spot.reviews;
-                            // Add Review to the Spots list of Reviews
-                            reviews.push(review);
-                            var totalRating = reviews.reduce(function(total, oldReview) {
-                                return total += oldReview.rating;
-                            });
-                            // Calculating the average rating for the Spot
-                            spot.rating = totalRating / reviews.length;
+                    callback(null, tags.map(function(tag) {
+                        return tag._id;
+                    }));
+                }
+            });
+        }
+    };
 
-                            var reviewsIds = reviews.map(function(populatedReview) {
-                                return populatedReview.id;
-                            });
-                            spot.reviews = reviewsIds;
-                            spotModel.update({ _id: spot.id }, { reviews: reviewsIds, rating: spot.rating }, function(err) {
-                                if (err) {
-                                    callback({ msg: err });
+    /**
+     * Finds the ids of the reviews whose description contains the given text
+     * @param {RegExp} pattern - the pattern to match, null if the search has no free text
+     * @param {function} callback - must be called with (err, reviewIds) as params
+     */
+    var findReviewIds = function(pattern, callback) {
+        if (pattern === null) {
+            callback(null, []);
+        } else {
+            reviewModel.find({ description: pattern, hidden: VISIBLE }, function(err, reviews) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    callback(null, reviews.map(function(review) {
+                        return review._id;
+                    }));
+                }
+            });
+        }
+    };
+
+    /**
+     * Determines whether the user may edit the spot
+     * The creator of a spot and moderators may edit it
+     * @param {Spot} spot - the spot to be edited
+     * @param {User} user - the user attempting to edit the spot
+     * @return {Boolean} true if the user may edit the spot, false otherwise
+     */
+    var canEditSpot = function(spot, user) {
+        return JSON.stringify(spot.creator) === JSON.stringify(user._id) || Users.hasRole(user, "moderator");
+    };
+
+    /**
+     * Checks whether a user has already reviewed a spot
+     * @param {Spot} spot - the spot of interest
+     * @param {ObjectId} userId - the id of the user
+     */
+    var hasReviewed = function(spot, userId) {
+        return spot.reviewers.some(function(reviewer) {
+            return JSON.stringify(reviewer) === JSON.stringify(userId);
+        });
+    };
+
+    /**
+     * Determines whether a change to a field of a spot was given
+     * @param {any} value - the new value of the field
+     * @return {Boolean} false if the value is undefined or null, which leave the field unchanged
+     */
+    var isGiven = function(value) {
+        return value !== undefined && value !== null;
+    };
+
+    /**
+     * Gets the tag with the given label, creating it if it does not exist
+     * If another request creates the tag first, that tag is used instead
+     * @param {String} label - the name of the tag
+     * @param {function} callback - must be called with (err, tag, createdTag) as params
+     *                              createdTag is true if the tag did not exist prior, otherwise false
+     */
+    var findOrCreateTag = function(label, callback) {
+        Tags.getTagByLabel(label, function(err, tag) {
+            if (err) {
+                if (err.http_status) {
+                    // Tag does not exist
+                    Tags.addTag(label, false, function(err, newTag) {
+                        if (err && err.http_status) {
+                            Tags.getTagByLabel(label, function(error, tag) {
+                                if (error) {
+                                    // The label is invalid
+                                    callback(err);
                                 } else {
-                                    callback(null, spot, review);
+                                    callback(null, tag, false);
                                 }
                             });
+                        } else if (err) {
+                            callback(err);
+                        } else {
+                            callback(null, newTag, true);
                         }
                     });
+                } else {
+                    callback({ msg: err.msg });
                 }
+            } else {
+                callback(null, tag, false);
             }
         });
     };
 
-	/**
-	* Gets the spot with the given id if it exists
-	* Otherwise, return an error.
-	* @param {ObjectId} spotId - the id of the spot
-	* @param {function} callback - the function to be called after getSpotById has executed
-	*							   must be called with (err, spot) as params
-	*/
-    that.getSpotById = function(spotId, callback) {
-        spotModel.findOne({ _id: spotId }, function(err, spot) {
+    /**
+     * Recalculates the rating of a spot as the average of the ratings of its reviews that are not hidden
+     * The rating is only saved if the revision of the spot has not changed since, otherwise
+     * the request that changed it saves a rating that accounts for both changes
+     * @param {Spot} spot - the spot, as it was right after its reviews were changed
+     * @param {function} callback - must be called with (err, spot) as params
+     */
+    var updateRating = function(spot, callback) {
+        reviewModel.find({ _id: { $in: spot.reviews }, hidden: VISIBLE }, function(err, reviews) {
             if (err) {
                 callback({ msg: err });
-            } else if (spot === null) {
-                callback({ msg: SPOT_NOT_FOUND, http_status: NOT_FOUND });
             } else {
-                spotModel.populate(spot, { path: "reviews", populate: { path: "creator" } }, function(err, spot) {
+                var totalRating = reviews.reduce(function(total, review) {
+                    return total + review.rating;
+                }, 0);
+                var rating = reviews.length ? totalRating / reviews.length : 0;
+                spotModel.update({ _id: spot._id, revision: spot.revision }, { rating: rating }, function(err) {
                     if (err) {
                         callback({ msg: err });
                     } else {
+                        spot.rating = rating;
                         callback(null, spot);
                     }
                 });
@@ -323,75 +553,945 @@ var Spots = function(spotModel) {
         });
     };
 
-	/**
-	* Gets all the spots created by the given user
-	* Otherwise, return an error.
-	* @param {UserId} userId - the user whose spots will be given
-	* @param {function} callback - the function to be called after getSpotsByUser has executed
-	*						       must be called with (err, spots) as params
-	*/
-    that.getSpotsByUser = function(userId, callback) {
-        Users.findUserById(userId, function(err, user) {
+    /**
+     * Atomically changes the reviews of a spot, increments its revision and then updates its rating
+     * @param {Object} query - the conditions that the spot must match
+     * @param {Object} update - the update operators to apply to the reviews of the spot
+     * @param {function} callback - must be called with (err, spot) as params
+     *                              spot is null if no spot matched the query
+     */
+    var updateReviews = function(query, update, callback) {
+        update.$inc = { revision: 1 };
+        spotModel.findOneAndUpdate(query, update, { new: true }, function(err, spot) {
             if (err) {
-                errorHandler(err, callback);
+                callback({ msg: err });
+            } else if (spot === null) {
+                callback(null, null);
             } else {
-                spotModel.find({ creator: userId }, function(err, spots) {
-                    if (err) {
-                        callback({ msg: err });
-                    } else {
-                        callback(null, spots);
-                    }
-                });
+                updateRating(spot, callback);
             }
         });
     };
 
-	/**
-	* Gets all the spots within the given radius
-	* Otherwise, return an error.
-	* @param {Number} minLatitude - the minimium latitude of the radius
-	* @param {Number} maxLatitude - the maximum latitude of the radius
-	* @param {Number} minLongitude - the minimum longitude of the radius
-	* @param {Number} maxLongitude - the maximum latitude of the radius
-	* @param {function} callback - the function to be called after getSpotsByLocation has executed
-	*							   must be called with (err, spots) as params
-	*/
-    that.getSpotsByLocation = function(minLatitude, maxLatitude, minLongitude, maxLongitude, callback) {
-        spotModel.find({ "location.latitude": { $gt: minLatitude, $lt: maxLatitude }, "location.longitude": { $gt: minLongitude, $lt: maxLongitude } })
-            .populate("tag")
-            .populate({ path: "reviews", populate: { path: "creator" } })
-            .exec(function(err, spots) {
-                if (err) {
-                    callback({ msg: err });
+    /**
+     * Takes back the rep that the votes on the given reviews earned their creators
+     * A creator who can no longer be found is skipped
+     * @param {Review[]} reviews - the reviews whose votes no longer count
+     * @param {function} callback - must be called with (err) as the param
+     */
+    var undoReviewRep = function(reviews, callback) {
+        var votedReviews = reviews.filter(function(review) {
+            return review.score !== 0;
+        });
+        if (votedReviews.length === 0) {
+            callback(null);
+        } else {
+            var review = votedReviews[0];
+            Users.changeRep(review.creator, -review.score, function(err) {
+                if (err && !err.http_status) {
+                    callback(err);
                 } else {
-                    callback(null, spots);
+                    undoReviewRep(votedReviews.slice(1), callback);
                 }
             });
+        }
     };
 
-	/**
-	* Gets all the spots that have the given tag
-	* Otherwise, return an error.
-	* @param {String} label - the name of the tag
-	* @param {function} callback - the function to be called after getSpotsByTag has executed
-	*							   must be called with (err, spots) as params
-	*/
-    that.getSpotsByTag = function(label, callback) {
-        Tags.getTagByLabel(label, function(err, tagged) {
+    /**
+     * Removes a tag created by a user if no spot has it anymore
+     * Predefined tags are always kept
+     * @param {ObjectId} tagId - the id of the tag
+     * @param {function} callback - must be called with (err) as the param
+     */
+    var removeTagIfUnused = function(tagId, callback) {
+        spotModel.count({ tag: tagId }, function(err, count) {
+            if (err) {
+                callback({ msg: err });
+            } else if (count > 0) {
+                callback(null);
+            } else {
+                tagModel.remove({ _id: tagId, predefined: false }, function(err) {
+                    callback(err ? { msg: err } : null);
+                });
+            }
+        });
+    };
+
+    /**
+     * Removes a spot and everything that depends on it. This is the only way that spots are removed.
+     * The reviews of the spot are deleted, and the rep that their votes earned is taken back.
+     * The spot is taken out of every user's favorites and collections, its creator loses the rep earned for creating it,
+     * its tag is removed if it was created by a user and no other spot has it, and its photos are removed.
+     * Nothing else is done if the spot has already been removed by another request.
+     * @param {Spot} spot - the spot to be removed
+     * @param {function} callback - must be called with (err) as the param
+     */
+    var removeSpot = function(spot, callback) {
+        var spotId = spot._id;
+        spotModel.findOneAndRemove({ _id: spotId }, function(err, removedSpot) {
+            if (err) {
+                callback({ msg: err });
+            } else if (removedSpot === null) {
+                callback(null);
+            } else {
+                var tagId = removedSpot.tag;
+                var reviewIds = removedSpot.reviews;
+                reviewModel.find({ _id: { $in: reviewIds } }, function(err, reviews) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else {
+                        undoReviewRep(reviews, function(err) {
+                            if (err) {
+                                callback(err);
+                            } else {
+                                reviewModel.remove({ _id: { $in: reviewIds } }, function(err) {
+                                    if (err) {
+                                        callback({ msg: err });
+                                    } else {
+                                        userModel.update({ favorites: spotId }, { $pull: { favorites: spotId } }, { multi: true }, function(err) {
+                                            if (err) {
+                                                callback({ msg: err });
+                                            } else {
+                                                Collections.removeSpotFromAll(spotId, function(err) {
+                                                    if (err) {
+                                                        callback(err);
+                                                    } else {
+                                                        Users.changeRep(spot.creator, -1, function(err) {
+                                                            if (err && !err.http_status) {
+                                                                callback(err);
+                                                            } else {
+                                                                removeTagIfUnused(tagId, function(err) {
+                                                                    removePhotos(removedSpot.photos, function() {
+                                                                        callback(err);
+                                                                    });
+                                                                });
+                                                            }
+                                                        });
+                                                    }
+                                                });
+                                            }
+                                        });
+                                    }
+                                });
+                            }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Saves a new spot with its first review and tag
+	* The creator gets one rep for the spot once it has been saved
+	* Otherwise, the review and tag that were created for the spot are removed and an error is returned
+	* @param {String} title - the unique name that is between 3 and 20 characters
+	* @param {ObjectId} creatorId - the id of poster of the Spot
+	* @param {Object} location - where the spot is in GPS coordinates
+	*							 should be in the form:
+	*							 { latitude: the latitude of the spot,
+	*							   longitude: the longitude of the spot }
+	* @param {String} floor - an optional argument that specifies the floor the spot is on
+	* @param {Tag} tag - the tag attached to the spot
+	* @param {Review} review - the review that is created with the spot
+	* @param {Boolean} createdTag - true if the tag did not exist prior to creating the spot, otherwise false
+	* @param {function} callback - the function to be called after saveSpot has executed
+	*							   must be called with (err, newSpot) as params
+	*/
+    var saveSpot = function(title, creatorId, location, floor, tag, review, createdTag, callback) {
+        var spot = new spotModel({
+            title: title,
+            creator: creatorId,
+            location: location,
+            tag: tag.id,
+            reviews: [review.id],
+            reviewers: [creatorId],
+            rating: review.rating
+        });
+        if (floor !== null) {
+            spot.floor = floor;
+        }
+        spot.save(function(err, newSpot) {
+            if (err) {
+                // Duplicate title
+                if (err.code === 11000) {
+                    removeIfInvalid(review.id, tag.id, createdTag, { msg: "A Spot already exists with this title.", http_status: BAD_REQUEST }, callback);
+                } else {
+                    removeIfInvalid(review.id, tag.id, createdTag, { msg: err }, callback);
+                }
+            } else {
+                Users.changeRep(creatorId, 1, function(err) {
+                    if (err) {
+                        // User cannot be found
+                        spotModel.remove({ _id: newSpot.id }, function(error) {
+                            removeIfInvalid(review.id, tag.id, createdTag, err, callback);
+                        });
+                    } else {
+                        callback(null, newSpot);
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Removes the created review, and the created tag if no other spot has started using it, if the created spot is invalid
+	* @param {ObjectId} reviewId - the id of the review that was created
+	* @param {ObjectId} tagId - the id of the tag that was created
+	* @param {Boolean} createdTag - true if the tag did not exist prior to creating the spot, otherwise false
+	* @param {Object} error - the error message that will be given to the user
+	* @param {function} callback - the function to be called after removeIfInvalid has executed
+	*							   will be called with (error) as the param
+	*/
+    var removeIfInvalid = function(reviewId, tagId, createdTag, error, callback) {
+        reviewModel.remove({ _id: reviewId }, function(err) {
+            if (createdTag) {
+                removeTagIfUnused(tagId, function(err) {
+                    callback(error);
+                });
+            } else {
+                callback(error);
+            }
+        });
+    };
+
+    /**
+     * Removes the files of photos, logging the names of the files that could not be removed
+     * @param {Object[]} photos - the photos whose files will be removed
+     * @param {function} callback - called with no params once every file has been removed or left behind
+     */
+    var removePhotos = function(photos, callback) {
+        Photos.remove(photos, function(failed) {
+            if (failed.length > 0) {
+                log("Could not remove the photo files: " + failed.join(", "));
+            }
+            callback();
+        });
+    };
+
+    /**
+     * Atomically adds a photo to the spot that matches the query
+     * The files of the photo are removed if no spot matches the query
+     * @param {Object} query - the conditions that the spot must match
+     * @param {Object} photo - the photo to be added, as given by Photos.upload
+     * @param {Object} notFound - the error given if no spot matches the query
+     * @param {function} callback - must be called with (err, spot, photo) as params
+     */
+    var pushPhoto = function(query, photo, notFound, callback) {
+        spotModel.findOneAndUpdate(query, { $push: { photos: photo } }, { new: true }, function(err, spot) {
+            if (err || spot === null) {
+                removePhotos([photo], function() {
+                    callback(err ? { msg: err } : notFound);
+                });
+            } else {
+                callback(null, spot, spot.photos[spot.photos.length - 1]);
+            }
+        });
+    };
+
+    /**
+     * Removes the photos of a review from its spot, along with their files
+     * @param {ObjectId} reviewId - the id of the review
+     * @param {function} callback - must be called with (err) as the param
+     */
+    var removeReviewPhotos = function(reviewId, callback) {
+        var query = { "photos.review": reviewId };
+        var update = { $pull: { photos: { review: reviewId } } };
+        // The spot as it was before the update has exactly the photos that were removed
+        spotModel.findOneAndUpdate(query, update, { new: false }, function(err, spot) {
+            if (err) {
+                callback({ msg: err });
+            } else if (spot === null) {
+                callback(null);
+            } else {
+                var photos = spot.photos.filter(function(photo) {
+                    return JSON.stringify(photo.review) === JSON.stringify(reviewId);
+                });
+                removePhotos(photos, function() {
+                    callback(null);
+                });
+            }
+        });
+    };
+
+    /**
+     * Removes a review along with its photos and updates the rating of its spot
+     * Unlike deleteReview, the only review of a spot can be removed
+     * @param {Review} review - the review to be removed
+     * @param {function} callback - must be called with (err, spot) as params
+     *                              spot is null if the review did not belong to a spot
+     */
+    var removeReview = function(review, callback) {
+        var update = { $pull: { reviews: review._id, reviewers: review.creator } };
+        updateReviews({ reviews: review._id }, update, function(err, spot) {
+            if (err) {
+                callback(err);
+            } else {
+                Reviews.deleteReview(review._id, review.creator, function(err) {
+                    if (err) {
+                        errorHandler(err, callback);
+                    } else {
+                        removeReviewPhotos(review._id, function(err) {
+                            if (err) {
+                                callback(err);
+                            } else {
+                                callback(null, spot);
+                            }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Calls a function on each item in turn, stopping at the first error
+     * @param {Object[]} items - the items
+     * @param {function} iteratee - called with (item, callback) where callback must be called with (err)
+     * @param {function} callback - must be called with (err) as the param
+     */
+    var inSeries = function(items, iteratee, callback) {
+        if (items.length === 0) {
+            callback(null);
+        } else {
+            iteratee(items[0], function(err) {
+                if (err) {
+                    callback(err);
+                } else {
+                    inSeries(items.slice(1), iteratee, callback);
+                }
+            });
+        }
+    };
+
+	/**
+	* Adds the spot to the database if the spot does not already exist and if it does not violate the rep invariant
+	* Adds one to the creator's rep for creating a new spot
+	* The spot is saved last so that a spot is never seen without its review and tag
+	* Otherwise, return an error.
+	* @param {String} title - the unique name that is between 3 and 20 characters
+	* @param {ObjectId} creatorId - the id of poster of the Spot
+	* @param {Object} location - where the spot is in GPS coordinates
+	*							 should be in the form:
+	*							 { latitude: the latitude of the spot,
+	*							   longitude: the longitude of the spot }
+	* @param {String} floor - an optional argument that specifies the floor the spot is on
+	* @param {String} label - the name of the tag to be attached to the spot
+	* @param {String} description - the written review of the spot
+	* @param {Number} rating - the quantitative review of the spot as a number between 1 and 5 inclusive
+	* @param {function} callback - the function to be called after addSpot has executed
+	*							   must be called with (err, newSpot) as params
+	*/
+    that.addSpot = function(title, creatorId, location, floor, label, description, rating, callback) {
+        var isInvalid = checkRep(title, floor);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+        } else {
+            Reviews.addReview(creatorId, description, rating, function(err, review) {
+                if (err) {
+                    errorHandler(err, callback);
+                } else {
+                    findOrCreateTag(label, function(err, tag, createdTag) {
+                        if (err) {
+                            reviewModel.remove({ _id: review.id }, function(error) {
+                                callback(err);
+                            });
+                        } else {
+                            saveSpot(title, creatorId, location, floor, tag, review, createdTag, callback);
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+	/**
+	* Adds a review to the specified spot
+	* Updates the rating of the Spot
+	* A user can only review a spot once, even if they send several reviews at the same time
+	* Otherwise, return an error.
+	* @param {ObjectId} spotId - the spot to have the review added
+	* @param {ObjectId} creatorId - the id of the creator of the review
+	* @param {String} description - the written review
+	* @param {Number} rating - a rating on a 5 scale
+	* @param {function} callback - the function to be called after addReview has executed
+	*							   must be called with (err, spot, review) as param
+	*/
+    that.addReviewToSpot = function(spotId, creatorId, description, rating, callback) {
+        var alreadyReviewed = { msg: "You already submitted a review for this spot!", http_status: FORBIDDEN };
+        spotModel.findOne({ _id: spotId, hidden: VISIBLE }, function(err, spot) {
+            if (err) {
+                callback({ msg: err });
+            } else if (spot === null) {
+                callback({ msg: SPOT_NOT_FOUND, http_status: NOT_FOUND });
+            } else if (hasReviewed(spot, creatorId)) {
+                callback(alreadyReviewed);
+            } else {
+                // User can write a Review for the Spot
+                Reviews.addReview(creatorId, description, rating, function(err, review) {
+                    if (err) {
+                        errorHandler(err, callback);
+                    } else {
+                        var query = { _id: spotId, reviewers: { $ne: creatorId } };
+                        var update = { $push: { reviews: review._id, reviewers: creatorId } };
+                        updateReviews(query, update, function(err, spot) {
+                            if (err || spot === null) {
+                                // The user reviewed the spot in the meantime, or it was removed
+                                reviewModel.remove({ _id: review._id }, function(error) {
+                                    if (err) {
+                                        callback(err);
+                                    } else {
+                                        spotModel.count({ _id: spotId }, function(error, count) {
+                                            callback(count ? alreadyReviewed : { msg: SPOT_NOT_FOUND, http_status: NOT_FOUND });
+                                        });
+                                    }
+                                });
+                            } else {
+                                callback(null, spot, review);
+                            }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Edits a review of a spot and updates the rating of the spot
+	* Only the creator of the review can edit it
+	* Otherwise, return an error.
+	* @param {ObjectId} reviewId - the id of the review to be edited
+	* @param {ObjectId} userId - the id of the user attempting to edit the review
+	* @param {String} description - the new written review
+	* @param {Number} rating - the new rating on a 5 scale
+	* @param {function} callback - the function to be called after editReview has executed
+	*							   must be called with (err, spot, review) as params
+	*/
+    that.editReview = function(reviewId, userId, description, rating, callback) {
+        Reviews.updateReview(reviewId, userId, description, rating, function(err, review) {
+            if (err) {
+                errorHandler(err, callback);
+            } else {
+                updateReviews({ reviews: reviewId }, {}, function(err, spot) {
+                    if (err) {
+                        callback(err);
+                    } else {
+                        // spot is null if the review does not belong to a spot
+                        callback(null, spot, review);
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Deletes a review of a spot along with its photos and updates the rating of the spot
+	* Only the creator of the review can delete it, and the only review of a spot cannot be deleted
+	* Otherwise, return an error.
+	* @param {ObjectId} reviewId - the id of the review to be deleted
+	* @param {ObjectId} userId - the id of the user attempting to delete the review
+	* @param {function} callback - the function to be called after deleteReview has executed
+	*							   must be called with (err, spot) as params
+	*							   spot is null if the review did not belong to a spot
+	*/
+    that.deleteReview = function(reviewId, userId, callback) {
+        Reviews.getReviewById(reviewId, function(err, review) {
+            if (err) {
+                errorHandler(err, callback);
+            } else if (JSON.stringify(review.creator) !== JSON.stringify(userId)) {
+                callback({ msg: "You can only delete your own reviews!", http_status: FORBIDDEN });
+            } else {
+                // The review is only taken out of its spot if the spot has another review
+                var query = { reviews: review._id, "reviews.1": { $exists: true } };
+                var update = { $pull: { reviews: review._id, reviewers: review.creator } };
+                updateReviews(query, update, function(err, spot) {
+                    if (err) {
+                        callback(err);
+                    } else {
+                        spotModel.count({ reviews: review._id }, function(err, count) {
+                            if (err) {
+                                callback({ msg: err });
+                            } else if (count > 0) {
+                                callback({ msg: "You cannot delete the only review of a spot!", http_status: FORBIDDEN });
+                            } else {
+                                Reviews.deleteReview(reviewId, userId, function(err) {
+                                    if (err) {
+                                        errorHandler(err, callback);
+                                    } else {
+                                        removeReviewPhotos(review._id, function(err) {
+                                            if (err) {
+                                                callback(err);
+                                            } else {
+                                                callback(null, spot);
+                                            }
+                                        });
+                                    }
+                                });
+                            }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Gets the spot with the given id if it exists
+	* Otherwise, return an error.
+	* @param {ObjectId} spotId - the id of the spot
+	* @param {function} callback - the function to be called after getSpotById has executed
+	*							   must be called with (err, spot) as params
+	*/
+    that.getSpotById = function(spotId, callback) {
+        spotModel.findOne({ _id: spotId, hidden: VISIBLE }, function(err, spot) {
+            if (err) {
+                callback({ msg: err });
+            } else if (spot === null) {
+                callback({ msg: SPOT_NOT_FOUND, http_status: NOT_FOUND });
+            } else {
+                spotModel.populate(spot, spotPopulation(), function(err, spot) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else {
+                        callback(null, spot);
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Gets the spots created by the given user, a page at a time
+	* Otherwise, return an error.
+	* @param {UserId} userId - the user whose spots will be given
+	* @param {Object} page - the page of spots to get (see utils/pages.js), null for every spot without populating it
+	*						 the spots that have been hidden after being reported are only given if page.includeHidden is true
+	* @param {function} callback - the function to be called after getSpotsByUser has executed
+	*						       must be called with (err, spots, next) as params
+	*							   next is the cursor for the following page, null if there is none
+	*/
+    that.getSpotsByUser = function(userId, page, callback) {
+        var conditions = page && page.includeHidden ? { creator: userId } : { creator: userId, hidden: VISIBLE };
+        Users.findUserById(userId, function(err, user) {
+            if (err) {
+                errorHandler(err, callback);
+            } else if (page) {
+                findSpotsPage(conditions, page, callback);
+            } else {
+                spotModel.find(conditions, function(err, spots) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else {
+                        callback(null, spots, null);
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Gets all the spots within the given bounds
+	* Otherwise, return an error, such as when the bounds are not valid coordinates.
+	* @param {Number} minLatitude - the minimium latitude of the bounds
+	* @param {Number} maxLatitude - the maximum latitude of the bounds
+	* @param {Number} minLongitude - the minimum longitude of the bounds
+	* @param {Number} maxLongitude - the maximum latitude of the bounds
+	* @param {Object} page - the page of spots to get (see utils/pages.js),
+	*						 null for every spot with its tag and reviews populated
+	* @param {function} callback - the function to be called after getSpotsByLocation has executed
+	*							   must be called with (err, spots, next) as params
+	*							   next is the cursor for the following page, null if there is none
+	*/
+    that.getSpotsByLocation = function(minLatitude, maxLatitude, minLongitude, maxLongitude, page, callback) {
+        if (!(isValidCoordinate(minLatitude, minLongitude) && isValidCoordinate(maxLatitude, maxLongitude))) {
+            callback({ msg: INVALID_BOUNDS, http_status: BAD_REQUEST });
+        } else {
+            var bounds = boundsToPolygon({
+                minLatitude: minLatitude,
+                maxLatitude: maxLatitude,
+                minLongitude: minLongitude,
+                maxLongitude: maxLongitude
+            });
+            var conditions = { geometry: { $geoWithin: { $geometry: bounds } }, hidden: VISIBLE };
+            if (page) {
+                findSpotsPage(conditions, page, callback);
+            } else {
+                spotModel.find(conditions).populate(spotPopulation()).exec(function(err, spots) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else {
+                        callback(null, spots, null);
+                    }
+                });
+            }
+        }
+    };
+
+	/**
+	* Gets the spots of a campus within the given radius of a point, closest first, a page at a time
+	* Each spot has a distance field giving its distance (in meters) from the point
+	* Otherwise, return an error.
+	* @param {Number} latitude - the latitude of the point
+	* @param {Number} longitude - the longitude of the point
+	* @param {Number} radius - the maximum distance (in meters) of a spot from the point
+	* @param {String} campusId - the id of the campus of the spots
+	* @param {Object} page - the page of spots to get (see utils/pages.js), whose limit is at most 50.
+	*						 distance can be chosen as one of its fields.
+	* @param {function} callback - the function to be called after getSpotsNear has executed
+	*							   must be called with (err, spots, next) as params
+	*							   next is the cursor for the following page, null if there is none
+	*/
+    that.getSpotsNear = function(latitude, longitude, radius, campusId, page, callback) {
+        var limit = page.limit;
+        var cursor = page.after ? Pages.decodeCursor(page.after) : null;
+        if (!isValidCoordinate(latitude, longitude)) {
+            callback({ msg: INVALID_COORDINATES, http_status: BAD_REQUEST });
+        } else if (!(radius > 0)) {
+            callback({ msg: "The radius must be a positive number of meters!", http_status: BAD_REQUEST });
+        } else if (!(Number.isInteger(limit) && limit > 0 && limit <= MAX_NEAR_RESULTS)) {
+            callback({ msg: "The limit must be an integer between 1 and " + MAX_NEAR_RESULTS + "!", http_status: BAD_REQUEST });
+        } else if (!Campuses.getCampus(campusId)) {
+            callback({ msg: CAMPUS_NOT_FOUND, http_status: BAD_REQUEST });
+        } else if (page.after && cursor === null) {
+            callback({ msg: INVALID_CURSOR, http_status: BAD_REQUEST });
+        } else {
+            var near = { latitude: latitude, longitude: longitude, radius: radius };
+            var fields = pageFields(page, ["distance"]);
+            var pipeline = buildSearchPipeline({ campus: campusId, hidden: VISIBLE }, "distance", near, cursor, limit, fields);
+            spotModel.aggregate(pipeline).exec(function(err, spots) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    var hasNext = spots.length > limit;
+                    spots = spots.slice(0, limit);
+                    var next = hasNext ? Pages.encodeCursor(spots[spots.length - 1], "distance") : null;
+                    populatePage(spots, page, function(err, spots) {
+                        if (err) {
+                            callback(err);
+                        } else {
+                            callback(null, spots, next);
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+	/**
+	* Gets the spot of a campus with the given tag that is closest to a point
+	* The spot has a distance field giving its distance (in meters) from the point
+	* Otherwise, return an error.
+	* @param {Number} latitude - the latitude of the point
+	* @param {Number} longitude - the longitude of the point
+	* @param {String} label - the name of the tag
+	* @param {String} campusId - the id of the campus of the spot
+	* @param {function} callback - the function to be called after getNearestSpotByTag has executed
+	*							   must be called with (err, spot) as params
+	*/
+    that.getNearestSpotByTag = function(latitude, longitude, label, campusId, callback) {
+        if (!isValidCoordinate(latitude, longitude)) {
+            callback({ msg: INVALID_COORDINATES, http_status: BAD_REQUEST });
+        } else if (!Campuses.getCampus(campusId)) {
+            callback({ msg: CAMPUS_NOT_FOUND, http_status: BAD_REQUEST });
+        } else {
+            Tags.getTagByLabel(label, function(err, tag) {
+                if (err) {
+                    errorHandler(err, callback);
+                } else {
+                    findNear(latitude, longitude, null, 1, { tag: tag._id, campus: campusId }, function(err, spots) {
+                        if (err) {
+                            callback(err);
+                        } else if (spots.length === 0) {
+                            callback({ msg: "There are no spots with that tag!", http_status: NOT_FOUND });
+                        } else {
+                            callback(null, spots[0]);
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+	/**
+	* Searches the spots, combining any of the given filters
+	* Results are returned a page at a time. To get the next page, search again with
+	* the same query and after set to the cursor returned with the previous page.
+	* Otherwise, return an error.
+	* @param {Object} query - must contain campus: the id of the campus of the spots,
+	*						  and may contain any of the following:
+	*						  { labels: the names of the tags, a spot must have one of them,
+	*							bounds: { minLatitude, maxLatitude, minLongitude, maxLongitude },
+	*							minRating: the minimum average rating of a spot,
+	*							floor: the floor that the spot is on,
+	*							creator: the id of the user who created the spot,
+	*							text: text that must appear in the title or a review of the spot,
+	*							sort: one of "rating" (default), "newest", "reviews" or "distance",
+	*							near: { latitude, longitude } the point to measure distances from,
+	*								  defaults to the center of the bounds,
+	*							limit: the number of spots in a page, between 1 and 50 (default 20),
+	*							after: the cursor of the previous page,
+	*							fields, populate: the fields of each spot to send and populate (see utils/pages.js) }
+	* @param {function} callback - the function to be called after search has executed
+	*							   must be called with (err, spots, next) as params
+	*							   next is the cursor for the following page, null if there is none
+	*/
+    that.search = function(query, callback) {
+        var labels = (query.labels || []).map(function(label) {
+            return label.toLowerCase();
+        });
+        var sortName = query.sort || "rating";
+        var sort = SEARCH_SORTS[sortName];
+        var limit = query.limit === undefined ? DEFAULT_SEARCH_LIMIT : query.limit;
+        var bounds = query.bounds;
+        var near = query.near;
+        if (!near && bounds) {
+            near = {
+                latitude: (bounds.minLatitude + bounds.maxLatitude) / 2,
+                longitude: (bounds.minLongitude + bounds.maxLongitude) / 2
+            };
+        }
+        var cursor = query.after ? Pages.decodeCursor(query.after) : null;
+
+        if (!sort) {
+            callback({ msg: "Spots can only be sorted by " + Object.keys(SEARCH_SORTS).join(", ") + "!", http_status: BAD_REQUEST });
+        } else if (!(Number.isInteger(limit) && limit > 0 && limit <= MAX_SEARCH_LIMIT)) {
+            callback({ msg: "The limit must be an integer between 1 and " + MAX_SEARCH_LIMIT + "!", http_status: BAD_REQUEST });
+        } else if (bounds && !(isValidCoordinate(bounds.minLatitude, bounds.minLongitude) && isValidCoordinate(bounds.maxLatitude, bounds.maxLongitude))) {
+            callback({ msg: INVALID_BOUNDS, http_status: BAD_REQUEST });
+        } else if (near && !isValidCoordinate(near.latitude, near.longitude)) {
+            callback({ msg: INVALID_COORDINATES, http_status: BAD_REQUEST });
+        } else if (sortName === "distance" && !near) {
+            callback({ msg: "Sorting by distance requires a point or bounds!", http_status: BAD_REQUEST });
+        } else if (query.minRating !== undefined && !(query.minRating >= 0 && query.minRating <= 5)) {
+            callback({ msg: "The minimum rating must be between 0 and 5!", http_status: BAD_REQUEST });
+        } else if (query.creator !== undefined && !mongoose.Types.ObjectId.isValid(query.creator)) {
+            callback({ msg: "Please provide a valid user id!", http_status: BAD_REQUEST });
+        } else if (!Campuses.getCampus(query.campus)) {
+            callback({ msg: CAMPUS_NOT_FOUND, http_status: BAD_REQUEST });
+        } else if (query.after && cursor === null) {
+            callback({ msg: INVALID_CURSOR, http_status: BAD_REQUEST });
+        } else {
+            var pattern = query.text ? new RegExp(_.escapeRegExp(query.text), "i") : null;
+            findTagIds(labels, function(err, tagIds) {
+                if (err) {
+                    callback(err);
+                } else {
+                    findReviewIds(pattern, function(err, reviewIds) {
+                        if (err) {
+                            callback(err);
+                        } else {
+                            var match = { campus: query.campus, hidden: VISIBLE };
+                            if (tagIds !== null) {
+                                match.tag = { $in: tagIds };
+                            }
+                            if (bounds) {
+                                match.geometry = { $geoWithin: { $geometry: boundsToPolygon(bounds) } };
+                            }
+                            if (query.minRating !== undefined) {
+                                match.rating = { $gte: query.minRating };
+                            }
+                            if (query.floor) {
+                                match.floor = query.floor;
+                            }
+                            if (query.creator !== undefined) {
+                                match.creator = mongoose.Types.ObjectId(query.creator);
+                            }
+                            if (pattern !== null) {
+                                match.$or = [{ title: pattern }, { reviews: { $in: reviewIds } }];
+                            }
+
+                            var fields = pageFields(query, [sort.field]);
+                            var pipeline = buildSearchPipeline(match, sortName, near, cursor, limit, fields);
+                            spotModel.aggregate(pipeline).exec(function(err, spots) {
+                                if (err) {
+                                    callback({ msg: err });
+                                } else {
+                                    var hasNext = spots.length > limit;
+                                    var page = spots.slice(0, limit);
+                                    var next = hasNext ? Pages.encodeCursor(page[page.length - 1], sort.field) : null;
+                                    populatePage(page, query, function(err, page) {
+                                        if (err) {
+                                            callback(err);
+                                        } else {
+                                            callback(null, page, next);
+                                        }
+                                    });
+                                }
+                            });
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+	/**
+	* Gets the spots that have the given tag, a page at a time
+	* Otherwise, return an error.
+	* @param {String} label - the name of the tag
+	* @param {Object} page - the page of spots to get (see utils/pages.js)
+	* @param {function} callback - the function to be called after getSpotsByTag has executed
+	*							   must be called with (err, spots, next) as params
+	*							   next is the cursor for the following page, null if there is none
+	*/
+    that.getSpotsByTag = function(label, page, callback) {
+        Tags.getTagByLabel(label, function(err, tag) {
             if (err) {
                 errorHandler(err, callback);
             } else {
-                spotModel.find({}).populate("tag").populate({
-                    path: "reviews",
-                    populate: { path: "creator" }
-                }).exec(function(err, spots) {
+                findSpotsPage({ tag: tag._id, hidden: VISIBLE }, page, callback);
+            }
+        });
+    };
+
+	/**
+	 * Given a Review, get the Spot
+	 * Otherwise, return an error
+	 * @param {ObjectId} reviewId - the id of the review for which the spot is to be retrieved
+	 * @param {Object} selection - { fields, populate } the fields of the spot to get and populate (see utils/pages.js)
+	 * @param {function} callback - the callback function
+	 */
+    that.getSpotByReview = function(reviewId, selection, callback) {
+        Reviews.getReviewById(reviewId, function(err, review) {
+            if (err) {
+                errorHandler(err, callback);
+            } else {
+                var find = spotModel.findOne({ reviews: reviewId, hidden: VISIBLE });
+                var fields = pageFields(selection);
+                if (fields) {
+                    find.select(fields.join(" "));
+                }
+                pagePopulation(selection).forEach(function(options) {
+                    find.populate(options);
+                });
+                find.exec(function(err, spot) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else if (spot === null) {
+                        callback({ msg: "No spot has that review!", http_status: NOT_FOUND });
+                    } else {
+                        callback(null, reviewsToIds([spot], selection)[0]);
+                    }
+                });
+            }
+        });
+    };
+
+	/**
+	* Gets the spots of a campus, a page at a time
+	* Otherwise, return an error.
+	* @param {String} campusId - the id of the campus
+	* @param {Object} page - the page of spots to get (see utils/pages.js)
+	* @param {function} callback - the function to be called after getSpots has executed
+	*							   must be called with (err, spots, next) as params
+	*							   next is the cursor for the following page, null if there is none
+	*/
+    that.getSpots = function(campusId, page, callback) {
+        if (!Campuses.getCampus(campusId)) {
+            callback({ msg: CAMPUS_NOT_FOUND, http_status: BAD_REQUEST });
+        } else {
+            findSpotsPage({ campus: campusId, hidden: VISIBLE }, page, callback);
+        }
+    };
+
+	/**
+	* Edits the title, location, floor and/or tag of a spot
+	* The spot must still follow the rep invariant and its title must remain unique
+	* Only the creator of the spot and moderators can edit it
+	* Otherwise, return an error
+	* @param {ObjectId} spotId - the id of the spot to be edited
+	* @param {ObjectId} userId - the id of the user attempting to edit the spot
+	* @param {Object} changes - may contain any of the following:
+	*						    { title: the new unique name that is between 3 and 20 characters,
+	*							  location: { latitude, longitude } the new location of the spot,
+	*							  floor: the new floor of the spot, unchanged if empty,
+	*							  label: the name of the new tag of the spot }
+	*						    The title and label are unchanged if they are undefined or null
+	*						    The old tag is removed if it was created by a user and no other spot has it
+	* @param {function} callback - the function to be called after updateSpot has executed
+	*							   must be called with (err, spot) as params
+	*/
+    that.updateSpot = function(spotId, userId, changes, callback) {
+        spotModel.findOne({ _id: spotId, hidden: VISIBLE }, function(err, spot) {
+            if (err) {
+                callback({ msg: err });
+            } else if (spot === null) {
+                callback({ msg: SPOT_NOT_FOUND, http_status: NOT_FOUND });
+            } else {
+                Users.findUserById(userId, function(err, user) {
                     if (err) {
-                        callback({ msg: err });
+                        errorHandler(err, callback);
+                    } else if (!canEditSpot(spot, user)) {
+                        callback({ msg: "You do not have access to edit this spot!", http_status: FORBIDDEN });
                     } else {
-                        var spotsWithTag = spots.filter(function(s) {
-                            return s.tag.label === label;
-                        });
-                        callback(null, spotsWithTag);
+                        var title = isGiven(changes.title) ? changes.title : spot.title;
+                        var floor = changes.floor ? changes.floor : spot.floor;
+                        var location = changes.location;
+                        var isInvalid = checkRep(title, floor);
+                        if (isInvalid) {
+                            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+                        } else if (location !== undefined && !(location && isValidCoordinate(location.latitude, location.longitude))) {
+                            callback({ msg: INVALID_COORDINATES, http_status: BAD_REQUEST });
+                        } else {
+                            var saveSpot = function(tag, createdTag) {
+                                var oldTagId = spot.tag;
+                                spot.title = title;
+                                spot.floor = floor;
+                                if (location !== undefined) {
+                                    spot.location = { latitude: location.latitude, longitude: location.longitude };
+                                }
+                                if (tag) {
+                                    spot.tag = tag._id;
+                                }
+                                spot.save(function(err) {
+                                    if (err) {
+                                        var error = err.code === 11000
+                                            ? { msg: "A Spot already exists with this title.", http_status: BAD_REQUEST }
+                                            : { msg: err };
+                                        if (createdTag) {
+                                            removeTagIfUnused(tag._id, function(err) {
+                                                callback(error);
+                                            });
+                                        } else {
+                                            callback(error);
+                                        }
+                                    } else {
+                                        var populate = function() {
+                                            spotModel.populate(spot, spotPopulation(), function(err, spot) {
+                                                if (err) {
+                                                    callback({ msg: err });
+                                                } else {
+                                                    callback(null, spot);
+                                                }
+                                            });
+                                        };
+                                        if (tag && JSON.stringify(tag._id) !== JSON.stringify(oldTagId)) {
+                                            removeTagIfUnused(oldTagId, function(err) {
+                                                if (err) {
+                                                    callback(err);
+                                                } else {
+                                                    populate();
+                                                }
+                                            });
+                                        } else {
+                                            populate();
+                                        }
+                                    }
+                                });
+                            };
+
+                            if (isGiven(changes.label)) {
+                                findOrCreateTag(changes.label, function(err, tag, createdTag) {
+                                    if (err) {
+                                        callback(err);
+                                    } else {
+                                        saveSpot(tag, createdTag);
+                                    }
+                                });
+                            } else {
+                                saveSpot(null, false);
+                            }
+                        }
                     }
                 });
             }
@@ -399,51 +1499,81 @@ var Spots = function(spotModel) {
     };
 
 	/**
-	 * Given a Review, get the Spot
-	 * Otherwise, return an error
-	 * @param {ObjectId} reviewId - the id of the review for which the spot is to be retrieved
-	 * @param {function} callback - the callback function
-	 */
-    that.getSpotByReview = function(reviewId, callback) {
+	* Adds a photo to a spot
+	* Any user can add photos to a spot
+	* Otherwise, the files of the photo are removed and an error is returned
+	* @param {ObjectId} spotId - the id of the spot
+	* @param {ObjectId} uploaderId - the id of the user who uploaded the photo
+	* @param {Object} photo - the stored photo, as given by Photos.upload
+	* @param {function} callback - the function to be called after addPhotoToSpot has executed
+	*							   must be called with (err, spot, photo) as params
+	*/
+    that.addPhotoToSpot = function(spotId, uploaderId, photo, callback) {
+        photo.uploader = uploaderId;
+        pushPhoto({ _id: spotId }, photo, { msg: SPOT_NOT_FOUND, http_status: NOT_FOUND }, callback);
+    };
+
+	/**
+	* Adds a photo to a review, which is shown with the photos of the spot of the review
+	* Only the creator of the review can add photos to it
+	* Otherwise, the files of the photo are removed and an error is returned
+	* @param {ObjectId} reviewId - the id of the review
+	* @param {ObjectId} uploaderId - the id of the user who uploaded the photo
+	* @param {Object} photo - the stored photo, as given by Photos.upload
+	* @param {function} callback - the function to be called after addPhotoToReview has executed
+	*							   must be called with (err, spot, photo) as params
+	*/
+    that.addPhotoToReview = function(reviewId, uploaderId, photo, callback) {
         Reviews.getReviewById(reviewId, function(err, review) {
-            if (err) {
-                errorHandler(err, callback);
+            if (err || JSON.stringify(review.creator) !== JSON.stringify(uploaderId)) {
+                removePhotos([photo], function() {
+                    if (err) {
+                        errorHandler(err, callback);
+                    } else {
+                        callback({ msg: "You can only add photos to your own reviews!", http_status: FORBIDDEN });
+                    }
+                });
             } else {
-                spotModel.find({}).populate("creator")
-                    .populate("tag")
-                    .populate({ path: "reviews", populate: { path: "creator" } })
-                    .exec(function(err, spots) {
-                        if (err) {
-                            callback({ msg: err });
-                        } else {
-                            var spotGivenReview = spots.filter(function(s) {
-                                var spotsWithReview = s.reviews.filter(function(r) {
-                                    return JSON.stringify(r._id) === JSON.stringify(reviewId);
-                                });
-                                return spotsWithReview.length !== 0;
-                            });
-                            callback(null, spotGivenReview[0]);
-                        }
-                    });
+                photo.uploader = uploaderId;
+                photo.review = review._id;
+                pushPhoto({ reviews: review._id }, photo, { msg: REVIEW_NOT_FOUND, http_status: NOT_FOUND }, callback);
             }
         });
     };
 
 	/**
-	* Gets all the spots
-	* Otherwise, return an error.
-	* @param {function} callback - the function to be called after getSpots has executed
-	*							   must be called with (err, spots) as params
+	* Deletes a photo of a spot along with its files
+	* Only the user who uploaded the photo can delete it
+	* Otherwise, return an error
+	* @param {ObjectId} spotId - the id of the spot
+	* @param {ObjectId} photoId - the id of the photo to be deleted
+	* @param {ObjectId} userId - the id of the user attempting to delete the photo
+	* @param {function} callback - the function to be called after deletePhoto has executed
+	*							   must be called with (err, spot) as params
 	*/
-    that.getSpots = function(callback) {
-        spotModel.find({}).populate("tag").populate({
-            path: "reviews",
-            populate: { path: "creator" }
-        }).exec(function(err, spots) {
+    that.deletePhoto = function(spotId, photoId, userId, callback) {
+        var query = { _id: spotId, photos: { $elemMatch: { _id: photoId, uploader: userId } } };
+        var update = { $pull: { photos: { _id: photoId } } };
+        spotModel.findOneAndUpdate(query, update, { new: false }, function(err, spot) {
             if (err) {
                 callback({ msg: err });
+            } else if (spot !== null) {
+                removePhotos([spot.photos.id(photoId)], function() {
+                    callback(null, spot);
+                });
             } else {
-                callback(null, spots);
+                // Find out why the photo could not be deleted
+                spotModel.findOne({ _id: spotId }, function(err, spot) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else if (spot === null) {
+                        callback({ msg: SPOT_NOT_FOUND, http_status: NOT_FOUND });
+                    } else if (spot.photos.id(photoId) === null) {
+                        callback({ msg: "No such photo with that id!", http_status: NOT_FOUND });
+                    } else {
+                        callback({ msg: "You can only delete your own photos!", http_status: FORBIDDEN });
+                    }
+                });
             }
         });
     };
@@ -451,6 +1581,7 @@ var Spots = function(spotModel) {
 	/**
 	* Allows the user to delete a spot within 24 hours of the spot being created
 	* The user can only delete spots that the user has created
+	* The reviews of the spot are deleted along with it
 	* Otherwise, return an error
 	* @param {ObjectId} spotId - the id of the spot to be deleted
 	* @param {ObjectId} userId - the id of the user attempting to delete a spot
@@ -468,29 +1599,208 @@ var Spots = function(spotModel) {
                 } else {
                     if (JSON.stringify(spot.creator) !== JSON.stringify(userId)) {
                         callback({ msg: "You do not have access to delete this spot!", http_status: FORBIDDEN });
-                    } else if (Date.now() - spot.timestamp.createdAt > MILLISECONDS_IN_A_DAY) {
+                    } else if (Date.now() - spot.timestamp > MILLISECONDS_IN_A_DAY) {
                         callback({ msg: "It has been more than 24 hours since this spot was created!", http_status: FORBIDDEN });
                     } else {
-                        spotModel.remove({ _id: spotId }, function(err) {
+                        removeSpot(spot, callback);
+                    }
+                }
+            }
+        });
+    };
+
+	/**
+	 * Allows a moderator to delete any spot, however long ago it was created and even if it is hidden
+	 * @param {ObjectId} spotId - the id of the spot to be deleted
+	 * @param {function} callback - the callback function, called with (err)
+	 */
+    that.deleteSpotAsModerator = function(spotId, callback) {
+        spotModel.findOne({ _id: spotId }, function(err, spot) {
+            if (err) {
+                callback({ msg: err });
+            } else if (spot === null) {
+                callback({ msg: SPOT_NOT_FOUND, http_status: NOT_FOUND });
+            } else {
+                removeSpot(spot, callback);
+            }
+        });
+    };
+
+	/**
+	 * Allows a moderator to delete any review, including the only review of a spot and hidden reviews
+	 * @param {ObjectId} reviewId - the id of the review to be deleted
+	 * @param {function} callback - the callback function, called with (err, spot)
+	 *                              spot is null if the review did not belong to a spot
+	 */
+    that.deleteReviewAsModerator = function(reviewId, callback) {
+        reviewModel.findOne({ _id: reviewId }, function(err, review) {
+            if (err) {
+                callback({ msg: err });
+            } else if (review === null) {
+                callback({ msg: REVIEW_NOT_FOUND, http_status: NOT_FOUND });
+            } else {
+                removeReview(review, callback);
+            }
+        });
+    };
+
+	/**
+	 * Removes what a user contributed, before their account is deleted
+	 * Spots that only the user reviewed are removed. Spots that others reviewed are kept, without the review of the user.
+	 * The reviews of the user and the photos that they uploaded are removed, and their votes are withdrawn.
+	 * Their reports are kept, so that what they reported stays in the moderation queue.
+	 * @param {ObjectId} userId - the id of the user
+	 * @param {function} callback - the callback function, called with (err)
+	 */
+    that.removeUserContent = function(userId, callback) {
+        var isUser = function(id) {
+            return JSON.stringify(id) === JSON.stringify(userId);
+        };
+        var removeSpots = function(callback) {
+            spotModel.find({ creator: userId }, function(err, spots) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    var onlyReviewedByUser = spots.filter(function(spot) {
+                        return spot.reviewers.every(isUser);
+                    });
+                    inSeries(onlyReviewedByUser, removeSpot, callback);
+                }
+            });
+        };
+        var removeReviews = function(callback) {
+            reviewModel.find({ creator: userId }, function(err, reviews) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    inSeries(reviews, removeReview, callback);
+                }
+            });
+        };
+        var retractVotes = function(callback) {
+            reviewModel.find({ "votes.voter": userId }, function(err, reviews) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    inSeries(reviews, function(review, callback) {
+                        Reviews.retractVote(review._id, userId, function(err) {
+                            // The vote or review may have been removed by another request
+                            callback(err && !err.http_status ? err : null);
+                        });
+                    }, callback);
+                }
+            });
+        };
+        var removePhotos = function(callback) {
+            spotModel.find({ "photos.uploader": userId }, function(err, spots) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    inSeries(spots, function(spot, callback) {
+                        var update = { $pull: { photos: { uploader: userId } } };
+                        // The spot as it was before the update has exactly the photos that were removed
+                        spotModel.findOneAndUpdate({ _id: spot._id }, update, { new: false }, function(err, spot) {
                             if (err) {
                                 callback({ msg: err });
-                            } else {
+                            } else if (spot === null) {
                                 callback(null);
+                            } else {
+                                removePhotos(spot.photos.filter(function(photo) {
+                                    return isUser(photo.uploader);
+                                }), function() {
+                                    callback(null);
+                                });
                             }
                         });
-                    }
+                    }, callback);
                 }
+            });
+        };
+        inSeries([removeSpots, removeReviews, retractVotes, removePhotos], function(step, callback) {
+            step(callback);
+        }, callback);
+    };
+
+	/**
+	 * Gets the spots that reviews belong to
+	 * @param {ObjectId[]} reviewIds - the ids of the reviews
+	 * @param {function} callback - the callback function, called with (err, spots)
+	 *                              spots maps the id of each review to { _id, title } of its spot,
+	 *                              reviews that do not belong to a spot are left out
+	 */
+    that.getSpotsOfReviews = function(reviewIds, callback) {
+        spotModel.find({ reviews: { $in: reviewIds } }, "title reviews", function(err, spots) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                var spotsByReview = {};
+                spots.forEach(function(spot) {
+                    spot.reviews.forEach(function(reviewId) {
+                        spotsByReview[reviewId] = { _id: spot._id, title: spot.title };
+                    });
+                });
+                callback(null, spotsByReview);
+            }
+        });
+    };
+
+	/**
+	 * Gets the reports that a user made on spots and reviews, including the ones moderators have dealt with
+	 * @param {ObjectId} userId - the id of the user
+	 * @param {function} callback - the callback function, called with (err, reports)
+	 *                              each report is of the form { spot: { _id, title }, review, reason, comment, timestamp }
+	 *                              where review is the id of the reported review, or null if the spot was reported
+	 */
+    that.getReportsByUser = function(userId, callback) {
+        var isUser = function(report) {
+            return JSON.stringify(report.reporter) === JSON.stringify(userId);
+        };
+        var describe = function(spot, reviewId, report) {
+            return { spot: spot, review: reviewId, reason: report.reason || null, comment: report.comment || null, timestamp: report.timestamp };
+        };
+        spotModel.find({ "reports.reporter": userId }, function(err, spots) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                reviewModel.find({ "reports.reporter": userId }, function(err, reviews) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else {
+                        that.getSpotsOfReviews(_.map(reviews, "_id"), function(err, spotsByReview) {
+                            if (err) {
+                                callback(err);
+                            } else {
+                                var spotReports = _.flatMap(spots, function(spot) {
+                                    return spot.reports.filter(isUser).map(function(report) {
+                                        return describe({ _id: spot._id, title: spot.title }, null, report);
+                                    });
+                                });
+                                var reviewReports = _.flatMap(reviews, function(review) {
+                                    return review.reports.filter(isUser).map(function(report) {
+                                        return describe(spotsByReview[review._id] || null, review._id, report);
+                                    });
+                                });
+                                callback(null, spotReports.concat(reviewReports));
+                            }
+                        });
+                    }
+                });
             }
         });
     };
 
 	/**
-	 * Report a Spot
+	 * Report a Spot for one of the reasons that reports can have
+	 * Once the combined rep of the reporters of its pending reports is greater than 10 plus its number of reviews,
+	 * the spot is hidden until a moderator approves its removal or restores it
 	 * @param {ObjectId} spotId - the id of the Spot of interest
 	 * @param {ObjectId} userId - the id of the User of interest
-	 * @param {function} callback - the callback function
+	 * @param {String} reason - one of Reports.REASONS
+	 * @param {String} comment - an optional comment about the Spot
+	 * @param {function} callback - the callback function, called with (err, hidden)
+	 *                              hidden is true if the report caused the spot to be hidden
 	 */
-    that.reportSpot = function(spotId, userId, callback) {
+    that.reportSpot = function(spotId, userId, reason, comment, callback) {
         // Check to see if Spot is valid
         that.getSpotById(spotId, function(err, spot) {
             if (err) {
@@ -501,48 +1811,250 @@ var Spots = function(spotModel) {
                     if (err) {
                         errorHandler(err, callback);
                     } else {
-                        var reports = spot.reports ? spot.reports : [];
-                        var reporters = reports.map(function(report) {
-                            return JSON.stringify(report.reporter);
+                        var getThreshold = function(spot) {
+                            return 10 + spot.reviews.length;
+                        };
+                        Reports.addReport(spotModel, spotId, user, reason, comment, getThreshold, function(err, spot, hidden) {
+                            if (err) {
+                                callback(err);
+                            } else if (spot === null) {
+                                // User already reported Spot
+                                callback({ msg: "You have already reported this spot!", http_status: FORBIDDEN });
+                            } else {
+                                callback(null, hidden);
+                            }
                         });
+                    }
+                });
+            }
+        });
+    };
 
-                        if (reporters.indexOf(JSON.stringify(userId)) > -1) {
-                            // User already reported Spot
-                            callback({ msg: "You have already reported this spot!", http_status: FORBIDDEN });
-                        } else {
-                            // User can report Spot
-                            var reportScore = reports.reduce(function(total, report) {
-                                return total + report.reporterScore;
-                            }, 0);
-                            reportScore += user.rep;
-                            var numReviews = spot.reviews.length ? spot.reviews.length : 0;
-                            if (reportScore > (10 + numReviews)) {
-                                // Can be deleted
-                                spotModel.remove({ _id: spotId }, function(err) {
-                                    if (err) {
-                                        errorHandler(err, callback);
-                                    } else {
-                                        callback(null);
-                                    }
-                                });
+	/**
+	 * Report a Review of a Spot for one of the reasons that reports can have
+	 * The rating of the spot no longer counts the review if the report causes it to be hidden
+	 * @param {ObjectId} reviewId - the id of the Review of interest
+	 * @param {ObjectId} userId - the id of the User of interest
+	 * @param {String} reason - one of Reports.REASONS
+	 * @param {String} comment - an optional comment about the Review
+	 * @param {function} callback - the callback function, called with (err, spot)
+	 *                              spot is the spot of the review if the review was hidden, otherwise null
+	 */
+    that.reportReview = function(reviewId, userId, reason, comment, callback) {
+        Reviews.reportReview(reviewId, userId, reason, comment, function(err, review, hidden) {
+            if (err) {
+                errorHandler(err, callback);
+            } else if (!hidden) {
+                callback(null, null);
+            } else {
+                updateReviews({ reviews: reviewId }, {}, callback);
+            }
+        });
+    };
+
+    /**
+     * Finds a page of the spots or reviews in the moderation queue, hidden items first and then in the order of their ids
+     * @param {Model} model - the model of the items (spotModel or reviewModel)
+     * @param {Object} page - { limit, after } the page to find (see utils/pages.js)
+     * @param {Object[]} population - the populate options for the items
+     * @param {function} callback - must be called with (err, items, next) as params
+     *                              next is the cursor for the following page, null if there is none
+     */
+    var findQueuePage = function(model, page, population, callback) {
+        var limit = page.limit === undefined ? Pages.DEFAULT_LIMIT : page.limit;
+        var cursor = page.after ? Pages.decodeCursor(page.after) : null;
+        if (page.after && cursor === null) {
+            callback({ msg: "The cursor for the next page of the queue is invalid!", http_status: BAD_REQUEST });
+        } else {
+            var query = Reports.getQueueQuery();
+            if (cursor) {
+                // Hidden items come first, so the items after the cursor are less hidden or come later among the equally hidden
+                query = { $and: [query, { $or: [{ hidden: { $lt: cursor.value } }, { hidden: cursor.value, _id: { $gt: cursor.id } }] }] };
+            }
+            // Fetch one extra item to know whether there is another page
+            var find = model.find(query).sort({ hidden: -1, _id: 1 }).limit(limit + 1);
+            population.forEach(function(options) {
+                find.populate(options);
+            });
+            find.exec(function(err, items) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    var hasNext = items.length > limit;
+                    items = items.slice(0, limit);
+                    callback(null, items, hasNext ? Pages.encodeCursor(items[items.length - 1], "hidden") : null);
+                }
+            });
+        }
+    };
+
+	/**
+	 * Gets the spots and reviews that moderators need to look at: the ones that are hidden or have pending reports,
+	 * a page of each at a time
+	 * Hidden items come first. The reporters of each item are populated with their username and rep.
+	 * @param {Object} spotsPage - { limit, after } the page of spots to get (see utils/pages.js)
+	 * @param {Object} reviewsPage - { limit, after } the page of reviews to get
+	 * @param {function} callback - the callback function, called with (err, queue)
+	 *                              queue is of the form { spots, reviews, nextSpots, nextReviews }
+	 *                              where nextSpots and nextReviews are the cursors for the following pages, null if there are none
+	 *                              each review is given the _id and title of its spot as review.spot
+	 */
+    that.getModerationQueue = function(spotsPage, reviewsPage, callback) {
+        var reporters = { path: "reports.reporter", select: "username rep" };
+        findQueuePage(spotModel, spotsPage, [{ path: "tag" }, reporters], function(err, spots, nextSpots) {
+            if (err) {
+                callback(err);
+            } else {
+                findQueuePage(reviewModel, reviewsPage, [{ path: "creator", select: "username rep" }, reporters], function(err, reviews, nextReviews) {
+                    if (err) {
+                        callback(err);
+                    } else {
+                        that.getSpotsOfReviews(_.map(reviews, "_id"), function(err, spotsByReview) {
+                            if (err) {
+                                callback(err);
                             } else {
-                                // Spot cannot be deleted yet
-                                spot.reports.push({ reporter: userId, reporterScore: user.rep });
-                                spot.save(function(err, spot) {
-                                    if (err) {
-                                        callback({ msg: err });
-                                    } else {
-                                        callback(null);
+                                var queuedReviews = reviews.map(function(review) {
+                                    var reviewObject = review.toObject();
+                                    if (spotsByReview[review._id]) {
+                                        reviewObject.spot = spotsByReview[review._id];
                                     }
+                                    return reviewObject;
                                 });
+                                callback(null, { spots: spots, reviews: queuedReviews, nextSpots: nextSpots, nextReviews: nextReviews });
                             }
-                        }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Finds an item that is in the moderation queue
+     * @param {Model} model - the model of the item (Spot or Review)
+     * @param {ObjectId} itemId - the id of the item
+     * @param {String} notFound - the error message if the item does not exist
+     * @param {function} callback - must be called with (err, item) as params
+     */
+    var findQueued = function(model, itemId, notFound, callback) {
+        model.findOne({ _id: itemId }, function(err, item) {
+            if (err) {
+                callback({ msg: err });
+            } else if (item === null) {
+                callback({ msg: notFound, http_status: NOT_FOUND });
+            } else if (!Reports.isQueued(item)) {
+                callback({ msg: "This has not been reported!", http_status: BAD_REQUEST });
+            } else {
+                callback(null, item);
+            }
+        });
+    };
+
+    /**
+     * Marks the pending reports of an item in the moderation queue as dealt with
+     * @param {Model} model - the model of the item (Spot or Review)
+     * @param {ObjectId} itemId - the id of the item
+     * @param {String} notFound - the error message if the item does not exist
+     * @param {Boolean} restore - true to show a hidden item again, false to keep a visible item as it is
+     * @param {function} callback - must be called with (err, item) as params
+     */
+    var resolveQueued = function(model, itemId, notFound, restore, callback) {
+        findQueued(model, itemId, notFound, function(err, item) {
+            if (err) {
+                callback(err);
+            } else if (restore && !item.hidden) {
+                callback({ msg: "Only hidden items can be restored!", http_status: BAD_REQUEST });
+            } else if (!restore && item.hidden) {
+                callback({ msg: "Hidden items must be approved or restored!", http_status: BAD_REQUEST });
+            } else {
+                Reports.resolveReports(model, item, restore ? { hidden: false } : {}, function(err, item) {
+                    if (err) {
+                        callback(err);
+                    } else if (item === null) {
+                        callback({ msg: "Another moderator has already dealt with this!", http_status: BAD_REQUEST });
+                    } else {
+                        callback(null, item);
                     }
                 });
             }
         });
     };
 
+	/**
+	 * Approves the reports of a spot in the moderation queue, which removes the spot for good
+	 * along with everything that depends on it
+	 * @param {ObjectId} spotId - the id of the spot
+	 * @param {function} callback - the callback function, called with (err)
+	 */
+    that.approveSpot = function(spotId, callback) {
+        findQueued(spotModel, spotId, SPOT_NOT_FOUND, function(err, spot) {
+            if (err) {
+                callback(err);
+            } else {
+                removeSpot(spot, callback);
+            }
+        });
+    };
+
+	/**
+	 * Shows a hidden spot again, and dismisses its pending reports
+	 * @param {ObjectId} spotId - the id of the spot
+	 * @param {function} callback - the callback function, called with (err, spot)
+	 */
+    that.restoreSpot = function(spotId, callback) {
+        resolveQueued(spotModel, spotId, SPOT_NOT_FOUND, true, callback);
+    };
+
+	/**
+	 * Dismisses the pending reports of a spot that is not hidden
+	 * @param {ObjectId} spotId - the id of the spot
+	 * @param {function} callback - the callback function, called with (err, spot)
+	 */
+    that.dismissSpotReports = function(spotId, callback) {
+        resolveQueued(spotModel, spotId, SPOT_NOT_FOUND, false, callback);
+    };
+
+	/**
+	 * Approves the reports of a review in the moderation queue, which removes the review for good
+	 * @param {ObjectId} reviewId - the id of the review
+	 * @param {function} callback - the callback function, called with (err, spot)
+	 *                              spot is null if the review did not belong to a spot
+	 */
+    that.approveReview = function(reviewId, callback) {
+        findQueued(reviewModel, reviewId, REVIEW_NOT_FOUND, function(err, review) {
+            if (err) {
+                callback(err);
+            } else {
+                removeReview(review, callback);
+            }
+        });
+    };
+
+	/**
+	 * Shows a hidden review again, dismisses its pending reports and updates the rating of its spot
+	 * @param {ObjectId} reviewId - the id of the review
+	 * @param {function} callback - the callback function, called with (err, spot)
+	 *                              spot is null if the review does not belong to a spot
+	 */
+    that.restoreReview = function(reviewId, callback) {
+        resolveQueued(reviewModel, reviewId, REVIEW_NOT_FOUND, true, function(err, review) {
+            if (err) {
+                callback(err);
+            } else {
+                updateReviews({ reviews: review._id }, {}, callback);
+            }
+        });
+    };
+
+	/**
+	 * Dismisses the pending reports of a review that is not hidden
+	 * @param {ObjectId} reviewId - the id of the review
+	 * @param {function} callback - the callback function, called with (err, review)
+	 */
+    that.dismissReviewReports = function(reviewId, callback) {
+        resolveQueued(reviewModel, reviewId, REVIEW_NOT_FOUND, false, callback);
+    };
+
     Object.freeze(that);
     return that;
 };
@@ -6,7 +6,23 @@
  * during the creation of a user. A user's rep(utation) is a Number that defaults
  * to 0 upon creation. It is the sum of the number of Spots that the user has created
  * and the sum of the differences between the number of likes and dislikes for each review
- * that he/she has written. A user's favorites is a list of Spots that the he/she liked.
+ * that he/she has written. A user's favorites is a list of Spots that the he/she liked, in the order
+ * that he/she chose. Users can also group Spots into named collections (see Collections.js).
+ * A user's role is "user", "moderator" or "admin", and defaults to "user". Moderators deal with the
+ * Spots and Reviews that have been reported and can delete any of them. Admins can also change the
+ * roles of other users.
+ * A user who forgot their password can be given a password reset token, which is stored hashed along
+ * with when it expires. Each token can only be used once and expires an hour after it is created.
+ * New users are unverified until they follow the signed verification link that is emailed to them,
+ * which proves that they own their email address.
+ * A user belongs to the campus that their email is from, and can only register with an email from
+ * one of the campuses that the app is set up for (see utils/campuses.js).
+ * Users can change their username, email and password. Changing the email makes the user unverified
+ * until they follow the link sent to the new email.
+ * Users can delete their account. What happens to what they contributed is described in deleteAccount.
+ * Users can turn on two-factor authentication, after which signing in also needs a code from an
+ * authenticator app (see utils/totp.js) or one of their one-time backup codes, which are stored hashed.
+ * Moderators and admins only have the powers of their role once they have turned it on.
  * 
  * Based off fritter-marchie and fritter-react
  */
@@ -14,6 +30,10 @@
 var mongoose = require("mongoose");
 mongoose.Promise = require("bluebird");
 var bcrypt = require("bcryptjs");
+var crypto = require("crypto");
+var Campuses = require("../utils/campuses");
+var Totp = require("../utils/totp");
+var sessionConfig = require("../utils/sessionConfig");
 const SALT_WORK_FACTOR = 10;
 
 const BAD_REQUEST = 400;
@@ -23,6 +43,21 @@ const USER_NOT_FOUND = "User cannot be found.";
 
 const MIN_LENGTH = 3;
 const MAX_LENGTH = 15;
+// From the least to the most privileged
+const ROLES = ["user", "moderator", "admin"];
+const RESET_TOKEN_BYTES = 32;
+const RESET_TOKEN_LIFETIME = 60 * 60 * 1000;
+// Outside of production, links are signed with the session secret, which is a development secret there unless it is set
+const VERIFICATION_SECRET = process.env.VERIFICATION_SECRET || sessionConfig.secret[0];
+const VERIFICATION_LIFETIME = 24 * 60 * 60 * 1000;
+const INVALID_VERIFICATION = "This verification link is invalid or has expired.";
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_BYTES = 5;
+const WRONG_CODE = "That code is not right. Please try again.";
+
+if (!process.env.VERIFICATION_SECRET && process.env.NODE_ENV === "production") {
+    throw new Error("Invalid verification config: VERIFICATION_SECRET must be set in production");
+}
 
 var userSchema = mongoose.Schema({
     username: {
@@ -45,30 +80,114 @@ var userSchema = mongoose.Schema({
     },
     favorites: [
         { type: mongoose.Schema.Types.ObjectId, required: false, ref: "Spot" }
-    ]
+    ],
+    // The id of the campus of the user
+    campus: String,
+    role: {
+        type: String,
+        enum: ROLES,
+        default: "user"
+    },
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    passwordReset: {
+        // Never sent along with the rest of the user
+        tokenHash: { type: String, select: false },
+        expires: Date
+    },
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        // Never sent along with the rest of the user
+        secret: { type: String, select: false },
+        // The secret that is being set up, until the User gives a code made with it
+        pendingSecret: { type: String, select: false },
+        backupCodes: { type: [String], select: false },
+        // The step of the last code that was used, so that a code cannot be used twice
+        lastStep: { type: Number, select: false }
+    }
 });
 
 /**
- * Serial Mongoose Middleware that salts and hashes a user's password before
- * saving the User object to the database.
- * @param {function} next - callback function that calls the next piece of middleware
+ * Salts and hashes a password
+ * @param {String} password - the password in plain text
+ * @param {function} callback - called with (err, hash)
  */
-userSchema.pre("save", function (next) {
-    var user = this;
+var hashPassword = function (password, callback) {
     bcrypt.genSalt(SALT_WORK_FACTOR, function (err, salt) {
         if (err) {
-            return next(err);
+            callback(err);
         } else {
-            bcrypt.hash(user.password, salt, function (err, hash) {
-                if (err) {
-                    return next(err);
-                } else {
-                    user.password = hash;
-                    next();
-                }
-            });
+            bcrypt.hash(password, salt, callback);
         }
     });
+};
+
+/**
+ * Signs the details of an email verification, so that verification links cannot be forged
+ * The email is part of the signature, so that a link stops working if the email of the user changes
+ * @param {ObjectId} userId - the id of the user to verify
+ * @param {String} email - the email that is being verified
+ * @param {Number} expires - when the link expires, in milliseconds since the epoch
+ * @return {String} the hex digest of the signature
+ */
+var signVerification = function (userId, email, expires) {
+    return crypto.createHmac("sha256", VERIFICATION_SECRET).update(userId + ":" + email + ":" + expires).digest("hex");
+};
+
+/**
+ * Hashes a password reset token, so that the tokens themselves are never stored
+ * Tokens are long and random, so a fast hash is enough
+ * @param {String} token - the token in plain text
+ * @return {String} the hex digest of the token
+ */
+var hashResetToken = function (token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Hashes a backup code, ignoring case, spaces and dashes
+ * @param {String} code - the backup code as the User typed it in
+ * @return {String} the hex digest of the code
+ */
+var hashBackupCode = function (code) {
+    return crypto.createHash("sha256").update(String(code).toLowerCase().replace(/[^0-9a-f]/g, "")).digest("hex");
+};
+
+/**
+ * Makes a new set of backup codes
+ * @return {String[]} the codes, of the form xxxxx-xxxxx
+ */
+var generateBackupCodes = function () {
+    var codes = [];
+    for (var i = 0; i < BACKUP_CODE_COUNT; i++) {
+        var code = crypto.randomBytes(BACKUP_CODE_BYTES).toString("hex");
+        codes.push(code.slice(0, BACKUP_CODE_BYTES) + "-" + code.slice(BACKUP_CODE_BYTES));
+    }
+    return codes;
+};
+
+/**
+ * Serial Mongoose Middleware that salts and hashes a user's password before
+ * saving the User object to the database.
+ * @param {function} next - callback function that calls the next piece of middleware
+ */
+userSchema.pre("save", function (next) {
+    var user = this;
+    // Other changes must not hash the password again
+    if (!user.isModified("password")) {
+        next();
+    } else {
+        hashPassword(user.password, function (err, hash) {
+            if (err) {
+                return next(err);
+            } else {
+                user.password = hash;
+                next();
+            }
+        });
+    }
 });
 
 var userModel = mongoose.model("User", userSchema);
@@ -77,11 +196,13 @@ var User = function (userModel) {
 
     var that = Object.create(User.prototype);
 
+    that.ROLES = ROLES;
+
     /**
      * Determines whether the username and email are valid.
      * The length of a username must be between 3 and 15 characters and must only
      * contain alphanumeric characters.
-     * The email must be a valid MIT email address, i.e. end with @mit.edu.
+     * The email must be from the email domain of one of the campuses, e.g. end with @mit.edu.
      * N.B. These fields are case sensitive
      * @param {String} username - the username that a User tries to register with
      * @param {String} email - the email address that a User tries to register with
@@ -89,18 +210,53 @@ var User = function (userModel) {
      * @return {any} Error message if the username/ email is invalid, null otherwise
      */
     var checkRep = function (username, email, password) {
-        var isAlphanumeric = /^[a-zA-Z0-9]+$/.test(username);
-        var isCorrectLength = username.length >= MIN_LENGTH && username.length <= MAX_LENGTH;
-        var isValidUsername = isAlphanumeric && isCorrectLength;
-        var isValidEmail = /^[a-zA-Z0-9._-]+@mit.edu$/.test(email);
-        var isValidPassword = /^[^\s]+$/.test(password) && password.length >= MIN_LENGTH;
-        if (!isValidUsername) {
+        return checkUsername(username) || checkEmail(email) || checkPassword(password);
+    };
+
+    /**
+     * Determines whether a username is valid
+     * Usernames must be between 3 and 15 alphanumeric characters.
+     * @param {String} username - the username that a User tries to use
+     * @return {any} Error message if the username is invalid, null otherwise
+     */
+    var checkUsername = function (username) {
+        var isAlphanumeric = typeof username === "string" && /^[a-zA-Z0-9]+$/.test(username);
+        var isCorrectLength = isAlphanumeric && username.length >= MIN_LENGTH && username.length <= MAX_LENGTH;
+        if (!isCorrectLength) {
             return "Usernames must be between 3 and 15 non-whitespace characters.";
         }
-        else if (!isValidEmail) {
-            return "Please use a valid MIT email.";
+        else {
+            return null;
+        }
+    };
+
+    /**
+     * Determines whether an email is valid
+     * Emails must be from the email domain of one of the campuses.
+     * @param {String} email - the email that a User tries to use
+     * @return {any} Error message if the email is invalid, null otherwise
+     */
+    var checkEmail = function (email) {
+        if (Campuses.getCampusForEmail(email) === undefined) {
+            var names = Campuses.getCampuses().map(function (campus) {
+                return campus.name;
+            });
+            return "Please use a valid " + names.join(" or ") + " email.";
+        }
+        else {
+            return null;
         }
-        else if (!isValidPassword) {
+    };
+
+    /**
+     * Determines whether a password is valid
+     * Passwords must be at least 3 characters long and must not contain whitespace.
+     * @param {String} password - the password that a User tries to use
+     * @return {any} Error message if the password is invalid, null otherwise
+     */
+    var checkPassword = function (password) {
+        var isValidPassword = typeof password === "string" && /^[^\s]+$/.test(password) && password.length >= MIN_LENGTH;
+        if (!isValidPassword) {
             return "Passwords must be at least 3 non-whitespace characters.";
         }
         else {
@@ -125,7 +281,7 @@ var User = function (userModel) {
     /**
      * Create a new User. If one already exists, send an error to the user.
      * @param {String} username - the username of a User
-     * @param {String} email - the @mit.edu email address of a User
+     * @param {String} email - the email address of a User, which decides their campus
      * @param {String} password - the password that the User will use to access their account
      * @param {function} callback - the callback function
      *                              must be called with (err, newUser) as params
@@ -133,7 +289,8 @@ var User = function (userModel) {
     that.createUser = function (username, email, password, callback) {
         var isInvalid = checkRep(username, email, password);
         if (!isInvalid) {
-            var user = new userModel({ username: username, email: email, password: password, favorites: [] });
+            var campus = Campuses.getCampusForEmail(email);
+            var user = new userModel({ username: username, email: email, password: password, favorites: [], campus: campus.id });
             user.save(function (err, user) {
                 // There was a problem registering
                 if (err) {
@@ -286,6 +443,63 @@ var User = function (userModel) {
         });
     };
 
+    /**
+    * Takes a spot out of the user's favorites
+    * Otherwise, return an error
+    * @param {ObjectId} userId - the id of the user that is unfavoriting a spot
+    * @param {ObjectId} spotId - the id of the spot that is being unfavorited
+    * @param {function} callback - the function to be called after unfavoriteSpot has executed
+    *                              must be called with (err) as the param
+    */
+    that.unfavoriteSpot = function (userId, spotId, callback) {
+        var notFavorited = { msg: "You have not favorited this spot!", http_status: NOT_FOUND };
+        if (!mongoose.Types.ObjectId.isValid(spotId)) {
+            callback(notFavorited);
+        } else {
+            userModel.update({ _id: userId, favorites: spotId }, { $pull: { favorites: spotId } }, function (err, result) {
+                if (err) {
+                    // Unknown error
+                    callback({ msg: err });
+                } else if (result.n === 0) {
+                    callback(notFavorited);
+                } else {
+                    callback(null);
+                }
+            });
+        }
+    };
+
+    /**
+    * Puts the user's favorites in a new order
+    * The order must have every favorite exactly once. It is only applied if the user still has exactly
+    * those favorites, so that a spot favorited or unfavorited at the same time is not lost or brought back.
+    * Otherwise, return an error
+    * @param {ObjectId} userId - the id of the user
+    * @param {ObjectId[]} spotIds - the ids of the favorite spots in their new order
+    * @param {function} callback - the function to be called after reorderFavorites has executed
+    *                              must be called with (err) as the param
+    */
+    that.reorderFavorites = function (userId, spotIds, callback) {
+        var invalidOrder = { msg: "The new order must have every one of your favorites exactly once!", http_status: BAD_REQUEST };
+        var isValid = Array.isArray(spotIds) && spotIds.every(mongoose.Types.ObjectId.isValid) &&
+            new Set(spotIds.map(String)).size === spotIds.length;
+        if (!isValid) {
+            callback(invalidOrder);
+        } else {
+            var query = { _id: userId, favorites: spotIds.length === 0 ? { $size: 0 } : { $size: spotIds.length, $all: spotIds } };
+            userModel.update(query, { favorites: spotIds }, function (err, result) {
+                if (err) {
+                    // Unknown error
+                    callback({ msg: err });
+                } else if (result.n === 0) {
+                    callback(invalidOrder);
+                } else {
+                    callback(null);
+                }
+            });
+        }
+    };
+
     /**
     * Updates the rep(utation) of the specified user
     * Otherwise, return an error message
@@ -295,27 +509,343 @@ var User = function (userModel) {
     *                              must be called with (err) as the param
     */
     that.updateRep = function (userId, add, callback) {
-        that.findUserById(userId, function (err, user) {
+        that.findUserById(userId, function (err) {
             if (err) {
                 // Unknown error
                 callback({ msg: err });
             } else {
-                if (user === null) {
+                userModel.findOneAndUpdate({ _id: userId }, { $inc: { rep: add ? 1 : -1 } }, { new: true }, function (err, user) {
+                    if (err) {
+                        // Unknown error
+                        callback({ msg: err });
+                    } else if (user === null) {
+                        callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
+                    } else {
+                        callback(null, user);
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+    * Adds the given amount to the rep(utation) of the specified user
+    * Otherwise, return an error message
+    * @param {ObjectId} userId - the id of the user whose rep will be changed
+    * @param {Number} amount - the amount to add to the rep, negative to subtract
+    * @param {function} callback - the function to be called after changeRep has executed
+    *                              must be called with (err) as the param
+    */
+    that.changeRep = function (userId, amount, callback) {
+        userModel.update({ _id: userId }, { $inc: { rep: amount } }, function (err, result) {
+            if (err) {
+                // Unknown error
+                callback({ msg: err });
+            } else if (result.n === 0) {
+                callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
+            } else {
+                callback(null);
+            }
+        });
+    };
+
+    /**
+     * Retrieves a User's favorite Spots
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the User of interest
+     * @param {function} callback - the callback function
+     */
+    that.getFavoriteSpots = function (userId, callback) {
+        that.findUserById(userId, function (err, user) {
+            if (err) {
+                errorHandler(err, callback);
+            } else {
+                var favorites = user.favorites;
+                callback(null, favorites);
+            }
+        });
+    };
+
+    /**
+     * Makes a signed token that verifies the email of a User when it is given back to verifyEmail
+     * The token expires after 24 hours
+     * @param {User} user - the User whose email is to be verified
+     * @return {String} the token, of the form userId.expires.signature
+     */
+    that.createVerificationToken = function (user) {
+        var expires = Date.now() + VERIFICATION_LIFETIME;
+        return [user._id, expires, signVerification(user._id, user.email, expires)].join(".");
+    };
+
+    /**
+     * Marks the email of a User as verified, given a token made by createVerificationToken
+     * Otherwise, return an error message
+     * @param {String} token - the token from the verification link
+     * @param {function} callback - the function to be called after verifyEmail has executed
+     *                              must be called with (err, user) as params
+     */
+    that.verifyEmail = function (token, callback) {
+        var parts = String(token).split(".");
+        var expires = Number(parts[1]);
+        if (parts.length !== 3 || !mongoose.Types.ObjectId.isValid(parts[0]) || !(expires > Date.now())) {
+            callback({ msg: INVALID_VERIFICATION, http_status: BAD_REQUEST });
+        } else {
+            userModel.findOne({ _id: parts[0] }, function (err, user) {
+                if (err) {
+                    // Unknown error
+                    callback({ msg: err });
+                } else if (user === null) {
+                    callback({ msg: INVALID_VERIFICATION, http_status: BAD_REQUEST });
+                } else {
+                    var signature = Buffer.from(signVerification(user._id, user.email, expires));
+                    var given = Buffer.from(parts[2]);
+                    if (signature.length !== given.length || !crypto.timingSafeEqual(signature, given)) {
+                        callback({ msg: INVALID_VERIFICATION, http_status: BAD_REQUEST });
+                    } else {
+                        userModel.findOneAndUpdate({ _id: user._id, email: user.email }, { verified: true }, { new: true }, function (err, user) {
+                            if (err) {
+                                callback({ msg: err });
+                            } else if (user === null) {
+                                callback({ msg: INVALID_VERIFICATION, http_status: BAD_REQUEST });
+                            } else {
+                                callback(null, user);
+                            }
+                        });
+                    }
+                }
+            });
+        }
+    };
+
+    /**
+     * Gives the User with the given email a new password reset token, replacing any token they had before
+     * Otherwise, return an error message
+     * @param {String} email - the email of the User who forgot their password
+     * @param {function} callback - the function to be called after createPasswordReset has executed
+     *                              must be called with (err, token, user) as params
+     *                              token is the only copy of the token in plain text
+     */
+    that.createPasswordReset = function (email, callback) {
+        crypto.randomBytes(RESET_TOKEN_BYTES, function (err, buffer) {
+            if (err) {
+                callback({ msg: err });
+            } else {
+                var token = buffer.toString("hex");
+                var passwordReset = { tokenHash: hashResetToken(token), expires: new Date(Date.now() + RESET_TOKEN_LIFETIME) };
+                userModel.findOneAndUpdate({ email: email }, { passwordReset: passwordReset }, { new: true }, function (err, user) {
+                    if (err) {
+                        // Unknown error
+                        callback({ msg: err });
+                    } else if (user === null) {
+                        callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
+                    } else {
+                        callback(null, token, user);
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Changes the password of the User with the given password reset token, if the token has not expired
+     * The token is used up first, so that it cannot be used again even by requests made at the same time
+     * Otherwise, return an error message
+     * @param {String} token - the password reset token that the User was sent
+     * @param {String} password - the new password
+     * @param {function} callback - the function to be called after resetPassword has executed
+     *                              must be called with (err, user) as params
+     */
+    that.resetPassword = function (token, password, callback) {
+        var isInvalid = checkPassword(password);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+        } else {
+            var query = { "passwordReset.tokenHash": hashResetToken(token), "passwordReset.expires": { $gt: new Date() } };
+            userModel.findOneAndUpdate(query, { $unset: { passwordReset: "" } }, { new: true }, function (err, user) {
+                if (err) {
+                    // Unknown error
+                    callback({ msg: err });
+                } else if (user === null) {
+                    callback({ msg: "This password reset link is invalid or has expired.", http_status: BAD_REQUEST });
+                } else {
+                    hashPassword(password, function (err, hash) {
+                        if (err) {
+                            callback({ msg: err });
+                        } else {
+                            userModel.findOneAndUpdate({ _id: user._id }, { password: hash }, { new: true }, function (err, user) {
+                                if (err) {
+                                    callback({ msg: err });
+                                } else {
+                                    callback(null, user);
+                                }
+                            });
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+    /**
+     * Determines whether a User has at least the given role
+     * Users without a role are treated as having the "user" role
+     * Moderators and admins only have their role once they have turned on two-factor authentication
+     * @param {User} user - the User of interest
+     * @param {String} role - one of ROLES
+     * @return {Boolean} true if the role of the User is the given role or a more privileged one, false otherwise
+     */
+    that.hasRole = function (user, role) {
+        var isPrivileged = ROLES.indexOf(role) > 0;
+        return that.isAssignedRole(user, role) && (!isPrivileged || that.hasTwoFactor(user));
+    };
+
+    /**
+     * Determines whether a User was given at least the given role, whether or not they can use it yet
+     * @param {User} user - the User of interest
+     * @param {String} role - one of ROLES
+     * @return {Boolean} true if the role of the User is the given role or a more privileged one, false otherwise
+     */
+    that.isAssignedRole = function (user, role) {
+        return ROLES.indexOf(user.role || "user") >= ROLES.indexOf(role);
+    };
+
+    /**
+     * Determines whether a User has turned on two-factor authentication
+     * @param {User} user - the User of interest
+     * @return {Boolean} true if signing in as the User needs a code, false otherwise
+     */
+    that.hasTwoFactor = function (user) {
+        return Boolean(user.twoFactor && user.twoFactor.enabled);
+    };
+
+    /**
+     * Determines whether a User has to turn on two-factor authentication, as moderators and admins do
+     * @param {User} user - the User of interest
+     * @return {Boolean} true if the User has to turn it on, false otherwise
+     */
+    that.requiresTwoFactor = function (user) {
+        return that.isAssignedRole(user, ROLES[1]);
+    };
+
+    /**
+     * Changes the role of a User
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User whose role will be changed
+     * @param {String} role - one of ROLES
+     * @param {function} callback - the function to be called after setRole has executed
+     *                              must be called with (err, user) as params
+     */
+    that.setRole = function (userId, role, callback) {
+        if (ROLES.indexOf(role) === -1) {
+            callback({ msg: "Roles must be one of: " + ROLES.join(", ") + ".", http_status: BAD_REQUEST });
+        } else {
+            userModel.findOneAndUpdate({ _id: userId }, { role: role }, { new: true }, function (err, user) {
+                if (err) {
+                    // Unknown error
+                    callback({ msg: err });
+                } else if (user === null) {
                     callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
                 } else {
-                    var rep;
-                    if (add) {
-                        rep = user.rep + 1;
+                    callback(null, user);
+                }
+            });
+        }
+    };
+
+    /**
+     * Finds a User and checks that they gave their current password, for changes that only they should make
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} password - the password that the User typed in
+     * @param {function} callback - called with (err, user)
+     */
+    var checkCurrentPassword = function (userId, password, callback) {
+        userModel.findOne({ _id: userId }, function (err, user) {
+            if (err) {
+                // Unknown error
+                callback({ msg: err });
+            } else if (user === null) {
+                callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
+            } else {
+                bcrypt.compare(String(password), user.password, function (err, isCorrect) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else if (!isCorrect) {
+                        callback({ msg: "Your current password is incorrect.", http_status: FORBIDDEN });
                     } else {
-                        rep = user.rep - 1;
+                        callback(null, user);
                     }
-                    user.rep = rep;
-                    userModel.update({ _id: userId }, { rep: rep }, function (err) {
+                });
+            }
+        });
+    };
+
+    /**
+     * Starts setting up two-factor authentication for a User, by making the secret that their
+     * authenticator app will share
+     * Two-factor authentication is not turned on until enableTwoFactor is given a code made with the secret.
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {function} callback - the function to be called after startTwoFactor has executed
+     *                              must be called with (err, setup) as params, where setup is of the form
+     *                              { secret, uri } and uri is the otpauth:// link to give to the app
+     */
+    that.startTwoFactor = function (userId, callback) {
+        var secret = Totp.generateSecret();
+        var query = { _id: userId, "twoFactor.enabled": { $ne: true } };
+        userModel.findOneAndUpdate(query, { "twoFactor.pendingSecret": secret }, { new: true }, function (err, user) {
+            if (err) {
+                callback({ msg: err });
+            } else if (user === null) {
+                callback({ msg: "Two-factor authentication is already on!", http_status: BAD_REQUEST });
+            } else {
+                callback(null, { secret: secret, uri: Totp.getUri(secret, user.email) });
+            }
+        });
+    };
+
+    /**
+     * Turns on two-factor authentication for a User, once they give a code made with the secret from startTwoFactor
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} code - the code shown by the authenticator app
+     * @param {function} callback - the function to be called after enableTwoFactor has executed
+     *                              must be called with (err, backupCodes) as params, where backupCodes are
+     *                              the one-time codes that can be used instead of the app, which are only given here
+     */
+    that.enableTwoFactor = function (userId, code, callback) {
+        userModel.findOne({ _id: userId }).select("+twoFactor.pendingSecret").exec(function (err, user) {
+            if (err) {
+                callback({ msg: err });
+            } else if (user === null) {
+                callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
+            } else if (that.hasTwoFactor(user)) {
+                callback({ msg: "Two-factor authentication is already on!", http_status: BAD_REQUEST });
+            } else if (!user.twoFactor.pendingSecret) {
+                callback({ msg: "Please start setting up two-factor authentication first!", http_status: BAD_REQUEST });
+            } else {
+                var secret = user.twoFactor.pendingSecret;
+                var step = Totp.verifyCode(secret, code);
+                if (step === -1) {
+                    callback({ msg: WRONG_CODE, http_status: BAD_REQUEST });
+                } else {
+                    var backupCodes = generateBackupCodes();
+                    // Only the secret that the code was checked against is turned on
+                    userModel.update({ _id: userId, "twoFactor.pendingSecret": secret }, {
+                        $set: {
+                            "twoFactor.enabled": true,
+                            "twoFactor.secret": secret,
+                            "twoFactor.backupCodes": backupCodes.map(hashBackupCode),
+                            "twoFactor.lastStep": step
+                        },
+                        $unset: { "twoFactor.pendingSecret": "" }
+                    }, function (err, result) {
                         if (err) {
-                            // Unknown error
                             callback({ msg: err });
+                        } else if (result.n === 0) {
+                            callback({ msg: "Please start setting up two-factor authentication first!", http_status: BAD_REQUEST });
                         } else {
-                            callback(null, user);
+                            callback(null, backupCodes);
                         }
                     });
                 }
@@ -324,18 +854,254 @@ var User = function (userModel) {
     };
 
     /**
-     * Retrieves a User's favorite Spots
+     * Checks the second factor of a User who is signing in: a code from their authenticator app,
+     * or one of their backup codes, which can then no longer be used
+     * Codes from the app cannot be used twice either.
      * Otherwise, return an error message
-     * @param {ObjectId} userId - the User of interest
-     * @param {function} callback - the callback function
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} code - the code that the User typed in
+     * @param {function} callback - the function to be called after verifyTwoFactor has executed
+     *                              must be called with (err, result) as params, where result is of the form
+     *                              { usedBackupCode, backupCodesLeft }
      */
-    that.getFavoriteSpots = function (userId, callback) {
-        that.findUserById(userId, function (err, user) {
+    that.verifyTwoFactor = function (userId, code, callback) {
+        var fields = "+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastStep";
+        userModel.findOne({ _id: userId }).select(fields).exec(function (err, user) {
+            if (err) {
+                callback({ msg: err });
+            } else if (user === null) {
+                callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
+            } else if (!that.hasTwoFactor(user)) {
+                callback({ msg: "Two-factor authentication is not on!", http_status: BAD_REQUEST });
+            } else {
+                var step = Totp.verifyCode(user.twoFactor.secret, code);
+                var backupCode = hashBackupCode(code);
+                var query, update;
+                if (step !== -1) {
+                    query = { _id: userId, $or: [{ "twoFactor.lastStep": { $lt: step } }, { "twoFactor.lastStep": { $exists: false } }] };
+                    update = { "twoFactor.lastStep": step };
+                } else {
+                    query = { _id: userId, "twoFactor.backupCodes": backupCode };
+                    update = { $pull: { "twoFactor.backupCodes": backupCode } };
+                }
+                // The update only happens if the code has not been used already, even by a request at the same time
+                userModel.update(query, update, function (err, result) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else if (result.n === 0) {
+                        callback({ msg: WRONG_CODE, http_status: FORBIDDEN });
+                    } else {
+                        var backupCodesLeft = user.twoFactor.backupCodes.length - (step === -1 ? 1 : 0);
+                        callback(null, { usedBackupCode: step === -1, backupCodesLeft: backupCodesLeft });
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Replaces the backup codes of a User, once they give a code from their authenticator app or a backup code
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} code - the code that the User typed in
+     * @param {function} callback - the function to be called after regenerateBackupCodes has executed
+     *                              must be called with (err, backupCodes) as params
+     */
+    that.regenerateBackupCodes = function (userId, code, callback) {
+        that.verifyTwoFactor(userId, code, function (err) {
+            if (err) {
+                callback(err);
+            } else {
+                var backupCodes = generateBackupCodes();
+                userModel.update({ _id: userId }, { "twoFactor.backupCodes": backupCodes.map(hashBackupCode) }, function (err) {
+                    if (err) {
+                        callback({ msg: err });
+                    } else {
+                        callback(null, backupCodes);
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Turns off two-factor authentication for a User who knows their current password
+     * Moderators and admins cannot turn it off.
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} password - the current password of the User
+     * @param {function} callback - the function to be called after disableTwoFactor has executed
+     *                              must be called with (err) as the param
+     */
+    that.disableTwoFactor = function (userId, password, callback) {
+        checkCurrentPassword(userId, password, function (err, user) {
             if (err) {
                 errorHandler(err, callback);
+            } else if (that.requiresTwoFactor(user)) {
+                callback({ msg: "Moderators and admins must use two-factor authentication!", http_status: FORBIDDEN });
             } else {
-                var favorites = user.favorites;
-                callback(null, favorites);
+                userModel.update({ _id: userId }, {
+                    $set: { "twoFactor.enabled": false },
+                    $unset: {
+                        "twoFactor.secret": "",
+                        "twoFactor.pendingSecret": "",
+                        "twoFactor.backupCodes": "",
+                        "twoFactor.lastStep": ""
+                    }
+                }, function (err) {
+                    callback(err ? { msg: err } : null);
+                });
+            }
+        });
+    };
+
+    /**
+     * Changes a field of a User that must be unique
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {Object} update - the changes to make to the User
+     * @param {String} taken - the error message if another User already has the new value
+     * @param {function} callback - called with (err, user)
+     */
+    var changeUniqueField = function (userId, update, taken, callback) {
+        userModel.findOneAndUpdate({ _id: userId }, update, { new: true }, function (err, user) {
+            if (err) {
+                if (err.code === 11000) {
+                    callback({ msg: taken, http_status: BAD_REQUEST });
+                } else {
+                    callback({ msg: err });
+                }
+            } else if (user === null) {
+                callback({ msg: USER_NOT_FOUND, http_status: NOT_FOUND });
+            } else {
+                callback(null, user);
+            }
+        });
+    };
+
+    /**
+     * Changes the password of a User who knows their current password
+     * The new password is hashed when the User is saved
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} currentPassword - the password that the User has now
+     * @param {String} newPassword - the password that the User wants, which follows the same rules as when registering
+     * @param {function} callback - the function to be called after changePassword has executed
+     *                              must be called with (err, user) as params
+     */
+    that.changePassword = function (userId, currentPassword, newPassword, callback) {
+        var isInvalid = checkPassword(newPassword);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+        } else {
+            checkCurrentPassword(userId, currentPassword, function (err, user) {
+                if (err) {
+                    errorHandler(err, callback);
+                } else {
+                    user.password = newPassword;
+                    user.save(function (err, user) {
+                        if (err) {
+                            callback({ msg: err });
+                        } else {
+                            callback(null, user);
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+    /**
+     * Changes the username of a User
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} username - the new username, which follows the same rules as when registering
+     * @param {function} callback - the function to be called after changeUsername has executed
+     *                              must be called with (err, user) as params
+     */
+    that.changeUsername = function (userId, username, callback) {
+        var isInvalid = checkUsername(username);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+        } else {
+            changeUniqueField(userId, { username: username }, "This username is already in use.", callback);
+        }
+    };
+
+    /**
+     * Changes the email of a User who knows their current password
+     * The User is unverified until they follow the link sent to the new email, and moves to its campus.
+     * Any password reset link sent to the old email stops working.
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} password - the current password of the User
+     * @param {String} email - the new email, which must be from the email domain of one of the campuses
+     * @param {function} callback - the function to be called after changeEmail has executed
+     *                              must be called with (err, user) as params
+     */
+    that.changeEmail = function (userId, password, email, callback) {
+        var isInvalid = checkEmail(email);
+        if (isInvalid) {
+            callback({ msg: isInvalid, http_status: BAD_REQUEST });
+        } else {
+            checkCurrentPassword(userId, password, function (err, user) {
+                if (err) {
+                    errorHandler(err, callback);
+                } else if (user.email === email) {
+                    callback({ msg: "This is already your email.", http_status: BAD_REQUEST });
+                } else {
+                    var update = {
+                        $set: { email: email, verified: false, campus: Campuses.getCampusForEmail(email).id },
+                        $unset: { passwordReset: "" }
+                    };
+                    changeUniqueField(userId, update, "This email is already in use.", callback);
+                }
+            });
+        }
+    };
+
+    /**
+     * Deletes the account of a User who knows their current password
+     * What the User contributed is dealt with first (see Spots.removeUserContent):
+     *      - their reviews and the photos they uploaded are removed, and the ratings of the Spots are updated
+     *      - their votes are withdrawn, so they no longer count towards the score of Reviews or the rep of their creators
+     *      - the Spots they created are removed, unless other Users reviewed them. Those Spots are kept for
+     *        the other Users, but are no longer linked to any account.
+     *      - their reports are kept, so that moderators can still deal with what they reported
+     *      - their collections are removed
+     * The account is removed last, so that a User whose content could not all be removed can try again.
+     * Otherwise, return an error message
+     * @param {ObjectId} userId - the id of the User
+     * @param {String} password - the current password of the User
+     * @param {function} callback - the function to be called after deleteAccount has executed
+     *                              must be called with (err) as the param
+     */
+    that.deleteAccount = function (userId, password, callback) {
+        var Spots = require("../models/Spots").Spots;
+        var Collections = require("../models/Collections").Collections;
+        checkCurrentPassword(userId, password, function (err, user) {
+            if (err) {
+                errorHandler(err, callback);
+            } else {
+                Spots.removeUserContent(user._id, function (err) {
+                    if (err) {
+                        errorHandler(err, callback);
+                    } else {
+                        Collections.removeUserCollections(user._id, function (err) {
+                            if (err) {
+                                callback(err);
+                            } else {
+                                userModel.remove({ _id: user._id }, function (err) {
+                                    if (err) {
+                                        callback({ msg: err });
+                                    } else {
+                                        callback(null);
+                                    }
+                                });
+                            }
+                        });
+                    }
+                });
             }
         });
     };
@@ -7,17 +7,50 @@ $(document).ready(function() {
   errorMsg.addClass("alert-danger");
   errorMsg.addClass("fade");
   errorMsg.addClass("in");
-  $("form").append(errorMsg);
+  $("#content").append(errorMsg);
+  // Send the security token of the page with every request
+  $.ajaxSetup({ headers: { "X-CSRF-Token": $('meta[name="csrf-token"]').attr("content") } });
+  // Go to the app once signed in, telling moderators and admins who still need to turn on two-factor authentication
+  var finishLogin = function(data) {
+    if (data.content.twoFactorSetupRequired) {
+      alert("Please turn on two-factor authentication from your profile to use your moderator or admin features.");
+    }
+    if (data.content.backupCodesLeft !== undefined) {
+      alert("You used a backup code, and have " + data.content.backupCodesLeft + " left. You can make new ones from your profile.");
+    }
+    window.location = '/';
+  };
+  // Show the error from the server
+  var showError = function(e) {
+    errorMsg.text("Error: " + e.responseJSON.err);
+    errorMsg.show();
+  };
   // Handle post request
   $('body').on('click', 'button.post-button', function(e) {
     $.post("/users/login/", $('form#login-form').serialize(), function(data) {
-      console.log(data);
-      window.location = '/';
+      if (data.content.twoFactorRequired) {
+        // The password is right, so ask for the code
+        errorMsg.hide();
+        $('form#login-form').hide();
+        $('form#two-factor-form').show();
+        $('#inputCode').focus();
+      } else {
+        finishLogin(data);
+      }
     }, 'json')
+    .fail(showError);
+    e.preventDefault();
+  });
+  // Handle the code for two-factor authentication
+  $('body').on('click', 'button.two-factor-button', function(e) {
+    $.post("/users/login/twoFactor", $('form#two-factor-form').serialize(), finishLogin, 'json')
     .fail(function(e) {
-      // Update error and show
-      errorMsg.text("Error: " + e.responseJSON.err);
-      errorMsg.show();
+      showError(e);
+      // Unless the code was just wrong, the password has to be given again
+      if (e.responseJSON.err !== "That code is not right. Please try again.") {
+        $('form#two-factor-form').hide();
+        $('form#login-form').show();
+      }
     });
     e.preventDefault();
   });
@@ -0,0 +1,47 @@
+//@author Maryam Archie
+$(document).ready(function() {
+  // Make the messages
+  var errorMsg = $("<div></div>");
+  errorMsg.hide();
+  errorMsg.addClass("alert");
+  errorMsg.addClass("alert-danger");
+  errorMsg.addClass("fade");
+  errorMsg.addClass("in");
+  var successMsg = $("<div></div>");
+  successMsg.hide();
+  successMsg.addClass("alert");
+  successMsg.addClass("alert-success");
+  successMsg.addClass("fade");
+  successMsg.addClass("in");
+  $("form").append(errorMsg);
+  $("form").append(successMsg);
+  // Send the security token of the page with every request
+  $.ajaxSetup({ headers: { "X-CSRF-Token": $('meta[name="csrf-token"]').attr("content") } });
+  // Asking for a reset link
+  $('body').on('click', 'form#forgot-password-form button.post-button', function(e) {
+    $.post("/users/password/forgot", $('form#forgot-password-form').serialize(), function(data) {
+      errorMsg.hide();
+      successMsg.text("If there is an account with that email, we have sent it a link to reset the password.");
+      successMsg.show();
+    }, 'json')
+    .fail(function(e) {
+      // Update error and show
+      successMsg.hide();
+      errorMsg.text("Error: " + e.responseJSON.err);
+      errorMsg.show();
+    });
+    e.preventDefault();
+  });
+  // Choosing a new password
+  $('body').on('click', 'form#reset-password-form button.post-button', function(e) {
+    $.post("/users/password/reset", $('form#reset-password-form').serialize(), function(data) {
+      window.location = '/login';
+    }, 'json')
+    .fail(function(e) {
+      // Update error and show
+      errorMsg.text("Error: " + e.responseJSON.err);
+      errorMsg.show();
+    });
+    e.preventDefault();
+  });
+});
@@ -8,13 +8,29 @@ $(document).ready(function() {
   errorMsg.addClass("fade");
   errorMsg.addClass("in");
   $("form").append(errorMsg);
+  // Construct success msg
+  var successMsg = $("<div></div>");
+  successMsg.hide();
+  successMsg.addClass("alert");
+  successMsg.addClass("alert-success");
+  successMsg.addClass("fade");
+  successMsg.addClass("in");
+  var sentHtml = "Welcome! We emailed you a link to verify your email, which you need to follow before posting. " +
+      "<a href='/login'>Sign in</a>",
+    unsentHtml = "Welcome! We could not email you a link to verify your email, which you need to follow before posting. " +
+      "<a href='/login'>Sign in</a> and ask for a new link from the menu.";
+  $("form").append(successMsg);
+  // Send the security token of the page with every request
+  $.ajaxSetup({ headers: { "X-CSRF-Token": $('meta[name="csrf-token"]').attr("content") } });
   // Handle post
   $('body').on('click', 'button.post-button', function(e) {
     $.post("/users/", $('form#register-form').serialize(), function(data) {
-      window.location = '/login';
+      errorMsg.hide();
+      successMsg.html(data.content.verificationEmailSent ? sentHtml : unsentHtml).show();
     }, 'json')
     .fail(function(e) {
       // Show error on fail
+      successMsg.hide();
       errorMsg.text("Error: " + e.responseJSON.err);
       errorMsg.show();
     });
@@ -0,0 +1,328 @@
+// @author: Maryam Archie
+
+import React from 'react';
+import Services from '../../services/index.js'
+import {Alert, Button, ControlLabel, FormControl, FormGroup, Panel} from 'react-bootstrap';
+
+/*
+ * Lets a User change their username, email and password, set up two-factor authentication,
+ * see and sign out their sessions, manage their API tokens, download their data or delete their account
+ * Each change has its own form, and shows whether it worked under the form
+ */
+export default class AccountSettings extends React.Component {
+    constructor(props){
+        super(props);
+        this.state = {
+          username: props.user.username || '',
+          email: props.user.email || '',
+          emailPassword: '',
+          currentPassword: '',
+          newPassword: '',
+          deletePassword: '',
+          sessions: [],
+          tokens: [],
+          tokenName: '',
+          tokenScope: 'read',
+          newToken: null,
+          twoFactorEnabled: Boolean(props.user.twoFactor && props.user.twoFactor.enabled),
+          twoFactorSetup: null,
+          twoFactorCode: '',
+          twoFactorPassword: '',
+          backupCodes: null,
+          results: {}
+        };
+    }
+
+    componentDidMount() {
+      this.updateSessions();
+      this.updateTokens();
+    }
+
+    // Gets the sessions that the User is signed in with from the server
+    updateSessions() {
+      Services.user.getSessions().then((resp) => {
+        this.setState({sessions: resp.content.sessions});
+      });
+    }
+
+    // Gets the API tokens of the User from the server
+    updateTokens() {
+      Services.user.getApiTokens().then((resp) => {
+        this.setState({tokens: resp.content.tokens});
+      });
+    }
+
+    // Updates the state of a field as the User types in it
+    handleChange(field, event) {
+      var change = {};
+      change[field] = event.target.value;
+      this.setState(change);
+    }
+
+    // Shows whether the change made with a form worked
+    showResult(form, success, message) {
+      this.setState((prevState) => {
+        var results = Object.assign({}, prevState.results);
+        results[form] = {success: success, message: message};
+        return {results: results};
+      });
+    }
+
+    // Sends a change to the server, showing the message on success or the error from the server otherwise
+    submit(form, change, message, onSuccess) {
+      change().then((resp) => {
+        this.showResult(form, true, message);
+        if (onSuccess) onSuccess(resp);
+      }).catch((err) => {
+        this.showResult(form, false, err.error && err.error.err ? err.error.err : 'Something went wrong... Please try again.');
+      });
+    }
+
+    changeUsername(e) {
+      e.preventDefault();
+      this.submit('username', () => Services.user.changeUsername(this.state.username),
+        'Your username has been changed.', (resp) => this.props.onChange(resp.content.user));
+    }
+
+    changeEmail(e) {
+      e.preventDefault();
+      this.submit('email', () => Services.user.changeEmail(this.state.email, this.state.emailPassword),
+        'Your email has been changed. Follow the link that we sent to it to verify it.', (resp) => {
+          if (!resp.content.verificationEmailSent) {
+            this.showResult('email', false,
+              'Your email has been changed, but we could not send a link to verify it. Ask for a new link from the menu.');
+          }
+          this.setState({emailPassword: ''});
+          this.props.onChange(resp.content.user);
+        });
+    }
+
+    changePassword(e) {
+      e.preventDefault();
+      this.submit('password', () => Services.user.changePassword(this.state.currentPassword, this.state.newPassword),
+        'Your password has been changed.', () => this.setState({currentPassword: '', newPassword: ''}));
+    }
+
+    setupTwoFactor() {
+      this.submit('twoFactor', () => Services.user.setupTwoFactor(),
+        'Scan the QR code with your authenticator app, then enter the code that it shows.',
+        (resp) => this.setState({twoFactorSetup: resp.content, backupCodes: null}));
+    }
+
+    enableTwoFactor(e) {
+      e.preventDefault();
+      this.submit('twoFactor', () => Services.user.enableTwoFactor(this.state.twoFactorCode),
+        'Two-factor authentication is on. Keep these backup codes somewhere safe: each one signs you in once without your app.',
+        (resp) => this.setState({
+          twoFactorEnabled: true,
+          twoFactorSetup: null,
+          twoFactorCode: '',
+          backupCodes: resp.content.backupCodes
+        }));
+    }
+
+    regenerateBackupCodes(e) {
+      e.preventDefault();
+      this.submit('twoFactor', () => Services.user.regenerateBackupCodes(this.state.twoFactorCode),
+        'Here are your new backup codes. The old ones no longer work.',
+        (resp) => this.setState({twoFactorCode: '', backupCodes: resp.content.backupCodes}));
+    }
+
+    disableTwoFactor(e) {
+      e.preventDefault();
+      this.submit('twoFactor', () => Services.user.disableTwoFactor(this.state.twoFactorPassword),
+        'Two-factor authentication is off.',
+        () => this.setState({twoFactorEnabled: false, twoFactorPassword: '', backupCodes: null}));
+    }
+
+    // The part of the two-factor authentication settings that depends on whether it is on or being set up
+    renderTwoFactor() {
+      if (this.state.twoFactorEnabled) {
+        return (
+          <div>
+            <p>Two-factor authentication is on.</p>
+            <form onSubmit={(e) => this.regenerateBackupCodes(e)}>
+              <FormGroup>
+                <ControlLabel>Code from your app</ControlLabel>
+                <FormControl value={this.state.twoFactorCode} onChange={(e) => this.handleChange('twoFactorCode', e)} />
+              </FormGroup>
+              <Button type="submit">Make new backup codes</Button>
+            </form>
+            <form onSubmit={(e) => this.disableTwoFactor(e)}>
+              <FormGroup>
+                <ControlLabel>Current password</ControlLabel>
+                <FormControl type="password" value={this.state.twoFactorPassword} onChange={(e) => this.handleChange('twoFactorPassword', e)} />
+              </FormGroup>
+              <Button type="submit">Turn off two-factor authentication</Button>
+            </form>
+          </div>
+        );
+      } else if (this.state.twoFactorSetup) {
+        return (
+          <form onSubmit={(e) => this.enableTwoFactor(e)}>
+            <img src={this.state.twoFactorSetup.qrCode} alt="QR code for your authenticator app" />
+            <p>Or type in this key: <code>{this.state.twoFactorSetup.secret}</code></p>
+            <FormGroup>
+              <ControlLabel>Code from your app</ControlLabel>
+              <FormControl value={this.state.twoFactorCode} onChange={(e) => this.handleChange('twoFactorCode', e)} />
+            </FormGroup>
+            <Button type="submit">Turn on two-factor authentication</Button>
+          </form>
+        );
+      } else {
+        return (
+          <div>
+            <p>Two-factor authentication is off. Turning it on means that signing in also needs a code from an
+              authenticator app on your phone.{this.props.user.role && this.props.user.role !== 'user' ?
+                ' Moderators and admins have to turn it on to use their features.' : ''}</p>
+            <Button onClick={() => this.setupTwoFactor()}>Set up two-factor authentication</Button>
+          </div>
+        );
+      }
+    }
+
+    revokeSession(sessionId) {
+      this.submit('sessions', () => Services.user.revokeSession(sessionId),
+        'That session has been signed out.', () => this.updateSessions());
+    }
+
+    logoutEverywhere() {
+      if (!confirm('Sign out of Sweet Spots everywhere, including here?')) return;
+      this.submit('sessions', () => Services.user.logout(true), 'You have been signed out everywhere.', () => { window.location = '/'; });
+    }
+
+    createToken(e) {
+      e.preventDefault();
+      this.submit('tokens', () => Services.user.createApiToken(this.state.tokenName, this.state.tokenScope),
+        'Your token has been created. Copy it now, since it will not be shown again.', (resp) => {
+          this.setState({tokenName: '', newToken: resp.content.token});
+          this.updateTokens();
+        });
+    }
+
+    revokeToken(tokenId) {
+      this.submit('tokens', () => Services.user.revokeApiToken(tokenId),
+        'That token has been revoked.', () => {
+          this.setState({newToken: null});
+          this.updateTokens();
+        });
+    }
+
+    deleteAccount(e) {
+      e.preventDefault();
+      if (!confirm('Are you sure? Your account, reviews and votes will be deleted, and so will the spots that only you reviewed.')) return;
+      this.submit('delete', () => Services.user.deleteAccount(this.state.deletePassword),
+        'Your account has been deleted.', () => { window.location = '/'; });
+    }
+
+    // The outcome of the last change made with a form, if any
+    result(form) {
+      var result = this.state.results[form];
+      if (!result) return null;
+      return <Alert bsStyle={result.success ? 'success' : 'danger'}>{result.message}</Alert>;
+    }
+
+    render(){
+      return (
+        <Panel header="Account settings" id="account-settings">
+          <form onSubmit={(e) => this.changeUsername(e)}>
+            <FormGroup>
+              <ControlLabel>Username</ControlLabel>
+              <FormControl value={this.state.username} onChange={(e) => this.handleChange('username', e)} />
+            </FormGroup>
+            <Button type="submit">Change username</Button>
+            {this.result('username')}
+          </form>
+          <hr />
+          <form onSubmit={(e) => this.changeEmail(e)}>
+            <FormGroup>
+              <ControlLabel>Email</ControlLabel>
+              <FormControl type="email" value={this.state.email} onChange={(e) => this.handleChange('email', e)} />
+            </FormGroup>
+            <FormGroup>
+              <ControlLabel>Current password</ControlLabel>
+              <FormControl type="password" value={this.state.emailPassword} onChange={(e) => this.handleChange('emailPassword', e)} />
+            </FormGroup>
+            <Button type="submit">Change email</Button>
+            {this.result('email')}
+          </form>
+          <hr />
+          <form onSubmit={(e) => this.changePassword(e)}>
+            <FormGroup>
+              <ControlLabel>Current password</ControlLabel>
+              <FormControl type="password" value={this.state.currentPassword} onChange={(e) => this.handleChange('currentPassword', e)} />
+            </FormGroup>
+            <FormGroup>
+              <ControlLabel>New password</ControlLabel>
+              <FormControl type="password" value={this.state.newPassword} onChange={(e) => this.handleChange('newPassword', e)} />
+            </FormGroup>
+            <Button type="submit">Change password</Button>
+            {this.result('password')}
+          </form>
+          <hr />
+          <div id="two-factor">
+            <ControlLabel>Two-factor authentication</ControlLabel>
+            {this.renderTwoFactor()}
+            {this.state.backupCodes ? <ul>{this.state.backupCodes.map((code) => <li key={code}><code>{code}</code></li>)}</ul> : null}
+            {this.result('twoFactor')}
+          </div>
+          <hr />
+          <div id="sessions">
+            <ControlLabel>Where you are signed in</ControlLabel>
+            {this.state.sessions.map((session) => (
+              <p key={session.id}>
+                {session.userAgent || 'Unknown device'} ({session.ip || 'unknown address'}),
+                last used {new Date(session.lastActive).toLocaleString()}
+                {session.current ? <strong> (this session)</strong> :
+                  <Button bsSize="xsmall" onClick={() => this.revokeSession(session.id)}>Sign out</Button>}
+              </p>
+            ))}
+            <Button onClick={() => this.logoutEverywhere()}>Sign out everywhere</Button>
+            {this.result('sessions')}
+          </div>
+          <hr />
+          <form id="api-tokens" onSubmit={(e) => this.createToken(e)}>
+            <ControlLabel>API tokens</ControlLabel>
+            <p>Scripts can use a token instead of signing in, by sending the header <code>Authorization: Bearer</code> and the token.</p>
+            {this.state.tokens.map((token) => (
+              <p key={token.id}>
+                {token.name} ({token.scope === 'read' ? 'read only' : 'read and write'}, {token.start}...),
+                {token.lastUsed ? ' last used ' + new Date(token.lastUsed).toLocaleString() : ' never used'}
+                <Button bsSize="xsmall" onClick={() => this.revokeToken(token.id)}>Revoke</Button>
+              </p>
+            ))}
+            <FormGroup>
+              <ControlLabel>Name</ControlLabel>
+              <FormControl value={this.state.tokenName} onChange={(e) => this.handleChange('tokenName', e)} />
+            </FormGroup>
+            <FormGroup>
+              <ControlLabel>Access</ControlLabel>
+              <FormControl componentClass="select" value={this.state.tokenScope} onChange={(e) => this.handleChange('tokenScope', e)}>
+                <option value="read">Read only</option>
+                <option value="write">Read and write</option>
+              </FormControl>
+            </FormGroup>
+            <Button type="submit">Create token</Button>
+            {this.state.newToken ? <p>Your new token: <code>{this.state.newToken}</code></p> : null}
+            {this.result('tokens')}
+          </form>
+          <hr />
+          <p>
+            Download your data: <a href={'/users/' + this.props.user._id + '/export?format=json'} id="export-json">JSON</a>
+            {' or '}<a href={'/users/' + this.props.user._id + '/export?format=csv'} id="export-csv">CSV</a>
+          </p>
+          <hr />
+          <form onSubmit={(e) => this.deleteAccount(e)}>
+            <p>Deleting your account removes your reviews, votes and photos, and the spots that only you reviewed.
+              Spots that others reviewed are kept for them.</p>
+            <FormGroup>
+              <ControlLabel>Current password</ControlLabel>
+              <FormControl type="password" value={this.state.deletePassword} onChange={(e) => this.handleChange('deletePassword', e)} />
+            </FormGroup>
+            <Button type="submit" bsStyle="danger">Delete account</Button>
+            {this.result('delete')}
+          </form>
+        </Panel>
+      );
+    }
+};
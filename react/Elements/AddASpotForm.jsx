@@ -1,6 +1,6 @@
 // @author: Bob Liang
 import React from 'react';
-import { Button, ButtonToolbar, FormGroup, ControlLabel, FormControl } from 'react-bootstrap';
+import { Button, ButtonToolbar, FormGroup, ControlLabel, FormControl, HelpBlock } from 'react-bootstrap';
 import Services from "../../services/index.js";
 import Autosuggest from "react-autosuggest";
 import { Typeahead } from 'react-bootstrap-typeahead';
@@ -59,33 +59,50 @@ export default class AddASpotForm extends React.Component {
     }
 
 
+    //Highlights the given fields of the spot if the server said they are invalid, and says what is wrong with them
+    validation(fields) {
+        var fieldErrors = this.props.fieldErrors || {};
+        var messages = fields.filter((field) => fieldErrors[field]).map((field) => fieldErrors[field]);
+        return {
+            state: messages.length > 0 ? "error" : null,
+            help: messages.length > 0 ? <HelpBlock>{messages.join(" ")}</HelpBlock> : null
+        };
+    }
+
     render(){
         var that = this;
         var value = this.state.category;
         var tags = this.state.tags;
+        var name = this.validation(["title"]);
+        var category = this.validation(["label"]);
+        var floor = this.validation(["floor"]);
+        var review = this.validation(["rating", "description"]);
 
         return (
             <div id="add-a-spot-form">
                 <h2 id="add-a-spot">Add a spot:</h2> <br />
                 <a href="/"> &lt; Back to home</a> <br /> <br />
                 <form>
-                    <FormGroup>
+                    <FormGroup validationState={name.state}>
                         <ControlLabel>Name</ControlLabel>
                         <FormControl placeholder="Enter the spot's name" onChange={this.handleChangeName} />
+                        {name.help}
                     </FormGroup>
-                    <FormGroup>
+                    <FormGroup validationState={category.state}>
                         <ControlLabel>Category</ControlLabel>
                         <Typeahead
                             placeholder="Enter the spot's category"
                             onInputChange={this.handleChangeCategory}
                             options={tags}
                         />
+                        {category.help}
                     </FormGroup>
-                    <FormGroup>
+                    <FormGroup validationState={floor.state}>
                         <ControlLabel>Floor</ControlLabel>
                         <FormControl placeholder="Which floor is this spot on?" onChange={this.handleChangeFloor} />
+                        {floor.help}
                     </FormGroup>
-                    <FormGroup>
+                    <FormGroup validationState={review.state}>
                         <ControlLabel>Review</ControlLabel> <br />
                         <span className="rating">
                             <input type="radio" className="rating-input"
@@ -110,6 +127,7 @@ export default class AddASpotForm extends React.Component {
                             <label htmlFor="rating-input-1-1" className="rating-star"></label>
                         </span> <br />
                         <FormControl componentClass="textarea" onChange={this.handleChangeReview}/>
+                        {review.help}
                         {this.props.error.length > 0 &&
                                 <div className='alert alert-danger'>Error: {this.props.error}<br /></div>
                         }
@@ -0,0 +1,182 @@
+// @author: Maryam Archie
+
+import React from 'react';
+import Services from '../../services/index.js'
+import {Button, ButtonGroup, Checkbox, FormControl, FormGroup, Label} from 'react-bootstrap';
+
+/*
+ * Gives the ids of a list of items after moving one of them up or down
+ * @param {Object[]} items - the items, each with an _id
+ * @param {Number} index - the position of the item to move
+ * @param {Number} offset - -1 to move the item up, 1 to move it down
+ * @return {ObjectId[]} the ids in the new order
+ */
+function moveItem(items, index, offset) {
+  var ids = items.map((item) => item._id);
+  var moved = ids.splice(index, 1)[0];
+  ids.splice(index + offset, 0, moved);
+  return ids;
+}
+
+/*
+ * Lists Spots with links to them
+ * If onMove and onRemove are given, each Spot can also be moved up, moved down or removed
+ */
+function SpotList(props) {
+  return (
+    <div>
+      {props.spots.map((spot, index) => (
+        <div key={spot._id}>
+          <h4><a href={'/spots/' + spot._id + '/details'}>{spot.title}</a></h4>
+          {props.onMove &&
+            <ButtonGroup bsSize="xsmall">
+              <Button disabled={index === 0} onClick={() => props.onMove(moveItem(props.spots, index, -1))}>&uarr;</Button>
+              <Button disabled={index === props.spots.length - 1} onClick={() => props.onMove(moveItem(props.spots, index, 1))}>&darr;</Button>
+              <Button bsStyle="danger" onClick={() => props.onRemove(spot._id)}>Remove</Button>
+            </ButtonGroup>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/*
+ * The favorite Spots and the collections of a User
+ * The owner of the profile can reorder and remove favorites, and create, share and manage their collections.
+ * Other Users only see the public collections.
+ */
+export default class FavoriteSpots extends React.Component {
+    constructor(props){
+        super(props);
+        this.state = {
+          collections: [],
+          newName: '',
+          newIsPublic: false,
+          errorText: ''
+        };
+    }
+
+    componentDidMount() {
+      this.updateCollections();
+    }
+
+    // Gets the collections of the User from the server
+    updateCollections() {
+      Services.user.getUserCollections(this.props.userId).then((resp) => {
+        this.setState({collections: resp.content.collections});
+      });
+    }
+
+    // Sends a change to the server, then shows the changes or the error from the server
+    submit(change, onSuccess) {
+      change().then((resp) => {
+        this.setState({errorText: ''});
+        onSuccess(resp);
+      }).catch((err) => {
+        this.setState({errorText: err.error && err.error.err ? err.error.err : 'Something went wrong... Please try again.'});
+      });
+    }
+
+    // Shows a collection as the server sent it back after a change
+    replaceCollection(collection) {
+      this.setState((prevState) => ({
+        collections: prevState.collections.map((c) => c._id === collection._id ? collection : c)
+      }));
+    }
+
+    reorderFavorites(spotIds) {
+      this.submit(() => Services.user.reorderFavoriteSpots(spotIds), (resp) => this.props.onFavoritesChange(resp.content.favorites));
+    }
+
+    unfavorite(spotId) {
+      this.submit(() => Services.spot.unfavoriteSpot(spotId), () => {
+        this.props.onFavoritesChange(this.props.favorites.filter((spot) => spot._id !== spotId));
+      });
+    }
+
+    createCollection(e) {
+      e.preventDefault();
+      this.submit(() => Services.collection.createCollection(this.state.newName, this.state.newIsPublic), (resp) => {
+        this.setState((prevState) => ({
+          collections: prevState.collections.concat([resp.content.collection]),
+          newName: '',
+          newIsPublic: false
+        }));
+      });
+    }
+
+    setPublic(collection, isPublic) {
+      this.submit(() => Services.collection.updateCollection(collection._id, {isPublic: isPublic}),
+        (resp) => this.replaceCollection(resp.content.collection));
+    }
+
+    deleteCollection(collection) {
+      if (!confirm('Delete the collection "' + collection.name + '"? The spots in it will not be affected.')) return;
+      this.submit(() => Services.collection.deleteCollection(collection._id), () => {
+        this.setState((prevState) => ({
+          collections: prevState.collections.filter((c) => c._id !== collection._id)
+        }));
+      });
+    }
+
+    reorderCollection(collection, spotIds) {
+      this.submit(() => Services.collection.reorderSpots(collection._id, spotIds),
+        (resp) => this.replaceCollection(resp.content.collection));
+    }
+
+    removeFromCollection(collection, spotId) {
+      this.submit(() => Services.collection.removeSpot(collection._id, spotId),
+        (resp) => this.replaceCollection(resp.content.collection));
+    }
+
+    render() {
+      var isOwner = this.props.isOwner;
+      var favorites = this.props.favorites;
+      return (
+        <div>
+          <div id="favorite-spots">
+            {(favorites.length === 0) ? ("You have no favorites") : ("")}
+            <SpotList spots={favorites}
+              onMove={isOwner ? (spotIds) => this.reorderFavorites(spotIds) : null}
+              onRemove={(spotId) => this.unfavorite(spotId)} />
+          </div>
+          <h3>Collections</h3>
+          <div id="collections">
+            {this.state.collections.length === 0 && "No collections yet"}
+            {this.state.collections.map((collection) => (
+              <div key={collection._id}>
+                <h4>
+                  {collection.name} <Label bsStyle={collection.isPublic ? "success" : "default"}>{collection.isPublic ? "Public" : "Private"}</Label>
+                </h4>
+                {collection.isPublic &&
+                  <p>Share: <a href={'/collections/' + collection._id + '/details'}>{window.location.origin + '/collections/' + collection._id + '/details'}</a></p>}
+                {isOwner &&
+                  <ButtonGroup bsSize="small">
+                    <Button onClick={() => this.setPublic(collection, !collection.isPublic)}>{collection.isPublic ? "Make private" : "Make public"}</Button>
+                    <Button bsStyle="danger" onClick={() => this.deleteCollection(collection)}>Delete</Button>
+                  </ButtonGroup>}
+                {collection.spots.length === 0 && <p>No spots in this collection</p>}
+                <SpotList spots={collection.spots}
+                  onMove={isOwner ? (spotIds) => this.reorderCollection(collection, spotIds) : null}
+                  onRemove={(spotId) => this.removeFromCollection(collection, spotId)} />
+                <hr />
+              </div>
+            ))}
+            {isOwner &&
+              <form onSubmit={(e) => this.createCollection(e)}>
+                <FormGroup>
+                  <FormControl type="text" placeholder='New collection, e.g. "Quiet study"' value={this.state.newName}
+                    onChange={(e) => this.setState({newName: e.target.value})} />
+                  <Checkbox checked={this.state.newIsPublic} onChange={(e) => this.setState({newIsPublic: e.target.checked})}>
+                    Anyone with the link can see it
+                  </Checkbox>
+                </FormGroup>
+                <Button type="submit" bsStyle="primary" name="create-collection">Create collection</Button>
+              </form>}
+            {this.state.errorText.length > 0 &&
+              <div className='alert alert-danger'> Error: {this.state.errorText}<br /></div>}
+          </div>
+        </div>
+      );
+    }
+}
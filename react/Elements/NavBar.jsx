@@ -2,6 +2,7 @@
 
 import React from 'react';
 import Services from '../../services/index.js'
+import VerifyEmailButton from './VerifyEmailButton.jsx';
 import {Button, ButtonToolbar, Navbar, Nav, FormGroup, FormControl} from 'react-bootstrap';
 
 export default class NavBar extends React.Component {
@@ -19,7 +20,7 @@ export default class NavBar extends React.Component {
       Services.user.getCurrentUser().then((resp) => {
         this.setState({currentUser:resp.content.user});
         if (resp.content.userObject) {
-          this.setState({currentUserId: resp.content.userObject._id});
+          this.setState({currentUserId: resp.content.userObject._id, verified: resp.content.userObject.verified});
         }
       });
       this.handleChangeFind = this.handleChangeFind.bind(this);
@@ -39,6 +40,7 @@ export default class NavBar extends React.Component {
         var logoutMessage = (<div>
           <Navbar.Form pullRight>
           <ButtonToolbar>
+          {this.state.verified === false && <VerifyEmailButton />}
           <Button bsStyle="danger" id="logout-button"
               onClick={() => {Services.user.logout().then(() => {location.reload();}); }}>Logout</Button> &nbsp;
           <Button bsStyle="info" id="profile-button" onClick={() => {window.location = '/profile/' + user_id;}}>Profile</Button>
@@ -10,22 +10,10 @@ export default class SweetSpotsMap extends React.Component {
     }
 
     /*
-     * Clear undeeded markers from the map and remove them from the state
+     * Summarize what a marker shows about a spot, so that it can be redrawn when that changes
      */
-    clearMarkers() {
-        var newMarkers = [];
-        var spotTitles = this.props.spots.map((e) => {return e.title});
-        this.state.markers.forEach(function(m) {
-            if (spotTitles.indexOf(m.getTitle()) == -1) {
-                // delete the markers that aren't in spots
-                m.setMap(null);
-            } else {
-                // Keep the ones that are
-                newMarkers.push(m);
-            }
-        });
-
-        this.setState({markers:newMarkers});
+    markerSignature(spot) {
+        return [spot.title, spot.location.latitude, spot.location.longitude, spot.tag.label, spot.rating].join('|');
     }
 
     /*
@@ -33,15 +21,11 @@ export default class SweetSpotsMap extends React.Component {
      */
     componentDidMount(){
         var that = this;
-        // Define map settings
-        const initialZoom = 18;
-        const initialLat = 42.3592374;
-        const initialLng = -71.0938239;
-        const minZoom = 15.75; //The farthest zoomed out the map can be
-        var map = new google.maps.Map(document.getElementById('map'), {
-            center: {lat: initialLat, lng:initialLng},
-            zoom: initialZoom
-        });
+        var map = new google.maps.Map(document.getElementById('map'), {});
+        // The map settings come from the campus, which may not have been loaded yet
+        if (this.props.campus) {
+            this.showCampus(map, this.props.campus);
+        }
 
         // Hiding default google PoIs
         map.setOptions({
@@ -104,37 +88,41 @@ export default class SweetSpotsMap extends React.Component {
 
         // add map to state
         this.setState({map: map});
-
-        // Make the map update using server info
-        this.updateMapTimerID = setInterval(
-            () => this.updateMap(),
-            5000
-        );
-        this.updateMapFastTimerID = setInterval(
-            () => this.updateMapFast(),
-            100
-        );
     }
 
-
+    /*
+     * Moves the map to a campus
+     *
+     * @param {google.maps.Map} map - the map
+     * @param {Object} campus - the campus, whose map settings give the center, zoom and how far out the map can go
+     */
+    showCampus(map, campus) {
+        map.setOptions({
+            center: {lat: campus.map.center.latitude, lng: campus.map.center.longitude},
+            zoom: campus.map.zoom,
+            minZoom: campus.map.minZoom
+        });
+    }
 
     /*
-     * Perform various updates to the map to ensure it is consistent with component state
+     * React method that is called after the props or state change
+     * Keeps the map consistent with the spots it is given, which are updated as they change on the server
      */
-    updateMap() {
-        this.clearMarkers();
-        this.markSpotsOnMap(this.state.map);
+    componentDidUpdate(prevProps, prevState) {
+        if (!this.state.map) return;
+        if (prevProps.campus !== this.props.campus && this.props.campus) {
+            this.showCampus(this.state.map, this.props.campus);
+        }
+        if (prevProps.spots !== this.props.spots) {
+            this.markSpotsOnMap(this.state.map);
+        }
         if (this.props.mapRequiresRefocus) {
             this.fitMapToSpots(this.props.spots, this.state.map);
             this.props.mapHasBeenRefocused();
         }
-    }
-
-    /*
-     * Updates that need to be performed often for the map
-     */
-    updateMapFast() {
-        this.setCurrentHoverMarker();
+        if (prevProps.currentHover !== this.props.currentHover || prevState.markers !== this.state.markers) {
+            this.setCurrentHoverMarker();
+        }
     }
 
     /*
@@ -151,15 +139,6 @@ export default class SweetSpotsMap extends React.Component {
         });
     }
 
-    /*
-     * React methods that are called when this component unmounts
-     */
-    componentWillUnmount() {
-        clearInterval(this.updateMapTimerID);
-        clearInterval(this.updateMapFastTimerID);
-    }
-
-
     /*
      * Fit the bounds of a map to accomodate a list of spots
      *
@@ -197,13 +176,25 @@ export default class SweetSpotsMap extends React.Component {
 
     /*
      * Update the markers on the map to reflect the current state of Spots
+     * Markers of spots that are gone or have changed are removed, and markers are added for new or changed spots
      */
     markSpotsOnMap(map){
         var that = this;
-        var markerTitles = this.state.markers.map((e) => {return e.getTitle()});
+        var signatures = {};
+        this.props.spots.forEach(function(spot) {
+            signatures[spot._id] = that.markerSignature(spot);
+        });
+        var keptMarkers = this.state.markers.filter(function(m) {
+            if (signatures[m.spotId] !== m.signature) {
+                m.setMap(null);
+                return false;
+            }
+            return true;
+        });
+        var markedSpotIds = keptMarkers.map((e) => {return e.spotId});
         var newMarkers = [];
         this.props.spots.forEach(function(spot) {
-            if (markerTitles.indexOf(spot.title) == -1) {
+            if (markedSpotIds.indexOf(spot._id) == -1) {
                 // Info windows for markers
                 var infoWindow = new google.maps.InfoWindow({
                     content: '<h3 className="mapInfoWindow">'+spot.title+'</h3><hr/>'+
@@ -215,6 +206,8 @@ export default class SweetSpotsMap extends React.Component {
                     map: map,
                     title: spot.title
                 });
+                marker.spotId = spot._id;
+                marker.signature = that.markerSignature(spot);
 
                 marker.addListener('click', function() {
                     var spotId = spot._id;
@@ -232,7 +225,7 @@ export default class SweetSpotsMap extends React.Component {
             }
         });
 
-        this.setState({markers: this.state.markers.concat(newMarkers)});
+        this.setState({markers: keptMarkers.concat(newMarkers)});
     }
 
     render(){
@@ -0,0 +1,35 @@
+// @author: Maryam Archie
+
+import React from 'react';
+import Services from '../../services/index.js'
+import {Button} from 'react-bootstrap';
+
+/*
+ * Reminds a user who has not verified their email to do so, and lets them ask for a new verification link
+ */
+export default class VerifyEmailButton extends React.Component {
+    constructor(props){
+        super(props);
+        this.state = {
+          sent: false,
+          errorText: ''
+        };
+    }
+
+    // Asks the server to email a new verification link
+    resend() {
+      Services.user.resendVerification().then(() => {
+        this.setState({sent: true, errorText: ''});
+      }).catch((err) => { this.setState({errorText: err.error.err}); });
+    }
+
+    render(){
+      if (this.state.sent) {
+        return <Button bsStyle="success" id="verify-email-button" disabled>Verification email sent!</Button>;
+      }
+      return (
+        <Button bsStyle="warning" id="verify-email-button" title={this.state.errorText || 'You need to verify your email before posting'}
+            onClick={() => this.resend()}>Resend verification email</Button>
+      );
+    }
+};
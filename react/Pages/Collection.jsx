@@ -0,0 +1,64 @@
+// @author: Maryam Archie
+
+import { Component } from 'react';
+import React from 'react';
+import Services from "../../services/index.js";
+import {Grid, Row, Col, Label} from 'react-bootstrap';
+import NavBarWithoutSearch from "../Elements/NavBarWithoutSearch.jsx";
+
+/*
+ * The page that a collection is shared with
+ * Anyone can see a public collection, while a private one can only be seen by its owner
+ */
+export default class Collection extends Component {
+    constructor(props){
+        super(props);
+        this.state = {
+          collection: { name: '', spots: [] },
+          owner: null,
+          errorText: ''
+        };
+    }
+
+    componentDidMount() {
+      Services.collection.getCollection(this.props.collectionId).then((resp) => {
+        var collection = resp.content.collection;
+        this.setState({collection: collection});
+        Services.user.getUser(collection.owner).then((resp) => {
+          this.setState({owner: resp.content.user});
+        });
+      }).catch((err) => {
+        this.setState({errorText: err.error && err.error.err ? err.error.err : 'Something went wrong... Please try again.'});
+      });
+    }
+
+    render() {
+      var collection = this.state.collection;
+      var owner = this.state.owner;
+      return (
+        <div>
+          <NavBarWithoutSearch />
+          <Grid>
+            <Row>
+              <Col sm={12} md={8} mdOffset={2}>
+                {this.state.errorText.length > 0 ?
+                  <div className='alert alert-danger'> Error: {this.state.errorText}<br /></div>
+                  :
+                  <div>
+                    <h1>{collection.name} {collection._id && !collection.isPublic && <Label>Private</Label>}</h1>
+                    {owner && <h4>A collection by <a href={'/profile/' + owner._id}>{owner.username}</a></h4>}
+                    {collection._id && collection.spots.length === 0 && <p>There are no spots in this collection yet.</p>}
+                    {collection.spots.map((spot) => (
+                      <div key={spot._id}>
+                        <h3><a href={'/spots/' + spot._id + '/details'}>{spot.title}</a></h3>
+                        <p>Average rating: {spot.rating} out of 5</p>
+                      </div>
+                    ))}
+                  </div>}
+              </Col>
+            </Row>
+          </Grid>
+        </div>
+      );
+    }
+}
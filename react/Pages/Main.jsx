@@ -8,6 +8,12 @@ import NavBar from "../Elements/NavBar.jsx";
 import SearchResults from "../Elements/SearchResults.jsx";
 import SweetSpotsMap from "../Elements/SweetSpotsMap.jsx";
 import Services from "../../services/index.js";
+import { getFieldErrors } from "../../services/request.js";
+import {FormControl} from 'react-bootstrap';
+
+// The fields of each Spot that the map and the search results show
+const SPOT_SELECTION = {fields: 'title,location,rating,tag', populate: 'tag'};
+
 export default class Main extends Component {
   constructor(props){
     super(props);
@@ -19,30 +25,95 @@ export default class Main extends Component {
       listResults: [],
       mapRequiresRefocus: false,
       addSpotError: '',
+      addSpotFieldErrors: {},
       currentSearch: '',
       showLoginError:false,
-      currentHover:''
+      currentHover:'',
+      campuses: [],
+      campus: null
     };
   }
 
   componentDidMount() {
-    this.getAllSpots();
-    this.updateSpotsTimerID = setInterval(
-      () => this.updateSpots(),
-      5000
-    );
+    Services.campus.getCampuses().then((resp) => {
+      var campus = resp.content.campuses.find((c) => c.id == resp.content.campus);
+      this.setState({campuses: resp.content.campuses, campus: campus});
+      this.getAllSpots(campus.id);
+    });
+    // Keep the displayed spots up to date with the changes that everyone makes
+    this.spotEvents = Services.event.subscribe({
+      'spot-created': (data) => this.handleSpotChange(data.spot),
+      'spot-updated': (data) => this.handleSpotChange(data.spot),
+      'review-added': (data) => this.handleSpotChange(data.spot),
+      'spot-deleted': (data) => this.handleSpotDeleted(data.spotId),
+      'vote-changed': (data) => this.handleVoteChange(data.reviewId, data.score)
+    });
   }
 
   componentWillUnmount() {
-    clearInterval(this.updateSpotsTimerID);
+    this.spotEvents.close();
   }
 
-  //updates the displayed spots
-  updateSpots() {
-    if (!this.state.searchResultsView) {
-      this.getAllSpots();
-      this.setState({currentSearch:''});
-    }
+  /*
+   * Whether a spot belongs in the current view: every spot of the campus is shown on the home page,
+   * but only the spots with the searched tag are shown with search results
+   */
+  isSpotInView(spot) {
+    if (this.state.campus && spot.campus != this.state.campus.id) return false;
+    return !this.state.searchResultsView || spot.tag.label == this.state.currentSearch.toLowerCase();
+  }
+
+  /*
+   * Show the spots of another campus
+   */
+  changeCampus(campusId) {
+    var campus = this.state.campuses.find((c) => c.id == campusId);
+    this.setState({campus: campus, searchResultsView: false, addSpotView: true, addASpotFormView: false});
+    this.getAllSpots(campus.id);
+  }
+
+  /*
+   * Replace a displayed spot with its new version, or display it if it is new and belongs in the view
+   */
+  handleSpotChange(spot) {
+    this.setState((prevState) => {
+      var found = false;
+      var listResults = prevState.listResults.map((e) => {
+        if (e._id == spot._id) {
+          found = true;
+          return spot;
+        }
+        return e;
+      });
+      if (!found && this.isSpotInView(spot)) {
+        listResults.push(spot);
+      }
+      return {listResults: listResults};
+    });
+  }
+
+  /*
+   * Stop displaying a spot that was deleted
+   */
+  handleSpotDeleted(spotId) {
+    this.setState((prevState) => ({
+      listResults: prevState.listResults.filter((e) => e._id != spotId)
+    }));
+  }
+
+  /*
+   * Update the score of a review of a displayed spot
+   */
+  handleVoteChange(reviewId, score) {
+    this.setState((prevState) => ({
+      listResults: prevState.listResults.map((spot) => {
+        var reviewIds = spot.reviews.map((review) => review._id);
+        if (reviewIds.indexOf(reviewId) == -1) return spot;
+        return Object.assign({}, spot, {
+          reviews: spot.reviews.map((review) => review._id == reviewId ? Object.assign({}, review, {score: score}) : review)
+        });
+      })
+    }));
   }
 
   /*
@@ -73,14 +144,14 @@ export default class Main extends Component {
           longitude: addMarkerLatLng.lng},
         state.floor, state.category, state.reviewText, state.reviewStars).then((res) => {
           var spot = res.content.spot;
-          this.setState({addSpotError:''});
+          this.setState({addSpotError:'', addSpotFieldErrors:{}});
           window.location = '/spots/'+spot._id+'/details';
       }).catch((err) => {
               console.log(err);
               if (err.error.err) {
-                this.setState({addSpotError:err.error.err});
+                this.setState({addSpotError:err.error.err, addSpotFieldErrors:getFieldErrors(err)});
               } else {
-                this.setState({addSpotError:'Unknown error'});
+                this.setState({addSpotError:'Unknown error', addSpotFieldErrors:{}});
               }
             });
     }
@@ -90,63 +161,42 @@ export default class Main extends Component {
     var that = this;
     var refocus = (refocus === undefined) ? true: refocus; // Default refocus to true
     if (label.length == 0) return; //Don't allow empty searches
-    Services.spot.getSpotsByTag(label).then((resp) => {
-      var labelSpots = resp.content.spots;
-      if (minLatitude && maxLatitude && minLongitude && maxLongitude) {
-        Services.spot.getSpotsByLocation(JSON.stringify({
-          minLatitude: minLatitude,
-          maxLatitude: maxLatitude,
-          minLongitude: minLongitude,
-          maxLongitude: maxLongitude
-        })).then((resp) => {
-          var locationSpots = resp.content.spots;
-          // Get intersection between two
-          // var finalSpots = labelSpots.filter(function(e) {
-          //   return locationSpots.indexOf(e) > -1;
-          // });
-          if (!locationSpots) {
-            locationSpots = [];
-          }
-          var locationSpotIds = locationSpots.map((e) => {return e._id});
-          var finalSpots = labelSpots.filter((e) => {return locationSpotIds.indexOf(e._id) >-1});
-
-          // Then, update the state
-          that.setState({
-            listResults: (typeof finalSpots === 'undefined') ? [] : finalSpots,
-            addSpotView:false,
-            addASpotFormView:false,
-            searchResultsView:true,
-            mapRequiresRefocus:refocus,
-            currentSearch: label
-          });
-        })
-          .catch((err) => {
-            that.setState({
-              listResults: [],
-              addSpotView:false,
-              addASpotFormView:false,
-              searchResultsView:true,
-              mapRequiresRefocus:refocus,
-              currentSearch: label
-            });
-          });
-      } else {
-        that.setState({
-          listResults: (typeof labelSpots === 'undefined')? [] : labelSpots,
-          addSpotView:false,
-          addASpotFormView:false,
-          searchResultsView:true,
-          mapRequiresRefocus:refocus,
-          currentSearch: label
-        });
-      }
+    var query = Object.assign({label: label, sort: 'rating', limit: 50}, SPOT_SELECTION);
+    if (this.state.campus) {
+      query.campus = this.state.campus.id;
+    }
+    if (minLatitude && maxLatitude && minLongitude && maxLongitude) {
+      query.minLat = minLatitude;
+      query.maxLat = maxLatitude;
+      query.minLng = minLongitude;
+      query.maxLng = maxLongitude;
+    }
+    Services.spot.searchAllSpots(query).then((resp) => {
+      var finalSpots = resp.content.spots;
+      that.setState({
+        listResults: (typeof finalSpots === 'undefined') ? [] : finalSpots,
+        addSpotView:false,
+        addASpotFormView:false,
+        searchResultsView:true,
+        mapRequiresRefocus:refocus,
+        currentSearch: label
+      });
+    }).catch((err) => {
+      that.setState({
+        listResults: [],
+        addSpotView:false,
+        addASpotFormView:false,
+        searchResultsView:true,
+        mapRequiresRefocus:refocus,
+        currentSearch: label
+      });
     });
   }
 
-  //Simply returns all of the spots. Used when at home page
-  getAllSpots() {
+  //Simply returns all of the spots of a campus. Used when at home page
+  getAllSpots(campusId) {
     var that = this;
-    return Services.spot.getAllSpots().then((resp) => {
+    return Services.spot.getAllSpots(campusId, SPOT_SELECTION).then((resp) => {
       that.setState({
         listResults: resp.content.spots
       });
@@ -183,15 +233,20 @@ export default class Main extends Component {
       <div onMouseMove={this.mouseMove}>
         <NavBar executeSearch={this.executeSearch.bind(this)} addASpotFormView={addASpotForm}/>
         <div id="left-main-div">
+          {this.state.campuses.length > 1 ?
+              (<FormControl componentClass="select" id="campus-select" value={this.state.campus ? this.state.campus.id : ''}
+                  onChange={(e) => this.changeCampus(e.target.value)}>
+                {this.state.campuses.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </FormControl>) : null}
           {addASpot ?
               (<AddASpot onMouseDown = {this.mouseDown}/>) : null}
               {addASpotForm ?
-                  (<AddASpotForm onClick={this.addSpot.bind(this)} error={this.state.addSpotError}/>) : null }
+                  (<AddASpotForm onClick={this.addSpot.bind(this)} error={this.state.addSpotError} fieldErrors={this.state.addSpotFieldErrors}/>) : null }
                   {searchResults ?
                       (<SearchResults spots={this.state.listResults} handleListResultsChange={this.handleListResultsChange.bind(this)} setHover={this.setCurrentHover.bind(this)}/>) : null}
                     </div>
                     <div id="map-div">
-                      <SweetSpotsMap  spots={this.state.listResults} addSpotAllowed={addASpot} changeToAddSpotForm={this.changeToAddSpotForm.bind(this)} handleAddMarkerChange={this.handleAddMarkerChange.bind(this)} mapRequiresRefocus={this.state.mapRequiresRefocus} mapHasBeenRefocused={this.mapHasBeenRefocused.bind(this)} allowExecuteSearch={searchResults} executeSearch={this.executeSearch.bind(this)} currentSearch={this.state.currentSearch} currentHover={this.state.currentHover}/>
+                      <SweetSpotsMap  spots={this.state.listResults} addSpotAllowed={addASpot} changeToAddSpotForm={this.changeToAddSpotForm.bind(this)} handleAddMarkerChange={this.handleAddMarkerChange.bind(this)} mapRequiresRefocus={this.state.mapRequiresRefocus} mapHasBeenRefocused={this.mapHasBeenRefocused.bind(this)} allowExecuteSearch={searchResults} executeSearch={this.executeSearch.bind(this)} currentSearch={this.state.currentSearch} currentHover={this.state.currentHover} campus={this.state.campus}/>
                     </div>
                   </div>
     )
@@ -5,6 +5,8 @@ import React from 'react';
 import Services from "../../services/index.js";
 import {OverlayTrigger, Button, Grid, Row, Col, Clearfix, Popover} from 'react-bootstrap';
 import NavBarWithoutSearch from "../Elements/NavBarWithoutSearch.jsx";
+import AccountSettings from "../Elements/AccountSettings.jsx";
+import FavoriteSpots from "../Elements/FavoriteSpots.jsx";
 
 export default class Profile extends Component {
     constructor(props){
@@ -14,10 +16,34 @@ export default class Profile extends Component {
           reviews: [],
           reviewToSpot: [],
           user: { rep: 0, favorites: [] },
+          isOwner: false,
         }
     }
     componentDidMount() {
       this.updateProfileDetails();
+      // Only the owner of the profile can change their account
+      Services.user.getCurrentUser().then((resp) => {
+        var currentUser = resp.content.userObject;
+        this.setState({isOwner: Boolean(currentUser) && currentUser._id == this.props.userId});
+      });
+    }
+
+    /*
+     * Shows the changes that the owner made to their account
+     */
+    handleAccountChange(user) {
+      this.setState((prevState) => ({
+        user: Object.assign({}, prevState.user, {username: user.username, email: user.email})
+      }));
+    }
+
+    /*
+     * Shows the favorites of the owner after they reordered or removed some
+     */
+    handleFavoritesChange(favorites) {
+      this.setState((prevState) => ({
+        user: Object.assign({}, prevState.user, {favorites: favorites})
+      }));
     }
 
     /*
@@ -25,18 +51,18 @@ export default class Profile extends Component {
      */
     updateProfileDetails() {
       var that = this;
-      var spots = Services.spot.getSpotsByUser(that.props.userId).then((resp) => {
+      var spots = Services.spot.getSpotsByUser(that.props.userId, {fields: 'title,rating,reviews'}).then((resp) => {
         that.setState({
           spots: resp.content.spots,
         });
       });
-      var reviews = Services.review.getReviewsByUser(that.props.userId).then((resp) => {
+      var reviews = Services.review.getReviewsByUser(that.props.userId, {fields: 'description,rating,score'}).then((resp) => {
         that.setState({
           reviews: resp.content.reviews,
         });
         var reviewToSpot = {};
         that.state.reviews.forEach((review) => {
-          Services.spot.getSpotByReview(review._id).then((resp) => {
+          Services.spot.getSpotByReview(review._id, {fields: 'title'}).then((resp) => {
             reviewToSpot[review._id] = resp.content.spot;
             this.setState({
               reviewToSpot: reviewToSpot,
@@ -106,16 +132,16 @@ export default class Profile extends Component {
                 </Col>
                 <Col sm={8} md={4}>
                   <h3>Favorite Spots</h3>
-                  <div id="favorite-spots">
-                    {(favorites.length === 0) ? ("You have no favorites") : ("")}
-                    {favorites.map((spot) => (
-                      <div>
-                        <h4><a href={'/spots/'+spot._id+'/details'}>{spot.title}</a></h4>
-                      </div>
-                    ))}
-                  </div>
+                  <FavoriteSpots userId={this.props.userId} isOwner={this.state.isOwner} favorites={favorites}
+                    onFavoritesChange={this.handleFavoritesChange.bind(this)} />
                 </Col>
               </Row>
+              {this.state.isOwner && this.state.user.username ? (
+                <Row>
+                  <Col sm={12} md={6}>
+                    <AccountSettings user={this.state.user} onChange={this.handleAccountChange.bind(this)} />
+                  </Col>
+                </Row>) : null}
             </Grid>
           </div>
         )
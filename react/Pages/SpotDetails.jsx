@@ -5,22 +5,44 @@ import React from 'react';
 import { render } from 'react-dom';
 import Services from "../../services/index.js";
 import NavBarWithoutSearch from "../Elements/NavBarWithoutSearch.jsx";
-import {Button, ButtonToolbar, Row, Grid} from 'react-bootstrap';
+import {Button, ButtonToolbar, Row, Grid, FormGroup, ControlLabel, FormControl, HelpBlock} from 'react-bootstrap';
+import { getFieldErrors } from "../../services/request.js";
 
 export default class SpotDetails extends Component {
     constructor(props) {
         super(props);
         this.state = {
-            spot: { reviews: [], location: {latitude: 0, longitude: 0}, reports:[] },
+            spot: { reviews: [], location: {latitude: 0, longitude: 0}, reports:[], photos: [] },
             reviewText: "",
             reviewStars: 5,
             userFavoriteSpots: [],
+            userCollections: [],
+            collectionText: '',
             userId: '',
+            userRole: 'user',
             staticImgUrl:'',
-            errorText:''
+            errorText:'',
+            reviewFieldErrors: {},
+            editing: false,
+            editTitle: '',
+            editFloor: '',
+            editLabel: '',
+            editLocation: {latitude: 0, longitude: 0},
+            editErrorText: '',
+            editingReviewId: '',
+            editReviewText: '',
+            editReviewStars: 5,
+            editReviewErrorText: '',
+            editReviewFieldErrors: {},
+            photoErrorText: '',
+            reportingId: '',
+            reportReason: 'duplicate',
+            reportComment: '',
+            reportErrorText: ''
         };
         this.handleClickRating = this.handleClickRating.bind(this);
         this.handleChangeReview = this.handleChangeReview.bind(this);
+        this.initEditMap = this.initEditMap.bind(this);
     }
 
     componentDidMount() {
@@ -28,8 +50,11 @@ export default class SpotDetails extends Component {
         Services.user.getCurrentUser().then((resp) => {
             if (resp.content.loggedIn) {
                 var userId = resp.content.userObject._id;
-                that.setState({ userId: userId });
+                that.setState({ userId: userId, userRole: resp.content.userObject.role });
                 this.updateUserFavorites(that.state.userId);
+                Services.user.getUserCollections(userId).then((resp) => {
+                    that.setState({ userCollections: resp.content.collections });
+                });
             }
         });
         this.updateSpotDetails();
@@ -76,10 +101,133 @@ export default class SpotDetails extends Component {
     submitReview() {
         var that = this;
         Services.spot.createReviewForSpot(this.props.spotId, this.state.reviewText, this.state.reviewStars)
+            .then((res) => {
+                that.setState({errorText: '', reviewFieldErrors: {}});
+                that.updateSpotDetails();
+            })
+            .catch((err) => { that.setState({errorText: err.error.err, reviewFieldErrors: getFieldErrors(err)}); });
+    }
+
+    /*
+     * Start editing one of the current user's reviews
+     * @param {Review} review - the review to edit
+     */
+    startEditingReview(review) {
+        this.setState({
+            editingReviewId: review._id,
+            editReviewText: review.description,
+            editReviewStars: review.rating,
+            editReviewErrorText: '',
+            editReviewFieldErrors: {}
+        });
+    }
+
+    /*
+     * Sends the edited review to the server
+     */
+    saveReview() {
+        var that = this;
+        Services.review.updateReview(this.state.editingReviewId, this.state.editReviewText, this.state.editReviewStars)
+            .then((res) => {
+                that.setState({editingReviewId: ''});
+                that.updateSpotDetails();
+            })
+            .catch((err) => { that.setState({editReviewErrorText: err.error.err, editReviewFieldErrors: getFieldErrors(err)}); });
+    }
+
+    /*
+     * Deletes one of the current user's reviews
+     * @param {ObjectId} reviewId - the id of the review
+     */
+    deleteReview(reviewId) {
+        var that = this;
+        Services.review.deleteReview(reviewId)
             .then((res) => {that.updateSpotDetails();})
             .catch((err) => { that.setState({errorText: err.error.err}); });
     }
 
+    /*
+     * Uploads a photo of the spot, or of one of the current user's reviews
+     * @param {File} photo - the photo chosen by the user
+     * @param {ObjectId} reviewId - the id of the review, undefined for a photo of the spot itself
+     */
+    uploadPhoto(photo, reviewId) {
+        var that = this;
+        if (!photo) return;
+        var upload = reviewId ? Services.photo.uploadReviewPhoto(reviewId, photo) : Services.photo.uploadSpotPhoto(this.props.spotId, photo);
+        upload.then((res) => {
+            that.setState({photoErrorText: ''});
+            that.updateSpotDetails();
+        }).catch((err) => { that.setState({photoErrorText: err.error.err}); });
+    }
+
+    /*
+     * Deletes a photo uploaded by the current user
+     * @param {ObjectId} photoId - the id of the photo
+     */
+    deletePhoto(photoId) {
+        var that = this;
+        Services.photo.deletePhoto(this.props.spotId, photoId)
+            .then((res) => {that.updateSpotDetails();})
+            .catch((err) => { that.setState({photoErrorText: err.error.err}); });
+    }
+
+    /*
+     * Enter edit mode, starting from the spot's current details
+     */
+    startEditing() {
+        var spot = this.state.spot;
+        this.setState({
+            editing: true,
+            editTitle: spot.title,
+            editFloor: spot.floor,
+            editLabel: spot.tag ? spot.tag.label : '',
+            editLocation: {latitude: spot.location.latitude, longitude: spot.location.longitude},
+            editErrorText: ''
+        });
+    }
+
+    /*
+     * Draws the map used in edit mode, with a marker that can be dragged to relocate the spot
+     * @param {Element} mapDiv - the element to draw the map in, null when it is removed
+     */
+    initEditMap(mapDiv) {
+        var that = this;
+        if (!mapDiv) {
+            this.editMap = null;
+            return;
+        }
+        var position = {lat: this.state.editLocation.latitude, lng: this.state.editLocation.longitude};
+        this.editMap = new google.maps.Map(mapDiv, {center: position, zoom: 18});
+        var marker = new google.maps.Marker({
+            position: position,
+            map: this.editMap,
+            draggable: true,
+            icon: '/images/blue_marker.png'
+        });
+        marker.addListener('dragend', function() {
+            that.setState({
+                editLocation: {latitude: marker.getPosition().lat(), longitude: marker.getPosition().lng()}
+            });
+        });
+    }
+
+    /*
+     * Sends the edited details of the spot to the server
+     */
+    saveEdits() {
+        var that = this;
+        Services.spot.updateSpot(this.props.spotId, {
+            title: this.state.editTitle,
+            floor: this.state.editFloor,
+            label: this.state.editLabel,
+            location: this.state.editLocation
+        }).then((resp) => {
+            that.setState({editing: false, editErrorText: ''});
+            that.updateSpotDetails();
+        }).catch((err) => { that.setState({editErrorText: err.error.err}); });
+    }
+
     /*
      * Add a spot to the current user's favorites
      * @param {String} spotId - the id of the Spot of interest
@@ -91,12 +239,62 @@ export default class SpotDetails extends Component {
     }
 
     /*
-     * Reports the spot
+     * Take a spot out of the current user's favorites
+     * @param {String} spotId - the id of the Spot of interest
      */
-    reportSpot() {
-        Services.spot.reportSpot(this.props.spotId).then((resp) => {
-            this.updateSpotDetails();
-        }).catch((err) => { console.log(err); });
+    unfavoriteSpot(spotId) {
+        Services.spot.unfavoriteSpot(spotId).then((resp) => {
+            this.updateUserFavorites();
+        });
+    }
+
+    /*
+     * Add the spot to one of the current user's collections
+     * @param {String} collectionId - the id of the collection, empty if none was chosen
+     */
+    addToCollection(collectionId) {
+        var that = this;
+        if (!collectionId) return;
+        Services.collection.addSpot(collectionId, this.props.spotId).then((resp) => {
+            var collection = resp.content.collection;
+            that.setState({
+                userCollections: that.state.userCollections.map((c) => c._id === collection._id ? collection : c),
+                collectionText: 'Added to ' + collection.name + '.'
+            });
+        }).catch((err) => { that.setState({collectionText: err.error.err}); });
+    }
+
+    /*
+     * Start reporting the spot or one of its reviews
+     * @param {ObjectId} reportingId - the id of the spot or review
+     */
+    startReporting(reportingId) {
+        this.setState({
+            reportingId: reportingId,
+            reportReason: 'duplicate',
+            reportComment: '',
+            reportErrorText: ''
+        });
+    }
+
+    /*
+     * Sends the report of the spot or review being reported to the server
+     */
+    sendReport() {
+        var that = this;
+        var reportingId = this.state.reportingId;
+        var report = reportingId == this.props.spotId ?
+            Services.spot.reportSpot(reportingId, this.state.reportReason, this.state.reportComment) :
+            Services.review.reportReview(reportingId, this.state.reportReason, this.state.reportComment);
+        report.then((resp) => {
+            that.setState({reportingId: ''});
+            // A spot that is hidden by the report can no longer be seen
+            if (resp.content.hidden && reportingId == that.props.spotId) {
+                window.location = '/';
+            } else {
+                that.updateSpotDetails();
+            }
+        }).catch((err) => { that.setState({reportErrorText: err.error.err}); });
     }
 
     /*
@@ -110,14 +308,29 @@ export default class SpotDetails extends Component {
         });
     }
 
+    /*
+     * Withdraw the current user's vote on a review
+     * @param {ObjectId} reviewId - the id of a given review
+     */
+    retractVote(reviewId) {
+        Services.review.retractVote(reviewId).then((resp) => {
+            this.updateSpotDetails();
+        });
+    }
+
     render() {
         var spot = this.state.spot;
         var that = this;
         var favSpotsIds = this.state.userFavoriteSpots.map((e) => { return e._id });
         var disabled = this.state.userId.length==0;
-        var reporters = spot.reports.length > 0 ? spot.reports.map((e) => {return e.reporter}) : [];
-        var reportDisabled = reporters.length > 0 && reporters.indexOf(that.state.userId) > -1;
+        // Spots and reviews can only be reported once by each user
+        function hasReported(item) {
+            return (item.reports || []).some((report) => report.reporter == that.state.userId);
+        }
+        var isCreator = !disabled && spot.creator == this.state.userId;
+        var isModerator = !disabled && (this.state.userRole == 'moderator' || this.state.userRole == 'admin');
 
+        // Creators can delete their spots for a day, and moderators can delete any spot
         function DeleteSpotButton(props) {
             var createDate = new Date(props.timestamp);
             var now = new Date();
@@ -125,29 +338,132 @@ export default class SpotDetails extends Component {
                 Services.spot.deleteSpot(id).then(() => {window.location='/'});
             }
             var elapsed = (now - createDate)/(1000*60*60*24); // convert ms to days
-            if (elapsed > 1) return null;
+            if (!isModerator && (!isCreator || elapsed > 1)) return null;
             return <Button bsStyle='danger' name='delete-spot' onClick={() => deleteService(props.spotId)}>Delete Spot</Button>
         }
 
+        // Clicking the button of the current vote withdraws it
         function Upvote(props) {
             if (props.disabled || (props.creatorId == that.state.userId)) return null;
-            return <Button bsStyle="info" bsSize="small" name='upvote-review' onClick={() => that.upvoteReview(props.reviewId, true)}>Upvote</Button>
+            var voted = props.vote === 1;
+            return <Button bsStyle="info" bsSize="small" name='upvote-review' active={voted}
+                onClick={() => voted ? that.retractVote(props.reviewId) : that.upvoteReview(props.reviewId, true)}>{voted ? 'Upvoted' : 'Upvote'}</Button>
         }
         function Downvote(props){
             if (props.disabled || (props.creatorId == that.state.userId)) return null;
-            return <Button bsStyle="warning" bsSize="small" name='downvote-review' onClick={() => that.upvoteReview(props.reviewId, false)}>Downvote</Button>
+            var voted = props.vote === -1;
+            return <Button bsStyle="warning" bsSize="small" name='downvote-review' active={voted}
+                onClick={() => voted ? that.retractVote(props.reviewId) : that.upvoteReview(props.reviewId, false)}>{voted ? 'Downvoted' : 'Downvote'}</Button>
+        }
+        function OwnReviewControls(props) {
+            if (props.disabled) return null;
+            if (props.review.creator._id != that.state.userId) {
+                if (!isModerator) return null;
+                return <Button bsStyle="danger" bsSize="small" name='delete-review' onClick={() => that.deleteReview(props.review._id)}>Delete</Button>
+            }
+            return (
+                <ButtonToolbar>
+                    <Button bsSize="small" name='edit-review' onClick={() => that.startEditingReview(props.review)}>Edit</Button>
+                    <Button bsStyle="danger" bsSize="small" name='delete-review' onClick={() => that.deleteReview(props.review._id)}>Delete</Button>
+                    <PhotoInput reviewId={props.review._id} />
+                </ButtonToolbar>
+            );
+        }
+        function ReportButton(props) {
+            if (disabled || hasReported(props.item) || that.state.reportingId == props.item._id) return null;
+            return <Button bsStyle="danger" bsSize={props.bsSize} name={props.name} onClick={() => that.startReporting(props.item._id)}>Report</Button>
+        }
+        // The form is only shown for the spot or review being reported
+        // It is called rather than used as a component, so that typing in it does not recreate it
+        function reportForm(itemId) {
+            if (that.state.reportingId != itemId) return null;
+            return (
+                <div>
+                    <FormGroup>
+                        <ControlLabel>Reason</ControlLabel>
+                        <FormControl componentClass="select" value={that.state.reportReason} onChange={(event) => that.setState({reportReason: event.target.value})}>
+                            <option value="duplicate">Duplicate</option>
+                            <option value="wrong-location">Wrong location</option>
+                            <option value="closed">Closed</option>
+                            <option value="offensive">Offensive</option>
+                            <option value="spam">Spam</option>
+                        </FormControl>
+                    </FormGroup>
+                    <FormGroup>
+                        <ControlLabel>Comment (optional)</ControlLabel>
+                        <FormControl componentClass="textarea" value={that.state.reportComment} onChange={(event) => that.setState({reportComment: event.target.value})} />
+                    </FormGroup>
+                    <ButtonToolbar>
+                        <Button bsStyle="danger" bsSize="small" name='send-report' onClick={() => that.sendReport()}>Send Report</Button>
+                        <Button bsSize="small" name='cancel-report' onClick={() => that.setState({reportingId: ''})}>Cancel</Button>
+                    </ButtonToolbar>
+                    {that.state.reportErrorText.length > 0 &&
+                            <div className='alert alert-danger'> Error: {that.state.reportErrorText}<br /></div>
+                    }
+                </div>
+            );
+        }
+        // Choosing a file uploads it right away
+        function PhotoInput(props) {
+            return (
+                <label className="btn btn-default btn-sm">
+                    Add Photo
+                    <input type="file" accept="image/jpeg,image/png" style={{display: 'none'}}
+                        onChange={(event) => that.uploadPhoto(event.target.files[0], props.reviewId)} />
+                </label>
+            );
+        }
+        // Thumbnails link to the full photo, and the uploader of a photo can delete it
+        function Gallery(props) {
+            if (props.photos.length == 0) return null;
+            return (
+                <div className="photo-gallery">
+                    {props.photos.map((photo) => (
+                        <div className="photo-thumbnail" key={photo._id}>
+                            <a href={photo.url} target="_blank"><img src={photo.thumbnailUrl} alt={"photo of " + spot.title}></img></a>
+                            {!disabled && photo.uploader == that.state.userId &&
+                                    <Button bsStyle="danger" bsSize="xsmall" name='delete-photo' onClick={() => that.deletePhoto(photo._id)}>Delete</Button>
+                            }
+                        </div>
+                    ))}
+                </div>
+            );
         }
         var reviews =
-            spot.reviews.map((review) => (
+            spot.reviews.map((review) => (review._id == this.state.editingReviewId ?
+                <div>
+                    <FormGroup validationState={this.state.editReviewFieldErrors.rating ? 'error' : null}>
+                        <ControlLabel>Rating</ControlLabel>
+                        <FormControl componentClass="select" value={this.state.editReviewStars} onChange={(event) => this.setState({editReviewStars: parseInt(event.target.value)})}>
+                            {[5, 4, 3, 2, 1, 0].map((stars) => (<option value={stars}>{stars}</option>))}
+                        </FormControl>
+                    </FormGroup>
+                    <FormGroup validationState={this.state.editReviewFieldErrors.description ? 'error' : null}>
+                        <FormControl componentClass="textarea" value={this.state.editReviewText} onChange={(event) => this.setState({editReviewText: event.target.value})} />
+                    </FormGroup>
+                    <ButtonToolbar>
+                        <Button bsStyle="primary" bsSize="small" name='save-review' onClick={() => this.saveReview()}>Save</Button>
+                        <Button bsSize="small" name='cancel-edit-review' onClick={() => this.setState({editingReviewId: ''})}>Cancel</Button>
+                    </ButtonToolbar>
+                    {this.state.editReviewErrorText.length > 0 &&
+                            <div className='alert alert-danger'> Error: {this.state.editReviewErrorText}<br /></div>
+                    }
+                <hr />
+                </div>
+                :
                 <div>
                     Rating: {review.rating} out of 5<br />
                 <p>"{review.description}"</p>
+                <Gallery photos={(spot.photos || []).filter((photo) => photo.review == review._id)} />
                 By <a href={"/profile/"+review.creator._id}>{review.creator.username}</a> (Rep: {review.creator.rep}) <br />
                 Review Score: {review.score}<br />
                 <ButtonToolbar>
-                    <Upvote reviewId = {review._id} creatorId={review.creator._id} disabled={disabled}/>
-                    <Downvote reviewId = {review._id} creatorId={review.creator._id} disabled={disabled}/>
+                    <Upvote reviewId = {review._id} creatorId={review.creator._id} vote={review.userVote} disabled={disabled}/>
+                    <Downvote reviewId = {review._id} creatorId={review.creator._id} vote={review.userVote} disabled={disabled}/>
+                    {review.creator._id != this.state.userId && <ReportButton item={review} name='report-review' bsSize="small" />}
                 </ButtonToolbar>
+                {reportForm(review._id)}
+                <OwnReviewControls review={review} disabled={disabled}/>
                 <hr />
                 </div>
             ));
@@ -156,24 +472,77 @@ export default class SpotDetails extends Component {
                 <NavBarWithoutSearch />
                 <Grid>
                     <Row>
+                        {this.state.editing ?
+                        <div className="col-md-6">
+                            <h1>Edit {spot.title}</h1>
+                            <form>
+                                <FormGroup>
+                                    <ControlLabel>Name</ControlLabel>
+                                    <FormControl value={this.state.editTitle} onChange={(event) => this.setState({editTitle: event.target.value})} />
+                                </FormGroup>
+                                <FormGroup>
+                                    <ControlLabel>Category</ControlLabel>
+                                    <FormControl value={this.state.editLabel} onChange={(event) => this.setState({editLabel: event.target.value})} />
+                                </FormGroup>
+                                <FormGroup>
+                                    <ControlLabel>Floor</ControlLabel>
+                                    <FormControl value={this.state.editFloor} onChange={(event) => this.setState({editFloor: event.target.value})} />
+                                </FormGroup>
+                                <ControlLabel>Location (drag the pin to move the spot)</ControlLabel>
+                                <div id="edit-map" style={{height: '300px', width: '100%'}} ref={this.initEditMap}></div>
+                            </form>
+                            <br />
+                            <ButtonToolbar>
+                                <Button bsStyle="primary" name='save-spot' onClick={() => this.saveEdits()}>Save</Button>
+                                <Button name='cancel-edit-spot' onClick={() => this.setState({editing: false})}>Cancel</Button>
+                            </ButtonToolbar>
+                            {this.state.editErrorText.length > 0 &&
+                                    <div className='alert alert-danger'> Error: {this.state.editErrorText}<br /></div>
+                            }
+                        </div>
+                        :
                         <div className="col-md-6">
                             <h1>{spot.title}</h1>
                             <img src={this.state.staticImgUrl} alt="closeup map"></img>
                             <DeleteSpotButton timestamp={spot.timestamp} spotId={spot._id}/>
+                            {isCreator &&
+                                    <Button bsStyle="info" name='edit-spot' onClick={() => this.startEditing()}>Edit Spot</Button>
+                            }
                             <h5>Average Rating: {spot.rating} out of 5 </h5>
+                            {spot.tag && <h6>Category: {spot.tag.label}</h6>}
                             <ButtonToolbar>
                                 {(favSpotsIds.indexOf(spot._id) == -1  && !disabled)&&
                                         <Button bsStyle="success"name='favorite-spot' onClick={() => this.favoriteSpot(spot._id)}>Favorite</Button>
                                 }
-
-                                {!disabled && !reportDisabled && 
-                                        <Button bsStyle="danger" name='report-spot' onClick={() => this.reportSpot()}>Report</Button>
+                                {(favSpotsIds.indexOf(spot._id) > -1  && !disabled)&&
+                                        <Button name='unfavorite-spot' onClick={() => this.unfavoriteSpot(spot._id)}>Unfavorite</Button>
                                 }
+
+                                <ReportButton item={spot} name='report-spot' />
                             </ButtonToolbar>
+                            {reportForm(spot._id)}
+                            {(!disabled && this.state.userCollections.length > 0) &&
+                                    <FormGroup>
+                                        <FormControl componentClass="select" value="" name='add-to-collection' onChange={(event) => this.addToCollection(event.target.value)}>
+                                            <option value="">Add to a collection...</option>
+                                            {this.state.userCollections.map((collection) => (
+                                                <option key={collection._id} value={collection._id}>{collection.name}</option>
+                                            ))}
+                                        </FormControl>
+                                        {this.state.collectionText.length > 0 && <h6>{this.state.collectionText}</h6>}
+                                    </FormGroup>
+                            }
                             <h6>Location: Lat: {spot.location.latitude} Long: {spot.location.longitude}</h6>
+                            <h4>Photos:</h4>
+                            <Gallery photos={spot.photos || []} />
+                            {!disabled && <PhotoInput />}
+                            {this.state.photoErrorText.length > 0 &&
+                                    <div className='alert alert-danger'> Error: {this.state.photoErrorText}<br /></div>
+                            }
                             <br />
                             <h6>Created on {spot.timestamp}</h6>
                         </div>
+                        }
                         <div className="col-md-6">
                             <h2>Reviews: </h2>
                             <hr />
@@ -182,6 +551,7 @@ export default class SpotDetails extends Component {
                             {!disabled &&
                                     <div>
                                         <h4>Write a review:</h4>
+                                        <FormGroup validationState={this.state.reviewFieldErrors.rating ? 'error' : null}>
                                         <span className="rating">
                                             <input type="radio" className="rating-input"
                                                 id="rating-input-1-5" name="rating-input-1"
@@ -203,9 +573,14 @@ export default class SpotDetails extends Component {
                                                 id="rating-input-1-1" name="rating-input-1"
                                                 onClick={() => this.handleClickRating(1)}></input>
                                             <label htmlFor="rating-input-1-1" className="rating-star"></label>
-                                        </span> <br />
+                                        </span>
+                                        {this.state.reviewFieldErrors.rating && <HelpBlock>{this.state.reviewFieldErrors.rating}</HelpBlock>}
+                                        </FormGroup>
+                                        <FormGroup validationState={this.state.reviewFieldErrors.description ? 'error' : null}>
                                         <textarea rows="4" cols="40" onChange={this.handleChangeReview}>
-                                        </textarea> <br />
+                                        </textarea>
+                                        {this.state.reviewFieldErrors.description && <HelpBlock>{this.state.reviewFieldErrors.description}</HelpBlock>}
+                                        </FormGroup>
                                         <Button bsStyle="primary" type="button" id="submit-new-review" onClick={() => {
                                             this.submitReview();
                                         } }>Submit review</Button>
@@ -0,0 +1,61 @@
+// @author: Maryam Archie
+
+var express = require("express");
+var router = express.Router();
+var utils = require("../utils/utils");
+var Authorization = require("../utils/authorization");
+var Users = require("../models/Users").Users;
+var Validation = require("../utils/validation");
+var Schemas = require("../utils/schemas");
+
+const BAD_REQUEST = 400;
+const SERVER_ERROR = 500;
+
+/**
+ * Helper function that handles errors
+ * @param {Object} res - the response from the route
+ * @param {Object} err - err.http_status: known errors generated by model
+ *                       otherwise, unknown errors
+ */
+var routerErrorHandler = function (res, err) {
+    if (err.http_status) {
+        utils.sendErrorResponse(res, err.http_status, err.msg);
+    } else {
+        // Unknown Error
+        utils.sendErrorResponse(res, SERVER_ERROR, "Something went wrong... Please try again.");
+    }
+};
+
+// Only admins can use these routes
+router.all("*", Authorization.requireRole("admin"));
+
+/**
+ * Promotes or demotes a User by changing their role
+ * Admins cannot change their own role, so that there is always an admin left
+ * PUT /admin/users/:userId/role
+ * @param {Object} req - the request must contain the userId as a parameter
+ *                     - the request body must contain role (user, moderator or admin)
+ * @param {Object} res - success.user: the id, username and new role of the User
+ *                     - error: on error, an error message
+ */
+router.put("/users/:userId/role", Validation.validate({
+    params: { userId: Schemas.id("user") },
+    body: {
+        role: { type: "enum", required: true, values: Users.ROLES, message: "Roles must be one of: " + Users.ROLES.join(", ") + "." }
+    }
+}), function (req, res) {
+    var userId = req.params.userId;
+    if (String(req.currentUser._id) === userId) {
+        utils.sendErrorResponse(res, BAD_REQUEST, "You cannot change your own role.");
+    } else {
+        Users.setRole(userId, req.body.role, function (err, user) {
+            if (err) {
+                routerErrorHandler(res, err);
+            } else {
+                utils.sendSuccessResponse(res, { user: { _id: user._id, username: user.username, role: user.role } });
+            }
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// @author: Maryam Archie
+
+/**
+ * The JSON API, versioned under /api/v1, and its documentation
+ * Version 1 serves the same routes as the routers of each resource, so the two stay in step. The pages that
+ * share their prefixes with those routers, and GET /spots/byLocation/:location (which took its filter as JSON
+ * in the path), are left out of it and only kept at their old paths for older clients.
+ * Every route of version 1 and every error it can send is described by the OpenAPI 3 document in
+ * config/openapi.json, which is served at GET /api/v1/openapi.json and can be explored at GET /api/docs.
+ */
+
+var express = require("express");
+var router = express.Router();
+var swaggerUi = require("swagger-ui-dist");
+var utils = require("../utils/utils");
+var Csrf = require("../utils/csrf");
+var spec = require("../config/openapi.json");
+
+const NOT_FOUND = 404;
+
+// The routers of version 1, by the path that they are served under
+const RESOURCES = {
+    "/users": require("./users"),
+    "/spots": require("./spots"),
+    "/reviews": require("./reviews"),
+    "/tags": require("./tags"),
+    "/campuses": require("./campuses"),
+    "/collections": require("./collections"),
+    "/events": require("./events"),
+    "/moderation": require("./moderation"),
+    "/admin": require("./admin")
+};
+
+// The routes of those routers that are not part of version 1
+const EXCLUDED_ROUTES = [
+    "/spots/:spotId/details",
+    "/spots/byLocation/:location",
+    "/collections/:collectionId/details"
+];
+
+/**
+ * Sends a 404 for a route that is not part of the API
+ * @param {Object} req - the request
+ * @param {Object} res - error: the route that was not found
+ */
+var notFound = function (req, res) {
+    utils.sendErrorResponse(res, NOT_FOUND, "There is no " + req.method + " " + req.baseUrl + req.path + " in this API.");
+};
+
+var v1 = express.Router();
+
+/**
+ * Gets the OpenAPI 3 document that describes version 1 of the API
+ * GET /api/v1/openapi.json
+ * @param {Object} req - No request parameters necessary
+ * @param {Object} res - the document, as JSON
+ */
+v1.get("/openapi.json", function (req, res) {
+    res.json(spec);
+});
+
+v1.all(EXCLUDED_ROUTES, notFound);
+Object.keys(RESOURCES).forEach(function (resource) {
+    v1.use(resource, RESOURCES[resource]);
+});
+// Unknown routes get a JSON error rather than the page for a missing page
+v1.use(notFound);
+
+router.use("/v1", v1);
+
+// The explorer sends a token with its requests, like the other pages (see utils/csrf.js)
+router.get("/docs", Csrf.issueToken);
+
+/**
+ * Gets the page for exploring and trying out version 1 of the API
+ * GET /api/docs
+ * @param {Object} req - No request parameters necessary
+ * @param {Object} res - the page, which loads the document from GET /api/v1/openapi.json
+ */
+router.get("/docs", function (req, res) {
+    res.render("apiExplorer", { specUrl: req.baseUrl + "/v1/openapi.json" });
+});
+
+// The scripts and styles of the explorer
+router.use("/docs", express.static(swaggerUi.getAbsoluteFSPath()));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// @author: Maryam Archie
+
+var express = require("express");
+var router = express.Router();
+var utils = require("../utils/utils");
+var Campuses = require("../utils/campuses");
+
+/**
+ * Retrieves the campuses that the app is set up for, so that the map can start on the right one
+ * GET /campuses/
+ * @param {Object} req - No request parameters necessary
+ * @param {Object} res - success.campuses: list of all the campuses
+ *                     - success.campus: the id of the campus of the current User,
+ *                       or of the default campus if not signed in
+ */
+router.get("/", function (req, res) {
+    var campus = req.currentUser && req.currentUser.campus ? req.currentUser.campus : Campuses.getDefaultCampus().id;
+    utils.sendSuccessResponse(res, { campuses: Campuses.getCampuses(), campus: campus });
+});
+
+module.exports = router;
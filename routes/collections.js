@@ -0,0 +1,166 @@
+// @author: Maryam Archie
+
+var express = require("express");
+var router = express.Router();
+var utils = require("../utils/utils");
+var Authorization = require("../utils/authorization");
+var Collections = require("../models/Collections").Collections;
+var Validation = require("../utils/validation");
+var Schemas = require("../utils/schemas");
+
+const SERVER_ERROR = 500;
+
+// The params of the routes of a collection
+const COLLECTION_PARAMS = { collectionId: Schemas.id("collection") };
+const NAME = Schemas.name("Collection names must be between 1 and 30 characters long!");
+const IS_PUBLIC = { type: "boolean" };
+
+/**
+ * Helper function that handles errors
+ * @param {Object} res - the response from the route
+ * @param {Object} err - err.http_status: known errors generated by model
+ *                       otherwise, unknown errors
+ */
+var routerErrorHandler = function (res, err) {
+    if (err.http_status) {
+        utils.sendErrorResponse(res, err.http_status, err.msg);
+    } else {
+        // Unknown Error
+        utils.sendErrorResponse(res, SERVER_ERROR, "Something went wrong... Please try again.");
+    }
+};
+
+/**
+ * Helper function that sends a collection, or the error in getting it
+ * @param {Object} res - the response from the route
+ * @return {function} called with (err, collection)
+ */
+var sendCollection = function (res) {
+    return function (err, collection) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { collection: collection });
+        }
+    };
+};
+
+// Only signed in Users can make changes
+router.post("*", Authorization.requireAuthentication);
+router.put("*", Authorization.requireAuthentication);
+router.delete("*", Authorization.requireAuthentication);
+
+/**
+ * Creates a collection for the current User
+ * POST /collections
+ * @param {Object} req - the request body must contain name: between 1 and 30 characters
+ *                     - the request body may contain isPublic: true if anyone with a link can see the collection
+ * @param {Object} res - success.collection: the new collection
+ *                     - error: on error, an error message
+ */
+router.post("/", Validation.validate({
+    body: { name: Schemas.required(NAME), isPublic: IS_PUBLIC }
+}), function (req, res) {
+    Collections.createCollection(req.currentUser._id, req.body.name, req.body.isPublic, sendCollection(res));
+});
+
+/**
+ * Gets a collection with its Spots
+ * Private collections can only be seen by their owner
+ * GET /collections/:collectionId
+ * @param {Object} req - the request params must contain collectionId
+ * @param {Object} res - success.collection: the collection
+ *                     - error: on error, an error message
+ */
+router.get("/:collectionId", Validation.validate({ params: COLLECTION_PARAMS }), function (req, res) {
+    var currentUserId = req.currentUser ? req.currentUser._id : undefined;
+    Collections.getCollection(req.params.collectionId, currentUserId, sendCollection(res));
+});
+
+/**
+ * Gets the page of a collection, which is the link that collections are shared with
+ * GET /collections/:collectionId/details
+ * @param {Object} req - the request params must contain collectionId
+ * @param {Object} res - the page of the collection
+ */
+router.get("/:collectionId/details", function (req, res) {
+    res.render("collection", { collection_id: req.params.collectionId });
+});
+
+/**
+ * Renames a collection of the current User or changes who can see it
+ * PUT /collections/:collectionId
+ * @param {Object} req - the request params must contain collectionId
+ *                     - the request body may contain name and isPublic
+ * @param {Object} res - success.collection: the changed collection
+ *                     - error: on error, an error message
+ */
+router.put("/:collectionId", Validation.validate({
+    params: COLLECTION_PARAMS,
+    body: { name: NAME, isPublic: IS_PUBLIC }
+}), function (req, res) {
+    var changes = { name: req.body.name, isPublic: req.body.isPublic };
+    Collections.updateCollection(req.params.collectionId, req.currentUser._id, changes, sendCollection(res));
+});
+
+/**
+ * Deletes a collection of the current User
+ * DELETE /collections/:collectionId
+ * @param {Object} req - the request params must contain collectionId
+ * @param {Object} res - success: true if the collection was deleted
+ *                     - error: on error, an error message
+ */
+router.delete("/:collectionId", Validation.validate({ params: COLLECTION_PARAMS }), function (req, res) {
+    Collections.deleteCollection(req.params.collectionId, req.currentUser._id, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Adds a Spot to the end of a collection of the current User
+ * POST /collections/:collectionId/spots
+ * @param {Object} req - the request params must contain collectionId
+ *                     - the request body must contain spotId
+ * @param {Object} res - success.collection: the changed collection
+ *                     - error: on error, an error message
+ */
+router.post("/:collectionId/spots", Validation.validate({
+    params: COLLECTION_PARAMS,
+    body: { spotId: Schemas.id("spot") }
+}), function (req, res) {
+    Collections.addSpot(req.params.collectionId, req.currentUser._id, req.body.spotId, sendCollection(res));
+});
+
+/**
+ * Puts the Spots of a collection of the current User in a new order
+ * PUT /collections/:collectionId/spots
+ * @param {Object} req - the request params must contain collectionId
+ *                     - the request body must contain spots: the ids of every Spot in the collection, in the new order
+ * @param {Object} res - success.collection: the changed collection
+ *                     - error: on error, an error message
+ */
+router.put("/:collectionId/spots", Validation.validate({
+    params: COLLECTION_PARAMS,
+    body: { spots: { type: "array", required: true, items: Schemas.id("spot") } }
+}), function (req, res) {
+    Collections.reorderSpots(req.params.collectionId, req.currentUser._id, req.body.spots, sendCollection(res));
+});
+
+/**
+ * Takes a Spot out of a collection of the current User
+ * DELETE /collections/:collectionId/spots/:spotId
+ * @param {Object} req - the request params must contain collectionId and spotId
+ * @param {Object} res - success.collection: the changed collection
+ *                     - error: on error, an error message
+ */
+router.delete("/:collectionId/spots/:spotId", Validation.validate({
+    params: { collectionId: Schemas.id("collection"), spotId: Schemas.id("spot") }
+}), function (req, res) {
+    Collections.removeSpot(req.params.collectionId, req.currentUser._id, req.params.spotId, sendCollection(res));
+});
+
+module.exports = router;
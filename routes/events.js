@@ -0,0 +1,17 @@
+// @author: Maryam Archie
+
+var express = require("express");
+var router = express.Router();
+var SpotEvents = require("../utils/spotEvents");
+
+/**
+ * Subscribes to the changes made to Spots by all Users, as Server-Sent Events
+ * GET /events
+ * @param {Object} req - the request does not need to contain anything
+ * @param {Object} res - a text/event-stream that stays open, see utils/spotEvents.js for the events
+ */
+router.get("/", function (req, res) {
+    SpotEvents.subscribe(req, res);
+});
+
+module.exports = router;
@@ -3,7 +3,11 @@
 var express = require("express");
 var router = express.Router();
 var _ = require("lodash");
+var Csrf = require("../utils/csrf");
 
+// Middleware
+// The page sends a token with its form (see utils/csrf.js)
+router.get("/", Csrf.issueToken);
 
 /**
  * Gets the current user
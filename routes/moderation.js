@@ -0,0 +1,178 @@
+// @author: Maryam Archie
+
+var express = require("express");
+var router = express.Router();
+var utils = require("../utils/utils");
+var Authorization = require("../utils/authorization");
+var Spots = require("../models/Spots").Spots;
+var SpotEvents = require("../utils/spotEvents");
+var Validation = require("../utils/validation");
+var Schemas = require("../utils/schemas");
+
+const SERVER_ERROR = 500;
+
+// The params of the routes of a Spot or Review
+const SPOT_PARAMS = { spotId: Schemas.id("spot") };
+const REVIEW_PARAMS = { reviewId: Schemas.id("review") };
+
+/**
+ * Helper function that handles errors
+ * @param {Object} res - the response from the route
+ * @param {Object} err - err.http_status: known errors generated by model
+ *                       otherwise, unknown errors
+ */
+var routerErrorHandler = function (res, err) {
+    if (err.http_status) {
+        utils.sendErrorResponse(res, err.http_status, err.msg);
+    } else {
+        // Unknown Error
+        utils.sendErrorResponse(res, SERVER_ERROR, "Something went wrong... Please try again.");
+    }
+};
+
+// Only moderators can use these routes
+router.all("*", Authorization.requireRole("moderator"));
+
+/**
+ * Gets the Spots and Reviews that are hidden or have reports that no moderator has dealt with yet, a page of each at a time
+ * Hidden items come first
+ * GET /moderation?limit=&spotsAfter=&reviewsAfter=
+ * @param {Object} req - the request, made by a moderator
+ *                     - the request query may contain limit: the number of Spots and of Reviews in a page,
+ *                       spotsAfter and reviewsAfter: the cursors returned with the previous page of each
+ * @param {Object} res - success.spots: a page of the Spots in the queue, with their reports
+ *                     - success.reviews: a page of the Reviews in the queue, with their reports and the _id and title of their Spot
+ *                     - success.nextSpots, success.nextReviews: the cursors for the next pages, null if there are none
+ *                     - error: on error, an error message
+ */
+router.get("/", Validation.validate({
+    query: {
+        limit: Schemas.LIMIT,
+        spotsAfter: { type: "string", name: "cursor" },
+        reviewsAfter: { type: "string", name: "cursor" }
+    }
+}), function (req, res) {
+    var spotsPage = { limit: req.query.limit, after: req.query.spotsAfter };
+    var reviewsPage = { limit: req.query.limit, after: req.query.reviewsAfter };
+    Spots.getModerationQueue(spotsPage, reviewsPage, function (err, queue) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, queue);
+        }
+    });
+});
+
+/**
+ * Approves the reports of a Spot, removing the Spot for good
+ * POST /moderation/spots/:spotId/approve
+ * @param {Object} req - the request must contain the spotId as a parameter
+ * @param {Object} res - success: true if the Spot has been removed, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/spots/:spotId/approve", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
+    var spotId = req.params.spotId;
+    Spots.approveSpot(spotId, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+            SpotEvents.publish("spot-deleted", { spotId: spotId });
+        }
+    });
+});
+
+/**
+ * Shows a hidden Spot again and dismisses its reports
+ * POST /moderation/spots/:spotId/restore
+ * @param {Object} req - the request must contain the spotId as a parameter
+ * @param {Object} res - success: true if the Spot has been restored, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/spots/:spotId/restore", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
+    var spotId = req.params.spotId;
+    Spots.restoreSpot(spotId, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+            SpotEvents.publishSpot("spot-created", spotId);
+        }
+    });
+});
+
+/**
+ * Dismisses the reports of a Spot that is not hidden
+ * POST /moderation/spots/:spotId/dismiss
+ * @param {Object} req - the request must contain the spotId as a parameter
+ * @param {Object} res - success: true if the reports have been dismissed, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/spots/:spotId/dismiss", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
+    Spots.dismissSpotReports(req.params.spotId, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Approves the reports of a Review, removing the Review for good
+ * POST /moderation/reviews/:reviewId/approve
+ * @param {Object} req - the request must contain the reviewId as a parameter
+ * @param {Object} res - success: true if the Review has been removed, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/reviews/:reviewId/approve", Validation.validate({ params: REVIEW_PARAMS }), function (req, res) {
+    Spots.approveReview(req.params.reviewId, function (err, spot) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+            if (spot) {
+                SpotEvents.publishSpot("spot-updated", spot._id);
+            }
+        }
+    });
+});
+
+/**
+ * Shows a hidden Review again and dismisses its reports
+ * POST /moderation/reviews/:reviewId/restore
+ * @param {Object} req - the request must contain the reviewId as a parameter
+ * @param {Object} res - success: true if the Review has been restored, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/reviews/:reviewId/restore", Validation.validate({ params: REVIEW_PARAMS }), function (req, res) {
+    Spots.restoreReview(req.params.reviewId, function (err, spot) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+            if (spot) {
+                SpotEvents.publishSpot("spot-updated", spot._id);
+            }
+        }
+    });
+});
+
+/**
+ * Dismisses the reports of a Review that is not hidden
+ * POST /moderation/reviews/:reviewId/dismiss
+ * @param {Object} req - the request must contain the reviewId as a parameter
+ * @param {Object} res - success: true if the reports have been dismissed, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/reviews/:reviewId/dismiss", Validation.validate({ params: REVIEW_PARAMS }), function (req, res) {
+    Spots.dismissReviewReports(req.params.reviewId, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+module.exports = router;
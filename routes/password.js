@@ -0,0 +1,30 @@
+// @author: Maryam Archie
+
+var express = require("express");
+var router = express.Router();
+var Csrf = require("../utils/csrf");
+
+// Middleware
+// The pages send a token with their forms (see utils/csrf.js)
+router.get("*", Csrf.issueToken);
+
+/*
+ * The route to get the page for asking for a password reset link. This will render the page for the user.
+ * @param{Object} req - The request
+ * @param{Object} res - The response
+ */
+router.get("/forgot", function (req, res) {
+    res.render("forgotPassword");
+});
+
+/*
+ * The route to get the page for choosing a new password, which the password reset link points to.
+ * This will render the page for the user.
+ * @param{Object} req - The request, whose query should contain the token from the link
+ * @param{Object} res - The response
+ */
+router.get("/reset", function (req, res) {
+    res.render("resetPassword", { token: req.query.token || "" });
+});
+
+module.exports = router;
@@ -3,14 +3,22 @@
 var express = require("express");
 var router = express.Router();
 var _ = require("lodash");
+var Campuses = require("../utils/campuses");
+var Csrf = require("../utils/csrf");
+
+// Middleware
+// The page sends a token with its form (see utils/csrf.js)
+router.get("/", Csrf.issueToken);
 
 /*
- * The route to get the register page. This will render the page for the user.
+ * The route to get the register page. This will render the page for the user,
+ * along with the email domains of the campuses that Users can register with.
  * @param{Object} req - The request
  * @param{Object} res - The response
  */
 router.get("/", function (req, res) {
-    res.render("register", { fail: "" });
+    var domains = _.flatMap(Campuses.getCampuses(), "emailDomains");
+    res.render("register", { fail: "", domains: domains });
 });
 
 module.exports = router;
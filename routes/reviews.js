@@ -4,28 +4,21 @@ var express = require("express");
 var router = express.Router();
 var _ = require("lodash");
 var utils = require("../utils/utils");
+var Authorization = require("../utils/authorization");
 var Reviews = require("../models/Reviews").Reviews;
 var Spots = require("../models/Spots").Spots;
+var Users = require("../models/Users").Users;
+var SpotEvents = require("../utils/spotEvents");
+var Photos = require("../utils/photos");
+var RateLimiter = require("../utils/rateLimiter");
+var Validation = require("../utils/validation");
+var Schemas = require("../utils/schemas");
+var Pages = require("../utils/pages");
 
-const FORBIDDEN = 403;
 const SERVER_ERROR = 500;
 
-/**
- * Middleware that requires authentication on all access to the Spots/ Reviews/ Tags.
- * Users who have not logged in will receive a 403: Forbidden HTTP status code.
- * @param {Object} req - Must contain currentUser if signed in
- * @param {Object} res - error if not signed in, success otherwise
- * @param {function} next - callback function that calls the next piece of middleware
- */
-var requireAuthentication = function(req, res, next) {
-    if (!req.currentUser) {
-        // User is not logged in
-        utils.sendErrorResponse(res, FORBIDDEN, "To use this feature, please sign in or register.");
-    } else {
-        // User has access to feature
-        next();
-    }
-};
+// The params of the routes of a Review
+const REVIEW_PARAMS = { reviewId: Schemas.id("review") };
 
 /**
  * Helper function that handles errors
@@ -42,45 +35,190 @@ var routerErrorHandler = function(res, err) {
     }
 };
 
-// Register the middleware handlers above.
-router.post("*", requireAuthentication);
+// Only signed in Users can make changes
+router.post("*", Authorization.requireAuthentication);
+router.put("*", Authorization.requireAuthentication);
+router.delete("*", Authorization.requireAuthentication);
+// Only Users who have verified their email can vote, report, add photos and edit their reviews
+router.post("/:reviewId", Authorization.requireVerified);
+router.put("/:reviewId", Authorization.requireVerified);
+router.delete("/:reviewId/vote", Authorization.requireVerified);
+router.post("/:reviewId/report", Authorization.requireVerified);
+router.post("/:reviewId/photos", Authorization.requireVerified);
+// Users can only vote, report and add photos so much in an hour
+router.post("/:reviewId", RateLimiter.quota("vote"));
+router.delete("/:reviewId/vote", RateLimiter.quota("vote"));
+router.post("/:reviewId/report", RateLimiter.quota("report"));
+router.post("/:reviewId/photos", RateLimiter.quota("photo"));
 
 /**
  * Gets the Spot associated with a Reviews
- * GET /reviews/:reviewId/spot
+ * GET /reviews/:reviewId/spot?fields=&populate=
  * @param {Object} req - the request must contain the reviewId as a parameter
+ *                     - the request query may contain fields and populate (see utils/pages.js)
  * @param {Object} res - success.spot: the Spot of interest
  *                     - error: on error, an error message
  */
-router.get("/:reviewId/spot", function(req, res) {
+router.get("/:reviewId/spot", Validation.validate({
+    params: REVIEW_PARAMS,
+    query: Schemas.selection(Spots.FIELDS, Spots.POPULATE)
+}), function(req, res) {
     var reviewId = req.params.reviewId;
-    Spots.getSpotByReview(reviewId, function(err, spot) {
+    var selection = Pages.fromQuery(req.query);
+    Spots.getSpotByReview(reviewId, selection, function(err, spot) {
         if (err) {
             routerErrorHandler(res, err);
         } else {
-            utils.sendSuccessResponse(res, { spot: spot });
+            utils.sendSuccessResponse(res, { spot: Pages.pick(spot, selection) });
         }
     });
 });
 
 /**
- * Upvotes/ downvotes a Review
+ * Upvotes/ downvotes a Review, or switches the current User's vote to the other direction
  * POST /reviews/:reviewId
  * @param {Object} req - the request parameters should contain the reviewId
  *                     - the request body should contain upvote (true if upvote, false otherwise)
- * @param {Object} res - sucess: true if the Review was successfully upvoted/ downvoted, false otherwise
+ * @param {Object} res - success.score: the new score of the Review
+ *                     - success.userVote: 1 if the current User upvoted the Review, -1 if they downvoted it
  *                     - error: on error, an error message
  */
-router.post("/:reviewId", function(req, res) {
+router.post("/:reviewId", Validation.validate({
+    params: REVIEW_PARAMS,
+    body: { upvote: { type: "boolean", required: true } }
+}), function(req, res) {
     var reviewId = req.params.reviewId;
     var upvote = req.body.upvote;
-    Reviews.updateScore(reviewId, req.currentUser._id, upvote, function(err) {
+    Reviews.updateScore(reviewId, req.currentUser._id, upvote, function(err, review) {
         if (err) {
             routerErrorHandler(res, err);
         } else {
-            utils.sendSuccessResponse(res);
+            utils.sendSuccessResponse(res, { score: review.score, userVote: Reviews.getVote(review, req.currentUser._id) });
+            SpotEvents.publish("vote-changed", { reviewId: reviewId, score: review.score });
+        }
+    });
+});
+
+/**
+ * Withdraws the current User's vote on a Review
+ * DELETE /reviews/:reviewId/vote
+ * @param {Object} req - the request parameters should contain the reviewId
+ * @param {Object} res - success.score: the new score of the Review
+ *                     - success.userVote: 0, the current User no longer has a vote on the Review
+ *                     - error: on error, an error message
+ */
+router.delete("/:reviewId/vote", Validation.validate({ params: REVIEW_PARAMS }), function(req, res) {
+    var reviewId = req.params.reviewId;
+    Reviews.retractVote(reviewId, req.currentUser._id, function(err, review) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { score: review.score, userVote: 0 });
+            SpotEvents.publish("vote-changed", { reviewId: reviewId, score: review.score });
+        }
+    });
+});
+
+/**
+ * Uploads a photo for a Review written by the current User
+ * The photo is shown with the photos of the Spot of the Review
+ * POST /reviews/:reviewId/photos
+ * @param {Object} req - the request parameters should contain the reviewId
+ *                     - the request must be a multipart form with a JPEG or PNG image (at most 5MB) as its photo field
+ * @param {Object} res - success.photo: the new photo, with the url of the photo and of its thumbnail
+ *                     - error: on error, an error message
+ */
+router.post("/:reviewId/photos", Validation.validate({ params: REVIEW_PARAMS }), function(req, res) {
+    var reviewId = req.params.reviewId;
+    Photos.upload(req, res, function(err, photo) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            Spots.addPhotoToReview(reviewId, req.currentUser._id, photo, function(err, spot, photo) {
+                if (err) {
+                    routerErrorHandler(res, err);
+                } else {
+                    utils.sendSuccessResponse(res, { photo: photo });
+                    SpotEvents.publishSpot("spot-updated", spot._id);
+                }
+            });
+        }
+    });
+});
+
+/**
+ * Reports a Review
+ * Once it has been reported enough, the Review is hidden until a moderator deals with it
+ * POST /reviews/:reviewId/report
+ * @param {Object} req - the request parameters should contain the reviewId
+ *                     - the request body should contain reason (duplicate, wrong-location, closed, offensive or spam)
+ *                       and may contain comment
+ * @param {Object} res - success.hidden: true if the report caused the Review to be hidden
+ *                     - error: on error, an error message
+ */
+router.post("/:reviewId/report", Validation.validate({ params: REVIEW_PARAMS, body: Schemas.REPORT }), function(req, res) {
+    var reviewId = req.params.reviewId;
+    Spots.reportReview(reviewId, req.currentUser._id, req.body.reason, req.body.comment, function(err, spot) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { hidden: Boolean(spot) });
+            if (spot) {
+                SpotEvents.publishSpot("spot-updated", spot._id);
+            }
+        }
+    });
+});
+
+/**
+ * Edits a Review written by the current User
+ * PUT /reviews/:reviewId
+ * @param {Object} req - the request parameters should contain the reviewId
+ *                     - the request body should contain description and rating
+ * @param {Object} res - success.review: the edited Review
+ *                     - error: on error, an error message
+ */
+router.put("/:reviewId", Validation.validate({
+    params: REVIEW_PARAMS,
+    body: { description: Schemas.required(Schemas.DESCRIPTION), rating: Schemas.required(Schemas.RATING) }
+}), function(req, res) {
+    var reviewId = req.params.reviewId;
+    Spots.editReview(reviewId, req.currentUser._id, req.body.description, req.body.rating, function(err, spot, review) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { review: review });
+            if (spot) {
+                SpotEvents.publishSpot("spot-updated", spot._id);
+            }
         }
     });
 });
 
+/**
+ * Deletes a Review written by the current User, or any Review if the current User is a moderator
+ * DELETE /reviews/:reviewId
+ * @param {Object} req - the request parameters should contain the reviewId
+ * @param {Object} res - success: true if the Review was successfully deleted, false otherwise
+ *                     - error: on error, an error message
+ */
+router.delete("/:reviewId", Validation.validate({ params: REVIEW_PARAMS }), function(req, res) {
+    var reviewId = req.params.reviewId;
+    var sendResponse = function(err, spot) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+            if (spot) {
+                SpotEvents.publishSpot("spot-updated", spot._id);
+            }
+        }
+    };
+    if (Users.hasRole(req.currentUser, "moderator")) {
+        Spots.deleteReviewAsModerator(reviewId, sendResponse);
+    } else {
+        Spots.deleteReview(reviewId, req.currentUser._id, sendResponse);
+    }
+});
+
 module.exports = router;
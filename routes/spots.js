@@ -4,29 +4,30 @@ var express = require("express");
 var router = express.Router();
 var _ = require("lodash");
 var utils = require("../utils/utils");
+var Authorization = require("../utils/authorization");
 var Spots = require("../models/Spots").Spots;
+var Reviews = require("../models/Reviews").Reviews;
 var Users = require("../models/Users").Users;
+var SpotEvents = require("../utils/spotEvents");
+var Photos = require("../utils/photos");
+var Campuses = require("../utils/campuses");
+var RateLimiter = require("../utils/rateLimiter");
+var Validation = require("../utils/validation");
+var Schemas = require("../utils/schemas");
+var Pages = require("../utils/pages");
 
-const BAD_REQUEST = 400;
-const FORBIDDEN = 403;
 const SERVER_ERROR = 500;
 
-/**
- * Middleware that requires authentication on all access to the Spots/ Reviews/ Tags.
- * Users who have not logged in will receive a 403: Forbidden HTTP status code.
- * @param {Object} req - Must contain currentUser if signed in
- * @param {Object} res - error if not signed in, success otherwise
- * @param {function} next - callback function that calls the next piece of middleware
- */
-var requireAuthentication = function (req, res, next) {
-    if (!req.currentUser) {
-        // User is not logged in
-        utils.sendErrorResponse(res, FORBIDDEN, "To use this feature, please sign in or register.");
-    } else {
-        // User has access to feature
-        next();
-    }
-};
+const DEFAULT_NEAR_RADIUS = 500;
+const DEFAULT_NEAR_LIMIT = 10;
+const INVALID_BOUNDS = "Please provide valid bounds!";
+
+// The query of the routes that list the Spots of a campus
+const CAMPUS_QUERY = { campus: { type: "string" } };
+// The params of the routes of a Spot
+const SPOT_PARAMS = { spotId: Schemas.id("spot") };
+// The fields of a Spot that can be chosen when listing Spots near a point, which have their distance
+const DISTANCE_FIELDS = Spots.FIELDS.concat("distance");
 
 /**
  * Helper function that handles errors
@@ -43,23 +44,260 @@ var routerErrorHandler = function (res, err) {
     }
 };
 
-// Register the middleware handlers above.
-router.post("*", requireAuthentication);
-router.delete("*", requireAuthentication);
+/**
+ * Helper function that prepares a Spot to be sent to the current User
+ * Adds the vote of the current User to each Review of the Spot, if the Reviews are populated
+ * review.userVote is 1 for an upvote, -1 for a downvote and 0 if the User has not voted or is not signed in
+ * Photos of Reviews that are hidden (so not found) are left out
+ * @param {Spot} spot - a Spot whose Reviews are populated, or are the ids of the Reviews that are not hidden
+ * @param {User} user - the current User, undefined if not signed in
+ * @param {Object} page - (optional) the page that the Spot is in (see utils/pages.js), undefined if its Reviews are populated
+ * @return {Object} a copy of the Spot with the vote of the User on each Review, and only the fields of the page
+ */
+var prepareSpot = function (spot, user, page) {
+    var spotObject = spot.toObject ? spot.toObject() : _.clone(spot);
+    var reviewsPopulated = !page || Pages.isPopulated(page, "reviews");
+    if (spotObject.reviews) {
+        spotObject.reviews = spotObject.reviews.map(function (review) {
+            if (!reviewsPopulated) {
+                return review;
+            }
+            var reviewObject = review.toObject ? review.toObject() : review;
+            reviewObject.userVote = user ? Reviews.getVote(reviewObject, user._id) : 0;
+            return reviewObject;
+        });
+        var reviewIds = spotObject.reviews.map(function (review) {
+            return String(reviewsPopulated ? review._id : review);
+        });
+        spotObject.photos = (spotObject.photos || []).filter(function (photo) {
+            return !photo.review || reviewIds.indexOf(String(photo.review)) > -1;
+        });
+    }
+    return page ? Pages.pick(spotObject, page) : spotObject;
+};
 
 /**
- * Gets all the Spots
- * GET /spots/
- * @param {Object} req - the request does not need require anything
- * @param {Object} res - success.spots: a list of Spots, empty if none
+ * Helper function that decides which campus to list the Spots of
+ * @param {Object} req - the request, whose query may contain the id of a campus
+ * @return {String} the campus in the query, otherwise the campus of the current User,
+ *                  otherwise the default campus
+ */
+var getCampusId = function (req) {
+    if (req.query.campus) {
+        return req.query.campus;
+    } else if (req.currentUser && req.currentUser.campus) {
+        return req.currentUser.campus;
+    } else {
+        return Campuses.getDefaultCampus().id;
+    }
+};
+
+/**
+ * Helper function that reads the bounds of the map from the query
+ * @param {Object} req - the request, whose query may contain minLat, maxLat, minLng and maxLng
+ * @return {Object} the bounds, of the form { minLatitude, maxLatitude, minLongitude, maxLongitude },
+ *                  undefined if none of them are given
+ */
+var getBounds = function (req) {
+    if (req.query.minLat === undefined && req.query.maxLat === undefined
+        && req.query.minLng === undefined && req.query.maxLng === undefined) {
+        return undefined;
+    }
+    return {
+        minLatitude: req.query.minLat,
+        maxLatitude: req.query.maxLat,
+        minLongitude: req.query.minLng,
+        maxLongitude: req.query.maxLng
+    };
+};
+
+// Only signed in Users can make changes
+router.post("*", Authorization.requireAuthentication);
+router.put("*", Authorization.requireAuthentication);
+router.delete("*", Authorization.requireAuthentication);
+// Only Users who have verified their email can post and edit
+router.post("/", Authorization.requireVerified);
+router.put("/:spotId", Authorization.requireVerified);
+router.post("/:spotId/addReview", Authorization.requireVerified);
+router.post("/:spotId/report", Authorization.requireVerified);
+router.post("/:spotId/photos", Authorization.requireVerified);
+// Users can only post so much in an hour
+router.post("/", RateLimiter.quota("spot"));
+router.post("/:spotId/addReview", RateLimiter.quota("review"));
+router.post("/:spotId/report", RateLimiter.quota("report"));
+router.post("/:spotId/photos", RateLimiter.quota("photo"));
+
+/**
+ * Gets the Spots of a campus, or the Spots within the bounds of the map, a page at a time
+ * GET /spots?campus=&minLat=&maxLat=&minLng=&maxLng=&limit=&after=&fields=&populate=
+ * @param {Object} req - the request query may contain campus: the id of a campus,
+ *                       defaults to the campus of the current User or the default campus
+ *                     - the request query may instead contain minLat, maxLat, minLng and maxLng: the bounds
+ *                       of the map (all four must be given)
+ *                     - the request query may contain limit, after, fields and populate (see utils/pages.js)
+ * @param {Object} res - success.spots: a page of Spots, empty if none
+ *                     - success.next: the cursor for the next page, null if there is none
  *                     - error: on error, an error message
  */
-router.get("/", function (req, res) {
-    Spots.getSpots(function (err, spots) {
+router.get("/", Validation.validate({
+    query: _.assign({}, CAMPUS_QUERY, Schemas.BOUNDS, Schemas.page(Spots.FIELDS, Spots.POPULATE))
+}), function (req, res) {
+    var bounds = getBounds(req);
+    var page = Pages.fromQuery(req.query);
+    var sendSpots = function (err, spots, next) {
+        if (err && err.http_status) {
+            routerErrorHandler(res, err);
+        } else if (err) {
+            utils.sendSuccessResponse(res, { spots: [], next: null });
+        } else {
+            utils.sendSuccessResponse(res, {
+                spots: spots.map(function (spot) {
+                    return prepareSpot(spot, req.currentUser, page);
+                }),
+                next: next
+            });
+        }
+    };
+    if (bounds) {
+        Spots.getSpotsByLocation(bounds.minLatitude, bounds.maxLatitude, bounds.minLongitude, bounds.maxLongitude, page, sendSpots);
+    } else {
+        Spots.getSpots(getCampusId(req), page, sendSpots);
+    }
+});
+
+/**
+ * Searches the Spots, combining any of the given filters, a page at a time
+ * GET /spots/search?label=&minLat=&maxLat=&minLng=&maxLng=&lat=&lng=&minRating=&floor=&creator=&campus=&q=&sort=&limit=&after=&fields=&populate=
+ * @param {Object} req - the request query may contain any of:
+ *                       label: the name of a Tag (may be repeated to match any of several Tags),
+ *                       minLat, maxLat, minLng, maxLng: the bounds of the map (all four must be given),
+ *                       lat, lng: the point to sort by distance from (defaults to the center of the bounds),
+ *                       minRating: the minimum average rating, floor: the floor of the Spot,
+ *                       creator: the id of the User who created the Spot,
+ *                       campus: the id of the campus of the Spot, defaults to the campus of the current User
+ *                       or the default campus,
+ *                       q: text in the title or a Review of the Spot,
+ *                       sort: rating (default), newest, reviews or distance,
+ *                       limit: the number of Spots in a page (defaults to 20, at most 50),
+ *                       after: the cursor returned with the previous page,
+ *                       fields and populate: the fields of each Spot to send and populate (see utils/pages.js)
+ * @param {Object} res - success.spots: a page of Spots, empty if none
+ *                     - success.next: the cursor for the next page, null if there is none
+ *                     - error: on error, an error message
+ */
+router.get("/search", Validation.validate({
+    query: _.assign({
+        label: { type: "array", items: { type: "string" } },
+        minRating: { type: "number", min: 0, max: 5, name: "minimum rating" },
+        floor: { type: "string" },
+        creator: { type: "objectId", name: "creator id" },
+        q: { type: "string" },
+        sort: {
+            type: "enum",
+            values: Spots.SEARCH_SORTS,
+            message: "Spots can only be sorted by " + Spots.SEARCH_SORTS.join(", ") + "!"
+        },
+        limit: Schemas.LIMIT,
+        after: { type: "string" }
+    }, CAMPUS_QUERY, Schemas.POINT, Schemas.BOUNDS, Schemas.selection(DISTANCE_FIELDS, Spots.POPULATE))
+}), function (req, res) {
+    var page = Pages.fromQuery(req.query);
+    var query = {
+        labels: req.query.label || [],
+        text: req.query.q,
+        floor: req.query.floor,
+        sort: req.query.sort,
+        after: req.query.after,
+        fields: page.fields,
+        populate: page.populate,
+        campus: getCampusId(req),
+        bounds: getBounds(req)
+    };
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+        query.near = { latitude: req.query.lat, longitude: req.query.lng };
+    }
+    if (req.query.minRating !== undefined) {
+        query.minRating = req.query.minRating;
+    }
+    if (req.query.creator !== undefined) {
+        query.creator = req.query.creator;
+    }
+    if (req.query.limit !== undefined) {
+        query.limit = req.query.limit;
+    }
+    Spots.search(query, function (err, spots, next) {
         if (err) {
-            utils.sendSuccessResponse(res, { spots: [] });
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, {
+                spots: spots.map(function (spot) {
+                    return prepareSpot(spot, req.currentUser, page);
+                }),
+                next: next
+            });
+        }
+    });
+});
+
+/**
+ * Gets the Spots of a campus within a radius of a point, closest first, a page at a time
+ * GET /spots/near?lat=&lng=&radius=&campus=&limit=&after=&fields=&populate=
+ * @param {Object} req - the request query must contain lat and lng
+ *                     - the request query may contain radius (in meters, defaults to 500),
+ *                       campus (defaults to the campus of the current User or the default campus),
+ *                       limit (defaults to 10, at most 50), after, fields and populate (see utils/pages.js)
+ * @param {Object} res - success.spots: a page of Spots, each with its distance (in meters), empty if none
+ *                     - success.next: the cursor for the next page, null if there is none
+ *                     - error: on error, an error message
+ */
+router.get("/near", Validation.validate({
+    query: _.assign({
+        lat: Schemas.required(Schemas.POINT.lat),
+        lng: Schemas.required(Schemas.POINT.lng),
+        radius: { type: "number", min: 0 }
+    }, CAMPUS_QUERY, Schemas.page(DISTANCE_FIELDS, Spots.POPULATE))
+}), function (req, res) {
+    var radius = req.query.radius !== undefined ? req.query.radius : DEFAULT_NEAR_RADIUS;
+    var page = Pages.fromQuery(req.query);
+    if (page.limit === undefined) {
+        page.limit = DEFAULT_NEAR_LIMIT;
+    }
+    Spots.getSpotsNear(req.query.lat, req.query.lng, radius, getCampusId(req), page, function (err, spots, next) {
+        if (err) {
+            routerErrorHandler(res, err);
         } else {
-            utils.sendSuccessResponse(res, { spots: spots });
+            utils.sendSuccessResponse(res, {
+                spots: spots.map(function (spot) {
+                    return prepareSpot(spot, req.currentUser, page);
+                }),
+                next: next
+            });
+        }
+    });
+});
+
+/**
+ * Gets the Spot of a campus with a given Tag that is closest to a point
+ * GET /spots/nearest?lat=&lng=&label=&campus=
+ * @param {Object} req - the request query must contain lat, lng and label
+ *                     - the request query may contain campus, defaults to the campus of the current User
+ *                       or the default campus
+ * @param {Object} res - success.spot: the closest Spot, with its distance (in meters)
+ *                     - error: on error, an error message
+ */
+router.get("/nearest", Validation.validate({
+    query: _.assign({
+        lat: Schemas.required(Schemas.POINT.lat),
+        lng: Schemas.required(Schemas.POINT.lng),
+        label: { type: "string", required: true }
+    }, CAMPUS_QUERY)
+}), function (req, res) {
+    var label = req.query.label.toLowerCase();
+    Spots.getNearestSpotByTag(req.query.lat, req.query.lng, label, getCampusId(req), function (err, spot) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { spot: prepareSpot(spot, req.currentUser) });
         }
     });
 });
@@ -68,16 +306,16 @@ router.get("/", function (req, res) {
  * Gets a particular Spot given its id
  * GET /spots/:spotId
  * @param {Object} req - the request must contain spotId as a parameter
- * @param {Object} res - success.spot: the Spot of interest
+ * @param {Object} res - success.spot: the Spot of interest, each of its Reviews has the userVote of the current User
  *                     - error: on error, an error message
  */
-router.get("/:spotId", function (req, res) {
+router.get("/:spotId", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
     var spotId = req.params.spotId;
     Spots.getSpotById(spotId, function (err, spot) {
         if (err) {
             routerErrorHandler(res, err);
         } else {
-            utils.sendSuccessResponse(res, { spot: spot });
+            utils.sendSuccessResponse(res, { spot: prepareSpot(spot, req.currentUser) });
         }
     });
 });
@@ -95,6 +333,7 @@ router.get("/:spotId/details", function (req, res) {
 
 /**
  * Gets all the spots within the specified geographical bounds
+ * Kept for older clients. Use GET /spots?minLat=&maxLat=&minLng=&maxLng= instead.
  * GET /spots/byLocation/:location
  * @param {Object} req - the request body must contain the location of the form
  *                          "{ minLatitude: min latitude of the map,
@@ -103,17 +342,36 @@ router.get("/:spotId/details", function (req, res) {
  *							   maxLongitude: the min longitude of the map }"
  * @param {Object} res - success.spots: a list of Spots, empty if none
  */
-router.get("/byLocation/:location", function (req, res) {
-    var location = JSON.parse(req.params.location);
+router.get("/byLocation/:location", Validation.validate({
+    params: {
+        location: {
+            type: "json",
+            required: true,
+            message: INVALID_BOUNDS,
+            // Older clients may send bounds that are off the globe, which contain no Spots
+            fields: {
+                minLatitude: { type: "number", required: true, message: INVALID_BOUNDS },
+                maxLatitude: { type: "number", required: true, message: INVALID_BOUNDS },
+                minLongitude: { type: "number", required: true, message: INVALID_BOUNDS },
+                maxLongitude: { type: "number", required: true, message: INVALID_BOUNDS }
+            }
+        }
+    }
+}), function (req, res) {
+    var location = req.params.location;
     var minLatitude = location.minLatitude;
     var maxLatitude = location.maxLatitude;
     var minLongitude = location.minLongitude;
     var maxLongitude = location.maxLongitude;
-    Spots.getSpotsByLocation(minLatitude, maxLatitude, minLongitude, maxLongitude, function (err, spots) {
+    Spots.getSpotsByLocation(minLatitude, maxLatitude, minLongitude, maxLongitude, null, function (err, spots) {
         if (err) {
             utils.sendSuccessResponse(res, { spots: [] });
         } else {
-            utils.sendSuccessResponse(res, { spots: spots });
+            utils.sendSuccessResponse(res, {
+                spots: spots.map(function (spot) {
+                    return prepareSpot(spot, req.currentUser);
+                })
+            });
         }
     });
 });
@@ -126,35 +384,69 @@ router.get("/byLocation/:location", function (req, res) {
  * @param {Object} res - success.spot: the spot of interest
  *                     - error: on error, an error message
  */
-router.post("/", function (req, res) {
+router.post("/", Validation.validate({
+    body: {
+        title: Schemas.required(Schemas.TITLE),
+        location: Schemas.required(Schemas.LOCATION),
+        floor: Schemas.FLOOR,
+        label: Schemas.required(Schemas.LABEL),
+        description: Schemas.required(Schemas.DESCRIPTION),
+        rating: Schemas.required(Schemas.RATING)
+    }
+}), function (req, res) {
     var title = req.body.title;
     var creatorId = req.currentUser._id;
     var location = req.body.location;
     var floor = req.body.floor ? req.body.floor : null;
     var label = req.body.label.toLowerCase();
     var description = req.body.description;
-    var rating = parseInt(req.body.rating);
+    var rating = req.body.rating;
 
-    if (!description) {
-        utils.sendErrorResponse(res, BAD_REQUEST, "Please enter a description for the review.");
-    } else {
-        Spots.addSpot(title, creatorId, location, floor, label, description, rating, function (err, spot) {
-            if (err) {
-                if (err.msg.msg) {
-                    // User cannot be found or checkRep was violated
-                    utils.sendErrorResponse(res, err.msg.http_status, err.msg.msg);
-                } else if (err.http_status) {
-                    // Duplicate title
-                    utils.sendErrorResponse(res, err.http_status, err.msg);
-                } else {
-                    // Unknown error
-                    utils.sendErrorResponse(res, SERVER_ERROR, "Something went wrong... Please try again.");
-                }
+    Spots.addSpot(title, creatorId, location, floor, label, description, rating, function (err, spot) {
+        if (err) {
+            if (err.msg.msg) {
+                // User cannot be found or checkRep was violated
+                utils.sendErrorResponse(res, err.msg.http_status, err.msg.msg);
+            } else if (err.http_status) {
+                // Duplicate title
+                utils.sendErrorResponse(res, err.http_status, err.msg);
             } else {
-                utils.sendSuccessResponse(res, { spot: spot });
+                // Unknown error
+                utils.sendErrorResponse(res, SERVER_ERROR, "Something went wrong... Please try again.");
             }
-        });
+        } else {
+            utils.sendSuccessResponse(res, { spot: spot });
+            SpotEvents.publishSpot("spot-created", spot._id);
+        }
+    });
+});
+
+/**
+ * Edit a Spot, which only its creator and moderators can do
+ * PUT /spots/:spotId
+ * @param {Object} req - the request must contain the spotId as a parameter
+ *                     - the request body may contain title, location ({latitude, longitude}), floor and label
+ * @param {Object} res - success.spot: the edited Spot
+ *                     - error: on error, an error message
+ */
+router.put("/:spotId", Validation.validate({
+    params: SPOT_PARAMS,
+    body: { title: Schemas.TITLE, location: Schemas.LOCATION, floor: Schemas.FLOOR, label: Schemas.LABEL }
+}), function (req, res) {
+    var spotId = req.params.spotId;
+    var userId = req.currentUser._id;
+    var changes = _.pick(req.body, ["title", "location", "floor", "label"]);
+    if (typeof changes.label === "string") {
+        changes.label = changes.label.toLowerCase();
     }
+    Spots.updateSpot(spotId, userId, changes, function (err, spot) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { spot: spot });
+            SpotEvents.publishSpot("spot-updated", spot._id);
+        }
+    });
 });
 
 /**
@@ -165,17 +457,21 @@ router.post("/", function (req, res) {
  * @param {Object} res - success: true if the Review is successfully added to the Spot
  *                     - error: on error, an error message
  */
-router.post("/:spotId/addReview", function (req, res) {
+router.post("/:spotId/addReview", Validation.validate({
+    params: SPOT_PARAMS,
+    body: { description: Schemas.required(Schemas.DESCRIPTION), rating: Schemas.required(Schemas.RATING) }
+}), function (req, res) {
     var spotId = req.params.spotId;
     var creatorId = req.currentUser._id;
     var description = req.body.description;
-    var rating = parseInt(req.body.rating);
+    var rating = req.body.rating;
 
     Spots.addReviewToSpot(spotId, creatorId, description, rating, function (err) {
         if (err) {
             routerErrorHandler(res, err);
         } else {
             utils.sendSuccessResponse(res);
+            SpotEvents.publishSpot("review-added", spotId);
         }
     });
 });
@@ -187,7 +483,7 @@ router.post("/:spotId/addReview", function (req, res) {
  * @param {Object} res - success: true if the Spot has been successfully favorited by the User, false otherwise
  *                     - error: on error, an error message
  */
-router.post("/:spotId/favorite", function (req, res) {
+router.post("/:spotId/favorite", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
     var spotId = req.params.spotId;
     var userId = req.currentUser._id;
     Users.favoriteSpot(userId, spotId, function (err) {
@@ -199,43 +495,122 @@ router.post("/:spotId/favorite", function (req, res) {
     });
 });
 
+/**
+ * User takes a Spot out of their favorites
+ * DELETE /spots/:spotId/favorite
+ * @param {Object} req - the request must contain the spotId as a parameter
+ * @param {Object} res - success: true if the Spot has been successfully unfavorited by the User, false otherwise
+ *                     - error: on error, an error message
+ */
+router.delete("/:spotId/favorite", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
+    var spotId = req.params.spotId;
+    var userId = req.currentUser._id;
+    Users.unfavoriteSpot(userId, spotId, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Upload a photo of a Spot
+ * POST /spots/:spotId/photos
+ * @param {Object} req - the request must contain the spotId as a parameter
+ *                     - the request must be a multipart form with a JPEG or PNG image (at most 5MB) as its photo field
+ * @param {Object} res - success.photo: the new photo, with the url of the photo and of its thumbnail
+ *                     - error: on error, an error message
+ */
+router.post("/:spotId/photos", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
+    var spotId = req.params.spotId;
+    Photos.upload(req, res, function (err, photo) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            Spots.addPhotoToSpot(spotId, req.currentUser._id, photo, function (err, spot, photo) {
+                if (err) {
+                    routerErrorHandler(res, err);
+                } else {
+                    utils.sendSuccessResponse(res, { photo: photo });
+                    SpotEvents.publishSpot("spot-updated", spotId);
+                }
+            });
+        }
+    });
+});
+
+/**
+ * Delete a photo that the current User uploaded
+ * DELETE /spots/:spotId/photos/:photoId
+ * @param {Object} req - the request must contain the spotId and photoId as parameters
+ * @param {Object} res - success: true if the photo has been successfully deleted, false otherwise
+ *                     - error: on error, an error message
+ */
+router.delete("/:spotId/photos/:photoId", Validation.validate({
+    params: { spotId: Schemas.id("spot"), photoId: Schemas.id("photo") }
+}), function (req, res) {
+    var spotId = req.params.spotId;
+    Spots.deletePhoto(spotId, req.params.photoId, req.currentUser._id, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+            SpotEvents.publishSpot("spot-updated", spotId);
+        }
+    });
+});
+
 /**
  * Report a Spot
+ * Once it has been reported enough, the Spot is hidden until a moderator deals with it
  * POST /spots/:spotId/report
  * @param {Object} req - the request must contain the spotId as a parameter
- * @param {Object} res - success: true if the Spot has been successfully reported by the User, false otherwise
+ *                     - the request body should contain reason (duplicate, wrong-location, closed, offensive or spam)
+ *                       and may contain comment
+ * @param {Object} res - success.hidden: true if the report caused the Spot to be hidden
  *                     - error: on error, an error message
  */
-router.post("/:spotId/report", function (req, res) {
+router.post("/:spotId/report", Validation.validate({ params: SPOT_PARAMS, body: Schemas.REPORT }), function (req, res) {
     var spotId = req.params.spotId;
     var userId = req.currentUser._id;
-    Spots.reportSpot(spotId, userId, function (err) {
+    Spots.reportSpot(spotId, userId, req.body.reason, req.body.comment, function (err, hidden) {
         if (err) {
             routerErrorHandler(res, err);
         } else {
-            utils.sendSuccessResponse(res);
+            utils.sendSuccessResponse(res, { hidden: hidden });
+            if (hidden) {
+                SpotEvents.publish("spot-deleted", { spotId: spotId });
+            }
         }
     });
 });
 
 /**
  * Delete a Spot
+ * Creators can delete their Spots within 24 hours of creating them, and moderators can delete any Spot
  * DELETE /spots/:spotId
  * @param {Object} req - the request must contain the spotId as a parameter
  * @param {Object} res - success: true if the Spot has been successfully deleted by the User, false otherwise
  *                     - error: on error, an error message
  * 
  */
-router.delete("/:spotId", function (req, res) {
+router.delete("/:spotId", Validation.validate({ params: SPOT_PARAMS }), function (req, res) {
     var spotId = req.params.spotId;
     var userId = req.currentUser._id;
-    Spots.deleteSpot(spotId, userId, function (err) {
+    var sendResponse = function (err) {
         if (err) {
             routerErrorHandler(res, err);
         } else {
             utils.sendSuccessResponse(res);
+            SpotEvents.publish("spot-deleted", { spotId: spotId });
         }
-    });
+    };
+    if (Users.hasRole(req.currentUser, "moderator")) {
+        Spots.deleteSpotAsModerator(spotId, sendResponse);
+    } else {
+        Spots.deleteSpot(spotId, userId, sendResponse);
+    }
 });
 
 module.exports = router;
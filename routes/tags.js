@@ -6,6 +6,11 @@ var _ = require("lodash");
 var utils = require("../utils/utils");
 var Tags = require("../models/Tags").Tags;
 var Spots = require("../models/Spots").Spots;
+var Validation = require("../utils/validation");
+var Schemas = require("../utils/schemas");
+var Pages = require("../utils/pages");
+
+const BAD_REQUEST = 400;
 
 /**
  * Retrieves all of the Tags
@@ -40,19 +45,30 @@ router.get("/labels", function (req, res) {
 });
 
 /**
- * Gets all the Spots given the label of a Tags
- * GET /tags/:label/spots
+ * Gets the Spots given the label of a Tags, a page at a time
+ * GET /tags/:label/spots?limit=&after=&fields=&populate=
  * @param {Object} req - the request must contain the label as a parameter
- * @param {Object} res - success.spots: a list of Spots, empty if none
+ *                     - the request query may contain limit, after, fields and populate (see utils/pages.js)
+ * @param {Object} res - success.spots: a page of Spots, empty if none
+ *                     - success.next: the cursor for the next page, null if there is none
  *                     - error: on error, an error message
  */
-router.get("/:label/spots", function (req, res) {
+router.get("/:label/spots", Validation.validate({ query: Schemas.page(Spots.FIELDS, Spots.POPULATE) }), function (req, res) {
     var label = req.params.label.toLowerCase();
-    Spots.getSpotsByTag(label, function (err, spots) {
-        if (err) {
-            utils.sendSuccessResponse(res, { spots: [] });
+    var page = Pages.fromQuery(req.query);
+    Spots.getSpotsByTag(label, page, function (err, spots, next) {
+        if (err && err.http_status === BAD_REQUEST) {
+            // The cursor is invalid
+            utils.sendErrorResponse(res, err.http_status, err.msg);
+        } else if (err) {
+            utils.sendSuccessResponse(res, { spots: [], next: null });
         } else {
-            utils.sendSuccessResponse(res, { spots: spots });
+            utils.sendSuccessResponse(res, {
+                spots: spots.map(function (spot) {
+                    return Pages.pick(spot, page);
+                }),
+                next: next
+            });
         }
     });
 });
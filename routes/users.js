@@ -5,29 +5,41 @@ var express = require("express");
 var router = express.Router();
 var _ = require("lodash");
 var utils = require("../utils/utils");
+var Authorization = require("../utils/authorization");
 var Users = require("../models/Users").Users;
 var Reviews = require("../models/Reviews").Reviews;
 var Spots = require("../models/Spots").Spots;
+var Mailer = require("../utils/mailer");
+var Collections = require("../models/Collections").Collections;
+var DataExport = require("../utils/dataExport");
+var Sessions = require("../models/Sessions").Sessions;
+var sessionConfig = require("../utils/sessionConfig");
+var RateLimiter = require("../utils/rateLimiter");
+var Csrf = require("../utils/csrf");
+var ApiTokens = require("../models/ApiTokens").ApiTokens;
+var Pages = require("../utils/pages");
+var Totp = require("../utils/totp");
+var QRCode = require("qrcode");
+var Validation = require("../utils/validation");
+var Schemas = require("../utils/schemas");
 
 const BAD_REQUEST = 400;
 const FORBIDDEN = 403;
+const NOT_FOUND = 404;
 const SERVER_ERROR = 500;
+// How long a user has to give a code after their password, and how many wrong codes they can give
+const TWO_FACTOR_LIFETIME = 5 * 60 * 1000;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
 
-/**
- * Middleware that requires authentication on all access to the Spots/ Reviews/ Tags.
- * Users who have not logged in will receive a 403: Forbidden HTTP status code.
- * @param {Object} req - Must contain currentUser if signed in
- * @param {Object} res - error if not signed in, success otherwise
- * @param {function} next - callback function that calls the next piece of middleware
- */
-var requireAuthentication = function (req, res, next) {
-    if (!req.currentUser) {
-        // User is not logged in
-        utils.sendErrorResponse(res, FORBIDDEN, "To use this feature, please sign in or register.");
-    } else {
-        // User has access to feature
-        next();
-    }
+// The params of the routes of a User
+const USER_PARAMS = { userId: Schemas.id("user") };
+// A password that is being checked, which may have been chosen before passwords had rules
+const PASSWORD = { type: "string", required: true };
+const EMAIL = { type: "string", required: true };
+const CODE = {
+    type: "string",
+    required: true,
+    message: "Please enter the code from your authenticator app or a backup code."
 };
 
 /**
@@ -46,7 +58,67 @@ var routerErrorHandler = function (res, err) {
 };
 
 // Middleware
-router.post("/logout", requireAuthentication);
+router.post("/verification/resend", Authorization.requireAuthentication);
+router.put("/username", Authorization.requireAuthentication);
+router.put("/favoriteSpots", Authorization.requireAuthentication);
+router.get("/:userId/export", Authorization.requireAuthentication);
+// API tokens cannot be used to manage tokens, sessions or the account
+router.post("/logout", Authorization.requireSession);
+router.put("/password", Authorization.requireSession);
+router.put("/email", Authorization.requireSession);
+router.delete("/", Authorization.requireSession);
+router.get("/sessions", Authorization.requireSession);
+router.delete("/sessions/:sessionId", Authorization.requireSession);
+router.get("/tokens", Authorization.requireSession);
+router.post("/tokens", Authorization.requireSession);
+router.delete("/tokens/:tokenId", Authorization.requireSession);
+router.post("/twoFactor/setup", Authorization.requireSession);
+router.post("/twoFactor/enable", Authorization.requireSession);
+router.post("/twoFactor/backupCodes", Authorization.requireSession);
+router.delete("/twoFactor", Authorization.requireSession);
+router.get("/csrf", Csrf.issueToken);
+
+/**
+ * Emails a User the link that verifies their email
+ * @param {Object} req - the request, used to make the link point to this server
+ * @param {User} user - the User whose email is to be verified
+ * @param {function} callback - called with (err)
+ */
+var sendVerificationEmail = function (req, user, callback) {
+    var link = req.protocol + "://" + req.get("host") + "/verify?token=" + Users.createVerificationToken(user);
+    var text = "Hi " + user.username + ",\n\n" +
+        "To finish setting up your Sweet Spots account, verify your email by going to:\n\n" +
+        link + "\n\n" +
+        "This link expires in 24 hours. Until you verify your email, you cannot add spots, review, vote or report.";
+    Mailer.send(user.email, "Verify your Sweet Spots email", text, callback);
+};
+
+/**
+ * Signs a User in, once they have given their password (and a code, if they turned on two-factor authentication)
+ * A new session is started, so that a session id set by someone else cannot be signed in
+ * @param {Object} req - the request, whose session is replaced
+ * @param {Object} res - success.user: the email of the User
+ *                     - success.twoFactorSetupRequired: true if the User has to turn on two-factor authentication
+ *                     - error: on error, an error message
+ * @param {User} user - the User who is signing in
+ * @param {Object} details - (optional) more to send in the response
+ */
+var signIn = function (req, res, user, details) {
+    req.session.regenerate(function (err) {
+        if (err) {
+            routerErrorHandler(res, { msg: err });
+        } else {
+            req.session.email = user.email;
+            req.session.userId = user._id;
+            req.session.userAgent = req.get("User-Agent");
+            req.session.ip = req.ip;
+            utils.sendSuccessResponse(res, Object.assign({
+                user: user.email,
+                twoFactorSetupRequired: Users.requiresTwoFactor(user) && !Users.hasTwoFactor(user)
+            }, details));
+        }
+    });
+};
 
 /**
  * Gets the current user
@@ -61,7 +133,7 @@ router.get("/", function (req, res) {
         // User is logged in
         utils.sendSuccessResponse(res, {
             loggedIn: true,
-            user: req.session.email,
+            user: req.currentUser.email,
             userObject: req.currentUser
         });
     } else {
@@ -70,6 +142,55 @@ router.get("/", function (req, res) {
     }
 });
 
+/**
+ * Gets a token that has to be sent with every request that can change anything (see utils/csrf.js)
+ * Comes before GET /users/:userId, which would otherwise take "csrf" for the id of a User
+ * GET /users/csrf
+ * @param {Object} req - the request
+ * @param {Object} res - success.csrfToken: the token, to be sent in the X-CSRF-Token header
+ */
+router.get("/csrf", function (req, res) {
+    utils.sendSuccessResponse(res, { csrfToken: res.locals.csrfToken });
+});
+
+/**
+ * Gets the sessions that the current User is signed in with
+ * Comes before GET /users/:userId, which would otherwise take "sessions" for the id of a User
+ * GET /users/sessions
+ * @param {Object} req - the request must contain the session
+ * @param {Object} res - success.sessions: the sessions, the most recently used first, each of the form
+ *                       { id, current, userAgent, ip, createdAt, lastActive, expires }
+ *                     - error: on error, an error message
+ */
+router.get("/sessions", function (req, res) {
+    Sessions.getSessionsByUser(req.currentUser._id, req.sessionID, function (err, sessions) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { sessions: sessions });
+        }
+    });
+});
+
+/**
+ * Gets the personal API tokens of the current User, without the tokens themselves
+ * Comes before GET /users/:userId, which would otherwise take "tokens" for the id of a User
+ * GET /users/tokens
+ * @param {Object} req - the request must contain the session
+ * @param {Object} res - success.tokens: the tokens, the most recently created first, each of the form
+ *                       { id, name, scope, start, createdAt, lastUsed }
+ *                     - error: on error, an error message
+ */
+router.get("/tokens", function (req, res) {
+    ApiTokens.getTokensByUser(req.currentUser._id, function (err, apiTokens) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { tokens: apiTokens });
+        }
+    });
+});
+
 /**
  * Gets the User associated with the given id
  * GET /spots/:userId
@@ -77,7 +198,7 @@ router.get("/", function (req, res) {
  * @param {Object} res - success.user: User object
  *                     - error: on error, an error message
  */
-router.get("/:userId", function (req, res) {
+router.get("/:userId", Validation.validate({ params: USER_PARAMS }), function (req, res) {
     var userId = req.params.userId;
     Users.findUserById(userId, function (err, user) {
         if (err) {
@@ -89,47 +210,63 @@ router.get("/:userId", function (req, res) {
 });
 
 /**
- * Gets the Reviews for a given User
- * GET /users/:userId/reviews
+ * Gets the Reviews for a given User, a page at a time
+ * GET /users/:userId/reviews?limit=&after=&fields=&populate=
  * @param {Object} req - the request params must contain userId
- * @param {Object} res - success.reviews: a list of Reviews created by the User
+ *                     - the request query may contain limit, after, fields and populate (see utils/pages.js)
+ * @param {Object} res - success.reviews: a page of Reviews created by the User
+ *                     - success.next: the cursor for the next page, null if there is none
  *                     - error: if unknown, an empty list else an error message
  */
-router.get("/:userId/reviews", function (req, res) {
+router.get("/:userId/reviews", Validation.validate({
+    params: USER_PARAMS,
+    query: Schemas.page(Reviews.FIELDS, Reviews.POPULATE)
+}), function (req, res) {
     var userId = req.params.userId;
-    Reviews.getReviewsByUser(userId, function (err, reviews) {
+    Reviews.getReviewsByUser(userId, Pages.fromQuery(req.query), function (err, reviews, next) {
         if (err) {
             if (err.http_status) {
-                // User cannot be found
+                // User cannot be found, or the cursor is invalid
                 utils.sendErrorResponse(res, err.http_status, err.msg);
             } else {
-                utils.sendSuccessResponse(res, { reviews: [] });
+                utils.sendSuccessResponse(res, { reviews: [], next: null });
             }
         } else {
-            utils.sendSuccessResponse(res, { reviews: reviews });
+            utils.sendSuccessResponse(res, { reviews: reviews, next: next });
         }
     });
 });
 
 /**
- * Gets the Spots for a given User
- * GET /users/:userId/spots
+ * Gets the Spots for a given User, a page at a time
+ * GET /users/:userId/spots?limit=&after=&fields=&populate=
  * @param {Object} req - the request params must contain userId
- * @param {Object} res - success.spots: a list of Spots created by the User
+ *                     - the request query may contain limit, after, fields and populate (see utils/pages.js)
+ * @param {Object} res - success.spots: a page of Spots created by the User
+ *                     - success.next: the cursor for the next page, null if there is none
  *                     - error: if unknown, an empty list else an error message
  */
-router.get("/:userId/spots", function (req, res) {
+router.get("/:userId/spots", Validation.validate({
+    params: USER_PARAMS,
+    query: Schemas.page(Spots.FIELDS, Spots.POPULATE)
+}), function (req, res) {
     var userId = req.params.userId;
-    Spots.getSpotsByUser(userId, function (err, spots) {
+    var page = Pages.fromQuery(req.query);
+    Spots.getSpotsByUser(userId, page, function (err, spots, next) {
         if (err) {
             if (err.http_status) {
-                // User cannot be found
+                // User cannot be found, or the cursor is invalid
                 utils.sendErrorResponse(res, err.http_status, err.msg);
             } else {
-                utils.sendSuccessResponse(res, { spots: [] });
+                utils.sendSuccessResponse(res, { spots: [], next: null });
             }
         } else {
-            utils.sendSuccessResponse(res, { spots: spots });
+            utils.sendSuccessResponse(res, {
+                spots: spots.map(function (spot) {
+                    return Pages.pick(spot, page);
+                }),
+                next: next
+            });
         }
     });
 });
@@ -141,7 +278,7 @@ router.get("/:userId/spots", function (req, res) {
  * @param {Object} res - success.favorites: a list of Spots favorited by the User
  *                     - error: if unknown, an empty list else an error message
  */
-router.get("/:userId/favoriteSpots", function (req, res) {
+router.get("/:userId/favoriteSpots", Validation.validate({ params: USER_PARAMS }), function (req, res) {
     var userId = req.params.userId;
     Users.getFavoriteSpots(userId, function (err, favorites) {
         if (err) {
@@ -158,74 +295,579 @@ router.get("/:userId/favoriteSpots", function (req, res) {
 });
 
 /**
- * Registers a user
+ * Puts the favorite Spots of the current User in a new order
+ * PUT /users/favoriteSpots
+ * @param {Object} req - the request body must contain spots: the ids of every favorite Spot of the User, in the new order
+ * @param {Object} res - success.favorites: the favorite Spots of the User, in the new order
+ *                     - error: on error, an error message
+ */
+router.put("/favoriteSpots", Validation.validate({
+    body: { spots: { type: "array", required: true, items: Schemas.id("spot") } }
+}), function (req, res) {
+    var userId = req.currentUser._id;
+    Users.reorderFavorites(userId, req.body.spots, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            Users.getFavoriteSpots(userId, function (err, favorites) {
+                if (err) {
+                    routerErrorHandler(res, err);
+                } else {
+                    utils.sendSuccessResponse(res, { favorites: favorites });
+                }
+            });
+        }
+    });
+});
+
+/**
+ * Gets the collections of a User, oldest first, a page at a time
+ * Other Users only see the public collections
+ * GET /users/:userId/collections?limit=&after=
+ * @param {Object} req - the request params must contain userId
+ *                     - the request query may contain limit and after (see utils/pages.js)
+ * @param {Object} res - success.collections: a page of the collections of the User, with their Spots
+ *                     - success.next: the cursor for the next page, null if there is none
+ *                     - error: on error, an error message
+ */
+router.get("/:userId/collections", Validation.validate({
+    params: USER_PARAMS,
+    query: { limit: Schemas.LIMIT, after: { type: "string", name: "cursor" } }
+}), function (req, res) {
+    var currentUserId = req.currentUser ? req.currentUser._id : undefined;
+    Collections.getCollectionsByUser(req.params.userId, currentUserId, Pages.fromQuery(req.query), function (err, collections, next) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { collections: collections, next: next });
+        }
+    });
+});
+
+/**
+ * Downloads everything that the app keeps about the current User, as described in utils/dataExport.js
+ * GET /users/:userId/export?format=
+ * @param {Object} req - the request params must contain userId, which must be the id of the current User
+ *                     - the request query may contain format: json (default) or csv
+ * @param {Object} res - a JSON or CSV file to download
+ *                     - error: on error, an error message
+ */
+router.get("/:userId/export", Validation.validate({
+    params: USER_PARAMS,
+    query: { format: { type: "enum", values: ["json", "csv"], message: "The export format must be json or csv." } }
+}), function (req, res) {
+    var format = req.query.format || "json";
+    if (String(req.currentUser._id) !== req.params.userId) {
+        utils.sendErrorResponse(res, FORBIDDEN, "You can only export your own data.");
+    } else {
+        DataExport.collect(req.currentUser._id, function (err, data) {
+            if (err) {
+                routerErrorHandler(res, err);
+            } else {
+                res.attachment("sweetspots-" + req.currentUser.username + "." + format);
+                if (format === "csv") {
+                    res.type("csv").send(DataExport.toCsv(data));
+                } else {
+                    res.json(data);
+                }
+            }
+        });
+    }
+});
+
+/**
+ * Registers a user and emails them a link for verifying their email
  * POST /users/
  * @param {Object} req - the request body must contain username, email and password
  * @param {Object} res - success: true if user successfully created; false otherwise
+ *                     - success.verificationEmailSent: false if the link could not be emailed, in which case
+ *                       the user can sign in and ask for it again
  *                     - error: on error, an error message
  */
-router.post("/", function (req, res) {
+router.post("/", Validation.validate({
+    body: {
+        username: Schemas.required(Schemas.USERNAME),
+        email: EMAIL,
+        password: Schemas.required(Schemas.NEW_PASSWORD)
+    }
+}), function (req, res) {
     var username = req.body.username;
     var email = req.body.email;
     var password = req.body.password;
-    Users.createUser(username, email, password, function (err) {
+    Users.createUser(username, email, password, function (err, user) {
         if (err) {
             routerErrorHandler(res, err);
         } else {
-            utils.sendSuccessResponse(res);
+            // The account exists even if the email is not sent, since the User can ask for it again
+            sendVerificationEmail(req, user, function (err) {
+                utils.sendSuccessResponse(res, { verificationEmailSent: !err });
+            });
         }
     });
 });
 
+/**
+ * Sends the current User a new link for verifying their email
+ * POST /users/verification/resend
+ * @param {Object} req - the request must contain the session
+ * @param {Object} res - success: true if the link was sent, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/verification/resend", function (req, res) {
+    if (req.currentUser.verified) {
+        utils.sendErrorResponse(res, BAD_REQUEST, "Your email is already verified.");
+    } else {
+        sendVerificationEmail(req, req.currentUser, function (err) {
+            if (err) {
+                routerErrorHandler(res, err);
+            } else {
+                utils.sendSuccessResponse(res);
+            }
+        });
+    }
+});
+
 /**
  * Logs in a user
+ * Accounts and IP addresses that fail to log in too often are locked out for a while (see utils/rateLimiter.js)
+ * Users who turned on two-factor authentication are only signed in once they give a code to POST /users/login/twoFactor
  * POST /users/login
  * @param {Object} req - the request body must contain email and password
- * @param {Object} res - success: true if the user successfully logged in, false otherwise
- *                     - success.user: the email of the user who is logging in
- *                     - error: on error, an error message
+ * @param {Object} res - success: true if the password is right, false otherwise
+ *                     - success.user: the email of the user who is logging in, if they are signed in
+ *                     - success.twoFactorSetupRequired: true if the user is a moderator or admin who has
+ *                       to turn on two-factor authentication
+ *                     - success.twoFactorRequired: true if a code is needed to finish signing in
+ *                     - error: on error, an error message, with a Retry-After header if locked out
  */
-router.post("/login", function (req, res) {
+router.post("/login", Validation.validate({
+    body: {
+        email: _.assign({}, EMAIL, { message: "Email or password not provided." }),
+        password: _.assign({}, PASSWORD, { message: "Email or password not provided." })
+    }
+}), function (req, res) {
     if (req.currentUser) {
         // A User is already logged in
         var errorMsg = req.currentUser.email + " is currently signed in. To sign in to a different account, first logout this account.";
         utils.sendErrorResponse(res, FORBIDDEN, errorMsg);
-    } else if (!(req.body.email && req.body.password)) {
-        // Missing email/ password
-        var missingErrorMsg = "Email or password not provided.";
-        utils.sendErrorResponse(res, BAD_REQUEST, missingErrorMsg);
     } else {
-        // Attempting to log the user in
+        // Attempting to log the user in, unless the account or IP address is locked out for failing too often
         var email = req.body.email;
         var password = req.body.password;
 
-        Users.validatePassword(email, password, function (err, isCorrect) {
-            if (err) {
-                routerErrorHandler(res, err);
-            } else {
-                if (isCorrect) {
-                    // Correct password - Store user session
-                    req.session.email = email;
-                    utils.sendSuccessResponse(res, { user: email });
+        RateLimiter.checkLogin(req, res, email, function () {
+            Users.validatePassword(email, password, function (err, isCorrect) {
+                if (err) {
+                    if (err.http_status === NOT_FOUND) {
+                        // Guessing emails counts against the IP address
+                        RateLimiter.recordLoginFailure(req, email, function () {
+                            routerErrorHandler(res, err);
+                        });
+                    } else {
+                        routerErrorHandler(res, err);
+                    }
                 } else {
-                    // Incorrect Password
-                    utils.sendErrorResponse(res, FORBIDDEN, "Wrong password. Try again.");
+                    if (isCorrect) {
+                        // Correct password - Store user session
+                        Users.findUser(email, function (err, user) {
+                            if (err) {
+                                routerErrorHandler(res, err);
+                            } else if (Users.hasTwoFactor(user)) {
+                                // The password is right, but a code is needed before signing in, so the failed
+                                // logins of the account are only cleared once the code is given
+                                req.session.regenerate(function (err) {
+                                    if (err) {
+                                        routerErrorHandler(res, { msg: err });
+                                    } else {
+                                        req.session.twoFactor = {
+                                            userId: user._id,
+                                            email: user.email,
+                                            expires: Totp.now() + TWO_FACTOR_LIFETIME,
+                                            attempts: 0
+                                        };
+                                        utils.sendSuccessResponse(res, { twoFactorRequired: true });
+                                    }
+                                });
+                            } else {
+                                RateLimiter.recordLoginSuccess(email, function () {
+                                    signIn(req, res, user);
+                                });
+                            }
+                        });
+                    } else {
+                        // Incorrect Password
+                        RateLimiter.recordLoginFailure(req, email, function () {
+                            utils.sendErrorResponse(res, FORBIDDEN, "Wrong password. Try again.");
+                        });
+                    }
                 }
-            }
+            });
+        });
+    }
+});
+
+/**
+ * Finishes logging in a user who turned on two-factor authentication, with a code from their authenticator
+ * app or one of their backup codes
+ * The code has to be given within 5 minutes of the password, and after 5 wrong codes the password has to be given again.
+ * Wrong codes count as failed logins of the account, so logging in again does not give more guesses.
+ * POST /users/login/twoFactor
+ * @param {Object} req - the request body must contain code, and the session must come from POST /users/login
+ * @param {Object} res - success.user: the email of the user who is logging in
+ *                     - success.backupCodesLeft: how many backup codes the user has left, if one was used
+ *                     - error: on error, an error message
+ */
+router.post("/login/twoFactor", Validation.validate({ body: { code: CODE } }), function (req, res) {
+    var pending = req.session.twoFactor;
+    if (!pending || pending.expires < Totp.now()) {
+        delete req.session.twoFactor;
+        utils.sendErrorResponse(res, FORBIDDEN, "Please sign in with your email and password first.");
+    } else {
+        RateLimiter.checkLogin(req, res, pending.email, function () {
+            Users.verifyTwoFactor(pending.userId, req.body.code, function (err, result) {
+                if (err && err.http_status === FORBIDDEN) {
+                    // Codes cannot be guessed by trying all of them
+                    pending.attempts += 1;
+                    RateLimiter.recordLoginFailure(req, pending.email, function () {
+                        if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+                            delete req.session.twoFactor;
+                            utils.sendErrorResponse(res, FORBIDDEN, "Too many wrong codes. Please sign in again.");
+                        } else {
+                            routerErrorHandler(res, err);
+                        }
+                    });
+                } else if (err) {
+                    routerErrorHandler(res, err);
+                } else {
+                    RateLimiter.recordLoginSuccess(pending.email, function () {
+                        Users.findUserById(pending.userId, function (err, user) {
+                            if (err) {
+                                routerErrorHandler(res, err);
+                            } else {
+                                signIn(req, res, user, result.usedBackupCode ? { backupCodesLeft: result.backupCodesLeft } : {});
+                            }
+                        });
+                    });
+                }
+            });
         });
     }
 });
 
 /**
  * Logs a user out
+ * The session is removed from the store, so the cookie no longer works on any server
  * POST /users/logout
  * @param {Object} req - the request body must contain the session
+ *                     - the request body may contain everywhere: true to also log out every other session of the user
  * @param {Object} res - success: true if the user was successfully logged out
- * 
+ *                     - error: on error, an error message
+ */
+router.post("/logout", Validation.validate({ body: { everywhere: { type: "boolean" } } }), function (req, res) {
+    var logout = function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            req.session.destroy(function (err) {
+                if (err) {
+                    routerErrorHandler(res, { msg: err });
+                } else {
+                    res.clearCookie(sessionConfig.name);
+                    utils.sendSuccessResponse(res);
+                }
+            });
+        }
+    };
+    if (req.body.everywhere) {
+        Sessions.revokeAllSessions(req.currentUser._id, logout);
+    } else {
+        logout(null);
+    }
+});
+
+/**
+ * Signs the current User out of one of their sessions
+ * DELETE /users/sessions/:sessionId
+ * @param {Object} req - the request params must contain sessionId, the id of the session from GET /users/sessions
+ * @param {Object} res - success: true if the session was signed out
+ *                     - error: on error, an error message
+ */
+router.delete("/sessions/:sessionId", Validation.validate({
+    params: { sessionId: { type: "string", required: true, name: "session id" } }
+}), function (req, res) {
+    Sessions.revokeSession(req.currentUser._id, req.params.sessionId, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Creates a personal API token for the current User, for scripts to send as "Authorization: Bearer <token>"
+ * The token is only ever shown in this response.
+ * POST /users/tokens
+ * @param {Object} req - the request body must contain name (between 1 and 30 characters)
+ *                       and scope (read or write)
+ * @param {Object} res - success.token: the token itself
+ *                     - success.tokenInfo: the token as given by GET /users/tokens
+ *                     - error: on error, an error message
+ */
+router.post("/tokens", Validation.validate({
+    body: {
+        name: Schemas.required(Schemas.name("Token names must be between 1 and 30 characters long!")),
+        scope: {
+            type: "enum",
+            required: true,
+            values: ApiTokens.SCOPES,
+            message: "The scope of a token must be " + ApiTokens.SCOPES.join(" or ") + "!"
+        }
+    }
+}), function (req, res) {
+    ApiTokens.createToken(req.currentUser._id, req.body.name, req.body.scope, function (err, token, apiToken) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { token: token, tokenInfo: apiToken });
+        }
+    });
+});
+
+/**
+ * Revokes a personal API token of the current User, so that it can no longer be used
+ * DELETE /users/tokens/:tokenId
+ * @param {Object} req - the request params must contain tokenId, the id of the token from GET /users/tokens
+ * @param {Object} res - success: true if the token was revoked
+ *                     - error: on error, an error message
+ */
+router.delete("/tokens/:tokenId", Validation.validate({ params: { tokenId: Schemas.id("token") } }), function (req, res) {
+    ApiTokens.revokeToken(req.currentUser._id, req.params.tokenId, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Starts setting up two-factor authentication for the current User
+ * POST /users/twoFactor/setup
+ * @param {Object} req - the request must contain the session
+ * @param {Object} res - success.secret: the secret to type into an authenticator app
+ *                     - success.uri: the otpauth:// link with the secret
+ *                     - success.qrCode: the link as a QR code for the app to scan, as a data URL of a PNG image
+ *                     - error: on error, an error message
+ */
+router.post("/twoFactor/setup", function (req, res) {
+    Users.startTwoFactor(req.currentUser._id, function (err, setup) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            QRCode.toDataURL(setup.uri, function (err, qrCode) {
+                if (err) {
+                    routerErrorHandler(res, { msg: err });
+                } else {
+                    utils.sendSuccessResponse(res, { secret: setup.secret, uri: setup.uri, qrCode: qrCode });
+                }
+            });
+        }
+    });
+});
+
+/**
+ * Turns on two-factor authentication for the current User, once they give a code from their authenticator app
+ * POST /users/twoFactor/enable
+ * @param {Object} req - the request body must contain code, made with the secret from POST /users/twoFactor/setup
+ * @param {Object} res - success.backupCodes: the one-time codes that can be used instead of the app,
+ *                       which are only shown here
+ *                     - error: on error, an error message
+ */
+router.post("/twoFactor/enable", Validation.validate({ body: { code: CODE } }), function (req, res) {
+    Users.enableTwoFactor(req.currentUser._id, req.body.code, function (err, backupCodes) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { backupCodes: backupCodes });
+        }
+    });
+});
+
+/**
+ * Replaces the backup codes of the current User
+ * POST /users/twoFactor/backupCodes
+ * @param {Object} req - the request body must contain code, from the authenticator app or a backup code
+ * @param {Object} res - success.backupCodes: the new backup codes, which are only shown here
+ *                     - error: on error, an error message
+ */
+router.post("/twoFactor/backupCodes", Validation.validate({ body: { code: CODE } }), function (req, res) {
+    Users.regenerateBackupCodes(req.currentUser._id, req.body.code, function (err, backupCodes) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { backupCodes: backupCodes });
+        }
+    });
+});
+
+/**
+ * Turns off two-factor authentication for the current User, unless they are a moderator or admin
+ * DELETE /users/twoFactor
+ * @param {Object} req - the request body must contain password (the current password)
+ * @param {Object} res - success: true if two-factor authentication was turned off
+ *                     - error: on error, an error message
+ */
+router.delete("/twoFactor", Validation.validate({ body: { password: PASSWORD } }), function (req, res) {
+    Users.disableTwoFactor(req.currentUser._id, req.body.password, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Sends a link for resetting the password to the email of a User who forgot their password
+ * The response is the same whether or not there is a User with the email, so that it cannot be used to find out who has an account
+ * POST /users/password/forgot
+ * @param {Object} req - the request body must contain email
+ * @param {Object} res - success: true if the email was valid
+ *                     - error: on error, an error message
+ */
+router.post("/password/forgot", Validation.validate({
+    body: { email: _.assign({}, EMAIL, { message: "Please enter your email." }) }
+}), function (req, res) {
+    var email = req.body.email;
+    Users.createPasswordReset(email, function (err, token, user) {
+        if (err && err.http_status === NOT_FOUND) {
+            utils.sendSuccessResponse(res);
+        } else if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            var link = req.protocol + "://" + req.get("host") + "/password/reset?token=" + token;
+            var text = "Hi " + user.username + ",\n\n" +
+                "Someone asked to reset the password of your Sweet Spots account. To choose a new password, go to:\n\n" +
+                link + "\n\n" +
+                "This link expires in an hour and can only be used once. If you did not ask to reset your password, you can ignore this email.";
+            Mailer.send(user.email, "Reset your Sweet Spots password", text, function (err) {
+                if (err) {
+                    routerErrorHandler(res, err);
+                } else {
+                    utils.sendSuccessResponse(res);
+                }
+            });
+        }
+    });
+});
+
+/**
+ * Changes the password of a User with a password reset token that was emailed to them
+ * POST /users/password/reset
+ * @param {Object} req - the request body must contain token and password (the new password)
+ * @param {Object} res - success: true if the password was changed, false otherwise
+ *                     - error: on error, an error message
+ */
+router.post("/password/reset", Validation.validate({
+    body: {
+        token: { type: "string", required: true, message: "This password reset link is invalid or has expired." },
+        password: Schemas.required(Schemas.NEW_PASSWORD)
+    }
+}), function (req, res) {
+    Users.resetPassword(req.body.token, req.body.password, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Changes the password of the current User
+ * PUT /users/password
+ * @param {Object} req - the request body must contain currentPassword and newPassword
+ * @param {Object} res - success: true if the password was changed, false otherwise
+ *                     - error: on error, an error message
+ */
+router.put("/password", Validation.validate({
+    body: { currentPassword: PASSWORD, newPassword: Schemas.required(Schemas.NEW_PASSWORD) }
+}), function (req, res) {
+    Users.changePassword(req.currentUser._id, req.body.currentPassword, req.body.newPassword, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res);
+        }
+    });
+});
+
+/**
+ * Changes the username of the current User
+ * PUT /users/username
+ * @param {Object} req - the request body must contain username
+ * @param {Object} res - success.user: the User with the new username
+ *                     - error: on error, an error message
  */
-router.post("/logout", function (req, res) {
-    req.session.destroy();
-    utils.sendSuccessResponse(res);
+router.put("/username", Validation.validate({ body: { username: Schemas.required(Schemas.USERNAME) } }), function (req, res) {
+    Users.changeUsername(req.currentUser._id, req.body.username, function (err, user) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            utils.sendSuccessResponse(res, { user: user });
+        }
+    });
+});
+
+/**
+ * Changes the email of the current User and emails a link for verifying the new email
+ * The User cannot post until they verify the new email. Other sessions of the User are signed out.
+ * PUT /users/email
+ * @param {Object} req - the request body must contain email and password (the current password)
+ * @param {Object} res - success.user: the User with the new email
+ *                     - success.verificationEmailSent: false if the link could not be emailed, in which case
+ *                       the User can ask for it again
+ *                     - error: on error, an error message
+ */
+router.put("/email", Validation.validate({ body: { email: EMAIL, password: PASSWORD } }), function (req, res) {
+    Users.changeEmail(req.currentUser._id, req.body.password, req.body.email, function (err, user) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            // Sessions remember the email of their User
+            req.session.email = user.email;
+            // The email has changed even if the link is not sent, since the User can ask for it again
+            sendVerificationEmail(req, user, function (err) {
+                utils.sendSuccessResponse(res, { user: user, verificationEmailSent: !err });
+            });
+        }
+    });
+});
+
+/**
+ * Deletes the account of the current User, signs them out everywhere and revokes their API tokens
+ * What happens to the Spots, Reviews, votes, photos and reports of the User is described in Users.deleteAccount
+ * DELETE /users/
+ * @param {Object} req - the request body must contain password (the current password)
+ * @param {Object} res - success: true if the account was deleted, false otherwise
+ *                     - error: on error, an error message
+ */
+router.delete("/", Validation.validate({ body: { password: PASSWORD } }), function (req, res) {
+    Users.deleteAccount(req.currentUser._id, req.body.password, function (err) {
+        if (err) {
+            routerErrorHandler(res, err);
+        } else {
+            // The account is gone, so its other sessions are signed out when they are next used even if revoking fails
+            Sessions.revokeAllSessions(req.currentUser._id, function () {
+                // Tokens of an account that is gone are refused anyway, even if removing them fails
+                ApiTokens.removeUserTokens(req.currentUser._id, function () {
+                    req.session.destroy();
+                    utils.sendSuccessResponse(res);
+                });
+            });
+        }
+    });
 });
 
 module.exports = router;
@@ -0,0 +1,26 @@
+// @author: Maryam Archie
+
+var express = require("express");
+var router = express.Router();
+var Users = require("../models/Users").Users;
+
+const SERVER_ERROR = 500;
+
+/*
+ * The route that the verification link in the email points to. It verifies the email of the user
+ * and renders a page that says whether it worked.
+ * @param{Object} req - The request, whose query should contain the token from the link
+ * @param{Object} res - The response
+ */
+router.get("/", function (req, res) {
+    Users.verifyEmail(req.query.token, function (err, user) {
+        if (err) {
+            var message = err.http_status ? err.msg : "Something went wrong... Please try again.";
+            res.status(err.http_status || SERVER_ERROR).render("verifyEmail", { verified: false, message: message });
+        } else {
+            res.render("verifyEmail", { verified: true, message: "Thanks, " + user.username + "! Your email is verified." });
+        }
+    });
+});
+
+module.exports = router;
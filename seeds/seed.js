@@ -2,21 +2,84 @@
 
 var mongoose = require("mongoose");
 var tagModel = require("../models/Tags").tagModel;
+var spotModel = require("../models/Spots").spotModel;
+var reviewModel = require("../models/Reviews").reviewModel;
+var userModel = require("../models/Users").userModel;
+var Campuses = require("../utils/campuses");
 
+// The predefined tags are the ones listed for the campuses in the campus config
 tagModel({}).remove(function() {
-    tagModel.create({
-        label: "bathroom", predefined: true
-    }, function(err, newTag) { });
-
-    tagModel.create({
-        label: "study space", predefined: true
-    }, function(err, newTag) { });
-
-    tagModel.create({
-        label: "nap space", predefined: true
-    }, function(err, newTag) { });
-
-    tagModel.create({
-        label: "water fountain", predefined: true
-    }, function(err, newTag) { });
-});
\ No newline at end of file
+    Campuses.getTagLabels().forEach(function(label) {
+        tagModel.create({
+            label: label, predefined: true
+        }, function(err, newTag) { });
+    });
+});
+
+// Backfill the GeoJSON geometry and campus of Spots created before they were stored
+spotModel.find({ $or: [{ geometry: { $exists: false } }, { campus: { $exists: false } }] }, function(err, spots) {
+    if (!err) {
+        spots.forEach(function(spot) {
+            spot.save(function(err) { });
+        });
+    }
+});
+
+// Backfill the reviewers of Spots created before they were stored
+var withoutReviewers = { $or: [{ reviewers: { $exists: false } }, { reviewers: { $size: 0 } }] };
+spotModel.find(withoutReviewers).populate("reviews").exec(function(err, spots) {
+    if (!err) {
+        spots.forEach(function(spot) {
+            var reviewers = spot.reviews.map(function(review) {
+                return review.creator;
+            });
+            spotModel.update({ _id: spot._id, $and: [withoutReviewers] }, { reviewers: reviewers }, function(err) { });
+        });
+    }
+});
+
+// Convert the voters of Reviews created before votes were stored with their direction
+// Which voters upvoted was not recorded, so the first (voters + score) / 2 of them are
+// counted as upvotes, which keeps the score of the Review the same
+reviewModel.collection.find({ voters: { $exists: true } }).toArray(function(err, reviews) {
+    if (!err) {
+        reviews.forEach(function(review) {
+            var numUpvotes = (review.voters.length + (review.score || 0)) / 2;
+            var votes = review.voters.map(function(voter, i) {
+                return { _id: new mongoose.Types.ObjectId(), voter: voter, upvote: i < numUpvotes };
+            });
+            reviewModel.collection.update({ _id: review._id }, { $set: { votes: votes }, $unset: { voters: "" } }, function(err) { });
+        });
+    }
+});
+
+// Reports made on Spots before the moderation queue existed have not been dealt with by a moderator
+spotModel.collection.find({ pendingReports: { $exists: false } }).toArray(function(err, spots) {
+    if (!err) {
+        spots.forEach(function(spot) {
+            var numReports = spot.reports ? spot.reports.length : 0;
+            spotModel.collection.update({ _id: spot._id, pendingReports: { $exists: false } }, { $set: { pendingReports: numReports } }, function(err) { });
+        });
+    }
+});
+
+// The accounts listed in ADMIN_EMAILS (separated by commas) are made admins, so that there is always someone to promote the others
+if (process.env.ADMIN_EMAILS) {
+    var adminEmails = process.env.ADMIN_EMAILS.split(",").map(function(email) {
+        return email.trim();
+    });
+    userModel.update({ email: { $in: adminEmails } }, { role: "admin" }, { multi: true }, function(err) { });
+}
+
+// Users who registered before emails were verified are trusted with the email they registered with
+userModel.collection.update({ verified: { $exists: false } }, { $set: { verified: true } }, { multi: true }, function(err) { });
+
+// Users who registered before there were campuses belong to the campus of their email
+userModel.find({ campus: { $exists: false } }, function(err, users) {
+    if (!err) {
+        users.forEach(function(user) {
+            var campus = Campuses.getCampusForEmail(user.email) || Campuses.getDefaultCampus();
+            userModel.collection.update({ _id: user._id }, { $set: { campus: campus.id } }, function(err) { });
+        });
+    }
+});
@@ -0,0 +1,22 @@
+//@author: Maryam Archie
+
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/campuses" : "http://localhost:3000/api/v1/campuses";
+var request = require("./request.js");
+
+export default {
+
+    /**
+     * Retrieves the campuses that the app is set up for
+     * GET /campuses
+     * @return {Object} the campuses, each with its email domains, map settings, bounds and tags,
+     *                  and the id of the campus of the current User (or the default campus if not signed in)
+     *                  the response is of the form { campuses: campuses, campus: campusId }
+     */
+    getCampuses: () => {
+        return request({
+            uri: BASE_URL,
+            method: "GET",
+            json: true
+        });
+    }
+};
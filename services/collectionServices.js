@@ -0,0 +1,136 @@
+//@author: Maryam Archie
+
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/collections" : "http://localhost:3000/api/v1/collections";
+var request = require("./request.js");
+
+export default {
+
+    /**
+     * Gets a collection with its Spots
+     * GET /collections/:collectionId
+     * @param {ObjectId} collectionId - the id of the collection of interest
+     * @return {Object} the collection { collection: collection }
+     * @throws Will throw a 404 error if the collection cannot be found or is private to another User
+     */
+    getCollection: (collectionId) => {
+        return request({
+            uri: BASE_URL + `/${collectionId}`,
+            method: "GET",
+            json: true
+        });
+    },
+
+    /**
+     * Creates a collection for the current User
+     * POST /collections
+     * @param {String} name - the name of the collection, between 1 and 30 characters
+     * @param {Boolean} isPublic - true if anyone with a link can see the collection
+     * @return {Object} the new collection { collection: collection }
+     * @throws Will throw a 400 error if the name is invalid or already used by another collection of the User
+     */
+    createCollection: (name, isPublic) => {
+        return request({
+            uri: BASE_URL,
+            method: "POST",
+            json: true,
+            body: {
+                name: name,
+                isPublic: isPublic
+            }
+        });
+    },
+
+    /**
+     * Renames a collection of the current User or changes who can see it
+     * PUT /collections/:collectionId
+     * @param {ObjectId} collectionId - the id of the collection of interest
+     * @param {Object} changes - may contain name and isPublic
+     * @return {Object} the changed collection { collection: collection }
+     * @throws Will throw a 400 error if the name is invalid or already used by another collection of the User
+     *                      403 error if the collection belongs to another User
+     *                      404 error if the collection cannot be found
+     */
+    updateCollection: (collectionId, changes) => {
+        return request({
+            uri: BASE_URL + `/${collectionId}`,
+            method: "PUT",
+            json: true,
+            body: changes
+        });
+    },
+
+    /**
+     * Deletes a collection of the current User
+     * DELETE /collections/:collectionId
+     * @param {ObjectId} collectionId - the id of the collection of interest
+     * @throws Will throw a 403 error if the collection belongs to another User
+     *                      404 error if the collection cannot be found
+     */
+    deleteCollection: (collectionId) => {
+        return request({
+            uri: BASE_URL + `/${collectionId}`,
+            method: "DELETE",
+            json: true
+        });
+    },
+
+    /**
+     * Adds a Spot to the end of a collection of the current User
+     * POST /collections/:collectionId/spots
+     * @param {ObjectId} collectionId - the id of the collection of interest
+     * @param {ObjectId} spotId - the id of the Spot to add
+     * @return {Object} the changed collection { collection: collection }
+     * @throws Will throw a 400 error if the Spot is already in the collection
+     *                      403 error if the collection belongs to another User
+     *                      404 error if the collection or Spot cannot be found
+     */
+    addSpot: (collectionId, spotId) => {
+        return request({
+            uri: BASE_URL + `/${collectionId}/spots`,
+            method: "POST",
+            json: true,
+            body: {
+                spotId: spotId
+            }
+        });
+    },
+
+    /**
+     * Puts the Spots of a collection of the current User in a new order
+     * PUT /collections/:collectionId/spots
+     * @param {ObjectId} collectionId - the id of the collection of interest
+     * @param {ObjectId[]} spotIds - the ids of every Spot in the collection, in the new order
+     * @return {Object} the changed collection { collection: collection }
+     * @throws Will throw a 400 error if the order does not have every Spot in the collection exactly once
+     *                      403 error if the collection belongs to another User
+     *                      404 error if the collection cannot be found
+     */
+    reorderSpots: (collectionId, spotIds) => {
+        return request({
+            uri: BASE_URL + `/${collectionId}/spots`,
+            method: "PUT",
+            json: true,
+            body: {
+                spots: spotIds
+            }
+        });
+    },
+
+    /**
+     * Takes a Spot out of a collection of the current User
+     * DELETE /collections/:collectionId/spots/:spotId
+     * @param {ObjectId} collectionId - the id of the collection of interest
+     * @param {ObjectId} spotId - the id of the Spot to take out
+     * @return {Object} the changed collection { collection: collection }
+     * @throws Will throw a 400 error if the Spot is not in the collection
+     *                      403 error if the collection belongs to another User
+     *                      404 error if the collection cannot be found
+     */
+    removeSpot: (collectionId, spotId) => {
+        return request({
+            uri: BASE_URL + `/${collectionId}/spots/${spotId}`,
+            method: "DELETE",
+            json: true
+        });
+    }
+};
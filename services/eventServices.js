@@ -0,0 +1,23 @@
+//@author: Maryam Archie
+
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/events" : "http://localhost:3000/api/v1/events";
+
+export default {
+
+    /**
+     * Subscribe to the changes made to Spots by all Users
+     * GET /events
+     * @param {Object} handlers - maps the type of an event (spot-created, spot-updated, spot-deleted,
+     *                            review-added, vote-changed) to a function that is called with its content
+     * @return {EventSource} the open connection, which must be closed when it is no longer needed
+     */
+    subscribe: (handlers) => {
+        var source = new EventSource(BASE_URL);
+        Object.keys(handlers).forEach((type) => {
+            source.addEventListener(type, (event) => {
+                handlers[type](JSON.parse(event.data));
+            });
+        });
+        return source;
+    }
+};
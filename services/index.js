@@ -5,10 +5,18 @@ import UserServices from "./userServices.js";
 import ReviewServices from "./reviewServices.js";
 import TagServices from "./tagServices.js";
 import SpotServices from "./spotServices.js";
+import EventServices from "./eventServices.js";
+import PhotoServices from "./photoServices.js";
+import CampusServices from "./campusServices.js";
+import CollectionServices from "./collectionServices.js";
 
 export default {
     user: UserServices,
     review: ReviewServices,
     tag: TagServices,
-    spot: SpotServices
+    spot: SpotServices,
+    event: EventServices,
+    photo: PhotoServices,
+    campus: CampusServices,
+    collection: CollectionServices
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+//@author: Maryam Archie
+
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/spots" : "http://localhost:3000/api/v1/spots";
+const BASE_URL_REVIEWS = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/reviews" : "http://localhost:3000/api/v1/reviews";
+
+var request = require("./request.js");
+
+/**
+ * Sends a photo as a multipart form
+ * request cannot send multipart forms from the browser, so fetch is used instead.
+ * Like request, the token is sent along with the photo, and the promise is rejected with { statusCode, error }
+ * where error is the body of the response.
+ * @param {String} uri - where the photo is sent
+ * @param {File} photo - the photo chosen by the User
+ * @return {Promise} resolves to the body of the response
+ */
+var uploadPhoto = (uri, photo) => {
+    var form = new FormData();
+    form.append("photo", photo);
+    return request.getCsrfToken().then((token) => {
+        return fetch(uri, { method: "POST", body: form, credentials: "include", headers: { "X-CSRF-Token": token } });
+    }).then((resp) => {
+        return resp.json().then((body) => {
+            if (resp.ok) {
+                return body;
+            }
+            throw { statusCode: resp.status, error: body };
+        });
+    });
+};
+
+export default {
+
+    /**
+     * Upload a photo of a Spot
+     * POST /spots/:spotId/photos
+     * @param {ObjectId} spotId - the id of the Spot of interest
+     * @param {File} photo - a JPEG or PNG image of at most 5MB
+     * @return {Object} the new photo { photo: photo }
+     * @throws Will throw 404 error if the Spot cannot be found
+     *                    413 error if the photo is too large
+     *                    415 error if the photo is not a JPEG or PNG image
+     *                    500 error otherwise
+     */
+    uploadSpotPhoto: (spotId, photo) => {
+        return uploadPhoto(BASE_URL + `/${spotId}/photos`, photo);
+    },
+
+    /**
+     * Upload a photo for a Review written by the current User
+     * POST /reviews/:reviewId/photos
+     * @param {ObjectId} reviewId - the id of the Review of interest
+     * @param {File} photo - a JPEG or PNG image of at most 5MB
+     * @return {Object} the new photo { photo: photo }
+     * @throws Will throw 403 error if the User did not write the Review
+     *                    404 error if the Review cannot be found
+     *                    413 error if the photo is too large
+     *                    415 error if the photo is not a JPEG or PNG image
+     *                    500 error otherwise
+     */
+    uploadReviewPhoto: (reviewId, photo) => {
+        return uploadPhoto(BASE_URL_REVIEWS + `/${reviewId}/photos`, photo);
+    },
+
+    /**
+     * Delete a photo uploaded by the current User
+     * DELETE /spots/:spotId/photos/:photoId
+     * @param {ObjectId} spotId - the id of the Spot of the photo
+     * @param {ObjectId} photoId - the id of the photo
+     * @throws Will throw 403 error if the User did not upload the photo
+     *                    404 error if the Spot/ photo cannot be found
+     *                    500 error otherwise
+     */
+    deletePhoto: (spotId, photoId) => {
+        return request({
+            uri: BASE_URL + `/${spotId}/photos/${photoId}`,
+            method: "DELETE",
+            json: true
+        });
+    }
+};
@@ -0,0 +1,83 @@
+//@author: Maryam Archie
+
+const CSRF_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/users/csrf" : "http://localhost:3000/api/v1/users/csrf";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+var request = require("request-promise-native");
+
+// The token for this page, fetched the first time a request needs it
+var csrfToken = null;
+
+/**
+ * Gets the token that has to be sent with every request that can change anything
+ * GET /users/csrf
+ * @return {Promise} resolves to the token
+ */
+var getCsrfToken = () => {
+    if (!csrfToken) {
+        csrfToken = request({
+            uri: CSRF_URL,
+            method: "GET",
+            json: true
+        }).then((res) => {
+            return res.content.csrfToken;
+        });
+        // If the token could not be fetched, it is asked for again by the next request
+        csrfToken.catch(() => {
+            csrfToken = null;
+        });
+    }
+    return csrfToken;
+};
+
+/**
+ * Sends a request like request-promise does, adding the token to every request other than GET, HEAD and OPTIONS
+ * @param {Object} options - the options of request-promise
+ * @return {Promise} resolves to the body of the response
+ */
+var sendRequest = (options) => {
+    var method = (options.method || "GET").toUpperCase();
+    if (SAFE_METHODS.indexOf(method) !== -1) {
+        return request(options);
+    }
+    return getCsrfToken().then((token) => {
+        var headers = Object.assign({}, options.headers, { "X-CSRF-Token": token });
+        return request(Object.assign({}, options, { headers: headers }));
+    });
+};
+
+/**
+ * Sends a GET request for a list that is sent a page at a time, asking for the next page until there are no more
+ * @param {Object} options - the options of request-promise
+ * @param {String} name - the name of the list in the content of the response, such as spots
+ * @return {Promise} resolves to the body of the last response, with the items of every page in the list
+ */
+var getAllPages = (options, name) => {
+    return sendRequest(options).then((res) => {
+        if (!res.content.next) {
+            return res;
+        }
+        var qs = Object.assign({}, options.qs, { after: res.content.next });
+        return getAllPages(Object.assign({}, options, { qs: qs }), name).then((rest) => {
+            rest.content[name] = res.content[name].concat(rest.content[name]);
+            return rest;
+        });
+    });
+};
+
+/**
+ * Gets the fields that made a request invalid from the error of a failed request
+ * @param {Object} err - what the promise of a request rejected with
+ * @return {Object} the error message of each invalid field, by the path to the field (such as location.latitude)
+ */
+var getFieldErrors = (err) => {
+    var fields = (err && err.error && err.error.fields) || [];
+    return fields.reduce((errors, field) => {
+        errors[field.field] = errors[field.field] || field.message;
+        return errors;
+    }, {});
+};
+
+module.exports = sendRequest;
+module.exports.getCsrfToken = getCsrfToken;
+module.exports.getAllPages = getAllPages;
+module.exports.getFieldErrors = getFieldErrors;
@@ -1,35 +1,41 @@
 //@author: Maryam Archie
 
-const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/reviews" : "http://localhost:3000/reviews";
-const BASE_URL_USER = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/users" : "http://localhost:3000/users";
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/reviews" : "http://localhost:3000/api/v1/reviews";
+const BASE_URL_USER = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/users" : "http://localhost:3000/api/v1/users";
 
-var request = require("request-promise-native");
+var request = require("./request.js");
+var getAllPages = request.getAllPages;
 
 export default {
 
     /**
-     * Get all the Reviews by a particular user
+     * Get all the Reviews by a particular user, a page at a time
      * GET /users/:userId/reviews
      * @param {ObjectId} userId - the id of the User of interest
+     * @param {Object} selection - (optional) { fields, populate } the fields of each Review to get and populate,
+     *                             each separated by commas
      * @return {Object} the Reviews created by the User of interest
      *                  the response is of the form { reviews: reviews }
      * @throws Will throw 404 error if the User cannot be found
      *                    500 otherwise
      */
-    getReviewsByUser: (userId) => {
-        return request({
+    getReviewsByUser: (userId, selection) => {
+        return getAllPages({
             uri: BASE_URL_USER + `/${userId}/reviews`,
             method: "GET",
+            qs: Object.assign({}, selection),
             json: true
-        });
+        }, "reviews");
     },
 
     /**
-     * Upvote or downvote a Review
+     * Upvote or downvote a Review, switching the current User's vote if they voted the other way
      * POST /reviews/:reviewId
      * @param {ObjectId} reviewId - the id of a given Review
      * @param {Boolean} upvote - true if upvote, false if downvote
-     * @throws Will throw 404 error if the Review/ User cannot be found
+     * @return {Object} the new score of the Review and the User's vote { score: score, userVote: 1 or -1 }
+     * @throws Will throw 403 error if the User wrote the Review or already voted that way
+     *                    404 error if the Review/ User cannot be found
      *                    500 error otherwise
      */
     upvoteReview: (reviewId, upvote) => {
@@ -41,5 +47,86 @@ export default {
                 upvote: upvote
             }
         });
+    },
+
+    /**
+     * Withdraw the current User's vote on a Review
+     * DELETE /reviews/:reviewId/vote
+     * @param {ObjectId} reviewId - the id of a given Review
+     * @return {Object} the new score of the Review { score: score, userVote: 0 }
+     * @throws Will throw 403 error if the User has not voted on the Review
+     *                    404 error if the Review cannot be found
+     *                    500 error otherwise
+     */
+    retractVote: (reviewId) => {
+        return request({
+            uri: BASE_URL + `/${reviewId}/vote`,
+            method: "DELETE",
+            json: true
+        });
+    },
+
+    /**
+     * Report a Review
+     * POST /reviews/:reviewId/report
+     * @param {ObjectId} reviewId - the id of a given Review
+     * @param {String} reason - duplicate, wrong-location, closed, offensive or spam
+     * @param {String} comment - an optional comment about the Review
+     * @return {Object} whether the report caused the Review to be hidden { hidden: hidden }
+     * @throws Will throw 400 error if the reason/ comment is invalid
+     *                    403 error if the User already reported the Review
+     *                    404 error if the Review cannot be found
+     *                    500 error otherwise
+     */
+    reportReview: (reviewId, reason, comment) => {
+        return request({
+            uri: BASE_URL + `/${reviewId}/report`,
+            method: "POST",
+            json: true,
+            body: {
+                reason: reason,
+                comment: comment
+            }
+        });
+    },
+
+    /**
+     * Edit a Review written by the current User
+     * PUT /reviews/:reviewId
+     * @param {ObjectId} reviewId - the id of a given Review
+     * @param {String} description - the new content of the Review
+     * @param {Number} rating - the new integer rating between 0 and 5
+     * @return {Object} the edited Review { review: review }
+     * @throws Will throw 400 error if the description/ rating is invalid
+     *                    403 error if the User did not write the Review
+     *                    404 error if the Review cannot be found
+     *                    500 error otherwise
+     */
+    updateReview: (reviewId, description, rating) => {
+        return request({
+            uri: BASE_URL + `/${reviewId}`,
+            method: "PUT",
+            json: true,
+            body: {
+                description: description,
+                rating: rating
+            }
+        });
+    },
+
+    /**
+     * Delete a Review written by the current User
+     * DELETE /reviews/:reviewId
+     * @param {ObjectId} reviewId - the id of a given Review
+     * @throws Will throw 403 error if the User did not write the Review or it is the only Review of its Spot
+     *                    404 error if the Review cannot be found
+     *                    500 error otherwise
+     */
+    deleteReview: (reviewId) => {
+        return request({
+            uri: BASE_URL + `/${reviewId}`,
+            method: "DELETE",
+            json: true
+        });
     }
 };
\ No newline at end of file
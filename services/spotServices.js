@@ -1,24 +1,30 @@
 // @author: Maryam Archie
 
-const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/spots" : "http://localhost:3000/spots";
-const BASE_URL_USER = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/users" : "http://localhost:3000/users";
-const BASE_URL_TAG = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/tags" : "http://localhost:3000/tags";
-const BASE_URL_REVIEWS = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/reviews" : "http://localhost:3000/reviews";
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/spots" : "http://localhost:3000/api/v1/spots";
+const BASE_URL_USER = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/users" : "http://localhost:3000/api/v1/users";
+const BASE_URL_TAG = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/tags" : "http://localhost:3000/api/v1/tags";
+const BASE_URL_REVIEWS = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/reviews" : "http://localhost:3000/api/v1/reviews";
 
-var request = require("request-promise-native");
+var request = require("./request.js");
+var getAllPages = request.getAllPages;
 
 export default {
     /**
-     * Retrieves all of the spots
-     * GET /spots/
-     * @return {Spot[]} all Spots in the database, empty if none
+     * Retrieves all of the spots of a campus, a page at a time
+     * GET /spots?campus=
+     * @param {String} campusId - (optional) the id of the campus, defaults to the campus of the current User
+     * @param {Object} selection - (optional) { fields, populate } the fields of each Spot to get and populate,
+     *                             each separated by commas, such as { fields: "title,tag", populate: "tag" }
+     * @return {Spot[]} all Spots of the campus, empty if none
+     * @throws Will throw a 400 error if there is no such campus
      */
-    getAllSpots: () => {
-        return request({
+    getAllSpots: (campusId, selection) => {
+        return getAllPages({
             uri: BASE_URL,
             method: "GET",
+            qs: Object.assign(campusId ? { campus: campusId } : {}, selection),
             json: true
-        });
+        }, "spots");
     },
 
     /**
@@ -37,59 +43,164 @@ export default {
 
     /**
      * Gets all the Spots at a particular location
-     * GET /spots/byLocation to the server
+     * GET /spots with the bounds of the map to the server
      * @param {Object} location - location on the map with GPS coordinates
      *                 - Must be of the form { minLatitude: min latitude of the map,
      *                                         maxLatitude: the max latitude of the map,
      *                                         minLongitude: the min longitude of the map,
-	 *							               maxLongitude: the min longitude of the map }
+     *                                         maxLongitude: the max longitude of the map }
+     * @param {Object} selection - (optional) { fields, populate } the fields of each Spot to get and populate
      * @return {Spot[]} the Spots at the specified location, empty if none
      */
-    getSpotsByLocation: (location) => {
+    getSpotsByLocation: (location, selection) => {
+        return getAllPages({
+            uri: BASE_URL,
+            method: "GET",
+            json: true,
+            qs: Object.assign({
+                minLat: location.minLatitude,
+                maxLat: location.maxLatitude,
+                minLng: location.minLongitude,
+                maxLng: location.maxLongitude
+            }, selection)
+        }, "spots");
+    },
+
+    /**
+     * Searches the Spots, combining any of the given filters
+     * GET /spots/search
+     * @param {Object} query - may contain any of the following:
+     *                 { label: the name of a Tag, or a list of names,
+     *                   minLat, maxLat, minLng, maxLng: the bounds of the map,
+     *                   lat, lng: the point to sort by distance from,
+     *                   minRating, floor, creator, q: text in the title or Reviews,
+     *                   campus: the id of a campus, defaults to the campus of the current User,
+     *                   sort: "rating", "newest", "reviews" or "distance",
+     *                   limit: the size of a page, after: the cursor of the previous page,
+     *                   fields, populate: the fields of each Spot to get and populate, separated by commas }
+     * @return {Object} a page of Spots and the cursor for the next one { spots: Spot[], next: cursor }
+     * @throws Will throw a 400 error if any of the filters are invalid
+     */
+    searchSpots: (query) => {
+        return request({
+            uri: BASE_URL + "/search",
+            method: "GET",
+            qs: query,
+            qsStringifyOptions: { arrayFormat: "repeat" },
+            json: true
+        });
+    },
+
+    /**
+     * Searches the Spots like searchSpots, asking for the next page until every matching Spot has been found
+     * GET /spots/search
+     * @param {Object} query - the filters of the search, as for searchSpots, where limit is the size of each page
+     * @return {Object} every matching Spot { spots: Spot[], next: null }
+     * @throws Will throw a 400 error if any of the filters are invalid
+     */
+    searchAllSpots: (query) => {
+        return getAllPages({
+            uri: BASE_URL + "/search",
+            method: "GET",
+            qs: query,
+            qsStringifyOptions: { arrayFormat: "repeat" },
+            json: true
+        }, "spots");
+    },
+
+    /**
+     * Gets the Spots of a campus within a radius of a point, closest first
+     * GET /spots/near
+     * @param {Number} latitude - the latitude of the point
+     * @param {Number} longitude - the longitude of the point
+     * @param {Number} radius - (optional) the maximum distance in meters, defaults to 500
+     * @param {Number} limit - (optional) the maximum number of Spots, defaults to 10
+     * @param {String} campusId - (optional) the id of the campus, defaults to the campus of the current User
+     * @return {Spot[]} the Spots near the point, each with a distance in meters, empty if none
+     * @throws Will throw a 400 error if the point, radius, limit or campus is invalid
+     */
+    getSpotsNear: (latitude, longitude, radius, limit, campusId) => {
+        var qs = { lat: latitude, lng: longitude };
+        if (radius) {
+            qs.radius = radius;
+        }
+        if (limit) {
+            qs.limit = limit;
+        }
+        if (campusId) {
+            qs.campus = campusId;
+        }
         return request({
-            uri: BASE_URL + `/byLocation/${location}`,
+            uri: BASE_URL + "/near",
             method: "GET",
+            qs: qs,
             json: true
         });
     },
 
     /**
-     * Get all the Spots created by a given User
+     * Gets the Spot of a campus with a given Tag that is closest to a point
+     * GET /spots/nearest
+     * @param {Number} latitude - the latitude of the point
+     * @param {Number} longitude - the longitude of the point
+     * @param {String} label - the description of the Tag
+     * @param {String} campusId - (optional) the id of the campus, defaults to the campus of the current User
+     * @return {Object} the closest Spot with its distance in meters { spot: spot }
+     * @throws Will throw a 400 error if the point or campus is invalid
+     *                    404 error if the Tag cannot be found or no Spot of the campus has the Tag
+     */
+    getNearestSpotByTag: (latitude, longitude, label, campusId) => {
+        return request({
+            uri: BASE_URL + "/nearest",
+            method: "GET",
+            qs: Object.assign(campusId ? { campus: campusId } : {}, { lat: latitude, lng: longitude, label: label }),
+            json: true
+        });
+    },
+
+    /**
+     * Get all the Spots created by a given User, a page at a time
      * GET /users/:userId/spots
      * @param {ObjectId} userId - the id of the User of interest
+     * @param {Object} selection - (optional) { fields, populate } the fields of each Spot to get and populate
      * @return {Spot[]} the Spots by the specified User, empty if none
      */
-    getSpotsByUser: (userId) => {
-        return request({
+    getSpotsByUser: (userId, selection) => {
+        return getAllPages({
             uri: BASE_URL_USER + `/${userId}/spots`,
             method: "GET",
+            qs: Object.assign({}, selection),
             json: true
-        });
+        }, "spots");
     },
 
     /**
-     * Gets all the Spots with matching the specified Tag
+     * Gets all the Spots with matching the specified Tag, a page at a time
      * GET /tags/:label/spots
      * @param {String} label - the description of the Tag
+     * @param {Object} selection - (optional) { fields, populate } the fields of each Spot to get and populate
      * @return {Spot[]} the Spots matching the Tag, empty if none
      */
-    getSpotsByTag: (label) => {
-        return request({
+    getSpotsByTag: (label, selection) => {
+        return getAllPages({
             uri: BASE_URL_TAG + `/${label}/spots`,
             method: "GET",
+            qs: Object.assign({}, selection),
             json: true
-        });
+        }, "spots");
     },
 
     /**
      * Gets a Spot given the id of a Review
      * @param {ObjectId} reviewid - the id of the Review for which we want to find the Spot
+     * @param {Object} selection - (optional) { fields, populate } the fields of the Spot to get and populate
      * @return {Object} { spot: spot }
      */
-    getSpotByReview: (reviewId) => {
+    getSpotByReview: (reviewId, selection) => {
         return request({
             uri: BASE_URL_REVIEWS + `/${reviewId}/spot`,
             method: "GET",
+            qs: Object.assign({}, selection),
             json: true
         });
     },
@@ -123,6 +234,29 @@ export default {
         });
     },
 
+    /**
+     * Edits a Spot
+     * PUT /spots/:spotId
+     * @param {ObjectId} spotId - the id of the Spot of interest
+     * @param {Object} changes - may contain any of the following:
+     *                 { title: the new name of the Spot,
+     *                   location: { latitude, longitude } the new location of the Spot,
+     *                   floor: the new floor of the Spot,
+     *                   label: the new category of the Spot }
+     * @return {Object} the edited Spot { spot: spot }
+     * @throws Will throw a 400 error if the changes violate checkRep or the title is taken
+     *                    403 error if the User did not create the Spot
+     *                    404 error if the Spot cannot be found
+     */
+    updateSpot: (spotId, changes) => {
+        return request({
+            uri: BASE_URL + `/${spotId}`,
+            method: "PUT",
+            json: true,
+            body: changes
+        });
+    },
+
     /**
      * Adds a Review to a particular Spot
      * POST /spots/:spotId/addReview
@@ -155,16 +289,41 @@ export default {
         });
     },
 
+    /**
+     * Allows the User to take a Spot out of their favorites
+     * DELETE /spots/:spotId/favorite
+     * @param {ObjectId} spotId - the id of the Spot of interest
+     * @throws Will throw a 404 error if the User has not favorited the Spot
+     */
+    unfavoriteSpot: (spotId) => {
+        return request({
+            uri: BASE_URL + `/${spotId}/favorite`,
+            method: "DELETE",
+            json: true
+        });
+    },
+
     /**
      * Report Spot
      * POST /spots/:spotId/Report
      * @param {ObjectId} spotId - the id of the Spot of interest
+     * @param {String} reason - duplicate, wrong-location, closed, offensive or spam
+     * @param {String} comment - an optional comment about the Spot
+     * @return {Object} whether the report caused the Spot to be hidden { hidden: hidden }
+     * @throws Will throw 400 error if the reason/ comment is invalid
+     *                    403 error if the User already reported the Spot
+     *                    404 error if the Spot cannot be found
+     *                    500 error otherwise
      */
-    reportSpot: (spotId) => {
+    reportSpot: (spotId, reason, comment) => {
         return request({
             uri: BASE_URL + `/${spotId}/report`,
             method: "POST",
-            json: true
+            json: true,
+            body: {
+                reason: reason,
+                comment: comment
+            }
         });
     },
 
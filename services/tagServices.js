@@ -1,7 +1,7 @@
 //@author: Maryam Archie
 
-const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/tags" : "http://localhost:3000/tags";
-var request = require("request-promise-native");
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/tags" : "http://localhost:3000/api/v1/tags";
+var request = require("./request.js");
 
 export default {
 
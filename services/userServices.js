@@ -1,9 +1,10 @@
 // @author: Maryam Archie
 // Based off fritter-react/services/userServices
 
-const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/users" : "http://localhost:3000/users";
+const BASE_URL = process.env.NODE_ENV === "production" ? "https://sweet-spots.herokuapp.com/api/v1/users" : "http://localhost:3000/api/v1/users";
 
-var request = require("request-promise-native");
+var request = require("./request.js");
+var getAllPages = request.getAllPages;
 
 export default {
     /**
@@ -101,15 +102,305 @@ export default {
         });
     },
 
+    /**
+     * Puts the favorite Spots of the current User in a new order
+     * PUT /users/favoriteSpots
+     * @param {ObjectId[]} spotIds - the ids of every favorite Spot of the User, in the new order
+     * @return {Object} the favorite Spots in the new order
+     *                  the response is of the form { favorites: Spots[] }
+     * @throws Will throw a 400 error if the order does not have every favorite exactly once
+     *                      500 error otherwise
+     */
+    reorderFavoriteSpots: (spotIds) => {
+        return request({
+            uri: BASE_URL + "/favoriteSpots",
+            method: "PUT",
+            json: true,
+            body: {
+                spots: spotIds
+            }
+        });
+    },
+
+    /**
+     * Gets a User's collections, a page at a time. Only the User sees their private collections.
+     * GET /users/:userId/collections
+     * @param {ObjectId} - the id of the User of interest
+     * @return {Object} every collection of the User, with their Spots
+     *                  the response is of the form { collections: collections }
+     */
+    getUserCollections: (userId) => {
+        return getAllPages({
+            uri: BASE_URL + `/${userId}/collections`,
+            method: "GET",
+            json: true
+        }, "collections");
+    },
+
+    /**
+     * Emails the current User a new link for verifying their email
+     * POST /users/verification/resend
+     * @throws Will throw a 400 error if the User is already verified
+     *                      403 error if the User is not signed in
+     *                      500 error otherwise
+     */
+    resendVerification: () => {
+        return request({
+            uri: BASE_URL + "/verification/resend",
+            method: "POST",
+            json: true
+        });
+    },
+
     /**
      * Logs the user out
      * POST /users/logout
+     * @param {Boolean} everywhere - (optional) true to also log out every other session of the user
      */
-    logout: () => {
+    logout: (everywhere) => {
         return request({
             uri: BASE_URL + "/logout",
             method: "POST",
+            json: true,
+            body: {
+                everywhere: Boolean(everywhere)
+            }
+        });
+    },
+
+    /**
+     * Gets the sessions that the current User is signed in with
+     * GET /users/sessions
+     * @return {Object} the sessions, the most recently used first
+     *                  the response is of the form { sessions: sessions } where each session is of the form
+     *                  { id, current, userAgent, ip, createdAt, lastActive, expires }
+     * @throws Will throw a 403 error if the User is not signed in
+     */
+    getSessions: () => {
+        return request({
+            uri: BASE_URL + "/sessions",
+            method: "GET",
+            json: true
+        });
+    },
+
+    /**
+     * Signs the current User out of one of their sessions
+     * DELETE /users/sessions/:sessionId
+     * @param {String} sessionId - the id of the session, as given by getSessions
+     * @throws Will throw a 403 error if the User is not signed in
+     *                      404 error if the session cannot be found
+     */
+    revokeSession: (sessionId) => {
+        return request({
+            uri: BASE_URL + `/sessions/${sessionId}`,
+            method: "DELETE",
+            json: true
+        });
+    },
+
+    /**
+     * Gets the personal API tokens of the current User, without the tokens themselves
+     * GET /users/tokens
+     * @return {Object} the tokens, the most recently created first
+     *                  the response is of the form { tokens: tokens } where each token is of the form
+     *                  { id, name, scope, start, createdAt, lastUsed }
+     * @throws Will throw a 403 error if the User is not signed in
+     */
+    getApiTokens: () => {
+        return request({
+            uri: BASE_URL + "/tokens",
+            method: "GET",
+            json: true
+        });
+    },
+
+    /**
+     * Creates a personal API token for the current User
+     * POST /users/tokens
+     * @param {String} name - what the token is for, between 1 and 30 characters
+     * @param {String} scope - read or write
+     * @return {Object} the token, which is only given here, of the form { token: token, tokenInfo: tokenInfo }
+     * @throws Will throw a 400 error if the name or scope is invalid, or the User has too many tokens
+     *                      403 error if the User is not signed in
+     */
+    createApiToken: (name, scope) => {
+        return request({
+            uri: BASE_URL + "/tokens",
+            method: "POST",
+            json: true,
+            body: {
+                name: name,
+                scope: scope
+            }
+        });
+    },
+
+    /**
+     * Revokes a personal API token of the current User
+     * DELETE /users/tokens/:tokenId
+     * @param {String} tokenId - the id of the token, as given by getApiTokens
+     * @throws Will throw a 403 error if the User is not signed in
+     *                      404 error if the token cannot be found
+     */
+    revokeApiToken: (tokenId) => {
+        return request({
+            uri: BASE_URL + `/tokens/${tokenId}`,
+            method: "DELETE",
             json: true
         });
+    },
+
+    /**
+     * Starts setting up two-factor authentication for the current User
+     * POST /users/twoFactor/setup
+     * @return {Object} the secret to give to an authenticator app, of the form { secret, uri, qrCode }
+     *                  where qrCode is a data URL of a PNG image that the app can scan
+     * @throws Will throw a 400 error if two-factor authentication is already on
+     *                      403 error if the User is not signed in
+     */
+    setupTwoFactor: () => {
+        return request({
+            uri: BASE_URL + "/twoFactor/setup",
+            method: "POST",
+            json: true
+        });
+    },
+
+    /**
+     * Turns on two-factor authentication for the current User
+     * POST /users/twoFactor/enable
+     * @param {String} code - the code shown by the authenticator app
+     * @return {Object} the backup codes, which are only given here { backupCodes: backupCodes }
+     * @throws Will throw a 400 error if the code is wrong or setupTwoFactor has not been called
+     *                      403 error if the User is not signed in
+     */
+    enableTwoFactor: (code) => {
+        return request({
+            uri: BASE_URL + "/twoFactor/enable",
+            method: "POST",
+            json: true,
+            body: {
+                code: code
+            }
+        });
+    },
+
+    /**
+     * Replaces the backup codes of the current User
+     * POST /users/twoFactor/backupCodes
+     * @param {String} code - a code from the authenticator app or a backup code
+     * @return {Object} the new backup codes { backupCodes: backupCodes }
+     * @throws Will throw a 403 error if the code is wrong or the User is not signed in
+     */
+    regenerateBackupCodes: (code) => {
+        return request({
+            uri: BASE_URL + "/twoFactor/backupCodes",
+            method: "POST",
+            json: true,
+            body: {
+                code: code
+            }
+        });
+    },
+
+    /**
+     * Turns off two-factor authentication for the current User
+     * DELETE /users/twoFactor
+     * @param {String} password - the current password of the User
+     * @throws Will throw a 403 error if the password is incorrect, the User is a moderator or admin,
+     *                      or the User is not signed in
+     */
+    disableTwoFactor: (password) => {
+        return request({
+            uri: BASE_URL + "/twoFactor",
+            method: "DELETE",
+            json: true,
+            body: {
+                password: password
+            }
+        });
+    },
+
+    /**
+     * Changes the password of the current User
+     * PUT /users/password
+     * @param {String} currentPassword - the password that the User has now
+     * @param {String} newPassword - the new password, at least 3 non-whitespace characters
+     * @throws Will throw a 400 error if the new password is invalid
+     *                      403 error if the current password is incorrect or the User is not signed in
+     *                      500 error otherwise
+     */
+    changePassword: (currentPassword, newPassword) => {
+        return request({
+            uri: BASE_URL + "/password",
+            method: "PUT",
+            json: true,
+            body: {
+                currentPassword: currentPassword,
+                newPassword: newPassword
+            }
+        });
+    },
+
+    /**
+     * Changes the username of the current User
+     * PUT /users/username
+     * @param {String} username - the new username, 3-15 alphanumeric characters
+     * @return {Object} the response is of the form { user: User }
+     * @throws Will throw a 400 error if the username is invalid or taken
+     *                      403 error if the User is not signed in
+     *                      500 error otherwise
+     */
+    changeUsername: (username) => {
+        return request({
+            uri: BASE_URL + "/username",
+            method: "PUT",
+            json: true,
+            body: {
+                username: username
+            }
+        });
+    },
+
+    /**
+     * Changes the email of the current User, who then has to verify the new email
+     * PUT /users/email
+     * @param {String} email - the new email, from the email domain of one of the campuses
+     * @param {String} password - the current password of the User
+     * @return {Object} the response is of the form { user: User, verificationEmailSent }
+     *                  verificationEmailSent is false if the link for verifying the new email could not be sent
+     * @throws Will throw a 400 error if the email is invalid or taken
+     *                      403 error if the password is incorrect or the User is not signed in
+     *                      500 error otherwise
+     */
+    changeEmail: (email, password) => {
+        return request({
+            uri: BASE_URL + "/email",
+            method: "PUT",
+            json: true,
+            body: {
+                email: email,
+                password: password
+            }
+        });
+    },
+
+    /**
+     * Deletes the account of the current User
+     * DELETE /users
+     * @param {String} password - the current password of the User
+     * @throws Will throw a 403 error if the password is incorrect or the User is not signed in
+     *                      500 error otherwise
+     */
+    deleteAccount: (password) => {
+        return request({
+            uri: BASE_URL,
+            method: "DELETE",
+            json: true,
+            body: {
+                password: password
+            }
+        });
     }
 };
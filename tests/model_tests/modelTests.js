@@ -7,6 +7,7 @@ var Users = require("../../models/Users").Users;
 var Tags = require("../../models/Tags").Tags;
 var Spots = require("../../models/Spots").Spots;
 var Reviews = require("../../models/Reviews").Reviews;
+var reviewModel = require("../../models/Reviews").reviewModel;
 
 for (var i in mongoose.connection.collections) {
 	mongoose.connection.collections[i].remove(function () { });
@@ -177,6 +178,47 @@ describe("Users", function () {
 
 	});
 
+	describe("setRole", function () {
+
+		it("should give new users the user role", function () {
+			assert.equal(user1.role, "user");
+			assert.equal(Users.hasRole(user1, "user"), true);
+			assert.equal(Users.hasRole(user1, "moderator"), false);
+		});
+
+		it("should make the user a moderator", function (done) {
+			Users.setRole(user1.id, "moderator", function (err, user) {
+				assert.equal(user.role, "moderator");
+				assert.equal(Users.hasRole(user, "user"), true);
+				assert.equal(Users.hasRole(user, "moderator"), true);
+				assert.equal(Users.hasRole(user, "admin"), false);
+				done();
+			});
+		});
+
+		it("should not give the user a role that does not exist", function (done) {
+			Users.setRole(user1.id, "overlord", function (err, user) {
+				assert.equal(err.msg, "Roles must be one of: user, moderator, admin.");
+				done();
+			});
+		});
+
+		it("should make the user a user again", function (done) {
+			Users.setRole(user1.id, "user", function (err, user) {
+				assert.equal(user.role, "user");
+				done();
+			});
+		});
+
+		it("should not find the user", function (done) {
+			Users.setRole(mongoose.Types.ObjectId(), "admin", function (err, user) {
+				assert.equal(err.msg, "User cannot be found.");
+				done();
+			});
+		});
+
+	});
+
 });
 
 describe("Tags", function () {
@@ -346,7 +388,7 @@ describe("Reviews", function () {
 	describe("getReviewsByUser", function() {
 
 		it("should get the reviews from user1", function(done) {
-			Reviews.getReviewsByUser(user1.id, function(err, reviews) {
+			Reviews.getReviewsByUser(user1.id, null, function(err, reviews) {
 				assert.equal(reviews[0].id, review1.id);
 				assert.equal(reviews[1].id, review2.id);
 				done();
@@ -354,19 +396,34 @@ describe("Reviews", function () {
 		});
 
 		it("should get the reviews from user2", function(done) {
-			Reviews.getReviewsByUser(user2.id, function(err, reviews) {
+			Reviews.getReviewsByUser(user2.id, null, function(err, reviews) {
 				assert.equal(reviews[0].id, review3.id);
 				done();
 			});
 		});
 
 		it("should not get the user", function(done) {
-			Reviews.getReviewsByUser(mongoose.Types.ObjectId(), function(err, reviews) {
+			Reviews.getReviewsByUser(mongoose.Types.ObjectId(), null, function(err, reviews) {
 				assert.equal(err.msg, "User cannot be found.");
 				done();
 			});
 		});
 
+		it("should only get the hidden reviews when the page includes them", function(done) {
+			reviewModel.update({ _id: review3._id }, { hidden: true }, function(err) {
+				assert.equal(err, null);
+				Reviews.getReviewsByUser(user2.id, {}, function(err, reviews) {
+					assert.equal(reviews.length, 0);
+					Reviews.getReviewsByUser(user2.id, { includeHidden: true }, function(err, reviews) {
+						assert.equal(reviews[0].id, review3.id);
+						reviewModel.update({ _id: review3._id }, { hidden: false }, function(err) {
+							done(err);
+						});
+					});
+				});
+			});
+		});
+
 	});
 
 	describe("updateScore", function() {
@@ -395,8 +452,16 @@ describe("Reviews", function () {
 		it("should not allow the user to upvote more than once", function(done) {
 			Reviews.updateScore(review1.id, user2.id, true, function(err, review) {
 				assert.equal(err.msg, "You have already voted on this review!");
-				Reviews.updateScore(review1.id, user2.id, false, function(err, review) {
-					assert.equal(err.msg, "You have already voted on this review!");
+				done();
+			});
+		});
+
+		it("should switch the vote of the user to a downvote", function(done) {
+			Reviews.updateScore(review1.id, user2.id, false, function(err, review) {
+				assert.equal(review.score, review1.score - 1);
+				assert.equal(Reviews.getVote(review, user2.id), -1);
+				Users.findUserById(user1.id, function(err, user) {
+					assert.equal(user.rep, -1);
 					done();
 				});
 			});
@@ -418,6 +483,36 @@ describe("Reviews", function () {
 
 	});
 
+	describe("retractVote", function() {
+
+		it("should withdraw the vote of the user", function(done) {
+			Reviews.retractVote(review1.id, user2.id, function(err, review) {
+				assert.equal(review.score, review1.score);
+				assert.equal(review.votes.length, 0);
+				assert.equal(Reviews.getVote(review, user2.id), 0);
+				Users.findUserById(user1.id, function(err, user) {
+					assert.equal(user.rep, 0);
+					done();
+				});
+			});
+		});
+
+		it("should not withdraw a vote that the user does not have", function(done) {
+			Reviews.retractVote(review1.id, user2.id, function(err, review) {
+				assert.equal(err.msg, "You have not voted on this review!");
+				done();
+			});
+		});
+
+		it("should not find the review", function(done) {
+			Reviews.retractVote(mongoose.Types.ObjectId(), user2.id, function(err, review) {
+				assert.equal(err.msg, "No such review with that id!");
+				done();
+			});
+		});
+
+	});
+
 });
 
 describe("Spots", function () {
@@ -558,7 +653,7 @@ describe("Spots", function () {
 			const RADIUS = .1;
 			var latitude = spot1.location.latitude;
 			var longitude = spot1.location.longitude;
-			Spots.getSpotsByLocation(latitude - RADIUS, latitude + RADIUS, longitude - RADIUS, longitude + RADIUS, function (err, spots) {
+			Spots.getSpotsByLocation(latitude - RADIUS, latitude + RADIUS, longitude - RADIUS, longitude + RADIUS, null, function (err, spots) {
 				var spot = spots[0];
 				assert.equal(spot.title, spot1.title);
 				done();
@@ -567,6 +662,50 @@ describe("Spots", function () {
 
 	});
 
+	describe("getSpotsNear", function () {
+
+		it("should return the spots closest first", function (done) {
+			var latitude = spot1.location.latitude;
+			var longitude = spot1.location.longitude;
+			Spots.getSpotsNear(latitude, longitude, 500000, "mit", { limit: 10 }, function (err, spots) {
+				assert.equal(spots[0].title, spot1.title);
+				assert.equal(spots[0].distance, 0);
+				assert.equal(spots[1].title, spot2.title);
+				assert.ok(spots[1].distance > 0);
+				done();
+			});
+		});
+
+		it("should not accept an invalid latitude", function (done) {
+			Spots.getSpotsNear(91, 0, 500, "mit", { limit: 10 }, function (err, spots) {
+				assert.equal(err.msg, "Please provide a valid latitude and longitude!");
+				done();
+			});
+		});
+
+	});
+
+	describe("updateSpot", function () {
+
+		it("should edit the spot", function (done) {
+			Spots.updateSpot(spot1.id, user1.id, { floor: "3", location: { latitude: 77.3, longitude: -34.3 } }, function (err, spot) {
+				assert.equal(spot.title, spot1.title);
+				assert.equal(spot.floor, "3");
+				assert.equal(spot.location.latitude, 77.3);
+				assert.deepEqual(spot.geometry.coordinates.slice(), [-34.3, 77.3]);
+				done();
+			});
+		});
+
+		it("should not let another user edit the spot", function (done) {
+			Spots.updateSpot(spot1.id, user2.id, { title: "Not Yours" }, function (err, spot) {
+				assert.equal(err.msg, "You do not have access to edit this spot!");
+				done();
+			});
+		});
+
+	});
+
 	describe("deleteSpot", function() {
 
 		it("should delete the spot", function(done) {
@@ -632,9 +771,9 @@ describe("Tags", function() {
 
 	describe("getAllTags", function() {
 
-		it("should not have any repeats", function(done) {
+		it("should not have any repeats or unused user-created tags", function(done) {
 			Tags.getTags(function(err, tags) {
-				assert.equal(tags.length, 6);
+				assert.equal(tags.length, 5);
 				done();
 			});
 		});
@@ -0,0 +1,502 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var Mailer = require("../../utils/mailer");
+var userModel = require("../../models/Users").userModel;
+var spotModel = require("../../models/Spots").spotModel;
+var reviewModel = require("../../models/Reviews").reviewModel;
+
+var outbox = Mailer.MemoryTransport();
+var cookie, cookie6170, cookieLeaving;
+var leavingSpot, stayingSpot, sharedSpot;
+
+/**
+ * Makes a request that passes if the response has the expected status
+ * @param {Object} test - a supertest request that has been set up
+ * @param {Number} status - the expected status of the response
+ * @param {function} done - the callback of the mocha test
+ */
+var expectStatus = function (test, status, done) {
+    test.expect(status)
+        .end(function (err, res) {
+            if (err) done(err);
+            else done();
+        });
+};
+
+/**
+ * Registers a user whose email is already verified, and logs them in
+ * @param {Object} user - of the form { username, email, password }
+ * @param {function} callback - called with (err, cookie)
+ */
+var registerAndLogin = function (user, callback) {
+    request(app)
+        .post("/users")
+        .send(user)
+        .expect(200)
+        .end(function (err) {
+            if (err) {
+                callback(err);
+            } else {
+                userModel.update({ email: user.email }, { verified: true }, function (err) {
+                    request(app)
+                        .post("/users/login")
+                        .send({ "email": user.email, "password": user.password })
+                        .expect(200)
+                        .end(function (err, res) {
+                            callback(err, err ? null : res.headers["set-cookie"]);
+                        });
+                });
+            }
+        });
+};
+
+/**
+ * Creates a spot
+ * @param {Object} cookie - the cookie of the user creating the spot
+ * @param {String} title - the title of the spot
+ * @param {function} callback - called with (err, spot)
+ */
+var createSpot = function (cookie, title, callback) {
+    request(app)
+        .post("/spots")
+        .set({ "cookie": cookie })
+        .send({
+            "title": title,
+            "location": { latitude: 42.358, longitude: -71.092 },
+            "label": "study space",
+            "description": "A quiet room.",
+            "rating": "4"
+        })
+        .expect(200)
+        .end(function (err, res) {
+            callback(err, err ? null : res.body.content.spot);
+        });
+};
+
+describe("Set up accounts to change", function () {
+    before(function () {
+        Mailer.use(outbox);
+    });
+
+    it("should register and log in a user who changes their account", function (done) {
+        registerAndLogin({ "username": "settler", "email": "settler@mit.edu", "password": "oldpass" }, function (err, c) {
+            cookie = c;
+            done(err);
+        });
+    });
+
+    it("should register and log in a user who deletes their account", function (done) {
+        registerAndLogin({ "username": "leaving", "email": "leaving@mit.edu", "password": "goodbye" }, function (err, c) {
+            cookieLeaving = c;
+            done(err);
+        });
+    });
+
+    it("should log in a user who stays", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "6170@mit.edu", "password": "6170" })
+            .expect(200)
+            .end(function (err, res) {
+                cookie6170 = res.headers["set-cookie"];
+                done(err);
+            });
+    });
+});
+
+describe("PUT /users/username", function () {
+    it("should not change the username if not logged in", function (done) {
+        expectStatus(request(app).put("/users/username").send({ "username": "newname" }), 403, done);
+    });
+
+    it("should not change the username to an invalid one", function (done) {
+        request(app)
+            .put("/users/username")
+            .set({ "cookie": cookie })
+            .send({ "username": "a b" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Usernames must be between 3 and 15 non-whitespace characters.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not change the username to one that is taken", function (done) {
+        request(app)
+            .put("/users/username")
+            .set({ "cookie": cookie })
+            .send({ "username": "6170student" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "This username is already in use.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should change the username", function (done) {
+        request(app)
+            .put("/users/username")
+            .set({ "cookie": cookie })
+            .send({ "username": "settled" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.user.username, "settled");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should keep the password when the username changes", function (done) {
+        expectStatus(request(app).post("/users/login").send({ "email": "settler@mit.edu", "password": "oldpass" }), 200, done);
+    });
+});
+
+describe("PUT /users/password", function () {
+    it("should not change the password without the current one", function (done) {
+        request(app)
+            .put("/users/password")
+            .set({ "cookie": cookie })
+            .send({ "currentPassword": "wrong", "newPassword": "newpass" })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Your current password is incorrect.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not change the password to an invalid one", function (done) {
+        expectStatus(request(app).put("/users/password").set({ "cookie": cookie })
+            .send({ "currentPassword": "oldpass", "newPassword": "  " }), 400, done);
+    });
+
+    it("should change the password", function (done) {
+        expectStatus(request(app).put("/users/password").set({ "cookie": cookie })
+            .send({ "currentPassword": "oldpass", "newPassword": "newpass" }), 200, done);
+    });
+
+    it("should log in with the new password", function (done) {
+        expectStatus(request(app).post("/users/login").send({ "email": "settler@mit.edu", "password": "newpass" }), 200, done);
+    });
+
+    it("should not log in with the old password", function (done) {
+        expectStatus(request(app).post("/users/login").send({ "email": "settler@mit.edu", "password": "oldpass" }), 403, done);
+    });
+});
+
+describe("PUT /users/email", function () {
+    it("should not change the email without the current password", function (done) {
+        expectStatus(request(app).put("/users/email").set({ "cookie": cookie })
+            .send({ "email": "settled@mit.edu", "password": "oldpass" }), 403, done);
+    });
+
+    it("should not change the email to one from another school", function (done) {
+        request(app)
+            .put("/users/email")
+            .set({ "cookie": cookie })
+            .send({ "email": "settled@harvard.edu", "password": "newpass" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Please use a valid MIT email.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not change the email to one that is taken", function (done) {
+        request(app)
+            .put("/users/email")
+            .set({ "cookie": cookie })
+            .send({ "email": "6170@mit.edu", "password": "newpass" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "This email is already in use.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should change the email but say so when the verification link cannot be emailed", function (done) {
+        Mailer.use({
+            send: function (message, callback) {
+                callback("the mail server is down");
+            }
+        });
+        request(app)
+            .put("/users/email")
+            .set({ "cookie": cookie })
+            .send({ "email": "unsettled@mit.edu", "password": "newpass" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.user.email, "unsettled@mit.edu");
+                assert.equal(res.body.content.verificationEmailSent, false);
+            })
+            .end(function (err, res) {
+                Mailer.use(outbox);
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should change the email and ask for it to be verified", function (done) {
+        request(app)
+            .put("/users/email")
+            .set({ "cookie": cookie })
+            .send({ "email": "settled@mit.edu", "password": "newpass" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.user.email, "settled@mit.edu");
+                assert.equal(res.body.content.user.verified, false);
+                assert.equal(res.body.content.verificationEmailSent, true);
+                assert.equal(outbox.messages[outbox.messages.length - 1].to, "settled@mit.edu");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should keep the user signed in with the new email", function (done) {
+        request(app)
+            .get("/users")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.user, "settled@mit.edu");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not let the user post until the new email is verified", function (done) {
+        expectStatus(request(app).post("/spots").set({ "cookie": cookie }).send({}), 403, done);
+    });
+});
+
+describe("DELETE /users", function () {
+    before(function (done) {
+        createSpot(cookieLeaving, "Leaving Spot", function (err, spot) {
+            leavingSpot = spot;
+            createSpot(cookieLeaving, "Shared Spot", function (err, spot) {
+                sharedSpot = spot;
+                createSpot(cookie6170, "Staying Spot", function (err, spot) {
+                    stayingSpot = spot;
+                    done(err);
+                });
+            });
+        });
+    });
+
+    it("should review the spot of the user who stays", function (done) {
+        expectStatus(request(app).post("/spots/" + stayingSpot._id + "/addReview").set({ "cookie": cookieLeaving })
+            .send({ "description": "Too loud.", "rating": "1" }), 200, done);
+    });
+
+    it("should vote on the review of the user who stays", function (done) {
+        expectStatus(request(app).post("/reviews/" + stayingSpot.reviews[0]).set({ "cookie": cookieLeaving })
+            .send({ "upvote": true }), 200, done);
+    });
+
+    it("should review the spot of the user who leaves", function (done) {
+        expectStatus(request(app).post("/spots/" + sharedSpot._id + "/addReview").set({ "cookie": cookie6170 })
+            .send({ "description": "Not bad.", "rating": "3" }), 200, done);
+    });
+
+    it("should not delete the account without the current password", function (done) {
+        expectStatus(request(app).delete("/users").set({ "cookie": cookieLeaving }).send({ "password": "wrong" }), 403, done);
+    });
+
+    it("should delete the account", function (done) {
+        expectStatus(request(app).delete("/users").set({ "cookie": cookieLeaving }).send({ "password": "goodbye" }), 200, done);
+    });
+
+    it("should sign the user out", function (done) {
+        request(app)
+            .get("/users")
+            .set({ "cookie": cookieLeaving })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.loggedIn, false);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not log in to the deleted account", function (done) {
+        expectStatus(request(app).post("/users/login").send({ "email": "leaving@mit.edu", "password": "goodbye" }), 404, done);
+    });
+
+    it("should remove the spots that only the user reviewed", function (done) {
+        expectStatus(request(app).get("/spots/" + leavingSpot._id), 404, done);
+    });
+
+    it("should keep the spots of the user that others reviewed, without the review of the user", function (done) {
+        request(app)
+            .get("/spots/" + sharedSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                var spot = res.body.content.spot;
+                assert.equal(spot.reviews.length, 1);
+                assert.equal(spot.reviews[0].description, "Not bad.");
+                assert.equal(spot.rating, 3);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should remove the reviews and votes of the user from the spots of others", function (done) {
+        request(app)
+            .get("/spots/" + stayingSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                var spot = res.body.content.spot;
+                assert.equal(spot.reviews.length, 1);
+                assert.equal(spot.reviews[0].score, 0);
+                assert.equal(spot.rating, 4);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("GET /users/:userId/export", function () {
+    var user6170;
+
+    before(function (done) {
+        request(app)
+            .get("/users")
+            .set({ "cookie": cookie6170 })
+            .end(function (err, res) {
+                user6170 = res.body.content.userObject;
+                done(err);
+            });
+    });
+
+    it("should not export the data of a user if not logged in", function (done) {
+        expectStatus(request(app).get("/users/" + user6170._id + "/export"), 403, done);
+    });
+
+    it("should not export the data of another user", function (done) {
+        request(app)
+            .get("/users/" + user6170._id + "/export")
+            .set({ "cookie": cookie })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "You can only export your own data.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not export in an unknown format", function (done) {
+        expectStatus(request(app).get("/users/" + user6170._id + "/export?format=xml").set({ "cookie": cookie6170 }), 400, done);
+    });
+
+    it("should export the data of the user as JSON", function (done) {
+        request(app)
+            .get("/users/" + user6170._id + "/export")
+            .set({ "cookie": cookie6170 })
+            .expect(200)
+            .expect("Content-Type", /application\/json/)
+            .expect("Content-Disposition", "attachment; filename=\"sweetspots-6170student.json\"")
+            .expect(function (res) {
+                assert.equal(res.body.profile.email, "6170@mit.edu");
+                assert.equal(res.body.profile.password, undefined);
+                var titles = res.body.spots.map(function (spot) {
+                    return spot.title;
+                });
+                assert.ok(titles.indexOf("Staying Spot") > -1);
+                var review = res.body.reviews.filter(function (review) {
+                    return review.description === "Not bad.";
+                })[0];
+                assert.equal(review.spot.title, "Shared Spot");
+                assert.ok(Array.isArray(res.body.favorites));
+                assert.ok(Array.isArray(res.body.votes));
+                assert.ok(Array.isArray(res.body.reports));
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should export the spots and reviews of the user that have been hidden", function (done) {
+        spotModel.update({ title: "Staying Spot" }, { hidden: true }, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                reviewModel.update({ description: "Not bad." }, { hidden: true }, function (err) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        request(app)
+                            .get("/users/" + user6170._id + "/export")
+                            .set({ "cookie": cookie6170 })
+                            .expect(200)
+                            .expect(function (res) {
+                                var titles = res.body.spots.map(function (spot) {
+                                    return spot.title;
+                                });
+                                assert.ok(titles.indexOf("Staying Spot") > -1);
+                                var descriptions = res.body.reviews.map(function (review) {
+                                    return review.description;
+                                });
+                                assert.ok(descriptions.indexOf("Not bad.") > -1);
+                            })
+                            .end(function (err, res) {
+                                spotModel.update({ title: "Staying Spot" }, { hidden: false }, function () {
+                                    reviewModel.update({ description: "Not bad." }, { hidden: false }, function () {
+                                        done(err);
+                                    });
+                                });
+                            });
+                    }
+                });
+            }
+        });
+    });
+
+    it("should export the data of the user as CSV", function (done) {
+        request(app)
+            .get("/users/" + user6170._id + "/export?format=csv")
+            .set({ "cookie": cookie6170 })
+            .expect(200)
+            .expect("Content-Type", /text\/csv/)
+            .expect(function (res) {
+                assert.equal(res.text.indexOf("profile\r\n_id,username,email"), 0);
+                assert.ok(res.text.indexOf("\r\nspots\r\n") > -1);
+                assert.ok(res.text.indexOf("Staying Spot") > -1);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
@@ -0,0 +1,364 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var userModel = require("../../models/Users").userModel;
+var spotModel = require("../../models/Spots").spotModel;
+var Totp = require("../../utils/totp");
+
+// Admins and moderators have to use two-factor authentication
+const TWO_FACTOR_SECRET = "JBSWY3DPEHPK3PXP";
+
+var cookie, cookie2, cookie3;
+var studentId, dudeId;
+var oldSpot, reviewedSpot;
+
+/**
+ * Gets the id of the User who is signed in with the given cookie
+ * @param {Object} userCookie - the cookie of the User
+ * @param {function} callback - called with (err, userId)
+ */
+var getUserId = function (userCookie, callback) {
+    request(app)
+        .get("/users")
+        .set({ "cookie": userCookie })
+        .expect(200)
+        .end(function (err, res) {
+            callback(err, res && res.body.content.userObject._id);
+        });
+};
+
+/**
+ * Logs in a user who has turned on two-factor authentication, with a code from their authenticator app
+ * @param {Object} user - of the form { email, password }
+ * @param {function} callback - called with (err, cookie)
+ */
+var loginWithCode = function (user, callback) {
+    request(app)
+        .post("/users/login")
+        .send(user)
+        .expect(200)
+        .end(function (err, res) {
+            if (err) {
+                callback(err);
+            } else {
+                request(app)
+                    .post("/users/login/twoFactor")
+                    .set({ "cookie": res.headers["set-cookie"] })
+                    .send({ "code": Totp.generateCode(TWO_FACTOR_SECRET) })
+                    .expect(200)
+                    .end(function (err, res) {
+                        callback(err, err ? null : res.headers["set-cookie"]);
+                    });
+            }
+        });
+};
+
+describe("Set up accounts and spots for admins", function () {
+    before(function (done) {
+        // dude runs the site, 6170student is no longer a moderator, and student will be made one
+        var twoFactor = { enabled: true, secret: TWO_FACTOR_SECRET };
+        userModel.update({ email: "dude@mit.edu" }, { role: "admin", twoFactor: twoFactor }, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                userModel.update({ email: "stud@mit.edu" }, { twoFactor: twoFactor }, function (err) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        userModel.update({ email: "6170@mit.edu" }, { role: "user" }, done);
+                    }
+                });
+            }
+        });
+    });
+
+    it("should log a user in", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "6170@mit.edu", "password": "6170" })
+            .expect(200)
+            .expect(function (res) {
+                cookie = res.headers["set-cookie"];
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should log a user to promote in", function (done) {
+        loginWithCode({ "email": "stud@mit.edu", "password": "studley" }, function (err, studentCookie) {
+            cookie2 = studentCookie;
+            if (err) done(err);
+            else getUserId(cookie2, function (err, userId) {
+                studentId = userId;
+                done(err);
+            });
+        });
+    });
+
+    it("should log the admin in", function (done) {
+        loginWithCode({ "email": "dude@mit.edu", "password": "dude" }, function (err, adminCookie) {
+            cookie3 = adminCookie;
+            if (err) done(err);
+            else getUserId(cookie3, function (err, userId) {
+                dudeId = userId;
+                done(err);
+            });
+        });
+    });
+
+    it("should create a spot that is more than a day old", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Old Spot",
+                "location": { latitude: 42.3591, longitude: -71.0932 },
+                "label": "study space",
+                "description": "It used to be nice.",
+                "rating": "3"
+            })
+            .expect(200)
+            .expect(function (res) {
+                oldSpot = res.body.content.spot;
+            })
+            .end(function (err, res) {
+                if (err) {
+                    done(err);
+                } else {
+                    var twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+                    spotModel.update({ _id: oldSpot._id }, { timestamp: twoDaysAgo }, done);
+                }
+            });
+    });
+
+    it("should create a spot with a single review", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Reviewed Spot",
+                "location": { latitude: 42.3593, longitude: -71.0934 },
+                "label": "nap space",
+                "description": "Comfy couches.",
+                "rating": "5"
+            })
+            .expect(200)
+            .expect(function (res) {
+                reviewedSpot = res.body.content.spot;
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("DELETE /spots/:spotId after a day", function () {
+    it("should not let the creator delete a spot after a day", function (done) {
+        request(app)
+            .delete("/spots/" + oldSpot._id)
+            .set({ "cookie": cookie })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "It has been more than 24 hours since this spot was created!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("PUT /admin/users/:userId/role", function () {
+    it("should not let users who are not admins change roles", function (done) {
+        request(app)
+            .put("/admin/users/" + studentId + "/role")
+            .set({ "cookie": cookie })
+            .send({ "role": "admin" })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Only admins can use this feature.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not change roles when not logged in", function (done) {
+        request(app)
+            .put("/admin/users/" + studentId + "/role")
+            .send({ "role": "admin" })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "To use this feature, please sign in or register.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should promote a user to moderator", function (done) {
+        request(app)
+            .put("/admin/users/" + studentId + "/role")
+            .set({ "cookie": cookie3 })
+            .send({ "role": "moderator" })
+            .expect(200)
+            .expect("Content-Type", "application/json; charset=utf-8")
+            .expect(function (res) {
+                assert.equal(res.body.content.user.role, "moderator");
+                assert.equal(res.body.content.user.username, "student");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not give a role that does not exist", function (done) {
+        request(app)
+            .put("/admin/users/" + studentId + "/role")
+            .set({ "cookie": cookie3 })
+            .send({ "role": "overlord" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Roles must be one of: user, moderator, admin.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not let admins change their own role", function (done) {
+        request(app)
+            .put("/admin/users/" + dudeId + "/role")
+            .set({ "cookie": cookie3 })
+            .send({ "role": "user" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "You cannot change your own role.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not change the role of a user that does not exist", function (done) {
+        request(app)
+            .put("/admin/users/5033422e28379e2c046c9112/role")
+            .set({ "cookie": cookie3 })
+            .send({ "role": "moderator" })
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("Deleting as a moderator", function () {
+    it("should let the new moderator see the moderation queue", function (done) {
+        request(app)
+            .get("/moderation")
+            .set({ "cookie": cookie2 })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should let a moderator delete the only review of a spot created by someone else", function (done) {
+        request(app)
+            .delete("/reviews/" + reviewedSpot.reviews[0])
+            .set({ "cookie": cookie2 })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should take the review out of its spot", function (done) {
+        request(app)
+            .get("/spots/" + reviewedSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.spot.reviews.length, 0);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should let a moderator delete a spot created more than a day ago by someone else", function (done) {
+        request(app)
+            .delete("/spots/" + oldSpot._id)
+            .set({ "cookie": cookie2 })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not find the deleted spot", function (done) {
+        request(app)
+            .get("/spots/" + oldSpot._id)
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should let an admin delete a spot created by someone else", function (done) {
+        request(app)
+            .delete("/spots/" + reviewedSpot._id)
+            .set({ "cookie": cookie3 })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should demote the moderator", function (done) {
+        request(app)
+            .put("/admin/users/" + studentId + "/role")
+            .set({ "cookie": cookie3 })
+            .send({ "role": "user" })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should no longer let the demoted user see the moderation queue", function (done) {
+        request(app)
+            .get("/moderation")
+            .set({ "cookie": cookie2 })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Only moderators can use this feature.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    after(function (done) {
+        // The other tests log these users in with just a password
+        userModel.update({ email: { $in: ["dude@mit.edu", "stud@mit.edu"] } }, { twoFactor: { enabled: false } }, { multi: true }, done);
+    });
+});
@@ -0,0 +1,494 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var supertest = require("supertest");
+var Ajv = require("ajv");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var userModel = require("../../models/Users").userModel;
+var spec = require("../../config/openapi.json");
+
+// The routers that version 1 of the API serves, by the path that they are served under (see routes/api.js)
+const RESOURCES = {
+    "/users": require("../../routes/users"),
+    "/spots": require("../../routes/spots"),
+    "/reviews": require("../../routes/reviews"),
+    "/tags": require("../../routes/tags"),
+    "/campuses": require("../../routes/campuses"),
+    "/collections": require("../../routes/collections"),
+    "/events": require("../../routes/events"),
+    "/moderation": require("../../routes/moderation"),
+    "/admin": require("../../routes/admin")
+};
+// The pages and old routes that are left out of version 1
+const EXCLUDED_ROUTES = ["GET /spots/{spotId}/details", "GET /spots/byLocation/{location}", "GET /collections/{collectionId}/details"];
+const METHODS = ["get", "post", "put", "delete"];
+const API = "/api/v1";
+
+// Dates, emails and passwords are described by their format, which only matters to readers of the document
+var ajv = new Ajv({ nullable: true, unknownFormats: "ignore" });
+ajv.addSchema(spec, "openapi");
+
+var cookie;
+var specUser, spot, collection;
+
+/**
+ * Escapes a key for a JSON pointer
+ * @param {String} key - the key
+ * @return {String} the key, with ~ and / escaped
+ */
+var escapePointer = function (key) {
+    return key.replace(/~/g, "~0").replace(/\//g, "~1");
+};
+
+/**
+ * Finds where the document describes a response
+ * @param {String} method - the method of the request, in lower case
+ * @param {String} route - the path of the route in the document, such as /spots/{spotId}
+ * @param {Number} status - the status of the response
+ * @return {String} the JSON pointer to the response, undefined if the document does not describe it
+ */
+var findResponse = function (method, route, status) {
+    var operation = spec.paths[route] && spec.paths[route][method];
+    var response = operation && operation.responses[status];
+    if (!response) {
+        return undefined;
+    } else if (response.$ref) {
+        return response.$ref.slice(1);
+    } else {
+        return "/paths/" + escapePointer(route) + "/" + method + "/responses/" + status;
+    }
+};
+
+/**
+ * Makes an assertion for supertest that a response is described by the document
+ * The status must be one of the responses of the route, and the body must match the schema of that response.
+ * @param {String} method - the method of the request, in lower case
+ * @param {String} route - the path of the route in the document, such as /spots/{spotId}
+ * @return {function} called with the response, throws if the response is not described
+ */
+var conformsTo = function (method, route) {
+    return function (res) {
+        var pointer = findResponse(method, route, res.status);
+        assert.ok(pointer, method.toUpperCase() + " " + route + " is not described as sending a " + res.status);
+        var validate = ajv.getSchema("openapi#" + pointer + "/content/application~1json/schema");
+        assert.ok(validate(res.body), method.toUpperCase() + " " + route + " sent " + res.status + " that does not match the document: "
+            + ajv.errorsText(validate.errors));
+    };
+};
+
+/**
+ * Makes a request that passes if the response has the expected status and is described by the document
+ * @param {Object} test - a supertest request that has been set up
+ * @param {String} route - the path of the route in the document, such as /spots/{spotId}
+ * @param {Number} status - the expected status of the response
+ * @param {function} done - called with (err, res)
+ */
+var expectConforming = function (test, route, status, done) {
+    test.expect(status)
+        .expect(conformsTo(test.method.toLowerCase(), route))
+        .end(done);
+};
+
+/**
+ * Gives the routes of the routers of the API, as they are written in the document
+ * @return {String[]} the routes, of the form "GET /spots/{spotId}"
+ */
+var getRoutes = function () {
+    var routes = [];
+    Object.keys(RESOURCES).forEach(function (resource) {
+        RESOURCES[resource].stack.forEach(function (layer) {
+            // Middleware for every route of a method, such as router.post("*"), is not a route of its own
+            if (layer.route && layer.route.path !== "*") {
+                var route = (resource + layer.route.path).replace(/\/$/, "").replace(/:(\w+)/g, "{$1}");
+                Object.keys(layer.route.methods).forEach(function (method) {
+                    var name = method.toUpperCase() + " " + route;
+                    if (routes.indexOf(name) === -1 && EXCLUDED_ROUTES.indexOf(name) === -1) {
+                        routes.push(name);
+                    }
+                });
+            }
+        });
+    });
+    return routes;
+};
+
+describe("GET /api/v1/openapi.json", function () {
+    it("should send an OpenAPI 3 document", function (done) {
+        supertest(app)
+            .get(API + "/openapi.json")
+            .expect(200)
+            .expect("Content-Type", /json/)
+            .expect(function (res) {
+                assert.ok(/^3\.\d+\.\d+$/.test(res.body.openapi));
+                assert.equal(res.body.servers[0].url, API);
+                assert.deepEqual(res.body, spec);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should give every operation its own id", function () {
+        var ids = [];
+        Object.keys(spec.paths).forEach(function (route) {
+            Object.keys(spec.paths[route]).forEach(function (method) {
+                var id = spec.paths[route][method].operationId;
+                assert.ok(id, method.toUpperCase() + " " + route + " has no operationId");
+                assert.equal(ids.indexOf(id), -1, "operationId " + id + " is used twice");
+                ids.push(id);
+            });
+        });
+    });
+
+    it("should describe the success and errors of every operation with schemas that compile", function () {
+        Object.keys(spec.paths).forEach(function (route) {
+            Object.keys(spec.paths[route]).forEach(function (method) {
+                var responses = spec.paths[route][method].responses;
+                assert.ok(responses["200"], method.toUpperCase() + " " + route + " has no 200 response");
+                assert.ok(responses["500"], method.toUpperCase() + " " + route + " has no 500 response");
+                Object.keys(responses).forEach(function (status) {
+                    var pointer = findResponse(method, route, status);
+                    var response = pointer.split("/").slice(1).reduce(function (parent, key) {
+                        return parent[key.replace(/~1/g, "/").replace(/~0/g, "~")];
+                    }, spec);
+                    assert.ok(response, method.toUpperCase() + " " + route + " refers to a missing " + status + " response");
+                    Object.keys(response.content).forEach(function (type) {
+                        assert.ok(ajv.getSchema("openapi#" + pointer + "/content/" + escapePointer(type) + "/schema"));
+                    });
+                });
+            });
+        });
+    });
+});
+
+describe("The routes of the API", function () {
+    it("should all be described by the document", function () {
+        getRoutes().forEach(function (route) {
+            var parts = route.split(" ");
+            assert.ok(spec.paths[parts[1]] && spec.paths[parts[1]][parts[0].toLowerCase()], route + " is not in the document");
+        });
+    });
+
+    it("should be all that the document describes", function () {
+        var routes = getRoutes().concat("GET /openapi.json");
+        Object.keys(spec.paths).forEach(function (route) {
+            Object.keys(spec.paths[route]).forEach(function (method) {
+                assert.ok(METHODS.indexOf(method) !== -1, "The API does not use " + method);
+                assert.ok(routes.indexOf(method.toUpperCase() + " " + route) !== -1, method.toUpperCase() + " " + route + " is not a route");
+            });
+        });
+    });
+
+    it("should send a JSON error for routes that are not in the API", function (done) {
+        expectConforming(supertest(app).get(API + "/nothing"), "/spots/{spotId}", 404, done);
+    });
+
+    it("should not serve the pages under the API", function (done) {
+        supertest(app)
+            .get(API + "/collections/5850a7ef5a0c7a0c3c8d1d1d/details")
+            .expect(404)
+            .expect("Content-Type", /json/)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not take filters as JSON in the path", function (done) {
+        var location = JSON.stringify({ minLatitude: 42.350, maxLatitude: 42.366, minLongitude: -71.110, maxLongitude: -71.080 });
+        expectConforming(supertest(app).get(API + "/spots/byLocation/" + location), "/spots/{spotId}", 404, done);
+    });
+
+    it("should keep the old routes for older clients", function (done) {
+        supertest(app)
+            .get("/spots/byLocation/" + JSON.stringify({ minLatitude: 42.350, maxLatitude: 42.366, minLongitude: -71.110, maxLongitude: -71.080 }))
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("GET /api/docs", function () {
+    it("should serve the explorer with the document", function (done) {
+        supertest(app)
+            .get("/api/docs")
+            .expect(200)
+            .expect("Content-Type", /html/)
+            .expect(function (res) {
+                assert.ok(res.text.indexOf("swagger-ui-bundle.js") !== -1);
+                assert.ok(res.text.indexOf(API + "/openapi.json") !== -1);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should serve the scripts of the explorer", function (done) {
+        supertest(app)
+            .get("/api/docs/swagger-ui-bundle.js")
+            .expect(200)
+            .expect("Content-Type", /javascript/)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("Responses of the API", function () {
+    it("should list the campuses", function (done) {
+        expectConforming(supertest(app).get(API + "/campuses"), "/campuses", 200, done);
+    });
+
+    it("should list the tags", function (done) {
+        expectConforming(supertest(app).get(API + "/tags"), "/tags", 200, done);
+    });
+
+    it("should list the labels of the tags", function (done) {
+        expectConforming(supertest(app).get(API + "/tags/labels"), "/tags/labels", 200, done);
+    });
+
+    it("should say that no one is signed in", function (done) {
+        expectConforming(supertest(app).get(API + "/users"), "/users", 200, done);
+    });
+
+    it("should give a security token", function (done) {
+        expectConforming(supertest(app).get(API + "/users/csrf"), "/users/csrf", 200, done);
+    });
+
+    it("should register a user", function (done) {
+        var test = request(app)
+            .post(API + "/users")
+            .send({ "username": "specuser", "email": "specuser@mit.edu", "password": "specuser" });
+        expectConforming(test, "/users", 200, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                userModel.findOneAndUpdate({ email: "specuser@mit.edu" }, { verified: true }, { new: true }, function (err, user) {
+                    specUser = user;
+                    done(err);
+                });
+            }
+        });
+    });
+
+    it("should not sign in with a wrong password", function (done) {
+        var test = request(app)
+            .post(API + "/users/login")
+            .send({ "email": "specuser@mit.edu", "password": "wrong" });
+        expectConforming(test, "/users/login", 403, done);
+    });
+
+    it("should sign in", function (done) {
+        var test = request(app)
+            .post(API + "/users/login")
+            .send({ "email": "specuser@mit.edu", "password": "specuser" });
+        expectConforming(test, "/users/login", 200, function (err, res) {
+            cookie = err ? null : res.headers["set-cookie"];
+            done(err);
+        });
+    });
+
+    it("should give the current user", function (done) {
+        expectConforming(supertest(app).get(API + "/users").set({ "cookie": cookie }), "/users", 200, done);
+    });
+
+    it("should list the sessions of the current user", function (done) {
+        expectConforming(supertest(app).get(API + "/users/sessions").set({ "cookie": cookie }), "/users/sessions", 200, done);
+    });
+
+    it("should not create a spot without signing in", function (done) {
+        var test = request(app)
+            .post(API + "/spots")
+            .send({
+                "title": "Spec Spot",
+                "location": { latitude: 42.359, longitude: -71.093 },
+                "label": "study space",
+                "description": "Described by the document.",
+                "rating": "4"
+            });
+        expectConforming(test, "/spots", 403, done);
+    });
+
+    it("should not create a spot without a description", function (done) {
+        var test = request(app)
+            .post(API + "/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Spec Spot",
+                "location": { latitude: 42.359, longitude: -71.093 },
+                "label": "study space",
+                "rating": "4"
+            });
+        expectConforming(test, "/spots", 400, done);
+    });
+
+    it("should create a spot", function (done) {
+        var test = request(app)
+            .post(API + "/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Spec Spot",
+                "location": { latitude: 42.359, longitude: -71.093 },
+                "label": "study space",
+                "description": "Described by the document.",
+                "rating": "4"
+            });
+        expectConforming(test, "/spots", 200, function (err, res) {
+            spot = err ? null : res.body.content.spot;
+            done(err);
+        });
+    });
+
+    it("should list the spots of the campus", function (done) {
+        expectConforming(supertest(app).get(API + "/spots"), "/spots", 200, done);
+    });
+
+    it("should list the chosen fields of the spots a page at a time", function (done) {
+        var test = supertest(app)
+            .get(API + "/spots")
+            .query({ limit: 1, fields: "title,tag", populate: "tag" });
+        expectConforming(test, "/spots", 200, function (err, res) {
+            if (!err) {
+                assert.equal(res.body.content.spots.length, 1);
+                assert.deepEqual(Object.keys(res.body.content.spots[0]).sort(), ["_id", "tag", "title"]);
+            }
+            done(err);
+        });
+    });
+
+    it("should list the spots within the bounds of the map", function (done) {
+        var test = supertest(app)
+            .get(API + "/spots")
+            .query({ minLat: 42.358, maxLat: 42.360, minLng: -71.094, maxLng: -71.092 });
+        expectConforming(test, "/spots", 200, function (err, res) {
+            if (!err) {
+                assert.ok(res.body.content.spots.some(function (found) {
+                    return found._id === spot._id;
+                }));
+            }
+            done(err);
+        });
+    });
+
+    it("should not list the spots within bounds that are missing a side", function (done) {
+        var test = supertest(app)
+            .get(API + "/spots")
+            .query({ minLat: 42.358, maxLat: 42.360, minLng: -71.094 });
+        expectConforming(test, "/spots", 400, done);
+    });
+
+    it("should search the spots", function (done) {
+        var test = supertest(app)
+            .get(API + "/spots/search")
+            .query({ label: "study space", sort: "newest", limit: 5 });
+        expectConforming(test, "/spots/search", 200, done);
+    });
+
+    it("should list the spots near a point", function (done) {
+        var test = supertest(app)
+            .get(API + "/spots/near")
+            .query({ lat: 42.359, lng: -71.093 });
+        expectConforming(test, "/spots/near", 200, done);
+    });
+
+    it("should get a spot", function (done) {
+        expectConforming(supertest(app).get(API + "/spots/" + spot._id).set({ "cookie": cookie }), "/spots/{spotId}", 200, done);
+    });
+
+    it("should not get a spot that does not exist", function (done) {
+        expectConforming(supertest(app).get(API + "/spots/5850a7ef5a0c7a0c3c8d1d1d"), "/spots/{spotId}", 404, done);
+    });
+
+    it("should get the spot of a review", function (done) {
+        expectConforming(supertest(app).get(API + "/reviews/" + spot.reviews[0] + "/spot"), "/reviews/{reviewId}/spot", 200, done);
+    });
+
+    it("should favorite a spot", function (done) {
+        var test = request(app)
+            .post(API + "/spots/" + spot._id + "/favorite")
+            .set({ "cookie": cookie });
+        expectConforming(test, "/spots/{spotId}/favorite", 200, done);
+    });
+
+    it("should get a user", function (done) {
+        expectConforming(supertest(app).get(API + "/users/" + specUser._id), "/users/{userId}", 200, done);
+    });
+
+    it("should get the reviews of a user", function (done) {
+        expectConforming(supertest(app).get(API + "/users/" + specUser._id + "/reviews"), "/users/{userId}/reviews", 200, done);
+    });
+
+    it("should get the spots of a user", function (done) {
+        expectConforming(supertest(app).get(API + "/users/" + specUser._id + "/spots"), "/users/{userId}/spots", 200, done);
+    });
+
+    it("should get the favorite spots of a user", function (done) {
+        expectConforming(supertest(app).get(API + "/users/" + specUser._id + "/favoriteSpots"),
+            "/users/{userId}/favoriteSpots", 200, done);
+    });
+
+    it("should create a collection", function (done) {
+        var test = request(app)
+            .post(API + "/collections")
+            .set({ "cookie": cookie })
+            .send({ "name": "Documented", "isPublic": true });
+        expectConforming(test, "/collections", 200, function (err, res) {
+            collection = err ? null : res.body.content.collection;
+            done(err);
+        });
+    });
+
+    it("should add a spot to a collection", function (done) {
+        var test = request(app)
+            .post(API + "/collections/" + collection._id + "/spots")
+            .set({ "cookie": cookie })
+            .send({ "spotId": spot._id });
+        expectConforming(test, "/collections/{collectionId}/spots", 200, done);
+    });
+
+    it("should get a collection", function (done) {
+        expectConforming(supertest(app).get(API + "/collections/" + collection._id), "/collections/{collectionId}", 200, done);
+    });
+
+    it("should get the collections of a user", function (done) {
+        expectConforming(supertest(app).get(API + "/users/" + specUser._id + "/collections"), "/users/{userId}/collections", 200, done);
+    });
+
+    it("should not let a user moderate", function (done) {
+        expectConforming(supertest(app).get(API + "/moderation").set({ "cookie": cookie }), "/moderation", 403, done);
+    });
+
+    it("should not accept an API token that does not exist", function (done) {
+        var test = supertest(app)
+            .get(API + "/spots")
+            .set({ "Authorization": "Bearer ss_notatoken" });
+        expectConforming(test, "/spots", 401, done);
+    });
+
+    it("should delete a collection", function (done) {
+        var test = request(app)
+            .delete(API + "/collections/" + collection._id)
+            .set({ "cookie": cookie });
+        expectConforming(test, "/collections/{collectionId}", 200, done);
+    });
+
+    it("should delete a spot", function (done) {
+        var test = request(app)
+            .delete(API + "/spots/" + spot._id)
+            .set({ "cookie": cookie });
+        expectConforming(test, "/spots/{spotId}", 200, done);
+    });
+
+    it("should sign out", function (done) {
+        var test = request(app)
+            .post(API + "/users/logout")
+            .set({ "cookie": cookie });
+        expectConforming(test, "/users/logout", 200, done);
+    });
+});
@@ -0,0 +1,590 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var userModel = require("../../models/Users").userModel;
+
+var cookie, cookie2;
+var collector;
+var quietSpot, lateSpot;
+var collection;
+var next;
+
+/**
+ * Makes a request that passes if the response has the expected status
+ * @param {Object} test - a supertest request that has been set up
+ * @param {Number} status - the expected status of the response
+ * @param {function} done - the callback of the mocha test
+ */
+var expectStatus = function (test, status, done) {
+    test.expect(status)
+        .end(function (err, res) {
+            if (err) done(err);
+            else done();
+        });
+};
+
+/**
+ * Gives the ids of a list of Spots
+ * @param {Object[]} spots - the Spots
+ * @return {String[]} the ids of the Spots, in the same order
+ */
+var getIds = function (spots) {
+    return spots.map(function (spot) {
+        return spot._id;
+    });
+};
+
+/**
+ * Creates a spot
+ * @param {String} title - the title of the spot
+ * @param {function} callback - called with (err, spot)
+ */
+var createSpot = function (title, callback) {
+    request(app)
+        .post("/spots")
+        .set({ "cookie": cookie })
+        .send({
+            "title": title,
+            "location": { latitude: 42.359, longitude: -71.093 },
+            "label": "study space",
+            "description": "Somewhere to go.",
+            "rating": "4"
+        })
+        .expect(200)
+        .end(function (err, res) {
+            callback(err, err ? null : res.body.content.spot);
+        });
+};
+
+describe("Set up spots to collect", function () {
+    it("should register and log in a user who collects spots", function (done) {
+        var user = { "username": "collector", "email": "collector@mit.edu", "password": "collect" };
+        request(app)
+            .post("/users")
+            .send(user)
+            .expect(200)
+            .end(function (err) {
+                if (err) {
+                    done(err);
+                } else {
+                    userModel.findOneAndUpdate({ email: user.email }, { verified: true }, { new: true }, function (err, user) {
+                        collector = user;
+                        request(app)
+                            .post("/users/login")
+                            .send({ "email": "collector@mit.edu", "password": "collect" })
+                            .expect(200)
+                            .end(function (err, res) {
+                                cookie = res.headers["set-cookie"];
+                                done(err);
+                            });
+                    });
+                }
+            });
+    });
+
+    it("should log in another user", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "stud@mit.edu", "password": "studley" })
+            .expect(200)
+            .end(function (err, res) {
+                cookie2 = res.headers["set-cookie"];
+                done(err);
+            });
+    });
+
+    it("should create the spots", function (done) {
+        createSpot("Quiet Library", function (err, spot) {
+            quietSpot = spot;
+            if (err) {
+                done(err);
+            } else {
+                createSpot("Late Night Cafe", function (err, spot) {
+                    lateSpot = spot;
+                    done(err);
+                });
+            }
+        });
+    });
+
+    it("should favorite the spots", function (done) {
+        expectStatus(request(app).post("/spots/" + quietSpot._id + "/favorite").set({ "cookie": cookie }), 200, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                expectStatus(request(app).post("/spots/" + lateSpot._id + "/favorite").set({ "cookie": cookie }), 200, done);
+            }
+        });
+    });
+});
+
+describe("PUT /users/favoriteSpots", function () {
+    it("should not reorder favorites if not logged in", function (done) {
+        expectStatus(request(app).put("/users/favoriteSpots").send({ "spots": [lateSpot._id, quietSpot._id] }), 403, done);
+    });
+
+    it("should not reorder favorites without every favorite", function (done) {
+        request(app)
+            .put("/users/favoriteSpots")
+            .set({ "cookie": cookie })
+            .send({ "spots": [lateSpot._id] })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "The new order must have every one of your favorites exactly once!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not reorder favorites with a favorite twice", function (done) {
+        expectStatus(request(app).put("/users/favoriteSpots").set({ "cookie": cookie })
+            .send({ "spots": [lateSpot._id, lateSpot._id] }), 400, done);
+    });
+
+    it("should reorder favorites", function (done) {
+        request(app)
+            .put("/users/favoriteSpots")
+            .set({ "cookie": cookie })
+            .send({ "spots": [lateSpot._id, quietSpot._id] })
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.favorites), [lateSpot._id, quietSpot._id]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should keep the new order", function (done) {
+        request(app)
+            .get("/users/" + collector._id + "/favoriteSpots")
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.favorites), [lateSpot._id, quietSpot._id]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("DELETE /spots/:spotId/favorite", function () {
+    it("should not unfavorite if not logged in", function (done) {
+        expectStatus(request(app).delete("/spots/" + lateSpot._id + "/favorite"), 403, done);
+    });
+
+    it("should unfavorite a favorite spot", function (done) {
+        expectStatus(request(app).delete("/spots/" + lateSpot._id + "/favorite").set({ "cookie": cookie }), 200, done);
+    });
+
+    it("should take the spot out of the favorites", function (done) {
+        request(app)
+            .get("/users/" + collector._id + "/favoriteSpots")
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.favorites), [quietSpot._id]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not unfavorite a spot that is not a favorite", function (done) {
+        request(app)
+            .delete("/spots/" + lateSpot._id + "/favorite")
+            .set({ "cookie": cookie })
+            .expect(404)
+            .expect(function (res) {
+                assert.equal(res.body.err, "You have not favorited this spot!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should favorite the spot again", function (done) {
+        expectStatus(request(app).post("/spots/" + lateSpot._id + "/favorite").set({ "cookie": cookie }), 200, done);
+    });
+});
+
+describe("POST /collections", function () {
+    it("should not create a collection if not logged in", function (done) {
+        expectStatus(request(app).post("/collections").send({ "name": "Quiet study" }), 403, done);
+    });
+
+    it("should not create a collection without a name", function (done) {
+        request(app)
+            .post("/collections")
+            .set({ "cookie": cookie })
+            .send({ "name": "   " })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Collection names must be between 1 and 30 characters long!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should create a private collection", function (done) {
+        request(app)
+            .post("/collections")
+            .set({ "cookie": cookie })
+            .send({ "name": "Quiet study" })
+            .expect(200)
+            .expect(function (res) {
+                collection = res.body.content.collection;
+                assert.equal(collection.name, "Quiet study");
+                assert.equal(collection.isPublic, false);
+                assert.deepEqual(collection.spots, []);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not create two collections with the same name", function (done) {
+        request(app)
+            .post("/collections")
+            .set({ "cookie": cookie })
+            .send({ "name": "Quiet study" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "You already have a collection with this name!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /collections/:collectionId/spots", function () {
+    it("should add a spot to the collection", function (done) {
+        request(app)
+            .post("/collections/" + collection._id + "/spots")
+            .set({ "cookie": cookie })
+            .send({ "spotId": quietSpot._id })
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.collection.spots), [quietSpot._id]);
+                assert.equal(res.body.content.collection.spots[0].title, "Quiet Library");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not add a spot to the collection twice", function (done) {
+        request(app)
+            .post("/collections/" + collection._id + "/spots")
+            .set({ "cookie": cookie })
+            .send({ "spotId": quietSpot._id })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "This spot is already in the collection!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not add a spot to a private collection of another user", function (done) {
+        expectStatus(request(app).post("/collections/" + collection._id + "/spots").set({ "cookie": cookie2 })
+            .send({ "spotId": lateSpot._id }), 404, done);
+    });
+
+    it("should add another spot to the end of the collection", function (done) {
+        request(app)
+            .post("/collections/" + collection._id + "/spots")
+            .set({ "cookie": cookie })
+            .send({ "spotId": lateSpot._id })
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.collection.spots), [quietSpot._id, lateSpot._id]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("PUT /collections/:collectionId/spots", function () {
+    it("should not reorder the collection without every spot", function (done) {
+        expectStatus(request(app).put("/collections/" + collection._id + "/spots").set({ "cookie": cookie })
+            .send({ "spots": [lateSpot._id] }), 400, done);
+    });
+
+    it("should reorder the collection", function (done) {
+        request(app)
+            .put("/collections/" + collection._id + "/spots")
+            .set({ "cookie": cookie })
+            .send({ "spots": [lateSpot._id, quietSpot._id] })
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.collection.spots), [lateSpot._id, quietSpot._id]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("Sharing collections", function () {
+    it("should let the owner see their private collection", function (done) {
+        expectStatus(request(app).get("/collections/" + collection._id).set({ "cookie": cookie }), 200, done);
+    });
+
+    it("should not let other users see a private collection", function (done) {
+        request(app)
+            .get("/collections/" + collection._id)
+            .set({ "cookie": cookie2 })
+            .expect(404)
+            .expect(function (res) {
+                assert.equal(res.body.err, "No such collection with that id!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should only list private collections to their owner", function (done) {
+        request(app)
+            .get("/users/" + collector._id + "/collections")
+            .set({ "cookie": cookie2 })
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(res.body.content.collections, []);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not let other users make the collection public", function (done) {
+        expectStatus(request(app).put("/collections/" + collection._id).set({ "cookie": cookie2 })
+            .send({ "isPublic": true }), 404, done);
+    });
+
+    it("should make the collection public", function (done) {
+        request(app)
+            .put("/collections/" + collection._id)
+            .set({ "cookie": cookie })
+            .send({ "isPublic": true })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.collection.isPublic, true);
+                assert.equal(res.body.content.collection.name, "Quiet study");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should let anyone see a public collection", function (done) {
+        request(app)
+            .get("/collections/" + collection._id)
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.collection.spots), [lateSpot._id, quietSpot._id]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should list public collections to other users", function (done) {
+        request(app)
+            .get("/users/" + collector._id + "/collections")
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.collections.length, 1);
+                assert.equal(res.body.content.collections[0].name, "Quiet study");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should show the page of a shared collection", function (done) {
+        request(app)
+            .get("/collections/" + collection._id + "/details")
+            .expect(200)
+            .expect("Content-Type", /text\/html/)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not let other users change a public collection", function (done) {
+        request(app)
+            .post("/collections/" + collection._id + "/spots")
+            .set({ "cookie": cookie2 })
+            .send({ "spotId": quietSpot._id })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "You can only change your own collections!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should rename the collection", function (done) {
+        request(app)
+            .put("/collections/" + collection._id)
+            .set({ "cookie": cookie })
+            .send({ "name": "Late night study" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.collection.name, "Late night study");
+                assert.equal(res.body.content.collection.isPublic, true);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("DELETE /collections/:collectionId/spots/:spotId", function () {
+    it("should take a spot out of the collection", function (done) {
+        request(app)
+            .delete("/collections/" + collection._id + "/spots/" + quietSpot._id)
+            .set({ "cookie": cookie })
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(getIds(res.body.content.collection.spots), [lateSpot._id]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not take out a spot that is not in the collection", function (done) {
+        request(app)
+            .delete("/collections/" + collection._id + "/spots/" + quietSpot._id)
+            .set({ "cookie": cookie })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "This spot is not in the collection!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should keep the spot in the favorites", function (done) {
+        request(app)
+            .get("/users/" + collector._id + "/favoriteSpots")
+            .expect(200)
+            .expect(function (res) {
+                assert.ok(getIds(res.body.content.favorites).indexOf(quietSpot._id) > -1);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("Deleting a collected spot", function () {
+    it("should delete the spot", function (done) {
+        expectStatus(request(app).delete("/spots/" + lateSpot._id).set({ "cookie": cookie }), 200, done);
+    });
+
+    it("should take the spot out of the collection", function (done) {
+        request(app)
+            .get("/collections/" + collection._id)
+            .expect(200)
+            .expect(function (res) {
+                assert.deepEqual(res.body.content.collection.spots, []);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("GET /users/:userId/collections", function () {
+    it("should create another collection", function (done) {
+        expectStatus(request(app).post("/collections").set({ "cookie": cookie }).send({ "name": "Late night food" }), 200, done);
+    });
+
+    it("should list the first page of collections", function (done) {
+        request(app)
+            .get("/users/" + collector._id + "/collections")
+            .query({ limit: 1 })
+            .set({ "cookie": cookie })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.collections.length, 1);
+                assert.equal(res.body.content.collections[0].name, "Quiet study");
+                next = res.body.content.next;
+                assert.ok(next);
+            })
+            .end(function (err) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should list the next page of collections", function (done) {
+        request(app)
+            .get("/users/" + collector._id + "/collections")
+            .query({ limit: 1, after: next })
+            .set({ "cookie": cookie })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.collections.length, 1);
+                assert.equal(res.body.content.collections[0].name, "Late night food");
+                assert.equal(res.body.content.next, null);
+            })
+            .end(function (err) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not list collections with an invalid cursor", function (done) {
+        expectStatus(request(app).get("/users/" + collector._id + "/collections").query({ after: "not a cursor" }), 400, done);
+    });
+});
+
+describe("DELETE /collections/:collectionId", function () {
+    it("should not let other users delete the collection", function (done) {
+        expectStatus(request(app).delete("/collections/" + collection._id).set({ "cookie": cookie2 }), 403, done);
+    });
+
+    it("should delete the collection", function (done) {
+        expectStatus(request(app).delete("/collections/" + collection._id).set({ "cookie": cookie }), 200, done);
+    });
+
+    it("should no longer find the collection", function (done) {
+        expectStatus(request(app).get("/collections/" + collection._id).set({ "cookie": cookie }), 404, done);
+    });
+});
@@ -0,0 +1,325 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+
+var cookie, cookie2, cookie3;
+var rep6170, repStudent;
+var concurrentSpot, rooftopSpot, otherRooftopSpot;
+
+/**
+ * Sends the given requests at the same time
+ * @param {Test[]} requests - the supertest requests to send
+ * @param {function} callback - called with (err, responses) once every request has finished
+ *                              responses are in the same order as the requests
+ */
+var sendAll = function (requests, callback) {
+    var responses = [];
+    var remaining = requests.length;
+    var failed = false;
+    requests.forEach(function (req, i) {
+        req.end(function (err, res) {
+            if (failed) {
+                return;
+            } else if (err) {
+                failed = true;
+                callback(err);
+            } else {
+                responses[i] = res;
+                remaining -= 1;
+                if (remaining === 0) {
+                    callback(null, responses);
+                }
+            }
+        });
+    });
+};
+
+/**
+ * Counts the responses that have the given status
+ */
+var countStatus = function (responses, status) {
+    return responses.filter(function (res) {
+        return res.status === status;
+    }).length;
+};
+
+/**
+ * Gets the rep of the user signed in with the given cookie
+ */
+var getRep = function (userCookie, callback) {
+    request(app)
+        .get("/users")
+        .set({ "cookie": userCookie })
+        .end(function (err, res) {
+            if (err) callback(err);
+            else callback(null, res.body.content.userObject.rep);
+        });
+};
+
+describe("Set up accounts for concurrent requests", function () {
+    describe("POST /users/login", function () {
+        it("should log a valid user in", function (done) {
+            request(app)
+                .post("/users/login")
+                .send({ "email": "6170@mit.edu", "password": "6170" })
+                .expect(200)
+                .expect(function (res) {
+                    cookie = res.headers["set-cookie"];
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should log a different valid user in", function (done) {
+            request(app)
+                .post("/users/login")
+                .send({ "email": "stud@mit.edu", "password": "studley" })
+                .expect(200)
+                .expect(function (res) {
+                    cookie2 = res.headers["set-cookie"];
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should log yet another different valid user in", function (done) {
+            request(app)
+                .post("/users/login")
+                .send({ "email": "dude@mit.edu", "password": "dude" })
+                .expect(200)
+                .expect(function (res) {
+                    cookie3 = res.headers["set-cookie"];
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should get the rep of the users before the concurrent requests", function (done) {
+            getRep(cookie, function (err, rep) {
+                rep6170 = rep;
+                getRep(cookie2, function (err2, rep2) {
+                    repStudent = rep2;
+                    done(err || err2);
+                });
+            });
+        });
+    });
+});
+
+describe("Concurrent spot creation", function () {
+    it("should only create one spot when the same title is posted several times at once", function (done) {
+        var requests = [1, 2, 3, 4].map(function () {
+            return request(app)
+                .post("/spots")
+                .set({ "cookie": cookie })
+                .send({
+                    "title": "Race Track",
+                    "location": { latitude: 42.359, longitude: -71.093 },
+                    "floor": "1",
+                    "label": "study space",
+                    "description": "Everyone wants this one.",
+                    "rating": "5"
+                });
+        });
+        sendAll(requests, function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                assert.equal(countStatus(responses, 200), 1);
+                assert.equal(countStatus(responses, 400), 3);
+                responses.forEach(function (res) {
+                    if (res.status === 200) {
+                        concurrentSpot = res.body.content.spot;
+                    } else {
+                        assert.equal(res.body.err, "A Spot already exists with this title.");
+                    }
+                });
+                done();
+            }
+        });
+    });
+
+    it("should only give rep for the spot that was created", function (done) {
+        getRep(cookie, function (err, rep) {
+            assert.equal(rep, rep6170 + 1);
+            done(err);
+        });
+    });
+
+    it("should share a new tag between spots created at once", function (done) {
+        var requests = [["Rooftop", cookie2], ["Other Rooftop", cookie3]].map(function (spot) {
+            return request(app)
+                .post("/spots")
+                .set({ "cookie": spot[1] })
+                .send({
+                    "title": spot[0],
+                    "location": { latitude: 42.360, longitude: -71.094 },
+                    "label": "Rooftop",
+                    "description": "Great view.",
+                    "rating": "4"
+                });
+        });
+        sendAll(requests, function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                assert.equal(countStatus(responses, 200), 2);
+                rooftopSpot = responses[0].body.content.spot;
+                otherRooftopSpot = responses[1].body.content.spot;
+                assert.equal(rooftopSpot.tag, otherRooftopSpot.tag);
+                done();
+            }
+        });
+    });
+});
+
+describe("Concurrent reviews", function () {
+    it("should add every review sent at once by different users", function (done) {
+        var requests = [[cookie2, "1"], [cookie3, "3"]].map(function (review) {
+            return request(app)
+                .post("/spots/" + concurrentSpot._id + "/addReview")
+                .set({ "cookie": review[0] })
+                .send({ "description": "Sent at the same time.", "rating": review[1] });
+        });
+        sendAll(requests, function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                assert.equal(countStatus(responses, 200), 2);
+                done();
+            }
+        });
+    });
+
+    it("should average the ratings of every review sent at once", function (done) {
+        request(app)
+            .get("/spots/" + concurrentSpot._id)
+            .expect(200)
+            .expect("Content-Type", "application/json; charset=utf-8")
+            .expect(function (res) {
+                concurrentSpot = res.body.content.spot;
+                assert.equal(concurrentSpot.reviews.length, 3);
+                assert.equal(concurrentSpot.rating, 3);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should only add one review when a user sends several at once", function (done) {
+        var requests = [1, 2, 3].map(function (rating) {
+            return request(app)
+                .post("/spots/" + rooftopSpot._id + "/addReview")
+                .set({ "cookie": cookie })
+                .send({ "description": "Clicked submit a few times.", "rating": String(rating) });
+        });
+        sendAll(requests, function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                assert.equal(countStatus(responses, 200), 1);
+                assert.equal(countStatus(responses, 403), 2);
+                request(app)
+                    .get("/spots/" + rooftopSpot._id)
+                    .expect(200)
+                    .expect(function (res) {
+                        assert.equal(res.body.content.spot.reviews.length, 2);
+                    })
+                    .end(function (err, res) {
+                        if (err) done(err);
+                        else done();
+                    });
+            }
+        });
+    });
+});
+
+describe("Concurrent votes", function () {
+    it("should count every vote sent at once by different users", function (done) {
+        var review = concurrentSpot.reviews[0];
+        var requests = [cookie2, cookie3].map(function (voterCookie) {
+            return request(app)
+                .post("/reviews/" + review._id)
+                .set({ "cookie": voterCookie })
+                .send({ "upvote": true });
+        });
+        sendAll(requests, function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                assert.equal(countStatus(responses, 200), 2);
+                getRep(cookie, function (err, rep) {
+                    assert.equal(rep, rep6170 + 3);
+                    done(err);
+                });
+            }
+        });
+    });
+
+    it("should only count one vote when a user votes several times at once", function (done) {
+        var requests = [1, 2, 3].map(function () {
+            return request(app)
+                .post("/reviews/" + rooftopSpot.reviews[0])
+                .set({ "cookie": cookie3 })
+                .send({ "upvote": true });
+        });
+        sendAll(requests, function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                assert.equal(countStatus(responses, 200), 1);
+                assert.equal(countStatus(responses, 403), 2);
+                getRep(cookie2, function (err, rep) {
+                    assert.equal(rep, repStudent + 2);
+                    done(err);
+                });
+            }
+        });
+    });
+});
+
+describe("Concurrent spot deletion", function () {
+    it("should only remove a spot once when it is deleted several times at once", function (done) {
+        var requests = [1, 2].map(function () {
+            return request(app)
+                .delete("/spots/" + concurrentSpot._id)
+                .set({ "cookie": cookie });
+        });
+        sendAll(requests, function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                assert.equal(countStatus(responses, 200) + countStatus(responses, 404), 2);
+                getRep(cookie, function (err, rep) {
+                    assert.equal(rep, rep6170);
+                    done(err);
+                });
+            }
+        });
+    });
+
+    it("should delete the other spots created at once", function (done) {
+        sendAll([
+            request(app).delete("/spots/" + rooftopSpot._id).set({ "cookie": cookie2 }).expect(200),
+            request(app).delete("/spots/" + otherRooftopSpot._id).set({ "cookie": cookie3 }).expect(200)
+        ], function (err, responses) {
+            if (err) {
+                done(err);
+            } else {
+                getRep(cookie2, function (err, rep) {
+                    assert.equal(rep, repStudent);
+                    done(err);
+                });
+            }
+        });
+    });
+});
@@ -0,0 +1,34 @@
+// @author: Maryam Archie
+
+/**
+ * Makes requests to the app like supertest does, but sends a CSRF token with every POST, PUT and DELETE
+ * request (see utils/csrf.js), as the pages of the app do.
+ * The cookie with the secret of the token is added to whatever cookie the test sets.
+ */
+
+var crypto = require("crypto");
+var supertest = require("supertest");
+var Csrf = require("../../utils/csrf");
+
+const SECRET = crypto.randomBytes(32).toString("hex");
+const SECRET_COOKIE = "sweetspots.csrf=" + SECRET;
+const METHODS = ["post", "put", "delete"];
+
+module.exports = function (app) {
+    var agent = supertest(app);
+    METHODS.forEach(function (method) {
+        var makeTest = agent[method];
+        agent[method] = function (url) {
+            var test = makeTest(url);
+            var set = test.set;
+            test.set = function (field, value) {
+                if (typeof field === "string" && field.toLowerCase() === "cookie") {
+                    return set.call(this, field, [].concat(value || [], SECRET_COOKIE));
+                }
+                return set.call(this, field, value);
+            };
+            return test.set("Cookie", []).set(Csrf.HEADER_NAME, Csrf.createToken(SECRET));
+        };
+    });
+    return agent;
+};
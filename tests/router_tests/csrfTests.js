@@ -0,0 +1,168 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var supertest = require("supertest");
+var app = require("../../app");
+
+const CSRF_ERROR = "This request does not have a valid security token. Please reload the page and try again.";
+
+var secretCookie, token;
+var otherSecretCookie, otherToken;
+var sessionCookie;
+
+/**
+ * Gets a CSRF token and the cookie with its secret, as a page of the app does
+ * @param {function} callback - called with (err, cookie, token)
+ */
+var getToken = function (callback) {
+    supertest(app)
+        .get("/users/csrf")
+        .expect(200)
+        .end(function (err, res) {
+            callback(err, err ? null : res.headers["set-cookie"], err ? null : res.body.content.csrfToken);
+        });
+};
+
+/**
+ * Makes a request that passes if it is refused for not having a valid token
+ * @param {Object} test - a supertest request that has been set up
+ * @param {function} done - the callback of the mocha test
+ */
+var expectRefused = function (test, done) {
+    test.expect(403)
+        .expect(function (res) {
+            assert.equal(res.body.err, CSRF_ERROR);
+        })
+        .end(function (err, res) {
+            if (err) done(err);
+            else done();
+        });
+};
+
+describe("GET /users/csrf", function () {
+    it("should give a token and keep its secret in a cookie that scripts cannot read", function (done) {
+        getToken(function (err, cookie, csrfToken) {
+            secretCookie = cookie;
+            token = csrfToken;
+            if (!err) {
+                assert.ok(token);
+                assert.ok(cookie[0].indexOf("sweetspots.csrf=") === 0);
+                assert.ok(/; HttpOnly/.test(cookie[0]));
+                assert.ok(/; SameSite=Lax/.test(cookie[0]));
+            }
+            done(err);
+        });
+    });
+
+    it("should give a different secret to another browser", function (done) {
+        getToken(function (err, cookie, csrfToken) {
+            otherSecretCookie = cookie;
+            otherToken = csrfToken;
+            if (!err) {
+                assert.notEqual(cookie[0], secretCookie[0]);
+            }
+            done(err);
+        });
+    });
+
+    it("should put a token in the login page", function (done) {
+        supertest(app)
+            .get("/login")
+            .expect(200)
+            .expect(function (res) {
+                assert.ok(/<meta name="csrf-token" content="[0-9a-f]+\.[0-9a-f]+">/.test(res.text));
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("Requests without a valid token", function () {
+    it("should not log in without a token", function (done) {
+        expectRefused(supertest(app)
+            .post("/users/login")
+            .set({ "cookie": secretCookie })
+            .send({ "email": "6170@mit.edu", "password": "6170" }), done);
+    });
+
+    it("should not log in with a token but no secret", function (done) {
+        expectRefused(supertest(app)
+            .post("/users/login")
+            .set({ "X-CSRF-Token": token })
+            .send({ "email": "6170@mit.edu", "password": "6170" }), done);
+    });
+
+    it("should not log in with the token of another browser", function (done) {
+        expectRefused(supertest(app)
+            .post("/users/login")
+            .set({ "cookie": secretCookie, "X-CSRF-Token": otherToken })
+            .send({ "email": "6170@mit.edu", "password": "6170" }), done);
+    });
+
+    it("should not log in with a token that was changed", function (done) {
+        expectRefused(supertest(app)
+            .post("/users/login")
+            .set({ "cookie": secretCookie, "X-CSRF-Token": token.slice(0, -1) + (token.slice(-1) === "0" ? "1" : "0") })
+            .send({ "email": "6170@mit.edu", "password": "6170" }), done);
+    });
+});
+
+describe("Requests with a valid token", function () {
+    it("should log in with the token in the header", function (done) {
+        supertest(app)
+            .post("/users/login")
+            .set({ "cookie": secretCookie, "X-CSRF-Token": token })
+            .send({ "email": "6170@mit.edu", "password": "6170" })
+            .expect(200)
+            .end(function (err, res) {
+                sessionCookie = err ? null : res.headers["set-cookie"];
+                done(err);
+            });
+    });
+
+    it("should log in with the token in a form", function (done) {
+        supertest(app)
+            .post("/users/login")
+            .set({ "cookie": otherSecretCookie })
+            .type("form")
+            .send({ "email": "6170@mit.edu", "password": "6170", "_csrf": otherToken })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not need a token to get anything", function (done) {
+        supertest(app)
+            .get("/users")
+            .set({ "cookie": sessionCookie })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.loggedIn, true);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not accept the session cookie alone for a signed in user", function (done) {
+        expectRefused(supertest(app)
+            .post("/users/logout")
+            .set({ "cookie": sessionCookie }), done);
+    });
+
+    it("should log out with the session cookie, the secret and the token", function (done) {
+        supertest(app)
+            .post("/users/logout")
+            .set({ "cookie": sessionCookie.concat(secretCookie), "X-CSRF-Token": token })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
@@ -0,0 +1,178 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var http = require("http");
+var request = require("./csrfRequest");
+var app = require("../../app");
+
+var cookie, cookie2;
+var server, stream;
+var received = "";
+var spot, reviewId;
+
+/**
+ * Waits until the event stream has received an event of the given type
+ * @param {String} type - the type of the event
+ * @param {function} callback - called with (data) where data is the content of the event
+ */
+var waitForEvent = function (type, callback) {
+    var check = function () {
+        var events = received.split("\n\n").filter(function (message) {
+            return message.indexOf("event: " + type + "\n") === 0;
+        });
+        if (events.length > 0) {
+            callback(JSON.parse(events[0].split("\ndata: ")[1]));
+        } else {
+            setTimeout(check, 20);
+        }
+    };
+    check();
+};
+
+describe("GET /events", function () {
+    before(function (done) {
+        server = app.listen(0, function () {
+            request(app)
+                .post("/users/login")
+                .send({ "email": "6170@mit.edu", "password": "6170" })
+                .end(function (err, res) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        cookie = res.headers["set-cookie"];
+                        request(app)
+                            .post("/users/login")
+                            .send({ "email": "stud@mit.edu", "password": "studley" })
+                            .end(function (err, res) {
+                                cookie2 = res.headers["set-cookie"];
+                                done(err);
+                            });
+                    }
+                });
+        });
+    });
+
+    after(function () {
+        stream.destroy();
+        server.close();
+    });
+
+    it("should open an event stream", function (done) {
+        http.get({ port: server.address().port, path: "/events" }, function (res) {
+            stream = res;
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.headers["content-type"].indexOf("text/event-stream"), 0);
+            res.setEncoding("utf8");
+            res.on("data", function (chunk) {
+                received += chunk;
+            });
+            done();
+        });
+    });
+
+    it("should send an event when a spot is created", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Live Spot",
+                "location": { latitude: 42.358, longitude: -71.092 },
+                "label": "study space",
+                "description": "Everyone can see this right away.",
+                "rating": "4"
+            })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) {
+                    done(err);
+                } else {
+                    waitForEvent("spot-created", function (data) {
+                        spot = data.spot;
+                        assert.equal(spot._id, res.body.content.spot._id);
+                        assert.equal(spot.title, "Live Spot");
+                        assert.equal(spot.tag.label, "study space");
+                        assert.equal(spot.reviews[0].creator.email, "6170@mit.edu");
+                        done();
+                    });
+                }
+            });
+    });
+
+    it("should send an event when a spot is edited", function (done) {
+        request(app)
+            .put("/spots/" + spot._id)
+            .set({ "cookie": cookie })
+            .send({ "title": "Renamed Live Spot" })
+            .expect(200)
+            .end(function (err) {
+                if (err) {
+                    done(err);
+                } else {
+                    waitForEvent("spot-updated", function (data) {
+                        assert.equal(data.spot._id, spot._id);
+                        assert.equal(data.spot.title, "Renamed Live Spot");
+                        done();
+                    });
+                }
+            });
+    });
+
+    it("should send an event when a review is added to a spot", function (done) {
+        request(app)
+            .post("/spots/" + spot._id + "/addReview")
+            .set({ "cookie": cookie2 })
+            .send({ "description": "Seen it live.", "rating": "3" })
+            .expect(200)
+            .end(function (err) {
+                if (err) {
+                    done(err);
+                } else {
+                    waitForEvent("review-added", function (data) {
+                        assert.equal(data.spot._id, spot._id);
+                        var review = data.spot.reviews.filter(function (review) {
+                            return review.creator.email === "stud@mit.edu";
+                        })[0];
+                        assert.equal(review.description, "Seen it live.");
+                        reviewId = review._id;
+                        done();
+                    });
+                }
+            });
+    });
+
+    it("should send an event when a vote on a review changes", function (done) {
+        request(app)
+            .post("/reviews/" + reviewId)
+            .set({ "cookie": cookie })
+            .send({ "upvote": true })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) {
+                    done(err);
+                } else {
+                    waitForEvent("vote-changed", function (data) {
+                        assert.equal(data.reviewId, reviewId);
+                        assert.equal(data.score, res.body.content.score);
+                        done();
+                    });
+                }
+            });
+    });
+
+    it("should send an event when a spot is deleted", function (done) {
+        request(app)
+            .delete("/spots/" + spot._id)
+            .set({ "cookie": cookie })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) {
+                    done(err);
+                } else {
+                    waitForEvent("spot-deleted", function (data) {
+                        assert.equal(data.spotId, spot._id);
+                        done();
+                    });
+                }
+            });
+    });
+});
@@ -0,0 +1,579 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var userModel = require("../../models/Users").userModel;
+var Totp = require("../../utils/totp");
+
+// Moderators have to use two-factor authentication
+const TWO_FACTOR_SECRET = "JBSWY3DPEHPK3PXP";
+
+var cookie, cookie2, cookie3;
+var reportedSpot, otherReportedSpot, reportedReviewId;
+
+/**
+ * Finds the item with the given id in a list of Spots or Reviews
+ * @param {Object[]} items - the Spots or Reviews
+ * @param {ObjectId} id - the id of the item of interest
+ * @return {Object} the item, undefined if it is not in the list
+ */
+var findItem = function (items, id) {
+    return items.filter(function (item) {
+        return item._id === id;
+    })[0];
+};
+
+/**
+ * Logs in a user who has turned on two-factor authentication, with a code from their authenticator app
+ * @param {Object} user - of the form { email, password }
+ * @param {function} callback - called with (err, cookie)
+ */
+var loginWithCode = function (user, callback) {
+    request(app)
+        .post("/users/login")
+        .send(user)
+        .expect(200)
+        .end(function (err, res) {
+            if (err) {
+                callback(err);
+            } else {
+                request(app)
+                    .post("/users/login/twoFactor")
+                    .set({ "cookie": res.headers["set-cookie"] })
+                    .send({ "code": Totp.generateCode(TWO_FACTOR_SECRET) })
+                    .expect(200)
+                    .end(function (err, res) {
+                        callback(err, err ? null : res.headers["set-cookie"]);
+                    });
+            }
+        });
+};
+
+describe("Set up accounts and spots for moderation", function () {
+    before(function (done) {
+        // 6170student moderates, and student has enough rep to hide an item with a single report
+        var twoFactor = { enabled: true, secret: TWO_FACTOR_SECRET };
+        userModel.update({ email: "6170@mit.edu" }, { role: "moderator", twoFactor: twoFactor }, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                userModel.update({ email: "stud@mit.edu" }, { rep: 20 }, done);
+            }
+        });
+    });
+
+    it("should log the moderator in", function (done) {
+        loginWithCode({ "email": "6170@mit.edu", "password": "6170" }, function (err, moderatorCookie) {
+            cookie = moderatorCookie;
+            done(err);
+        });
+    });
+
+    it("should log a user with a lot of rep in", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "stud@mit.edu", "password": "studley" })
+            .expect(200)
+            .expect(function (res) {
+                cookie2 = res.headers["set-cookie"];
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should log another user in", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "dude@mit.edu", "password": "dude" })
+            .expect(200)
+            .expect(function (res) {
+                cookie3 = res.headers["set-cookie"];
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should create a spot to report", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Reported Spot",
+                "location": { latitude: 42.3581, longitude: -71.0936 },
+                "label": "study space",
+                "description": "Quiet enough.",
+                "rating": "4"
+            })
+            .expect(200)
+            .expect(function (res) {
+                reportedSpot = res.body.content.spot;
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should create another spot to report", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie3 })
+            .send({
+                "title": "Fake Spot",
+                "location": { latitude: 42.3583, longitude: -71.0938 },
+                "label": "nap space",
+                "description": "Buy my stuff!",
+                "rating": "5"
+            })
+            .expect(200)
+            .expect(function (res) {
+                otherReportedSpot = res.body.content.spot;
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should review the spot to report", function (done) {
+        request(app)
+            .post("/spots/" + reportedSpot._id + "/addReview")
+            .set({ "cookie": cookie3 })
+            .send({ "description": "Buy my stuff!", "rating": "0" })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should find the review to report", function (done) {
+        request(app)
+            .get("/spots/" + reportedSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                reportedReviewId = res.body.content.spot.reviews.filter(function (review) {
+                    return review.creator.username === "dude";
+                })[0]._id;
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("PUT /spots/:spotId by a moderator", function () {
+    it("should let a moderator edit a spot created by another user", function (done) {
+        request(app)
+            .put("/spots/" + otherReportedSpot._id)
+            .set({ "cookie": cookie })
+            .send({ "floor": "3" })
+            .expect(200)
+            .expect(function (res) {
+                var spot = res.body.content.spot;
+                assert.equal(spot.title, "Fake Spot");
+                assert.equal(spot.floor, "3");
+            })
+            .end(function (err) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("GET /moderation", function () {
+    it("should not show the queue to users who are not moderators", function (done) {
+        request(app)
+            .get("/moderation")
+            .set({ "cookie": cookie2 })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Only moderators can use this feature.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not show the queue when not logged in", function (done) {
+        request(app)
+            .get("/moderation")
+            .expect(403)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should report a spot without hiding it", function (done) {
+        request(app)
+            .post("/spots/" + reportedSpot._id + "/report")
+            .set({ "cookie": cookie3 })
+            .send({ "reason": "duplicate", "comment": "Same as the room next door." })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.hidden, false);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should show the reported spot with its report", function (done) {
+        request(app)
+            .get("/moderation")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .expect("Content-Type", "application/json; charset=utf-8")
+            .expect(function (res) {
+                var spot = findItem(res.body.content.spots, reportedSpot._id);
+                assert.equal(spot.hidden, false);
+                assert.equal(spot.pendingReports, 1);
+                assert.equal(spot.reports[0].reason, "duplicate");
+                assert.equal(spot.reports[0].comment, "Same as the room next door.");
+                assert.equal(spot.reports[0].reporter.username, "dude");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should page the spots in the queue", function (done) {
+        var ids = [];
+        var getPage = function (after) {
+            request(app)
+                .get("/moderation")
+                .query(after ? { limit: 1, spotsAfter: after } : { limit: 1 })
+                .set({ "cookie": cookie })
+                .expect(200)
+                .expect(function (res) {
+                    assert.ok(res.body.content.spots.length <= 1);
+                    assert.ok(res.body.content.reviews.length <= 1);
+                })
+                .end(function (err, res) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        res.body.content.spots.forEach(function (spot) {
+                            assert.equal(ids.indexOf(spot._id), -1);
+                            ids.push(spot._id);
+                        });
+                        if (res.body.content.nextSpots) {
+                            getPage(res.body.content.nextSpots);
+                        } else {
+                            assert.notEqual(ids.indexOf(reportedSpot._id), -1);
+                            done();
+                        }
+                    }
+                });
+        };
+        getPage();
+    });
+
+    it("should not page the queue with an invalid cursor", function (done) {
+        request(app)
+            .get("/moderation")
+            .query({ spotsAfter: "not a cursor" })
+            .set({ "cookie": cookie })
+            .expect(400)
+            .end(function (err) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /moderation/spots/:spotId/dismiss", function () {
+    it("should dismiss the reports of a spot", function (done) {
+        request(app)
+            .post("/moderation/spots/" + reportedSpot._id + "/dismiss")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should take the spot out of the queue", function (done) {
+        request(app)
+            .get("/moderation")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(findItem(res.body.content.spots, reportedSpot._id), undefined);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not dismiss the reports of a spot that is not in the queue", function (done) {
+        request(app)
+            .post("/moderation/spots/" + reportedSpot._id + "/dismiss")
+            .set({ "cookie": cookie })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "This has not been reported!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not let users who are not moderators dismiss reports", function (done) {
+        request(app)
+            .post("/moderation/spots/" + reportedSpot._id + "/dismiss")
+            .set({ "cookie": cookie2 })
+            .expect(403)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /moderation/spots/:spotId/restore", function () {
+    it("should hide a spot once it has been reported enough", function (done) {
+        request(app)
+            .post("/spots/" + reportedSpot._id + "/report")
+            .set({ "cookie": cookie2 })
+            .send({ "reason": "spam" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.hidden, true);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not show the hidden spot", function (done) {
+        request(app)
+            .get("/spots/" + reportedSpot._id)
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not dismiss the reports of a hidden spot", function (done) {
+        request(app)
+            .post("/moderation/spots/" + reportedSpot._id + "/dismiss")
+            .set({ "cookie": cookie })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Hidden items must be approved or restored!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should restore the hidden spot", function (done) {
+        request(app)
+            .post("/moderation/spots/" + reportedSpot._id + "/restore")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should show the restored spot", function (done) {
+        request(app)
+            .get("/spots/" + reportedSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.spot.reports.length, 2);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not restore a spot that is not hidden", function (done) {
+        request(app)
+            .post("/moderation/spots/" + reportedSpot._id + "/restore")
+            .set({ "cookie": cookie })
+            .expect(400)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /reviews/:reviewId/report", function () {
+    it("should not report a review without a valid reason", function (done) {
+        request(app)
+            .post("/reviews/" + reportedReviewId + "/report")
+            .set({ "cookie": cookie2 })
+            .send({ "reason": "rude" })
+            .expect(400)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should hide a review once it has been reported enough", function (done) {
+        request(app)
+            .post("/reviews/" + reportedReviewId + "/report")
+            .set({ "cookie": cookie2 })
+            .send({ "reason": "spam" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.hidden, true);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not show the hidden review or count its rating", function (done) {
+        request(app)
+            .get("/spots/" + reportedSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                var spot = res.body.content.spot;
+                assert.equal(findItem(spot.reviews, reportedReviewId), undefined);
+                assert.equal(spot.rating, 4);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not report a hidden review", function (done) {
+        request(app)
+            .post("/reviews/" + reportedReviewId + "/report")
+            .set({ "cookie": cookie })
+            .send({ "reason": "spam" })
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should show the hidden review in the queue with its spot", function (done) {
+        request(app)
+            .get("/moderation")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .expect(function (res) {
+                var review = findItem(res.body.content.reviews, reportedReviewId);
+                assert.equal(review.hidden, true);
+                assert.equal(review.reports[0].reason, "spam");
+                assert.equal(review.spot.title, "Reported Spot");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /moderation/reviews/:reviewId/approve", function () {
+    it("should remove the hidden review", function (done) {
+        request(app)
+            .post("/moderation/reviews/" + reportedReviewId + "/approve")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should take the review out of its spot", function (done) {
+        request(app)
+            .get("/spots/" + reportedSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.spot.reviews.length, 1);
+                assert.equal(res.body.content.spot.reviewers.length, 1);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not approve a review that no longer exists", function (done) {
+        request(app)
+            .post("/moderation/reviews/" + reportedReviewId + "/approve")
+            .set({ "cookie": cookie })
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /moderation/spots/:spotId/approve", function () {
+    it("should hide the other spot once it has been reported enough", function (done) {
+        request(app)
+            .post("/spots/" + otherReportedSpot._id + "/report")
+            .set({ "cookie": cookie2 })
+            .send({ "reason": "spam" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.content.hidden, true);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should remove the hidden spot", function (done) {
+        request(app)
+            .post("/moderation/spots/" + otherReportedSpot._id + "/approve")
+            .set({ "cookie": cookie })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not approve a spot that no longer exists", function (done) {
+        request(app)
+            .post("/moderation/spots/" + otherReportedSpot._id + "/approve")
+            .set({ "cookie": cookie })
+            .expect(404)
+            .expect(function (res) {
+                assert.equal(res.body.err, "No such spot with that id!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    after(function (done) {
+        // The other tests log 6170student in with just a password
+        userModel.update({ email: "6170@mit.edu" }, { twoFactor: { enabled: false } }, done);
+    });
+});
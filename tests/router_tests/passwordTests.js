@@ -0,0 +1,216 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var Mailer = require("../../utils/mailer");
+var userModel = require("../../models/Users").userModel;
+
+var outbox = Mailer.MemoryTransport();
+var token;
+
+/**
+ * Finds the password reset token in the last email that was sent
+ * @return {String} the token in the link of the email
+ */
+var getLastToken = function () {
+    var message = outbox.messages[outbox.messages.length - 1];
+    return message.text.match(/\/password\/reset\?token=([0-9a-f]+)/)[1];
+};
+
+describe("Set up an account that forgets its password", function () {
+    before(function () {
+        Mailer.use(outbox);
+    });
+
+    it("should register the user", function (done) {
+        request(app)
+            .post("/users")
+            .send({ "username": "forgetful", "email": "forgetful@mit.edu", "password": "remember" })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /users/password/forgot", function () {
+    it("should not send a link without an email", function (done) {
+        request(app)
+            .post("/users/password/forgot")
+            .send({})
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Please enter your email.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not reveal that there is no account with an email", function (done) {
+        request(app)
+            .post("/users/password/forgot")
+            .send({ "email": "nobody@mit.edu" })
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.body.success, true);
+                assert.equal(outbox.messages.length, 0);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should email a reset link to the user", function (done) {
+        request(app)
+            .post("/users/password/forgot")
+            .send({ "email": "forgetful@mit.edu" })
+            .expect(200)
+            .expect("Content-Type", "application/json; charset=utf-8")
+            .expect(function (res) {
+                assert.equal(outbox.messages.length, 1);
+                assert.equal(outbox.messages[0].to, "forgetful@mit.edu");
+                token = getLastToken();
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should only store a hash of the token", function (done) {
+        userModel.findOne({ email: "forgetful@mit.edu" }).select("+passwordReset.tokenHash").exec(function (err, user) {
+            assert.ok(user.passwordReset.tokenHash);
+            assert.notEqual(user.passwordReset.tokenHash, token);
+            done(err);
+        });
+    });
+});
+
+describe("GET /password/reset", function () {
+    it("should show the page for choosing a new password", function (done) {
+        request(app)
+            .get("/password/reset?token=" + token)
+            .expect(200)
+            .expect("Content-Type", /html/)
+            .expect(function (res) {
+                assert.ok(res.text.indexOf(token) > -1);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /users/password/reset", function () {
+    it("should not reset the password with a wrong token", function (done) {
+        request(app)
+            .post("/users/password/reset")
+            .send({ "token": "0123456789abcdef", "password": "newpassword" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "This password reset link is invalid or has expired.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not reset the password to an invalid password", function (done) {
+        request(app)
+            .post("/users/password/reset")
+            .send({ "token": token, "password": "   " })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Passwords must be at least 3 non-whitespace characters.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should reset the password", function (done) {
+        request(app)
+            .post("/users/password/reset")
+            .send({ "token": token, "password": "newpassword" })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not log in with the old password", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "forgetful@mit.edu", "password": "remember" })
+            .expect(403)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should log in with the new password", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "forgetful@mit.edu", "password": "newpassword" })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not use the same token twice", function (done) {
+        request(app)
+            .post("/users/password/reset")
+            .send({ "token": token, "password": "anotherpassword" })
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "This password reset link is invalid or has expired.");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should send another reset link", function (done) {
+        request(app)
+            .post("/users/password/forgot")
+            .send({ "email": "forgetful@mit.edu" })
+            .expect(200)
+            .expect(function (res) {
+                token = getLastToken();
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not reset the password once the token has expired", function (done) {
+        userModel.update({ email: "forgetful@mit.edu" }, { "passwordReset.expires": new Date(Date.now() - 1000) }, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                request(app)
+                    .post("/users/password/reset")
+                    .send({ "token": token, "password": "anotherpassword" })
+                    .expect(400)
+                    .end(function (err, res) {
+                        if (err) done(err);
+                        else done();
+                    });
+            }
+        });
+    });
+});
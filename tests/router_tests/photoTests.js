@@ -0,0 +1,445 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var Jimp = require("jimp");
+var debug = require("debug");
+var app = require("../../app");
+var userModel = require("../../models/Users").userModel;
+var Spots = require("../../models/Spots").Spots;
+var PhotoStorage = require("../../utils/photoStorage");
+
+var cookie, cookie2;
+var photoSpot, spotPhoto, reviewPhoto, leftPhoto;
+var jpeg, hugePng;
+
+/**
+ * Adds EXIF metadata with a GPS latitude to a JPEG image
+ * @param {Buffer} image - the content of a JPEG image without EXIF metadata
+ * @return {Buffer} the image with an APP1 segment holding the EXIF metadata
+ */
+var withLocation = function (image) {
+    // TIFF header, then IFD0 with a pointer to the GPS IFD, then the GPS IFD with GPSLatitudeRef "N"
+    var tiff = Buffer.alloc(44);
+    tiff.write("II", 0);
+    tiff.writeUInt16LE(42, 2);
+    tiff.writeUInt32LE(8, 4);
+    tiff.writeUInt16LE(1, 8);
+    tiff.writeUInt16LE(0x8825, 10);
+    tiff.writeUInt16LE(4, 12);
+    tiff.writeUInt32LE(1, 14);
+    tiff.writeUInt32LE(26, 18);
+    tiff.writeUInt16LE(1, 26);
+    tiff.writeUInt16LE(1, 28);
+    tiff.writeUInt16LE(2, 30);
+    tiff.writeUInt32LE(2, 32);
+    tiff.write("N", 36);
+    var header = Buffer.alloc(10);
+    header.writeUInt16BE(0xFFE1, 0);
+    header.writeUInt16BE(2 + 6 + tiff.length, 2);
+    header.write("Exif\0\0", 4, "binary");
+    return Buffer.concat([image.slice(0, 2), header, tiff, image.slice(2)]);
+};
+
+describe("Set up a spot for photos", function () {
+    before(function (done) {
+        new Jimp(2000, 1000, 0x3366ccff, function (err, image) {
+            image.getBuffer(Jimp.MIME_JPEG, function (err, buffer) {
+                jpeg = withLocation(buffer);
+                done(err);
+            });
+        });
+    });
+
+    before(function (done) {
+        new Jimp(1, 1, 0x3366ccff, function (err, image) {
+            image.getBuffer(Jimp.MIME_PNG, function (err, buffer) {
+                // A file of a few bytes whose header declares 20000x20000 pixels
+                hugePng = Buffer.from(buffer);
+                hugePng.writeUInt32BE(20000, 16);
+                hugePng.writeUInt32BE(20000, 20);
+                done(err);
+            });
+        });
+    });
+
+    it("should log a valid user in", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "6170@mit.edu", "password": "6170" })
+            .expect(200)
+            .expect(function (res) {
+                cookie = res.headers["set-cookie"];
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should log a different valid user in", function (done) {
+        request(app)
+            .post("/users/login")
+            .send({ "email": "stud@mit.edu", "password": "studley" })
+            .expect(200)
+            .expect(function (res) {
+                cookie2 = res.headers["set-cookie"];
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should create a spot to take photos of", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Photo Spot",
+                "location": { latitude: 42.357, longitude: -71.091 },
+                "label": "study space",
+                "description": "The good study room.",
+                "rating": "5"
+            })
+            .expect(200)
+            .expect(function (res) {
+                photoSpot = res.body.content.spot;
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /spots/:spotId/photos", function () {
+    it("should upload a photo of a spot", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .set({ "cookie": cookie2 })
+            .attach("photo", jpeg, "room.jpg")
+            .expect(200)
+            .expect("Content-Type", "application/json; charset=utf-8")
+            .expect(function (res) {
+                spotPhoto = res.body.content.photo;
+                assert.ok(spotPhoto.url);
+                assert.ok(spotPhoto.thumbnailUrl);
+                assert.equal(spotPhoto.review, undefined);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should store the photo without its location, scaled down", function (done) {
+        request(app)
+            .get(spotPhoto.url)
+            .expect(200)
+            .expect("Content-Type", "image/jpeg")
+            .end(function (err, res) {
+                if (err) {
+                    done(err);
+                } else {
+                    assert.equal(res.body.indexOf("Exif"), -1);
+                    Jimp.read(res.body).then(function (image) {
+                        assert.equal(image.bitmap.width, 1600);
+                        assert.equal(image.bitmap.height, 800);
+                        done();
+                    }).catch(done);
+                }
+            });
+    });
+
+    it("should store a thumbnail of the photo", function (done) {
+        request(app)
+            .get(spotPhoto.thumbnailUrl)
+            .expect(200)
+            .end(function (err, res) {
+                if (err) {
+                    done(err);
+                } else {
+                    Jimp.read(res.body).then(function (image) {
+                        assert.equal(image.bitmap.width, 200);
+                        assert.equal(image.bitmap.height, 200);
+                        done();
+                    }).catch(done);
+                }
+            });
+    });
+
+    it("should list the photo in the spot", function (done) {
+        request(app)
+            .get("/spots/" + photoSpot._id)
+            .expect(200)
+            .expect(function (res) {
+                var photos = res.body.content.spot.photos;
+                assert.equal(photos.length, 1);
+                assert.equal(photos[0]._id, spotPhoto._id);
+                assert.equal(photos[0].uploader, spotPhoto.uploader);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not upload a file that is not an image", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .set({ "cookie": cookie })
+            .attach("photo", Buffer.from("not a photo"), "notes.txt")
+            .expect(415)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Photos must be JPEG or PNG images!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not upload a file that only claims to be an image", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .set({ "cookie": cookie })
+            .attach("photo", Buffer.from("not a photo"), "notes.jpg")
+            .expect(415)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not upload a photo that is too large", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .set({ "cookie": cookie })
+            .attach("photo", Buffer.alloc(6 * 1024 * 1024), "huge.jpg")
+            .expect(413)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Photos cannot be larger than 5MB!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not upload a photo with too many pixels", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .set({ "cookie": cookie })
+            .attach("photo", hugePng, "huge.png")
+            .expect(400)
+            .expect(function (res) {
+                assert.equal(res.body.err, "Photos cannot be larger than 50 megapixels!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not upload a photo if not logged in", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .attach("photo", jpeg, "room.jpg")
+            .expect(403)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /spots/:spotId/photos without a verified email", function () {
+    before(function (done) {
+        userModel.update({ email: "stud@mit.edu" }, { verified: false }, done);
+    });
+
+    after(function (done) {
+        userModel.update({ email: "stud@mit.edu" }, { verified: true }, done);
+    });
+
+    it("should not upload a photo if the email of the user is not verified", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .set({ "cookie": cookie2 })
+            .attach("photo", jpeg, "room.jpg")
+            .expect(403)
+            .expect(function (res) {
+                assert.ok(res.body.err.indexOf("verify your email") !== -1);
+            })
+            .end(function (err) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /reviews/:reviewId/photos", function () {
+    it("should not upload a photo for the review of another user", function (done) {
+        request(app)
+            .post("/reviews/" + photoSpot.reviews[0] + "/photos")
+            .set({ "cookie": cookie2 })
+            .attach("photo", jpeg, "room.jpg")
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "You can only add photos to your own reviews!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should upload a photo for a review", function (done) {
+        request(app)
+            .post("/reviews/" + photoSpot.reviews[0] + "/photos")
+            .set({ "cookie": cookie })
+            .attach("photo", jpeg, "room.jpg")
+            .expect(200)
+            .expect(function (res) {
+                reviewPhoto = res.body.content.photo;
+                assert.equal(reviewPhoto.review, photoSpot.reviews[0]);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("DELETE /spots/:spotId/photos/:photoId", function () {
+    it("should not delete a photo uploaded by another user", function (done) {
+        request(app)
+            .delete("/spots/" + photoSpot._id + "/photos/" + spotPhoto._id)
+            .set({ "cookie": cookie })
+            .expect(403)
+            .expect(function (res) {
+                assert.equal(res.body.err, "You can only delete your own photos!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should delete a photo uploaded by the user", function (done) {
+        request(app)
+            .delete("/spots/" + photoSpot._id + "/photos/" + spotPhoto._id)
+            .set({ "cookie": cookie2 })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should remove the files of the deleted photo", function (done) {
+        request(app)
+            .get(spotPhoto.thumbnailUrl)
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not delete a photo that no longer exists", function (done) {
+        request(app)
+            .delete("/spots/" + photoSpot._id + "/photos/" + spotPhoto._id)
+            .set({ "cookie": cookie2 })
+            .expect(404)
+            .expect(function (res) {
+                assert.equal(res.body.err, "No such photo with that id!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("Delete a photo whose files cannot be removed", function () {
+    var logged = [];
+    var storage = PhotoStorage.LocalStorage(PhotoStorage.directory, PhotoStorage.url);
+
+    before(function () {
+        Spots.useLogger(function (message) {
+            logged.push(message);
+        });
+    });
+
+    after(function (done) {
+        PhotoStorage.use(storage);
+        Spots.useLogger(debug("6170-sweet-spots:photos"));
+        PhotoStorage.remove(leftPhoto.file, function () {
+            PhotoStorage.remove(leftPhoto.thumbnail, function () {
+                done();
+            });
+        });
+    });
+
+    it("should upload a photo of the spot", function (done) {
+        request(app)
+            .post("/spots/" + photoSpot._id + "/photos")
+            .set({ "cookie": cookie2 })
+            .attach("photo", jpeg, "room.jpg")
+            .expect(200)
+            .expect(function (res) {
+                leftPhoto = res.body.content.photo;
+            })
+            .end(function (err) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should delete the photo and log the files that were left behind", function (done) {
+        PhotoStorage.use({
+            save: storage.save,
+            remove: function (name, callback) {
+                callback("the storage is down");
+            }
+        });
+        request(app)
+            .delete("/spots/" + photoSpot._id + "/photos/" + leftPhoto._id)
+            .set({ "cookie": cookie2 })
+            .expect(200)
+            .expect(function () {
+                assert.equal(logged.length, 1);
+                assert.ok(logged[0].indexOf(leftPhoto.file) !== -1);
+                assert.ok(logged[0].indexOf(leftPhoto.thumbnail) !== -1);
+            })
+            .end(function (err) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("Delete a spot with photos", function () {
+    it("should delete the spot", function (done) {
+        request(app)
+            .delete("/spots/" + photoSpot._id)
+            .set({ "cookie": cookie })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should remove the files of the photos of the spot", function (done) {
+        request(app)
+            .get(reviewPhoto.url)
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
@@ -0,0 +1,268 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var debug = require("debug");
+var RateLimiter = require("../../utils/rateLimiter");
+var userModel = require("../../models/Users").userModel;
+
+// The rate limiter keeps time with this clock, so that lockouts can run out without waiting
+var now = Date.now();
+var clock = function () {
+    return now;
+};
+
+var cookie;
+
+/**
+ * Tries to log in
+ * @param {String} email - the email to log in with
+ * @param {String} password - the password to log in with
+ * @param {Number} status - the expected status of the response
+ * @param {function} callback - called with (err, res)
+ */
+var login = function (email, password, status, callback) {
+    request(app)
+        .post("/users/login")
+        .send({ "email": email, "password": password })
+        .expect(status)
+        .end(callback);
+};
+
+/**
+ * Fails to log in several times, one after the other
+ * @param {String[]} emails - the email of each login
+ * @param {function} done - called with (err) once every login has failed
+ */
+var failLogins = function (emails, done) {
+    if (emails.length === 0) {
+        done();
+    } else {
+        login(emails[0], "wrong", emails[0] === "limited@mit.edu" ? 403 : 404, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                failLogins(emails.slice(1), done);
+            }
+        });
+    }
+};
+
+/**
+ * Makes a list with the same item several times
+ * @param {any} item - the item
+ * @param {Number} times - how many times the item is in the list
+ * @return {any[]} the list
+ */
+var repeat = function (item, times) {
+    var items = [];
+    for (var i = 0; i < times; i++) {
+        items.push(item);
+    }
+    return items;
+};
+
+/**
+ * Creates spots one after the other
+ * @param {Number} first - the number of the first spot, which is part of its title
+ * @param {Number} last - the number of the last spot
+ * @param {function} done - called with (err) once every spot has been created
+ */
+var createSpots = function (first, last, done) {
+    if (first > last) {
+        done();
+    } else {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "Limited Spot " + first,
+                "location": { latitude: 42.356, longitude: -71.094 },
+                "label": "study space",
+                "description": "One of many.",
+                "rating": "3"
+            })
+            .expect(200)
+            .end(function (err) {
+                if (err) {
+                    done(err);
+                } else {
+                    createSpots(first + 1, last, done);
+                }
+            });
+    }
+};
+
+describe("Login lockout", function () {
+    before(function (done) {
+        RateLimiter.use(RateLimiter.MemoryStore(clock));
+        request(app)
+            .post("/users")
+            .send({ "username": "limited", "email": "limited@mit.edu", "password": "limited" })
+            .expect(200)
+            .end(function (err) {
+                if (err) {
+                    done(err);
+                } else {
+                    userModel.update({ email: "limited@mit.edu" }, { verified: true }, done);
+                }
+            });
+    });
+
+    it("should allow a few failed logins", function (done) {
+        failLogins(repeat("limited@mit.edu", 5), done);
+    });
+
+    it("should lock the account out after too many failed logins", function (done) {
+        login("limited@mit.edu", "limited", 429, function (err, res) {
+            if (!err) {
+                assert.equal(res.headers["retry-after"], "60");
+                assert.equal(res.body.success, false);
+                assert.equal(res.body.err, "Too many failed logins. Please try again in 1 minute.");
+            }
+            done(err);
+        });
+    });
+
+    it("should lock the account out however the email is typed", function (done) {
+        login(" Limited@MIT.edu", "limited", 429, done);
+    });
+
+    it("should let the account log in once the lockout is over", function (done) {
+        now += 61 * 1000;
+        login("limited@mit.edu", "limited", 200, function (err, res) {
+            cookie = err ? null : res.headers["set-cookie"];
+            done(err);
+        });
+    });
+
+    it("should lock the account out again after as many failures", function (done) {
+        // Logging in cleared the failures, so the account is locked out after as many failures as before
+        failLogins(repeat("limited@mit.edu", 5), function (err) {
+            if (err) {
+                done(err);
+            } else {
+                login("limited@mit.edu", "limited", 429, function (err, res) {
+                    if (!err) {
+                        assert.equal(res.headers["retry-after"], "60");
+                    }
+                    done(err);
+                });
+            }
+        });
+    });
+
+    it("should lock the account out for twice as long after repeated lockouts", function (done) {
+        now += 61 * 1000;
+        failLogins(repeat("limited@mit.edu", 5), function (err) {
+            if (err) {
+                done(err);
+            } else {
+                login("limited@mit.edu", "limited", 429, function (err, res) {
+                    if (!err) {
+                        assert.equal(res.headers["retry-after"], "120");
+                        assert.equal(res.body.err, "Too many failed logins. Please try again in 2 minutes.");
+                    }
+                    done(err);
+                });
+            }
+        });
+    });
+
+    it("should lock out an IP address that fails too often, whichever accounts it tries", function (done) {
+        now += 121 * 1000;
+        // 15 failures for the account so far, and one for each of these made up emails
+        var emails = ["nobody1@mit.edu", "nobody2@mit.edu", "nobody3@mit.edu", "nobody4@mit.edu", "nobody5@mit.edu"];
+        failLogins(emails, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                login("6170@mit.edu", "6170", 429, done);
+            }
+        });
+    });
+
+    it("should let the IP address log in once the lockout is over", function (done) {
+        now += 61 * 1000;
+        login("6170@mit.edu", "6170", 200, done);
+    });
+});
+
+describe("Posting quotas", function () {
+    it("should not count posts that fail towards the quota", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({ "title": "No Description", "location": { latitude: 42.356, longitude: -71.094 }, "label": "study space" })
+            .expect(400)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should allow as many spots as the quota", function (done) {
+        createSpots(1, RateLimiter.QUOTAS.spot.max, done);
+    });
+
+    it("should not allow more spots than the quota", function (done) {
+        request(app)
+            .post("/spots")
+            .set({ "cookie": cookie })
+            .send({
+                "title": "One Too Many",
+                "location": { latitude: 42.356, longitude: -71.094 },
+                "label": "study space",
+                "description": "Over the limit.",
+                "rating": "3"
+            })
+            .expect(429)
+            .expect(function (res) {
+                assert.ok(Number(res.headers["retry-after"]) > 0);
+                assert.equal(res.body.err.indexOf("You can only post 20 new spots an hour."), 0);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should allow spots again after an hour", function (done) {
+        now += 60 * 60 * 1000;
+        createSpots(RateLimiter.QUOTAS.spot.max + 1, RateLimiter.QUOTAS.spot.max + 1, done);
+    });
+
+    after(function () {
+        RateLimiter.use(RateLimiter.MemoryStore());
+    });
+});
+
+describe("Store failures", function () {
+    var messages = [];
+
+    before(function () {
+        var fail = function () {
+            arguments[arguments.length - 1]("the store is down");
+        };
+        RateLimiter.use({ increment: fail, decrement: fail, get: fail, reset: fail });
+        RateLimiter.useLogger(function (message) {
+            messages.push(message);
+        });
+    });
+
+    it("should still let users log in, reporting the failures to the logger", function (done) {
+        login("limited@mit.edu", "limited", 200, function (err) {
+            if (!err) {
+                assert.equal(messages[0], "Could not check login lockouts: the store is down");
+                assert.ok(messages.indexOf("Could not clear failed logins: the store is down") !== -1);
+            }
+            done(err);
+        });
+    });
+
+    after(function () {
+        RateLimiter.use(RateLimiter.MemoryStore());
+        RateLimiter.useLogger(debug("6170-sweet-spots:rateLimiter"));
+    });
+});
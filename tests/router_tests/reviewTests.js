@@ -1,7 +1,7 @@
 // @author: Maryam Archie
 
 var assert = require("assert");
-var request = require("supertest");
+var request = require("./csrfRequest");
 var mongoose = require("mongoose");
 var app = require("../../app");
 
@@ -70,6 +70,7 @@ describe("Set up spots to get reviewIds", function() {
     it("should get all the spots", function(done) {
         request(app)
             .get("/spots")
+            .query({ populate: "reviews" })
             .set({ "cookie": cookie2 })
             .expect(200)
             .expect("Content-Type", "application/json; charset=utf-8")
@@ -102,6 +103,7 @@ describe("Reviews", function() {
         it("should get the spot given a review that was created by the spot's creator", function(done) {
             request(app)
                 .get("/reviews/" + review1 + "/spot")
+                .query({ populate: "creator" })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function(res) {
@@ -119,6 +121,7 @@ describe("Reviews", function() {
         it("should get the spot given a review that was not created by the spot's creator", function(done) {
             request(app)
                 .get("/reviews/" + review2 + "/spot")
+                .query({ populate: "creator" })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function(res) {
@@ -267,12 +270,12 @@ describe("Reviews", function() {
                 });
         });
 
-        it("should not be able to upvote/downvote same review", function(done) {
+        it("should not be able to upvote the same review twice", function(done) {
             request(app)
                 .post("/reviews/" + review1)
                 .set({ "cookie": cookie2 })
                 .send({
-                    "upvote": false
+                    "upvote": true
                 })
                 .expect(403)
                 .expect("Content-Type", "application/json; charset=utf-8")
@@ -285,5 +288,297 @@ describe("Reviews", function() {
                     else done();
                 });
         });
+
+        it("should switch an upvote to a downvote", function(done) {
+            request(app)
+                .post("/reviews/" + review1)
+                .set({ "cookie": cookie2 })
+                .send({
+                    "upvote": false
+                })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.score, -2);
+                    assert.equal(res.body.content.userVote, -1);
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should show the vote of the current user on the review", function(done) {
+            request(app)
+                .get("/reviews/" + review1 + "/spot")
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        request(app)
+                            .get("/spots/" + res.body.content.spot._id)
+                            .set({ "cookie": cookie2 })
+                            .expect(200)
+                            .expect("Content-Type", "application/json; charset=utf-8")
+                            .expect(function(res) {
+                                var review = res.body.content.spot.reviews.filter(function(review) {
+                                    return review._id === review1;
+                                })[0];
+                                assert.equal(review.score, -2);
+                                assert.equal(review.votes.length, 2);
+                                assert.equal(review.userVote, -1);
+                            })
+                            .end(function(err, res) {
+                                if (err) done(err);
+                                else done();
+                            });
+                    }
+                });
+        });
+    });
+
+    describe("DELETE /reviews/:reviewId/vote", function() {
+        // user: voted/, not voted (err)/, not logged in (err)/
+        // score and vote are updated/
+        it("should withdraw a downvote", function(done) {
+            request(app)
+                .delete("/reviews/" + review1 + "/vote")
+                .set({ "cookie": cookie2 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.score, -1);
+                    assert.equal(res.body.content.userVote, 0);
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not withdraw a vote that was already withdrawn", function(done) {
+            request(app)
+                .delete("/reviews/" + review1 + "/vote")
+                .set({ "cookie": cookie2 })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "You have not voted on this review!");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not withdraw a vote while not logged in", function(done) {
+            request(app)
+                .delete("/reviews/" + review1 + "/vote")
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "To use this feature, please sign in or register.");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should upvote the review again after withdrawing the vote", function(done) {
+            request(app)
+                .post("/reviews/" + review1)
+                .set({ "cookie": cookie2 })
+                .send({
+                    "upvote": true
+                })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.score, 0);
+                    assert.equal(res.body.content.userVote, 1);
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+    });
+
+    describe("PUT /reviews/:reviewId", function() {
+        // user: creator/, not creator (err)/, not logged in (err)/
+        // review: valid/, invalid rating (err)/
+        // spot rating is recalculated/
+        it("should edit own review", function(done) {
+            request(app)
+                .put("/reviews/" + review2)
+                .set({ "cookie": cookie2 })
+                .send({ "description": "Actually pretty clean", "rating": "4" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.review.description, "Actually pretty clean");
+                    assert.equal(res.body.content.review.rating, 4);
+                    assert.equal(res.body.content.review.score, 1);
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should update the rating of the spot after editing a review", function(done) {
+            request(app)
+                .get("/spots/" + spot11._id)
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.content.spot.rating, 3);
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit a review written by another user", function(done) {
+            request(app)
+                .put("/reviews/" + review2)
+                .set({ "cookie": cookie })
+                .send({ "description": "Mine now", "rating": "0" })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "You can only edit your own reviews!");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit a review to have an invalid rating", function(done) {
+            request(app)
+                .put("/reviews/" + review2)
+                .set({ "cookie": cookie2 })
+                .send({ "description": "Out of this world", "rating": "7" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Rating must be an integer between 0 and 5 inclusive!");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit a review while not logged in", function(done) {
+            request(app)
+                .put("/reviews/" + review2)
+                .send({ "description": "Anonymous", "rating": "3" })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "To use this feature, please sign in or register.");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+    });
+
+    describe("DELETE /reviews/:reviewId", function() {
+        // user: creator/, not creator (err)/
+        // review: valid/, invalid (err)/, only review of spot (err)/
+        // spot reviews and rating are recalculated/
+        it("should not delete the only review of a spot", function(done) {
+            request(app)
+                .delete("/reviews/" + review3)
+                .set({ "cookie": cookie })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "You cannot delete the only review of a spot!");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not delete a review written by another user", function(done) {
+            request(app)
+                .delete("/reviews/" + review2)
+                .set({ "cookie": cookie })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "You can only delete your own reviews!");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not delete an invalid review", function(done) {
+            request(app)
+                .delete("/reviews/684e0a9766d6ce2b48bca79e")
+                .set({ "cookie": cookie })
+                .expect(404)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "No such review with that id!");
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should delete own review", function(done) {
+            request(app)
+                .delete("/reviews/" + review2)
+                .set({ "cookie": cookie2 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.success, true);
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should update the spot after deleting a review", function(done) {
+            request(app)
+                .get("/spots/" + spot11._id)
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function(res) {
+                    assert.equal(res.body.content.spot.reviews.length, 1);
+                    assert.equal(res.body.content.spot.rating, 2);
+                })
+                .end(function(err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
     });
 });
@@ -0,0 +1,235 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+
+var cookieLaptop, cookiePhone, cookieOther;
+var phoneSession;
+
+/**
+ * Logs a user in
+ * @param {Object} user - of the form { email, password }
+ * @param {String} userAgent - the User-Agent header of the device that the user logs in on
+ * @param {function} callback - called with (err, cookie)
+ */
+var login = function (user, userAgent, callback) {
+    request(app)
+        .post("/users/login")
+        .set({ "User-Agent": userAgent })
+        .send(user)
+        .expect(200)
+        .end(function (err, res) {
+            callback(err, err ? null : res.headers["set-cookie"]);
+        });
+};
+
+/**
+ * Makes a request that passes if the given cookie is (or is not) signed in
+ * @param {Object} cookie - the cookie of a session
+ * @param {Boolean} loggedIn - whether the session should be signed in
+ * @param {function} done - the callback of the mocha test
+ */
+var expectLoggedIn = function (cookie, loggedIn, done) {
+    request(app)
+        .get("/users")
+        .set({ "cookie": cookie })
+        .expect(200)
+        .expect(function (res) {
+            assert.equal(res.body.content.loggedIn, loggedIn);
+        })
+        .end(function (err, res) {
+            if (err) done(err);
+            else done();
+        });
+};
+
+describe("Session cookies", function () {
+    it("should not start a session for someone who is not signed in", function (done) {
+        request(app)
+            .get("/users")
+            .expect(200)
+            .expect(function (res) {
+                assert.equal(res.headers["set-cookie"], undefined);
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should set a session cookie with the configured flags when logging in", function (done) {
+        login({ "email": "6170@mit.edu", "password": "6170" }, "Laptop", function (err, cookie) {
+            cookieLaptop = cookie;
+            if (!err) {
+                var sessionCookie = cookie[0];
+                assert.ok(sessionCookie.indexOf("sweetspots.sid=") === 0);
+                assert.ok(/; HttpOnly/.test(sessionCookie));
+                assert.ok(/; SameSite=Lax/.test(sessionCookie));
+                assert.ok(/; Expires=/.test(sessionCookie));
+            }
+            done(err);
+        });
+    });
+
+    it("should log the same user in on another device", function (done) {
+        login({ "email": "6170@mit.edu", "password": "6170" }, "Phone", function (err, cookie) {
+            cookiePhone = cookie;
+            done(err);
+        });
+    });
+
+    it("should log another user in", function (done) {
+        login({ "email": "stud@mit.edu", "password": "studley" }, "Other", function (err, cookie) {
+            cookieOther = cookie;
+            done(err);
+        });
+    });
+});
+
+describe("GET /users/sessions", function () {
+    it("should not list sessions if not logged in", function (done) {
+        request(app)
+            .get("/users/sessions")
+            .expect(403)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should list the sessions of the user", function (done) {
+        request(app)
+            .get("/users/sessions")
+            .set({ "cookie": cookieLaptop })
+            .expect(200)
+            .expect(function (res) {
+                var sessions = res.body.content.sessions;
+                var current = sessions.filter(function (session) {
+                    return session.current;
+                });
+                assert.equal(current.length, 1);
+                assert.equal(current[0].userAgent, "Laptop");
+                phoneSession = sessions.filter(function (session) {
+                    return session.userAgent === "Phone";
+                })[0];
+                assert.ok(phoneSession);
+                assert.equal(phoneSession.current, false);
+                // The ids of sessions cannot be used to sign in
+                sessions.forEach(function (session) {
+                    assert.equal(cookieLaptop[0].indexOf(session.id), -1);
+                    assert.equal(cookiePhone[0].indexOf(session.id), -1);
+                });
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not list the sessions of other users", function (done) {
+        request(app)
+            .get("/users/sessions")
+            .set({ "cookie": cookieOther })
+            .expect(200)
+            .expect(function (res) {
+                res.body.content.sessions.forEach(function (session) {
+                    assert.notEqual(session.id, phoneSession.id);
+                });
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("DELETE /users/sessions/:sessionId", function () {
+    it("should not sign out the session of another user", function (done) {
+        request(app)
+            .delete("/users/sessions/" + phoneSession.id)
+            .set({ "cookie": cookieOther })
+            .expect(404)
+            .expect(function (res) {
+                assert.equal(res.body.err, "No such session with that id!");
+            })
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should sign out another session of the user", function (done) {
+        request(app)
+            .delete("/users/sessions/" + phoneSession.id)
+            .set({ "cookie": cookieLaptop })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should no longer be signed in with the revoked session", function (done) {
+        expectLoggedIn(cookiePhone, false, done);
+    });
+
+    it("should still be signed in with the other session", function (done) {
+        expectLoggedIn(cookieLaptop, true, done);
+    });
+
+    it("should not sign out a session that is already signed out", function (done) {
+        request(app)
+            .delete("/users/sessions/" + phoneSession.id)
+            .set({ "cookie": cookieLaptop })
+            .expect(404)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+});
+
+describe("POST /users/logout", function () {
+    it("should log the user out of the session", function (done) {
+        request(app)
+            .post("/users/logout")
+            .set({ "cookie": cookieOther })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should not accept the cookie of the logged out session again", function (done) {
+        expectLoggedIn(cookieOther, false, done);
+    });
+
+    it("should log the user in on another device again", function (done) {
+        login({ "email": "6170@mit.edu", "password": "6170" }, "Phone", function (err, cookie) {
+            cookiePhone = cookie;
+            done(err);
+        });
+    });
+
+    it("should log the user out everywhere", function (done) {
+        request(app)
+            .post("/users/logout")
+            .set({ "cookie": cookieLaptop })
+            .send({ "everywhere": true })
+            .expect(200)
+            .end(function (err, res) {
+                if (err) done(err);
+                else done();
+            });
+    });
+
+    it("should log out the session that logged out everywhere", function (done) {
+        expectLoggedIn(cookieLaptop, false, done);
+    });
+
+    it("should log out the other sessions of the user", function (done) {
+        expectLoggedIn(cookiePhone, false, done);
+    });
+});
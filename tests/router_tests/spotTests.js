@@ -1,9 +1,10 @@
 // @author: Maryam Archie
 
 var assert = require("assert");
-var request = require("supertest");
+var request = require("./csrfRequest");
 var mongoose = require("mongoose");
 var app = require("../../app");
+var userModel = require("../../models/Users").userModel;
 
 var cookie, cookie2, cookie3;
 var spot1, spot2, spot3, spot4;
@@ -419,6 +420,35 @@ describe("Spots", function () {
                     else done();
                 });
         });
+
+        it("should list every invalid field of a spot", function (done) {
+            request(app)
+                .post("/spots")
+                .set({ "cookie": cookie })
+                .send({
+                    "title": "Barker Library",
+                    "location": { latitude: "north", longitude: -71.0994285 },
+                    "floor": "first",
+                    "label": "study space",
+                    "rating": "2.5"
+                })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Please provide a valid latitude and longitude!");
+                    assert.deepEqual(res.body.fields, [
+                        { in: "body", field: "location.latitude", message: "Please provide a valid latitude and longitude!" },
+                        { in: "body", field: "floor", message: "The floor must be alphanumerics and cannot be greater than 3 characters!" },
+                        { in: "body", field: "description", message: "Please enter a description for the review." },
+                        { in: "body", field: "rating", message: "Rating must be an integer between 0 and 5 inclusive!" }
+                    ]);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
     });
 
     describe("POST /spots/:spotId/addReview", function () {
@@ -686,6 +716,7 @@ describe("Spots", function () {
             request(app)
                 .post("/spots/" + spot1._id + "/report")
                 .set({ "cookie": cookie })
+                .send({ "reason": "duplicate" })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
@@ -701,6 +732,7 @@ describe("Spots", function () {
             request(app)
                 .post("/spots/" + spot2._id + "/report")
                 .set({ "cookie": cookie })
+                .send({ "reason": "spam" })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
@@ -716,6 +748,7 @@ describe("Spots", function () {
             request(app)
                 .post("/spots/" + spot1._id + "/report")
                 .set({ "cookie": cookie2 })
+                .send({ "reason": "closed", "comment": "It moved to the basement." })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
@@ -746,6 +779,7 @@ describe("Spots", function () {
             request(app)
                 .post("/spots/5033422e28379e2c046c9112/report")
                 .set({ "cookie": cookie2 })
+                .send({ "reason": "duplicate" })
                 .expect(404)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
@@ -762,6 +796,7 @@ describe("Spots", function () {
             request(app)
                 .post("/spots/" + spot1._id + "/report")
                 .set({ "cookie": cookie })
+                .send({ "reason": "spam" })
                 .expect(403)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
@@ -773,17 +808,38 @@ describe("Spots", function () {
                     else done();
                 });
         });
+
+        it("should not report a spot without a valid reason", function (done) {
+            request(app)
+                .post("/spots/" + spot3._id + "/report")
+                .set({ "cookie": cookie })
+                .send({ "reason": "boring" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Please give one of the following reasons for the report: duplicate, wrong-location, closed, offensive, spam.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
     });
 
     describe("GET /spots", function () {
         // check each of the following for one spot:
         // title, location, floor, tag,
-        // reviews (numReviews, creator [email, username], description, rating, score, numvoters),
+        // reviews (numReviews, creator [email, username], description, rating, score, numvotes),
         // rating, reports (num)
+        // pages: first/, next/, last/, invalid cursor (err)/
+        // fields: all/, some/, unknown (err)/; populate: none/, tag and reviews/
+        var next;
 
         it("should get all the spots", function (done) {
             request(app)
                 .get("/spots")
+                .query({ populate: "tag,reviews" })
                 .set({ "cookie": cookie2 })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
@@ -802,7 +858,7 @@ describe("Spots", function () {
                     assert.equal(spot11.reviews[0].description, "Do not look inside");
                     assert.equal(spot11.reviews[0].rating, 2);
                     assert.equal(spot11.reviews[0].score, 0);
-                    assert.equal(spot11.reviews[0].voters.length, 0);
+                    assert.equal(spot11.reviews[0].votes.length, 0);
                     assert.equal(spot11.rating, 2);
                     assert.equal(spot11.reports.length, 2);
                     assert.equal(spot22.title, spot2.title);
@@ -817,12 +873,149 @@ describe("Spots", function () {
                     else done();
                 });
         });
+
+        it("should only send the ids of the reviews unless they are populated", function (done) {
+            request(app)
+                .get("/spots")
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    var spot = res.body.content.spots[0];
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.next, null);
+                    assert.equal(spot.reviews.length, 2);
+                    assert.equal(typeof spot.reviews[0], "string");
+                    assert.equal(typeof spot.tag, "string");
+                    assert.equal(spot.reviews[0], spot11.reviews[0]._id);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should only send the fields that are chosen", function (done) {
+            request(app)
+                .get("/spots")
+                .query({ fields: "title,tag", populate: "tag" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    var spot = res.body.content.spots[0];
+                    assert.equal(res.body.success, true);
+                    assert.deepEqual(Object.keys(spot).sort(), ["_id", "tag", "title"]);
+                    assert.equal(spot.title, spot1.title);
+                    assert.equal(spot.tag.label, "toilet");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should get the first page of spots", function (done) {
+            request(app)
+                .get("/spots")
+                .query({ limit: 3 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 3);
+                    assert.equal(res.body.content.spots[0].title, spot1.title);
+                    assert.ok(res.body.content.next);
+                    next = res.body.content.next;
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should get the last page of spots", function (done) {
+            request(app)
+                .get("/spots")
+                .query({ limit: 3, after: next })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 1);
+                    assert.notEqual(res.body.content.spots[0].title, spot1.title);
+                    assert.equal(res.body.content.next, null);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not get spots with an invalid cursor", function (done) {
+            request(app)
+                .get("/spots")
+                .query({ after: "notacursor" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "The cursor for the next page is invalid!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not get spots with fields that cannot be chosen", function (done) {
+            request(app)
+                .get("/spots")
+                .query({ fields: "title,password" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.fields[0].field, "fields[1]");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should put the spots on the campus that they are on", function (done) {
+            request(app)
+                .get("/spots?campus=mit")
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(res.body.content.spots.length, 4);
+                    res.body.content.spots.forEach(function (spot) {
+                        assert.equal(spot.campus, "mit");
+                    });
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not get the spots of a campus that does not exist", function (done) {
+            request(app)
+                .get("/spots?campus=nowhere")
+                .expect(400)
+                .expect(function (res) {
+                    assert.equal(res.body.err, "No such campus with that id!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
     });
 
     describe("GET /spots/:spotId", function () {
         // get valid spot (logged in, not), check each of the things:
         // title, location, floor, tag (label, predefined),
-        // reviews (numReviews, creator, description, rating, score, numvoters),
+        // reviews (numReviews, creator, description, rating, score, numvotes),
         // rating, reports (num)
         // invalid spot (err)
 
@@ -840,7 +1033,7 @@ describe("Spots", function () {
                     assert.equal(spot.reviews[0].description, "Do not look inside");
                     assert.equal(spot.reviews[0].rating, 2);
                     assert.equal(spot.reviews[0].score, 0);
-                    assert.equal(spot.reviews[0].voters.length, 0);
+                    assert.equal(spot.reviews[0].votes.length, 0);
                     assert.equal(spot.reviews[1].creator.username, "student");
                     assert.equal(spot.reviews[1].creator.email, "stud@mit.edu");
                     assert.equal(spot.rating, 2);
@@ -867,7 +1060,8 @@ describe("Spots", function () {
                     assert.equal(spot.reviews[0].description, "dream dream dream");
                     assert.equal(spot.reviews[0].rating, 5);
                     assert.equal(spot.reviews[0].score, 0);
-                    assert.equal(spot.reviews[0].voters.length, 0);
+                    assert.equal(spot.reviews[0].votes.length, 0);
+                    assert.equal(spot.reviews[0].userVote, 0);
                     assert.equal(spot.reviews[0].creator.username, "6170student");
                     assert.equal(spot.reviews[0].creator.email, "6170@mit.edu");
                     assert.equal(spot.rating, 5);
@@ -942,20 +1136,132 @@ describe("Spots", function () {
                     else done();
                 });
         });
+
+        it("should not get spots with bounds that are not JSON", function (done) {
+            request(app)
+                .get("/spots/byLocation/" + encodeURIComponent("{ minLatitude: 41"))
+                .set({ "cookie": cookie2 })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Please provide valid bounds!");
+                    assert.deepEqual(res.body.fields, [
+                        { in: "params", field: "location", message: "Please provide valid bounds!" }
+                    ]);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
     });
 
-    describe("DELETE /spots/:spotId", function () {
-        // spot: valid/, invalid/
-        // user: creator/, not creator/
-        it("should not be able to delete the spot because not creator", function (done) {
+    describe("GET /spots/near", function () {
+        // radius: default/, small/, large/
+        // limit: default/, given/, too large (err)/
+        // point: valid/, missing (err)/
+        // campus: default/, given/, unknown (err)/
+        it("should get the spots near a point, closest first", function (done) {
             request(app)
-                .delete("/spots/" + spot4._id)
-                .set({ "cookie": cookie })
-                .expect(403)
+                .get("/spots/near")
+                .query({ lat: spot1.location.latitude, lng: spot1.location.longitude, radius: 1000, populate: "tag" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    var spots = res.body.content.spots;
+                    assert.equal(res.body.success, true);
+                    assert.equal(spots.length, 4);
+                    assert.equal(spots[0].title, spot1.title);
+                    assert.equal(spots[0].distance, 0);
+                    assert.equal(spots[0].tag.label, "toilet");
+                    assert.equal(spots[1].title, spot2.title);
+                    for (var i = 1; i < spots.length; i++) {
+                        assert.ok(spots[i - 1].distance <= spots[i].distance);
+                    }
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should only get the spots within the radius", function (done) {
+            request(app)
+                .get("/spots/near")
+                .query({ lat: spot1.location.latitude, lng: spot1.location.longitude, radius: 100 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 1);
+                    assert.equal(res.body.content.spots[0].title, spot1.title);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should only get as many spots as the limit", function (done) {
+            request(app)
+                .get("/spots/near")
+                .query({ lat: spot3.location.latitude, lng: spot3.location.longitude, radius: 1000, limit: 2 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 2);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should only get the spots of the given campus", function (done) {
+            request(app)
+                .get("/spots/near")
+                .query({ lat: spot1.location.latitude, lng: spot1.location.longitude, radius: 1000, campus: "mit", fields: "title,campus" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.content.spots.length, 4);
+                    res.body.content.spots.forEach(function (spot) {
+                        assert.equal(spot.campus, "mit");
+                    });
+                })
+                .end(function (err) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not get the spots of a campus that does not exist", function (done) {
+            request(app)
+                .get("/spots/near")
+                .query({ lat: spot1.location.latitude, lng: spot1.location.longitude, campus: "nowhere" })
+                .expect(400)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
                     assert.equal(res.body.success, false);
-                    assert.equal(res.body.err, "You do not have access to delete this spot!");
+                    assert.equal(res.body.err, "No such campus with that id!");
+                })
+                .end(function (err) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not get spots without a point", function (done) {
+            request(app)
+                .get("/spots/near")
+                .query({ lat: spot1.location.latitude })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Please provide a valid latitude and longitude!");
                 })
                 .end(function (err, res) {
                     if (err) done(err);
@@ -963,45 +1269,562 @@ describe("Spots", function () {
                 });
         });
 
-        it("should not be able to delete invalid spot", function (done) {
+        it("should not get spots with a limit that is too large", function (done) {
             request(app)
-                .delete("/spots/5033422e28379e2c046c9112")
-                .set({ "cookie": cookie })
-                .expect(404)
+                .get("/spots/near")
+                .query({ lat: spot1.location.latitude, lng: spot1.location.longitude, limit: 100 })
+                .expect(400)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
                     assert.equal(res.body.success, false);
-                    assert.equal(res.body.err, "No such spot with that id!");
+                    assert.equal(res.body.err, "The limit must be an integer between 1 and 50!");
                 })
                 .end(function (err, res) {
                     if (err) done(err);
                     else done();
                 });
         });
+    });
 
-        it("should not be able to delete spot while not logged in", function (done) {
+    describe("GET /spots/nearest", function () {
+        // tag: valid/, invalid (err)/
+        // campus: default/, unknown (err)/
+        it("should get the closest spot with the tag", function (done) {
             request(app)
-                .delete("/spots/" + spot4._id)
-                .expect(403)
+                .get("/spots/nearest")
+                .query({ lat: 42.3621, lng: -71.0906, label: "Toilet" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spot.title, spot3.title);
+                    assert.ok(res.body.content.spot.distance < 10);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not get a spot of a campus that does not exist", function (done) {
+            request(app)
+                .get("/spots/nearest")
+                .query({ lat: 42.3621, lng: -71.0906, label: "Toilet", campus: "nowhere" })
+                .expect(400)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
                     assert.equal(res.body.success, false);
-                    assert.equal(res.body.err, "To use this feature, please sign in or register.");
+                    assert.equal(res.body.err, "No such campus with that id!");
+                })
+                .end(function (err) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not get a spot for a tag that does not exist", function (done) {
+            request(app)
+                .get("/spots/nearest")
+                .query({ lat: 42.3621, lng: -71.0906, label: "jacuzzi" })
+                .expect(404)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "No such tag with that label!");
                 })
                 .end(function (err, res) {
                     if (err) done(err);
                     else done();
                 });
         });
+    });
 
-        it("should be able to delete the spot because creator", function (done) {
+    describe("GET /spots/search", function () {
+        // filters: label/, label and bounds/, minRating/, free text (title/, review/), unknown campus (err)/
+        // sort: rating/, newest/, distance without point (err)/, invalid (err)/
+        // pagination: first page/, next page/, invalid cursor (err)/
+        var next, firstTitle;
+
+        it("should search by label, highest rating first", function (done) {
             request(app)
-                .delete("/spots/" + spot4._id)
-                .set({ "cookie": cookie2 })
+                .get("/spots/search")
+                .query({ label: "Toilet", populate: "tag" })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
+                    var spots = res.body.content.spots;
                     assert.equal(res.body.success, true);
+                    assert.equal(spots.length, 2);
+                    assert.equal(spots[0].title, spot3.title);
+                    assert.equal(spots[1].title, spot1.title);
+                    assert.equal(spots[0].tag.label, "toilet");
+                    assert.equal(res.body.content.next, null);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should search by label within bounds", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ label: "toilet", minLat: 42.3580, maxLat: 42.3600, minLng: -71.0960, maxLng: -71.0920 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 1);
+                    assert.equal(res.body.content.spots[0].title, spot1.title);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should search by minimum rating", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ minRating: 4 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.ok(res.body.content.spots.length > 0);
+                    res.body.content.spots.forEach(function (spot) {
+                        assert.ok(spot.rating >= 4);
+                    });
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should search the text of titles and reviews", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ q: "brown" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 1);
+                    assert.equal(res.body.content.spots[0].title, spot3.title);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should get the first page of spots", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ sort: "newest", limit: 1 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 1);
+                    assert.ok(res.body.content.next);
+                    next = res.body.content.next;
+                    firstTitle = res.body.content.spots[0].title;
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should get the next page of spots", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ sort: "newest", limit: 1, after: next })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.spots.length, 1);
+                    assert.notEqual(res.body.content.spots[0].title, firstTitle);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not search with an invalid cursor", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ after: "notacursor" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "The cursor for the next page of spots is invalid!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not search the spots of a campus that does not exist", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ label: "Toilet", campus: "nowhere" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "No such campus with that id!");
+                })
+                .end(function (err) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not sort by distance without a point", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ sort: "distance" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Sorting by distance requires a point or bounds!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not sort by an unknown order", function (done) {
+            request(app)
+                .get("/spots/search")
+                .query({ sort: "alphabetical" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Spots can only be sorted by rating, newest, reviews, distance!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+    });
+
+    describe("PUT /spots/:spotId", function () {
+        // user: creator/, not creator (err)/, not logged in (err)/
+        // spot: valid/, invalid (err)/
+        // changes: all fields with new tag/, some fields with existing tag (old tag removed)/, null title and tag/,
+        //          duplicate title (err)/, invalid title (err)/, invalid location (err)/
+        it("should edit own spot", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .set({ "cookie": cookie2 })
+                .send({
+                    "title": "Fountain of Truth",
+                    "location": { latitude: 42.3615, longitude: -71.0910 },
+                    "floor": "2",
+                    "label": "Drinking Water"
+                })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    var spot = res.body.content.spot;
+                    assert.equal(res.body.success, true);
+                    assert.equal(spot.title, "Fountain of Truth");
+                    assert.deepEqual(spot.location, { latitude: 42.3615, longitude: -71.0910 });
+                    assert.equal(spot.floor, "2");
+                    assert.equal(spot.tag.label, "drinking water");
+                    assert.equal(spot.tag.predefined, false);
+                    assert.equal(spot.reviews.length, 1);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should keep the fields that are not edited", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .set({ "cookie": cookie2 })
+                .send({ "label": "water fountain" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    var spot = res.body.content.spot;
+                    assert.equal(res.body.success, true);
+                    assert.equal(spot.title, "Fountain of Truth");
+                    assert.equal(spot.floor, "2");
+                    assert.equal(spot.tag.label, "water fountain");
+                    assert.equal(spot.tag.predefined, true);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should remove the tag that the spot had if no other spot has it", function (done) {
+            request(app)
+                .get("/tags/labels")
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(res.body.content.labels.indexOf("drinking water"), -1);
+                    assert.ok(res.body.content.labels.indexOf("water fountain") > -1);
+                })
+                .end(function (err) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should keep the title and tag when they are null", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .set({ "cookie": cookie2 })
+                .send({ "title": null, "label": null, "floor": "2" })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    var spot = res.body.content.spot;
+                    assert.equal(res.body.success, true);
+                    assert.equal(spot.title, "Fountain of Truth");
+                    assert.equal(spot.floor, "2");
+                    assert.equal(spot.tag.label, "water fountain");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit a spot created by another user", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .set({ "cookie": cookie })
+                .send({ "title": "My Fountain" })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "You do not have access to edit this spot!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit a spot to have a duplicate title", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .set({ "cookie": cookie2 })
+                .send({ "title": spot1.title })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "A Spot already exists with this title.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit a spot to have an invalid title", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .set({ "cookie": cookie2 })
+                .send({ "title": "no" })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "The title must be a unique name between 3 and 20 characters!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit a spot to have an invalid location", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .set({ "cookie": cookie2 })
+                .send({ "location": { latitude: 100, longitude: -71.0910 } })
+                .expect(400)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "Please provide a valid latitude and longitude!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit spot while not logged in", function (done) {
+            request(app)
+                .put("/spots/" + spot4._id)
+                .send({ "title": "Anonymous Fountain" })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "To use this feature, please sign in or register.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not edit invalid spot", function (done) {
+            request(app)
+                .put("/spots/5033422e28379e2c046c9112")
+                .set({ "cookie": cookie2 })
+                .send({ "title": "Nowhere" })
+                .expect(404)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "No such spot with that id!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+    });
+
+    describe("DELETE /spots/:spotId", function () {
+        // spot: valid/, invalid/
+        // user: creator/, not creator/
+        it("should not be able to delete the spot because not creator", function (done) {
+            request(app)
+                .delete("/spots/" + spot4._id)
+                .set({ "cookie": cookie })
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "You do not have access to delete this spot!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not be able to delete invalid spot", function (done) {
+            request(app)
+                .delete("/spots/5033422e28379e2c046c9112")
+                .set({ "cookie": cookie })
+                .expect(404)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "No such spot with that id!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not be able to delete spot while not logged in", function (done) {
+            request(app)
+                .delete("/spots/" + spot4._id)
+                .expect(403)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "To use this feature, please sign in or register.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should favorite the spot before it is deleted", function (done) {
+            request(app)
+                .post("/spots/" + spot4._id + "/favorite")
+                .set({ "cookie": cookie3 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should be able to delete the spot because creator", function (done) {
+            request(app)
+                .delete("/spots/" + spot4._id)
+                .set({ "cookie": cookie2 })
+                .expect(200)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should remove the deleted spot from the favorites of users", function (done) {
+            request(app)
+                .get("/users/" + userOther._id + "/favoriteSpots")
+                .set({ "cookie": cookie3 })
+                .expect(200)
+                .expect(function (res) {
+                    var ids = res.body.content.favorites.map(function (spot) {
+                        return spot._id;
+                    });
+                    assert.equal(ids.indexOf(spot4._id), -1);
+                })
+                .end(function (err) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        // the favorites are populated above, so check that the id itself is gone too
+                        userModel.findOne({ _id: userOther._id }, function (err, user) {
+                            if (!err) {
+                                assert.equal(user.favorites.map(String).indexOf(spot4._id), -1);
+                            }
+                            done(err);
+                        });
+                    }
+                });
+        });
+
+        it("should delete the reviews of the deleted spot", function (done) {
+            request(app)
+                .get("/reviews/" + spot4.reviews[0] + "/spot")
+                .set({ "cookie": cookie })
+                .expect(404)
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.equal(res.body.err, "No such review with that id!");
                 })
                 .end(function (err, res) {
                     if (err) done(err);
@@ -1,7 +1,7 @@
 // @author: Maryam Archie
 
 var assert = require("assert");
-var request = require("supertest");
+var request = require("./csrfRequest");
 var mongoose = require("mongoose");
 var app = require("../../app");
 
@@ -88,6 +88,7 @@ describe("Tags", function () {
         it("should get all the spots with a valid label (nap space)", function (done) {
             request(app)
                 .get("/tags/nap space/spots")
+                .query({ populate: "tag,reviews" })
                 .expect(200)
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
@@ -0,0 +1,515 @@
+// @author: Maryam Archie
+
+var assert = require("assert");
+var request = require("./csrfRequest");
+var app = require("../../app");
+var RateLimiter = require("../../utils/rateLimiter");
+var userModel = require("../../models/Users").userModel;
+var Totp = require("../../utils/totp");
+
+// Codes are made and checked, and failed logins are counted, with this clock, so that the tests can move on
+// to the next code and past lockouts without waiting
+var now = Date.now();
+var clock = function () {
+    return now;
+};
+
+var guarded = { "username": "guarded", "email": "guarded@mit.edu", "password": "guarded" };
+var promoted = { "username": "promoted", "email": "promoted@mit.edu", "password": "promoted" };
+var cookie, pendingCookie, promotedCookie;
+var secret, backupCodes;
+
+/**
+ * Makes a request that passes if the response has the expected status
+ * @param {Object} test - a supertest request that has been set up
+ * @param {Number} status - the expected status of the response
+ * @param {function} done - the callback of the mocha test
+ */
+var expectStatus = function (test, status, done) {
+    test.expect(status)
+        .end(function (err, res) {
+            if (err) done(err);
+            else done();
+        });
+};
+
+/**
+ * Registers a user with a verified email
+ * @param {Object} user - of the form { username, email, password }
+ * @param {function} callback - called with (err)
+ */
+var register = function (user, callback) {
+    request(app)
+        .post("/users")
+        .send(user)
+        .expect(200)
+        .end(function (err) {
+            if (err) {
+                callback(err);
+            } else {
+                userModel.update({ email: user.email }, { verified: true }, callback);
+            }
+        });
+};
+
+/**
+ * Gives a user's email and password to log in
+ * @param {Object} user - of the form { email, password }
+ * @param {function} callback - called with (err, res)
+ */
+var login = function (user, callback) {
+    request(app)
+        .post("/users/login")
+        .send({ "email": user.email, "password": user.password })
+        .expect(200)
+        .end(callback);
+};
+
+/**
+ * Gives a code for the second step of logging in
+ * @param {Object} userCookie - the cookie from giving the email and password
+ * @param {String} code - the code
+ * @return {Object} the supertest request
+ */
+var sendCode = function (userCookie, code) {
+    return request(app)
+        .post("/users/login/twoFactor")
+        .set({ "cookie": userCookie })
+        .send({ "code": code });
+};
+
+/**
+ * Gives wrong codes for the second step of logging in, one after the other
+ * @param {Object} userCookie - the cookie from giving the email and password
+ * @param {Number} times - how many wrong codes to give
+ * @param {function} callback - called with (err) once every code has been refused
+ */
+var sendWrongCodes = function (userCookie, times, callback) {
+    if (times === 0) {
+        callback();
+    } else {
+        sendCode(userCookie, Totp.generateCode(secret, now - 10 * 60 * 1000)).expect(403).end(function (err) {
+            if (err) {
+                callback(err);
+            } else {
+                sendWrongCodes(userCookie, times - 1, callback);
+            }
+        });
+    }
+};
+
+/**
+ * Gives the email and password of guarded, keeping the cookie for the second step
+ * @param {function} done - the callback of the mocha test
+ */
+var startLogin = function (done) {
+    login(guarded, function (err, res) {
+        pendingCookie = err ? null : res.headers["set-cookie"];
+        done(err);
+    });
+};
+
+/**
+ * Makes a request that passes if the given cookie is (or is not) signed in
+ * @param {Object} userCookie - the cookie of a session
+ * @param {Boolean} loggedIn - whether the session should be signed in
+ * @param {function} done - the callback of the mocha test
+ */
+var expectLoggedIn = function (userCookie, loggedIn, done) {
+    request(app)
+        .get("/users")
+        .set({ "cookie": userCookie })
+        .expect(200)
+        .expect(function (res) {
+            assert.equal(res.body.content.loggedIn, loggedIn);
+        })
+        .end(function (err, res) {
+            if (err) done(err);
+            else done();
+        });
+};
+
+describe("Two-factor authentication", function () {
+    before(function (done) {
+        Totp.useClock(clock);
+        RateLimiter.use(RateLimiter.MemoryStore(clock));
+        register(guarded, function (err) {
+            if (err) {
+                done(err);
+            } else {
+                register(promoted, done);
+            }
+        });
+    });
+
+    after(function () {
+        Totp.useClock();
+        RateLimiter.use(RateLimiter.MemoryStore());
+    });
+
+    describe("Setting it up", function () {
+        it("should log in with just a password before it is on", function (done) {
+            login(guarded, function (err, res) {
+                if (!err) {
+                    cookie = res.headers["set-cookie"];
+                    assert.equal(res.body.content.user, "guarded@mit.edu");
+                    assert.equal(res.body.content.twoFactorSetupRequired, false);
+                }
+                done(err);
+            });
+        });
+
+        it("should not turn it on before it is set up", function (done) {
+            expectStatus(request(app)
+                .post("/users/twoFactor/enable")
+                .set({ "cookie": cookie })
+                .send({ "code": "123456" }), 400, done);
+        });
+
+        it("should give a secret and a QR code for an authenticator app", function (done) {
+            request(app)
+                .post("/users/twoFactor/setup")
+                .set({ "cookie": cookie })
+                .expect(200)
+                .expect(function (res) {
+                    secret = res.body.content.secret;
+                    assert.ok(/^[A-Z2-7]+$/.test(secret));
+                    assert.equal(res.body.content.uri.indexOf("otpauth://totp/Sweet%20Spots:guarded%40mit.edu?secret=" + secret), 0);
+                    assert.equal(res.body.content.qrCode.indexOf("data:image/png;base64,"), 0);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not turn it on with a wrong code", function (done) {
+            request(app)
+                .post("/users/twoFactor/enable")
+                .set({ "cookie": cookie })
+                .send({ "code": Totp.generateCode(secret, now - 10 * 60 * 1000) })
+                .expect(400)
+                .expect(function (res) {
+                    assert.equal(res.body.err, "That code is not right. Please try again.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should turn it on with a code from the app and give backup codes", function (done) {
+            request(app)
+                .post("/users/twoFactor/enable")
+                .set({ "cookie": cookie })
+                .send({ "code": Totp.generateCode(secret) })
+                .expect(200)
+                .expect(function (res) {
+                    backupCodes = res.body.content.backupCodes;
+                    assert.equal(backupCodes.length, 10);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not send the secret or backup codes along with the user", function (done) {
+            request(app)
+                .get("/users")
+                .set({ "cookie": cookie })
+                .expect(200)
+                .expect(function (res) {
+                    var twoFactor = res.body.content.userObject.twoFactor;
+                    assert.equal(twoFactor.enabled, true);
+                    assert.equal(twoFactor.secret, undefined);
+                    assert.equal(twoFactor.backupCodes, undefined);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should log out", function (done) {
+            expectStatus(request(app)
+                .post("/users/logout")
+                .set({ "cookie": cookie }), 200, done);
+        });
+    });
+
+    describe("POST /users/login/twoFactor", function () {
+        it("should ask for a code after the password", function (done) {
+            login(guarded, function (err, res) {
+                if (!err) {
+                    pendingCookie = res.headers["set-cookie"];
+                    assert.equal(res.body.content.twoFactorRequired, true);
+                    assert.equal(res.body.content.user, undefined);
+                }
+                done(err);
+            });
+        });
+
+        it("should not be signed in before giving the code", function (done) {
+            expectLoggedIn(pendingCookie, false, done);
+        });
+
+        it("should not take a code without the password first", function (done) {
+            sendCode(undefined, Totp.generateCode(secret))
+                .expect(403)
+                .expect(function (res) {
+                    assert.equal(res.body.err, "Please sign in with your email and password first.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not take a code that was already used", function (done) {
+            // The code used to turn it on is still the current one
+            expectStatus(sendCode(pendingCookie, Totp.generateCode(secret)), 403, done);
+        });
+
+        it("should sign in with the next code", function (done) {
+            now += 30 * 1000;
+            sendCode(pendingCookie, Totp.generateCode(secret))
+                .expect(200)
+                .expect(function (res) {
+                    cookie = res.headers["set-cookie"];
+                    assert.equal(res.body.content.user, "guarded@mit.edu");
+                    assert.equal(res.body.content.backupCodesLeft, undefined);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should be signed in after giving the code", function (done) {
+            expectLoggedIn(cookie, true, done);
+        });
+
+        it("should ask for a code again", startLogin);
+
+        it("should sign in with a backup code", function (done) {
+            sendCode(pendingCookie, backupCodes[0].toUpperCase())
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(res.body.content.backupCodesLeft, 9);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should ask for a code once more", startLogin);
+
+        it("should not take a backup code twice", function (done) {
+            expectStatus(sendCode(pendingCookie, backupCodes[0]), 403, done);
+        });
+
+        it("should not take a code once too much time has passed since the password", function (done) {
+            // Also long enough for the earlier wrong codes to no longer count against the account
+            now += 16 * 60 * 1000;
+            sendCode(pendingCookie, Totp.generateCode(secret))
+                .expect(403)
+                .expect(function (res) {
+                    assert.equal(res.body.err, "Please sign in with your email and password first.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should ask for a code after the password is given again", startLogin);
+
+        it("should stop taking codes after too many wrong ones", function (done) {
+            var wrongCode = Totp.generateCode(secret, now - 10 * 60 * 1000);
+            var tries = 0;
+            var tryWrongCode = function () {
+                tries += 1;
+                sendCode(pendingCookie, wrongCode).expect(403).end(function (err, res) {
+                    if (err) {
+                        done(err);
+                    } else if (tries < 5) {
+                        assert.equal(res.body.err, "That code is not right. Please try again.");
+                        tryWrongCode();
+                    } else {
+                        assert.equal(res.body.err, "Too many wrong codes. Please sign in again.");
+                        done();
+                    }
+                });
+            };
+            tryWrongCode();
+        });
+
+        it("should not take the right code after too many wrong ones", function (done) {
+            now += 30 * 1000;
+            expectStatus(sendCode(pendingCookie, Totp.generateCode(secret)), 403, done);
+        });
+
+        it("should lock the account out after too many wrong codes", function (done) {
+            request(app)
+                .post("/users/login")
+                .send({ "email": guarded.email, "password": guarded.password })
+                .expect(429)
+                .expect(function (res) {
+                    assert.ok(res.headers["retry-after"]);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should ask for a code once the lockout runs out", function (done) {
+            now += 2 * 60 * 1000;
+            startLogin(done);
+        });
+
+        it("should keep counting wrong codes when the password is given again", function (done) {
+            sendWrongCodes(pendingCookie, 4, function (err) {
+                if (err) {
+                    done(err);
+                } else {
+                    // The right password does not clear the wrong codes, so the next one locks the account out
+                    startLogin(function (err) {
+                        if (err) {
+                            done(err);
+                        } else {
+                            sendWrongCodes(pendingCookie, 1, done);
+                        }
+                    });
+                }
+            });
+        });
+
+        it("should not take the right code while the account is locked out", function (done) {
+            expectStatus(sendCode(pendingCookie, Totp.generateCode(secret)), 429, done);
+        });
+
+        it("should sign in with a code once the lockout runs out", function (done) {
+            // The second lockout within a day lasts twice as long as the first
+            now += 3 * 60 * 1000;
+            expectStatus(sendCode(pendingCookie, Totp.generateCode(secret)), 200, done);
+        });
+    });
+
+    describe("Managing it", function () {
+        it("should make new backup codes", function (done) {
+            now += 30 * 1000;
+            request(app)
+                .post("/users/twoFactor/backupCodes")
+                .set({ "cookie": cookie })
+                .send({ "code": Totp.generateCode(secret) })
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(res.body.content.backupCodes.length, 10);
+                    assert.equal(res.body.content.backupCodes.indexOf(backupCodes[1]), -1);
+                    backupCodes = res.body.content.backupCodes;
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not turn it off with a wrong password", function (done) {
+            expectStatus(request(app)
+                .delete("/users/twoFactor")
+                .set({ "cookie": cookie })
+                .send({ "password": "wrong" }), 403, done);
+        });
+
+        it("should turn it off", function (done) {
+            expectStatus(request(app)
+                .delete("/users/twoFactor")
+                .set({ "cookie": cookie })
+                .send({ "password": guarded.password }), 200, done);
+        });
+
+        it("should log in with just a password once it is off", function (done) {
+            login(guarded, function (err, res) {
+                if (!err) {
+                    assert.equal(res.body.content.user, "guarded@mit.edu");
+                }
+                done(err);
+            });
+        });
+    });
+
+    describe("Moderators and admins", function () {
+        before(function (done) {
+            userModel.update({ email: promoted.email }, { role: "moderator" }, done);
+        });
+
+        after(function (done) {
+            userModel.update({ email: promoted.email }, { role: "user", twoFactor: { enabled: false } }, done);
+        });
+
+        it("should tell a moderator without it to set it up", function (done) {
+            login(promoted, function (err, res) {
+                if (!err) {
+                    promotedCookie = res.headers["set-cookie"];
+                    assert.equal(res.body.content.twoFactorSetupRequired, true);
+                }
+                done(err);
+            });
+        });
+
+        it("should not let a moderator without it moderate", function (done) {
+            request(app)
+                .get("/moderation")
+                .set({ "cookie": promotedCookie })
+                .expect(403)
+                .expect(function (res) {
+                    assert.equal(res.body.err, "Please turn on two-factor authentication from your profile to use this feature.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should let a moderator set it up", function (done) {
+            request(app)
+                .post("/users/twoFactor/setup")
+                .set({ "cookie": promotedCookie })
+                .expect(200)
+                .end(function (err, res) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        expectStatus(request(app)
+                            .post("/users/twoFactor/enable")
+                            .set({ "cookie": promotedCookie })
+                            .send({ "code": Totp.generateCode(res.body.content.secret) }), 200, done);
+                    }
+                });
+        });
+
+        it("should let a moderator with it moderate", function (done) {
+            expectStatus(request(app)
+                .get("/moderation")
+                .set({ "cookie": promotedCookie }), 200, done);
+        });
+
+        it("should not let a moderator turn it off", function (done) {
+            request(app)
+                .delete("/users/twoFactor")
+                .set({ "cookie": promotedCookie })
+                .send({ "password": promoted.password })
+                .expect(403)
+                .expect(function (res) {
+                    assert.equal(res.body.err, "Moderators and admins must use two-factor authentication!");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+    });
+});
@@ -1,9 +1,10 @@
 // @author: Maryam Archie
 
 var assert = require("assert");
-var request = require("supertest");
+var request = require("./csrfRequest");
 var mongoose = require("mongoose");
 var app = require("../../app");
+var Mailer = require("../../utils/mailer");
 
 // Reset our mongoose collections so that the tests can run successfully.
 for (var i in mongoose.connection.collections) {
@@ -12,8 +13,25 @@ for (var i in mongoose.connection.collections) {
 
 var cookie, cookie2, cookie3;
 var user6170, userStudent, userOther;
+var outbox = Mailer.MemoryTransport();
+
+/**
+ * Gets the verification link of the last email sent to a user
+ * @param {String} email - the email of the user
+ * @return {String} the path of the link, starting with /verify
+ */
+var getVerificationLink = function (email) {
+    var messages = outbox.messages.filter(function (message) {
+        return message.to === email;
+    });
+    return messages[messages.length - 1].text.match(/\/verify\?token=\S+/)[0];
+};
 
 describe("Users", function () {
+    before(function () {
+        Mailer.use(outbox);
+    });
+
     describe("POST /users", function () {
         // unique username, duplicate, existing, invalid (whitespace, length)
         // unique email, duplicate, existing, invalid 
@@ -26,6 +44,7 @@ describe("Users", function () {
                 .expect("Content-Type", "application/json; charset=utf-8")
                 .expect(function (res) {
                     assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.verificationEmailSent, true);
                 })
                 .end(function (err, res) {
                     if (err) done(err);
@@ -382,6 +401,26 @@ describe("Users", function () {
                 });
         });
 
+        it("should put the user on the campus of their email", function () {
+            assert.equal(user6170.campus, "mit");
+        });
+
+        it("should get the campuses with the campus of the current user", function (done) {
+            request(app)
+                .get("/campuses")
+                .set({ "cookie": cookie })
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(res.body.content.campus, "mit");
+                    assert.equal(res.body.content.campuses.length, 1);
+                    assert.deepEqual(res.body.content.campuses[0].emailDomains, ["mit.edu"]);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
         it("should not get invalid user", function (done) {
             request(app)
                 .get("/users")
@@ -397,6 +436,161 @@ describe("Users", function () {
         });
     });
 
+    describe("Email verification", function () {
+        it("should email new users a verification link", function () {
+            assert.ok(getVerificationLink("6170@mit.edu"));
+            assert.ok(getVerificationLink("stud@mit.edu"));
+            assert.ok(getVerificationLink("dude@mit.edu"));
+            assert.equal(user6170.verified, false);
+        });
+
+        it("should create a user but say so when the verification link cannot be emailed", function (done) {
+            Mailer.use({
+                send: function (message, callback) {
+                    callback("the mail server is down");
+                }
+            });
+            request(app)
+                .post("/users")
+                .send({ "username": "unmailed", "email": "unmailed@mit.edu", "password": "unmailed" })
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(res.body.success, true);
+                    assert.equal(res.body.content.verificationEmailSent, false);
+                })
+                .end(function (err, res) {
+                    Mailer.use(outbox);
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not let an unverified user add a spot", function (done) {
+            request(app)
+                .post("/spots")
+                .set({ "cookie": cookie })
+                .send({
+                    "title": "Unverified Spot",
+                    "location": { latitude: 42.357, longitude: -71.091 },
+                    "label": "study space",
+                    "description": "Not yet.",
+                    "rating": "5"
+                })
+                .expect(403)
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.ok(res.body.err.indexOf("verify your email") !== -1);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not let an unverified user edit a spot", function (done) {
+            request(app)
+                .put("/spots/5033422e28379e2c046c9112")
+                .set({ "cookie": cookie })
+                .send({ "title": "Unverified Edit" })
+                .expect(403)
+                .expect(function (res) {
+                    assert.equal(res.body.success, false);
+                    assert.ok(res.body.err.indexOf("verify your email") !== -1);
+                })
+                .end(function (err) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should resend the verification link", function (done) {
+            var numMessages = outbox.messages.length;
+            request(app)
+                .post("/users/verification/resend")
+                .set({ "cookie": cookie })
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(outbox.messages.length, numMessages + 1);
+                    assert.equal(outbox.messages[numMessages].to, "6170@mit.edu");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not resend the verification link without a cookie", function (done) {
+            request(app)
+                .post("/users/verification/resend")
+                .expect(403)
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not verify with an invalid link", function (done) {
+            request(app)
+                .get("/verify?token=" + user6170._id + ".0.bad")
+                .expect(400)
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not verify with a tampered link", function (done) {
+            var link = getVerificationLink("stud@mit.edu");
+            request(app)
+                .get(link.replace(userStudent._id, user6170._id))
+                .expect(400)
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        ["6170@mit.edu", "stud@mit.edu", "dude@mit.edu"].forEach(function (email) {
+            it("should verify " + email + " with the link that was emailed", function (done) {
+                request(app)
+                    .get(getVerificationLink(email))
+                    .expect(200)
+                    .end(function (err, res) {
+                        if (err) done(err);
+                        else done();
+                    });
+            });
+        });
+
+        it("should show that the user is verified", function (done) {
+            request(app)
+                .get("/users")
+                .set({ "cookie": cookie })
+                .expect(200)
+                .expect(function (res) {
+                    assert.equal(res.body.content.userObject.verified, true);
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+
+        it("should not resend the verification link to a verified user", function (done) {
+            request(app)
+                .post("/users/verification/resend")
+                .set({ "cookie": cookie })
+                .expect(400)
+                .expect(function (res) {
+                    assert.equal(res.body.err, "Your email is already verified.");
+                })
+                .end(function (err, res) {
+                    if (err) done(err);
+                    else done();
+                });
+        });
+    });
+
     describe("GET /users/:userId", function () {
         // valid id, invalid id
         it("should get the user given an id", function (done) {
@@ -0,0 +1,130 @@
+// @author: Maryam Archie
+
+/**
+ * Middleware shared by the routers that decides who can use a route
+ * Users who have not signed in, or whose role is not high enough, will receive a 403: Forbidden HTTP status code.
+ * Roles are ordered from user to moderator to admin, and each role can do everything that the roles before it can.
+ * Moderators and admins cannot use their role until they turn on two-factor authentication.
+ * Users who have not verified their email cannot post anything until they do.
+ * Scripts can use a personal API token instead of signing in, by sending it in the Authorization header
+ * as "Bearer <token>". Read tokens can only make GET requests.
+ */
+
+var utils = require("./utils");
+var Users = require("../models/Users").Users;
+var ApiTokens = require("../models/ApiTokens").ApiTokens;
+
+const UNAUTHORIZED = 401;
+const FORBIDDEN = 403;
+const SERVER_ERROR = 500;
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+var Authorization = function () {
+    var that = Object.create(Authorization.prototype);
+
+    /**
+     * Middleware that requires the User to be signed in
+     * @param {Object} req - Must contain currentUser if signed in
+     * @param {Object} res - error if not signed in, success otherwise
+     * @param {function} next - callback function that calls the next piece of middleware
+     */
+    that.requireAuthentication = function (req, res, next) {
+        if (!req.currentUser) {
+            // User is not logged in
+            utils.sendErrorResponse(res, FORBIDDEN, "To use this feature, please sign in or register.");
+        } else {
+            // User has access to feature
+            next();
+        }
+    };
+
+    /**
+     * Makes middleware that requires the User to be signed in with at least the given role
+     * @param {String} role - one of Users.ROLES
+     * @return {function} the middleware, which is called with (req, res, next)
+     */
+    that.requireRole = function (role) {
+        return function (req, res, next) {
+            that.requireAuthentication(req, res, function () {
+                if (Users.hasRole(req.currentUser, role)) {
+                    next();
+                } else if (Users.isAssignedRole(req.currentUser, role)) {
+                    // Moderators and admins have to turn on two-factor authentication first
+                    utils.sendErrorResponse(res, FORBIDDEN, "Please turn on two-factor authentication from your profile to use this feature.");
+                } else {
+                    utils.sendErrorResponse(res, FORBIDDEN, "Only " + role + "s can use this feature.");
+                }
+            });
+        };
+    };
+
+    /**
+     * Middleware that requires the User to be signed in with a verified email
+     * @param {Object} req - Must contain currentUser if signed in
+     * @param {Object} res - error if not signed in or not verified, success otherwise
+     * @param {function} next - callback function that calls the next piece of middleware
+     */
+    that.requireVerified = function (req, res, next) {
+        that.requireAuthentication(req, res, function () {
+            if (req.currentUser.verified) {
+                next();
+            } else {
+                utils.sendErrorResponse(res, FORBIDDEN, "Please verify your email before posting. Follow the link that we emailed you, or ask for a new one from the menu.");
+            }
+        });
+    };
+
+    /**
+     * Middleware that signs in the User whose API token is in the Authorization header, if there is one
+     * Requests with an Authorization header that is not a valid token receive a 401: Unauthorized HTTP status code, and requests with
+     * a read token that are not GET requests receive a 403: Forbidden HTTP status code.
+     * @param {Object} req - Must contain the Authorization header if a script is using a token.
+     *                       currentUser and apiToken are set if the token is valid.
+     * @param {Object} res - error if the token is not valid or cannot be used for the request, success otherwise
+     * @param {function} next - callback function that calls the next piece of middleware
+     */
+    that.authenticateApiToken = function (req, res, next) {
+        var header = req.get("Authorization");
+        var match = /^Bearer\s+(\S+)$/i.exec(header || "");
+        if (!header) {
+            next();
+        } else {
+            ApiTokens.authenticate(match ? match[1] : "", function (err, user, apiToken) {
+                if (err && err.http_status === UNAUTHORIZED) {
+                    res.set("WWW-Authenticate", "Bearer");
+                    utils.sendErrorResponse(res, UNAUTHORIZED, err.msg);
+                } else if (err) {
+                    utils.sendErrorResponse(res, SERVER_ERROR, "Something went wrong... Please try again.");
+                } else if (apiToken.scope === "read" && READ_METHODS.indexOf(req.method) === -1) {
+                    utils.sendErrorResponse(res, FORBIDDEN, "This API token can only read. Please use a read and write token to make changes.");
+                } else {
+                    req.currentUser = user;
+                    req.apiToken = apiToken;
+                    next();
+                }
+            });
+        }
+    };
+
+    /**
+     * Middleware that requires the User to be signed in with a session rather than an API token,
+     * for managing their tokens, sessions and account
+     * @param {Object} req - Must contain currentUser if signed in, and apiToken if signed in with a token
+     * @param {Object} res - error if not signed in or signed in with a token, success otherwise
+     * @param {function} next - callback function that calls the next piece of middleware
+     */
+    that.requireSession = function (req, res, next) {
+        that.requireAuthentication(req, res, function () {
+            if (req.apiToken) {
+                utils.sendErrorResponse(res, FORBIDDEN, "API tokens cannot be used for this. Please sign in.");
+            } else {
+                next();
+            }
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Authorization();
@@ -0,0 +1,172 @@
+// @author: Maryam Archie
+
+/**
+ * The campuses that this deployment of Sweet Spots serves, so that another school can run it
+ * without changing the code. Each campus has:
+ *      id: a short unique name, which Users and Spots are stored with
+ *      name: the name of the school, shown to Users
+ *      emailDomains: the domains of the emails that the students of the school register with
+ *      map: { center: { latitude, longitude }, zoom, minZoom } where the map starts and how far out it can go
+ *      bounds: (optional) { minLatitude, maxLatitude, minLongitude, maxLongitude } the area of the campus
+ *      tags: (optional) the labels of the Tags that are created when the app starts
+ * The campuses are read from the JSON file at CAMPUS_CONFIG, or config/campuses.json by default.
+ * The file has the form { default: the id of a campus, campuses: [campus] }.
+ * Users belong to the campus of their email. Spots belong to the campus whose bounds contain them,
+ * or the default campus if none does.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+const CONFIG_FILE = process.env.CAMPUS_CONFIG || path.join(__dirname, "../config/campuses.json");
+
+/**
+ * Determines whether the given coordinates describe a point on the map
+ * @param {Object} point - of the form { latitude, longitude }
+ * @return {Boolean} true if the coordinates are valid, false otherwise
+ */
+var isValidPoint = function (point) {
+    return Boolean(point) && typeof point.latitude === "number" && typeof point.longitude === "number"
+        && point.latitude >= -90 && point.latitude <= 90 && point.longitude >= -180 && point.longitude <= 180;
+};
+
+/**
+ * Finds what is wrong with a campus, so that a bad config is caught when the app starts
+ * @param {Object} campus - a campus as described above
+ * @return {String} a description of the problem, null if the campus is valid
+ */
+var checkCampus = function (campus) {
+    var bounds = campus.bounds;
+    if (typeof campus.id !== "string" || !/^[a-z0-9-]+$/.test(campus.id)) {
+        return "campus ids must be lowercase letters, digits and dashes";
+    } else if (typeof campus.name !== "string" || campus.name.trim().length === 0) {
+        return "campus " + campus.id + " needs a name";
+    } else if (!Array.isArray(campus.emailDomains) || campus.emailDomains.length === 0) {
+        return "campus " + campus.id + " needs at least one email domain";
+    } else if (!campus.map || !isValidPoint(campus.map.center) || typeof campus.map.zoom !== "number") {
+        return "campus " + campus.id + " needs a map with a center and a zoom";
+    } else if (bounds && !(isValidPoint({ latitude: bounds.minLatitude, longitude: bounds.minLongitude })
+        && isValidPoint({ latitude: bounds.maxLatitude, longitude: bounds.maxLongitude }))) {
+        return "campus " + campus.id + " has invalid bounds";
+    } else if (campus.tags && !Array.isArray(campus.tags)) {
+        return "the tags of campus " + campus.id + " must be a list";
+    }
+    return null;
+};
+
+/**
+ * Reads and checks the campus config
+ * @param {String} file - the path of the JSON config file
+ * @return {Object} the config, of the form { default, campuses }
+ * @throws Will throw an error if the config is missing or invalid
+ */
+var loadConfig = function (file) {
+    var config = JSON.parse(fs.readFileSync(file, "utf8"));
+    var campuses = config.campuses;
+    if (!Array.isArray(campuses) || campuses.length === 0) {
+        throw new Error("Invalid campus config " + file + ": at least one campus is needed");
+    }
+    var ids = [];
+    var domains = [];
+    campuses.forEach(function (campus) {
+        var problem = checkCampus(campus);
+        if (!problem && ids.indexOf(campus.id) > -1) {
+            problem = "campus " + campus.id + " is listed twice";
+        }
+        if (!problem) {
+            campus.emailDomains.forEach(function (domain) {
+                if (domains.indexOf(domain) > -1) {
+                    problem = "the email domain " + domain + " belongs to more than one campus";
+                }
+                domains.push(domain);
+            });
+        }
+        if (problem) {
+            throw new Error("Invalid campus config " + file + ": " + problem);
+        }
+        ids.push(campus.id);
+    });
+    var defaultId = config.default || campuses[0].id;
+    if (ids.indexOf(defaultId) === -1) {
+        throw new Error("Invalid campus config " + file + ": the default campus " + defaultId + " is not listed");
+    }
+    return { default: defaultId, campuses: campuses };
+};
+
+var Campuses = function (config) {
+    var that = Object.create(Campuses.prototype);
+
+    /**
+     * Gets every campus
+     * @return {Object[]} the campuses, in the order that they are listed in the config
+     */
+    that.getCampuses = function () {
+        return config.campuses;
+    };
+
+    /**
+     * Gets a campus given its id
+     * @param {String} id - the id of the campus
+     * @return {Object} the campus, undefined if there is none with that id
+     */
+    that.getCampus = function (id) {
+        return config.campuses.find(function (campus) {
+            return campus.id === id;
+        });
+    };
+
+    /**
+     * Gets the campus that is used when no other one applies
+     * @return {Object} the default campus
+     */
+    that.getDefaultCampus = function () {
+        return that.getCampus(config.default);
+    };
+
+    /**
+     * Gets the campus that an email belongs to
+     * N.B. Domains are case sensitive, like the rest of the email
+     * @param {String} email - the email of a User
+     * @return {Object} the campus with the domain of the email, undefined if there is none
+     */
+    that.getCampusForEmail = function (email) {
+        var match = /^[a-zA-Z0-9._-]+@([a-zA-Z0-9.-]+)$/.exec(email);
+        return match ? config.campuses.find(function (campus) {
+            return campus.emailDomains.indexOf(match[1]) > -1;
+        }) : undefined;
+    };
+
+    /**
+     * Gets the campus that a point is on
+     * @param {Object} location - of the form { latitude, longitude }
+     * @return {Object} the first campus whose bounds contain the point, undefined if there is none
+     */
+    that.getCampusForLocation = function (location) {
+        return config.campuses.find(function (campus) {
+            var bounds = campus.bounds;
+            return Boolean(bounds) && location.latitude >= bounds.minLatitude && location.latitude <= bounds.maxLatitude
+                && location.longitude >= bounds.minLongitude && location.longitude <= bounds.maxLongitude;
+        });
+    };
+
+    /**
+     * Gets the predefined Tags of every campus
+     * @return {String[]} the labels of the Tags, without duplicates
+     */
+    that.getTagLabels = function () {
+        var labels = [];
+        config.campuses.forEach(function (campus) {
+            (campus.tags || []).forEach(function (label) {
+                if (labels.indexOf(label) === -1) {
+                    labels.push(label);
+                }
+            });
+        });
+        return labels;
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Campuses(loadConfig(CONFIG_FILE));
@@ -0,0 +1,125 @@
+// @author: Maryam Archie
+
+/**
+ * Protects the routes that change anything from cross-site request forgery, where another site makes the
+ * browser of a signed in User send a request that the session cookie is attached to.
+ * Each browser is given a secret in a cookie that scripts cannot read, and the pages of the app are given
+ * tokens made from that secret (by GET /users/csrf, or in the page itself). Every request other than a
+ * GET, HEAD or OPTIONS request must send a token in the X-CSRF-Token header (or as _csrf in a form), which
+ * has to match the secret in the cookie. Other sites can make the browser send the cookie, but cannot read
+ * a token to send along with it. Requests made with an API token do not need one.
+ * Requests without a matching token receive a 403: Forbidden HTTP status code.
+ */
+
+var crypto = require("crypto");
+var utils = require("./utils");
+var sessionConfig = require("./sessionConfig");
+
+const FORBIDDEN = 403;
+const COOKIE_NAME = "sweetspots.csrf";
+const HEADER_NAME = "X-CSRF-Token";
+const FORM_FIELD = "_csrf";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const SECRET_PATTERN = /^[0-9a-f]{64}$/;
+
+var Csrf = function () {
+    var that = Object.create(Csrf.prototype);
+
+    that.HEADER_NAME = HEADER_NAME;
+
+    /**
+     * Signs a salt with a secret
+     * @param {String} secret - the secret of the browser
+     * @param {String} salt - random text that makes each token different
+     * @return {String} the signature, in hex
+     */
+    var sign = function (secret, salt) {
+        return crypto.createHmac("sha256", secret).update(salt).digest("hex");
+    };
+
+    /**
+     * Makes a token from a secret
+     * A new salt is used each time, so that the token on a page does not give away anything about the secret.
+     * @param {String} secret - the secret of the browser
+     * @return {String} the token, of the form salt.signature
+     */
+    that.createToken = function (secret) {
+        var salt = crypto.randomBytes(16).toString("hex");
+        return salt + "." + sign(secret, salt);
+    };
+
+    /**
+     * Checks that a token was made from a secret
+     * @param {String} secret - the secret of the browser
+     * @param {String} token - the token sent with the request
+     * @return {Boolean} true if the token matches the secret, false otherwise
+     */
+    that.isValidToken = function (secret, token) {
+        if (typeof secret !== "string" || typeof token !== "string") {
+            return false;
+        }
+        var parts = token.split(".");
+        if (parts.length !== 2) {
+            return false;
+        }
+        var expected = Buffer.from(sign(secret, parts[0]));
+        var actual = Buffer.from(parts[1]);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    };
+
+    /**
+     * Gets the secret of the browser that made a request
+     * @param {Object} req - the request, whose cookies have been parsed
+     * @return {String} the secret, undefined if the browser does not have one
+     */
+    var getSecret = function (req) {
+        var secret = req.cookies[COOKIE_NAME];
+        return SECRET_PATTERN.test(secret) ? secret : undefined;
+    };
+
+    /**
+     * Middleware that gives the browser a secret if it does not have one, and makes a token for the page
+     * The token is put in res.locals.csrfToken, so that views can include it.
+     * @param {Object} req - the request, whose cookies have been parsed
+     * @param {Object} res - the response, which sets the cookie of the secret
+     * @param {function} next - callback function that calls the next piece of middleware
+     */
+    that.issueToken = function (req, res, next) {
+        var secret = getSecret(req) || crypto.randomBytes(32).toString("hex");
+        // The cookie is set again each time, so that it lasts as long as the session does
+        res.cookie(COOKIE_NAME, secret, {
+            httpOnly: true,
+            secure: sessionConfig.cookie.secure,
+            sameSite: sessionConfig.cookie.sameSite,
+            maxAge: sessionConfig.cookie.maxAge
+        });
+        res.locals.csrfToken = that.createToken(secret);
+        next();
+    };
+
+    /**
+     * Middleware that requires every request that can change anything to send a token that matches
+     * the secret of the browser
+     * @param {Object} req - the request, which must contain the token in the X-CSRF-Token header or as
+     *                       _csrf in the body, unless it is a GET, HEAD or OPTIONS request or was made
+     *                       with an API token
+     * @param {Object} res - error if the token is missing or does not match, success otherwise
+     * @param {function} next - callback function that calls the next piece of middleware
+     */
+    that.verifyToken = function (req, res, next) {
+        var token = req.get(HEADER_NAME) || (req.body && req.body[FORM_FIELD]);
+        if (SAFE_METHODS.indexOf(req.method) !== -1 || req.apiToken) {
+            // Browsers do not send API tokens by themselves, so other sites cannot make requests with them
+            next();
+        } else if (!that.isValidToken(getSecret(req), token)) {
+            utils.sendErrorResponse(res, FORBIDDEN, "This request does not have a valid security token. Please reload the page and try again.");
+        } else {
+            next();
+        }
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Csrf();
@@ -0,0 +1,259 @@
+// @author: Maryam Archie
+
+/**
+ * Gathers everything that the app keeps about a User, so that they can download it
+ * The export has the profile of the User, their reviews (with the spot of each), the spots they created,
+ * their favorites, the votes they cast and the reports they filed.
+ * The reviews and spots are found a page at a time with the queries for the reviews and spots of a User,
+ * and the ones that have been hidden after being reported are part of the export too.
+ * It can be given as JSON, or as CSV where each of these is a table that starts with its name
+ * on a line of its own and is followed by an empty line.
+ */
+
+var _ = require("lodash");
+var Users = require("../models/Users").Users;
+var Reviews = require("../models/Reviews").Reviews;
+var Spots = require("../models/Spots").Spots;
+
+// The columns of each table in the CSV export, in order
+const CSV_TABLES = {
+    profile: ["_id", "username", "email", "campus", "role", "rep", "verified"],
+    reviews: ["_id", "spot._id", "spot.title", "description", "rating", "score"],
+    spots: ["_id", "title", "location.latitude", "location.longitude", "floor", "rating", "timestamp"],
+    favorites: ["_id", "title"],
+    votes: ["review", "spot._id", "spot.title", "upvote"],
+    reports: ["spot._id", "spot.title", "review", "reason", "comment", "timestamp"]
+};
+
+// The pages in which the reviews and spots of a User are found for the export, with the hidden ones
+const EXPORT_PAGE = { populate: [], includeHidden: true };
+
+/**
+ * Writes a value as a CSV field
+ * Text is quoted when it needs to be, and text that a spreadsheet would take for a formula is escaped.
+ * @param {any} value - the value of the field
+ * @return {String} the field
+ */
+var toCsvField = function (value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    var text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+};
+
+/**
+ * Finds every item of a list that is found a page at a time, by finding the next page until there are no more
+ * @param {function} findPage - called with (page, callback) to find a page, where callback is called with (err, items, next)
+ * @param {Object} page - the first page (see utils/pages.js)
+ * @param {function} callback - called with (err, items)
+ */
+var findAllPages = function (findPage, page, callback) {
+    findPage(page, function (err, items, next) {
+        if (err) {
+            callback(err);
+        } else if (!next) {
+            callback(null, items);
+        } else {
+            findAllPages(findPage, _.assign({}, page, { after: next }), function (err, rest) {
+                if (err) {
+                    callback(err);
+                } else {
+                    callback(null, items.concat(rest));
+                }
+            });
+        }
+    });
+};
+
+/**
+ * Runs the steps that gather the data of a User one after the other, stopping at the first error
+ * @param {function[]} steps - each is called with (userId, found, callback) and adds what it finds to found
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - what has been found so far
+ * @param {function} callback - called with (err) once every step has run
+ */
+var runSteps = function (steps, userId, found, callback) {
+    if (steps.length === 0) {
+        callback(null);
+    } else {
+        steps[0](userId, found, function (err) {
+            if (err) {
+                callback(err);
+            } else {
+                runSteps(steps.slice(1), userId, found, callback);
+            }
+        });
+    }
+};
+
+/**
+ * Finds the profile of the User
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - found.user is set to the User
+ * @param {function} callback - called with (err)
+ */
+var findProfile = function (userId, found, callback) {
+    Users.findUserById(userId, function (err, user) {
+        found.user = user;
+        callback(err);
+    });
+};
+
+/**
+ * Finds every review of the User, with the existing query for the reviews of a User
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - found.reviews is set to the reviews
+ * @param {function} callback - called with (err)
+ */
+var findReviews = function (userId, found, callback) {
+    findAllPages(Reviews.getReviewsByUser.bind(null, userId), EXPORT_PAGE, function (err, reviews) {
+        found.reviews = reviews;
+        callback(err);
+    });
+};
+
+/**
+ * Finds every spot that the User created, with the existing query for the spots of a User
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - found.spots is set to the spots
+ * @param {function} callback - called with (err)
+ */
+var findSpots = function (userId, found, callback) {
+    findAllPages(Spots.getSpotsByUser.bind(null, userId), EXPORT_PAGE, function (err, spots) {
+        found.spots = spots;
+        callback(err);
+    });
+};
+
+/**
+ * Finds the favorite spots of the User
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - found.favorites is set to the spots
+ * @param {function} callback - called with (err)
+ */
+var findFavorites = function (userId, found, callback) {
+    Users.getFavoriteSpots(userId, function (err, favorites) {
+        found.favorites = favorites;
+        callback(err);
+    });
+};
+
+/**
+ * Finds the votes that the User cast on reviews
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - found.votes is set to the votes
+ * @param {function} callback - called with (err)
+ */
+var findVotes = function (userId, found, callback) {
+    Reviews.getVotesByUser(userId, function (err, votes) {
+        found.votes = votes;
+        callback(err);
+    });
+};
+
+/**
+ * Finds the reports that the User filed
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - found.reports is set to the reports
+ * @param {function} callback - called with (err)
+ */
+var findReports = function (userId, found, callback) {
+    Spots.getReportsByUser(userId, function (err, reports) {
+        found.reports = reports;
+        callback(err);
+    });
+};
+
+/**
+ * Finds the spot of each review that the User wrote or voted on
+ * @param {ObjectId} userId - the id of the User
+ * @param {Object} found - must have reviews and votes; found.spotsByReview is set to the _id and title of each spot, by review id
+ * @param {function} callback - called with (err)
+ */
+var findSpotsOfReviews = function (userId, found, callback) {
+    var reviewIds = _.map(found.reviews, "_id").concat(_.map(found.votes, "review"));
+    Spots.getSpotsOfReviews(reviewIds, function (err, spotsByReview) {
+        found.spotsByReview = spotsByReview;
+        callback(err);
+    });
+};
+
+/**
+ * Gives the data of a User from what the steps found
+ * @param {Object} found - what the steps found
+ * @return {Object} the data, as given by collect
+ */
+var formatData = function (found) {
+    var spotsByReview = found.spotsByReview;
+    return {
+        exportedAt: new Date(),
+        profile: _.pick(found.user.toObject(), CSV_TABLES.profile),
+        reviews: found.reviews.map(function (review) {
+            return {
+                _id: review._id,
+                spot: spotsByReview[review._id] || null,
+                description: review.description,
+                rating: review.rating,
+                score: review.score
+            };
+        }),
+        spots: found.spots.map(function (spot) {
+            return _.pick(spot, ["_id", "title", "location", "floor", "rating", "timestamp"]);
+        }),
+        favorites: found.favorites.map(function (spot) {
+            return _.pick(spot.toObject(), CSV_TABLES.favorites);
+        }),
+        votes: found.votes.map(function (vote) {
+            return { review: vote.review, spot: spotsByReview[vote.review] || null, upvote: vote.upvote };
+        }),
+        reports: found.reports
+    };
+};
+
+var DataExport = function () {
+    var that = Object.create(DataExport.prototype);
+
+    /**
+     * Gathers the data of a User
+     * @param {ObjectId} userId - the id of the User
+     * @param {function} callback - called with (err, data) where data is of the form
+     *                              { exportedAt, profile, reviews, spots, favorites, votes, reports }
+     */
+    that.collect = function (userId, callback) {
+        var steps = [findProfile, findReviews, findSpots, findFavorites, findVotes, findReports, findSpotsOfReviews];
+        var found = {};
+        runSteps(steps, userId, found, function (err) {
+            if (err) {
+                callback(err);
+            } else {
+                callback(null, formatData(found));
+            }
+        });
+    };
+
+    /**
+     * Writes gathered data as CSV
+     * @param {Object} data - the data, as given by collect
+     * @return {String} the CSV, with one table for the profile and one for each list in the data
+     */
+    that.toCsv = function (data) {
+        return Object.keys(CSV_TABLES).map(function (name) {
+            var columns = CSV_TABLES[name];
+            var rows = [].concat(data[name]).map(function (row) {
+                return columns.map(function (column) {
+                    return toCsvField(_.get(row, column));
+                }).join(",");
+            });
+            return [name, columns.join(",")].concat(rows).join("\r\n") + "\r\n";
+        }).join("\r\n");
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = DataExport();
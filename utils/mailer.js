@@ -0,0 +1,100 @@
+// @author: Maryam Archie
+
+/**
+ * Sends the emails of the app, so that how they are delivered can change without changing the rest of the app.
+ * A transport must provide:
+ *      send(message, callback): delivers the message and calls callback with (err)
+ * Messages are of the form { from, to, subject, text }.
+ * By default, messages are written to the file MAIL_FILE (or mail/outbox.txt) instead of being delivered,
+ * and tests can keep them in an in-memory outbox instead.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+const MAIL_FILE = process.env.MAIL_FILE || path.join(__dirname, "../mail/outbox.txt");
+const MAIL_FROM = process.env.MAIL_FROM || "Sweet Spots <no-reply@sweet-spots.herokuapp.com>";
+
+/**
+ * Transport that appends every message to a file
+ * @param {String} file - the file that the messages are written to, created along with its directory if needed
+ */
+var FileTransport = function (file) {
+    var that = Object.create(FileTransport.prototype);
+
+    that.send = function (message, callback) {
+        var lines = [
+            "From: " + message.from,
+            "To: " + message.to,
+            "Date: " + new Date().toUTCString(),
+            "Subject: " + message.subject,
+            "",
+            message.text,
+            "",
+            ""
+        ];
+        fs.mkdir(path.dirname(file), function (err) {
+            if (err && err.code !== "EEXIST") {
+                callback(err);
+            } else {
+                fs.appendFile(file, lines.join("\n"), callback);
+            }
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+/**
+ * Transport that keeps every message in memory, in the order they were sent
+ */
+var MemoryTransport = function () {
+    var that = Object.create(MemoryTransport.prototype);
+
+    // The messages that have been sent, which can be read and cleared
+    that.messages = [];
+
+    that.send = function (message, callback) {
+        that.messages.push(message);
+        callback(null);
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+var Mailer = function () {
+    var that = Object.create(Mailer.prototype);
+
+    var transport = FileTransport(MAIL_FILE);
+
+    that.FileTransport = FileTransport;
+    that.MemoryTransport = MemoryTransport;
+
+    /**
+     * Replaces the transport that messages are sent with
+     * @param {Object} newTransport - provides send as described above
+     */
+    that.use = function (newTransport) {
+        transport = newTransport;
+    };
+
+    /**
+     * Sends an email from the app
+     * @param {String} to - the email address of the recipient
+     * @param {String} subject - the subject of the email
+     * @param {String} text - the plain text body of the email
+     * @param {function} callback - called with (err)
+     */
+    that.send = function (to, subject, text, callback) {
+        transport.send({ from: MAIL_FROM, to: to, subject: subject, text: text }, function (err) {
+            callback(err ? { msg: err } : null);
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Mailer();
@@ -0,0 +1,151 @@
+// @author: Maryam Archie
+
+/**
+ * Helpers for the lists that are sent a page at a time, so that no request loads a whole collection
+ * A page is described by { limit, after, fields, populate }, where:
+ *      limit: the number of items in the page, DEFAULT_LIMIT by default
+ *      after: (optional) the cursor that was sent with the previous page, for every page but the first
+ *      fields: (optional) the fields of each item to send, every field by default. The _id is always sent.
+ *      populate: (optional) the fields of each item that refer to other documents and should be filled in
+ *                with those documents, none by default. Fields that are not selected are not populated.
+ * Lists in the order of their ids are found with findPage. Lists in another order, such as the search of
+ * Spots, make their own cursors with encodeCursor and decodeCursor.
+ */
+
+var mongoose = require("mongoose");
+var _ = require("lodash");
+
+const BAD_REQUEST = 400;
+const DEFAULT_LIMIT = 50;
+const INVALID_CURSOR = "The cursor for the next page is invalid!";
+
+var Pages = function () {
+    var that = Object.create(Pages.prototype);
+
+    // The number of items in a page when no limit is given
+    that.DEFAULT_LIMIT = DEFAULT_LIMIT;
+
+    /**
+     * Reads the page that a request asks for from its query, once it has been checked against Schemas.page
+     * @param {Object} query - the query of the request
+     * @return {Object} the page, of the form { limit, after, fields, populate }
+     */
+    that.fromQuery = function (query) {
+        return {
+            limit: query.limit,
+            after: query.after,
+            fields: query.fields,
+            populate: query.populate || []
+        };
+    };
+
+    /**
+     * Determines whether a field of the items is sent
+     * @param {Object} page - the page of the items
+     * @param {String} field - the name of the field
+     * @return {Boolean} true if no fields were selected, or the field is one of them
+     */
+    that.isSelected = function (page, field) {
+        return !page.fields || page.fields.indexOf(field) !== -1;
+    };
+
+    /**
+     * Determines whether a field of the items is populated
+     * @param {Object} page - the page of the items
+     * @param {String} field - the name of the field
+     * @return {Boolean} true if the field is selected and was asked to be populated
+     */
+    that.isPopulated = function (page, field) {
+        return that.isSelected(page, field) && (page.populate || []).indexOf(field) !== -1;
+    };
+
+    /**
+     * Leaves out the fields of an item that were not chosen, such as the ones that were only needed to find it
+     * @param {Object} item - an item of the page
+     * @param {Object} page - the page of the item
+     * @return {Object} the item, with only its _id and the chosen fields if fields were chosen
+     */
+    that.pick = function (item, page) {
+        var object = item.toObject ? item.toObject() : item;
+        return page.fields ? _.pick(object, ["_id"].concat(page.fields)) : object;
+    };
+
+    /**
+     * Encodes the position of an item within a sorted list as an opaque cursor
+     * @param {Object} item - the last item of a page
+     * @param {String} field - the field that the list is sorted by
+     * @return {String} the cursor for the next page
+     */
+    that.encodeCursor = function (item, field) {
+        var value = item[field];
+        var position = { value: value, id: item._id };
+        if (value instanceof Date) {
+            position.date = true;
+        }
+        return Buffer.from(JSON.stringify(position)).toString("base64");
+    };
+
+    /**
+     * Decodes a cursor made by encodeCursor
+     * @param {String} cursor - the cursor given by the client
+     * @return {Object} { value, id } if the cursor is valid, null otherwise
+     */
+    that.decodeCursor = function (cursor) {
+        try {
+            var position = JSON.parse(Buffer.from(cursor, "base64").toString());
+            if (!mongoose.Types.ObjectId.isValid(position.id) || position.value === undefined) {
+                return null;
+            }
+            return {
+                value: position.date ? new Date(position.value) : position.value,
+                id: mongoose.Types.ObjectId(position.id)
+            };
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Finds a page of the documents that match the given conditions, in the order of their ids
+     * @param {Model} model - the mongoose model of the documents
+     * @param {Object} conditions - the conditions that every document in the list must match
+     * @param {Object} page - the page to find, as described above
+     * @param {Object[]} population - the populate options for the fields that are populated
+     * @param {function} callback - must be called with (err, items, next) as params
+     *                              next is the cursor for the following page, null if there is none
+     */
+    that.findPage = function (model, conditions, page, population, callback) {
+        var limit = page.limit === undefined ? DEFAULT_LIMIT : page.limit;
+        var cursor = page.after ? that.decodeCursor(page.after) : null;
+        if (page.after && cursor === null) {
+            callback({ msg: INVALID_CURSOR, http_status: BAD_REQUEST });
+        } else {
+            var query = _.assign({}, conditions);
+            if (cursor) {
+                query._id = { $gt: cursor.id };
+            }
+            // Fetch one extra document to know whether there is another page
+            var find = model.find(query).sort({ _id: 1 }).limit(limit + 1);
+            if (page.fields) {
+                find.select(page.fields.join(" "));
+            }
+            population.forEach(function (options) {
+                find.populate(options);
+            });
+            find.exec(function (err, items) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    var hasNext = items.length > limit;
+                    items = items.slice(0, limit);
+                    callback(null, items, hasNext ? that.encodeCursor(items[items.length - 1], "_id") : null);
+                }
+            });
+        }
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Pages();
@@ -0,0 +1,90 @@
+// @author: Maryam Archie
+
+/**
+ * Storage for the files of uploaded photos, so that the files can be kept somewhere other than
+ * the local disk without changing the rest of the app.
+ * A storage must provide:
+ *      save(name, buffer, callback): stores the file and calls callback with (err, url)
+ *      remove(name, callback): removes the file and calls callback with (err)
+ * By default, files are kept in the uploads directory (or UPLOAD_DIRECTORY) and served at /uploads.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+const UPLOAD_DIRECTORY = process.env.UPLOAD_DIRECTORY || path.join(__dirname, "../uploads");
+const UPLOAD_URL = "/uploads";
+
+/**
+ * Storage that keeps the files in a directory on the local disk
+ * @param {String} directory - the directory that the files are kept in, created when the first file is saved
+ * @param {String} url - the url that the directory is served at
+ */
+var LocalStorage = function (directory, url) {
+    var that = Object.create(LocalStorage.prototype);
+
+    that.save = function (name, buffer, callback) {
+        fs.mkdir(directory, function (err) {
+            if (err && err.code !== "EEXIST") {
+                callback(err);
+            } else {
+                fs.writeFile(path.join(directory, name), buffer, function (err) {
+                    callback(err, err ? null : url + "/" + name);
+                });
+            }
+        });
+    };
+
+    that.remove = function (name, callback) {
+        fs.unlink(path.join(directory, name), function (err) {
+            // A file that is already gone does not need to be removed
+            callback(err && err.code !== "ENOENT" ? err : null);
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+var PhotoStorage = function () {
+    var that = Object.create(PhotoStorage.prototype);
+
+    var storage = LocalStorage(UPLOAD_DIRECTORY, UPLOAD_URL);
+
+    // Where the default storage keeps its files, so that app.js can serve them
+    that.directory = UPLOAD_DIRECTORY;
+    that.url = UPLOAD_URL;
+    that.LocalStorage = LocalStorage;
+
+    /**
+     * Replaces the storage that files are kept in
+     * @param {Object} newStorage - provides save and remove as described above
+     */
+    that.use = function (newStorage) {
+        storage = newStorage;
+    };
+
+    /**
+     * Stores a file
+     * @param {String} name - the unique name of the file
+     * @param {Buffer} buffer - the content of the file
+     * @param {function} callback - called with (err, url) where url is where the file can be viewed
+     */
+    that.save = function (name, buffer, callback) {
+        storage.save(name, buffer, callback);
+    };
+
+    /**
+     * Removes a file
+     * @param {String} name - the name that the file was saved with
+     * @param {function} callback - called with (err)
+     */
+    that.remove = function (name, callback) {
+        storage.remove(name, callback);
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = PhotoStorage();
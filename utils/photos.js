@@ -0,0 +1,277 @@
+// @author: Maryam Archie
+
+/**
+ * Receives, processes and stores the photos uploaded for Spots and Reviews
+ * Photos must be JPEG or PNG images of at most 5MB, sent as the "photo" field of a multipart form.
+ * Every photo is re-encoded before it is stored, which strips its EXIF metadata (including where
+ * it was taken), scaled down to fit within 1600x1600 pixels and given a 200x200 thumbnail.
+ * Photos of more than 50 megapixels are refused before they are decoded, since a small file can
+ * declare a bitmap too large to fit in memory.
+ */
+
+var crypto = require("crypto");
+var Jimp = require("jimp");
+var multer = require("multer");
+var PhotoStorage = require("./photoStorage");
+
+const BAD_REQUEST = 400;
+const PAYLOAD_TOO_LARGE = 413;
+const UNSUPPORTED_MEDIA_TYPE = 415;
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+const MAX_DIMENSION = 1600;
+const MAX_PIXELS = 50 * 1000 * 1000;
+const THUMBNAIL_SIZE = 200;
+const JPEG_QUALITY = 85;
+const EXTENSIONS = {
+    "image/jpeg": ".jpg",
+    "image/png": ".png"
+};
+// The first bytes of the file of each type of photo
+const SIGNATURES = {
+    "image/jpeg": Buffer.from([0xFF, 0xD8, 0xFF]),
+    "image/png": Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+};
+const UNSUPPORTED_PHOTO = "Photos must be JPEG or PNG images!";
+// The JPEG markers that start a frame, whose header holds the size of the image
+const JPEG_FRAME_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+// The JPEG markers that stand alone, without a length
+const JPEG_STANDALONE_MARKERS = [0x01, 0xD0, 0xD1, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8];
+
+var Photos = function () {
+    var that = Object.create(Photos.prototype);
+
+    var upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_PHOTO_SIZE, files: 1 },
+        fileFilter: function (req, file, callback) {
+            var isSupported = EXTENSIONS.hasOwnProperty(file.mimetype);
+            req.unsupportedPhoto = !isSupported;
+            callback(null, isSupported);
+        }
+    }).single("photo");
+
+    /**
+     * Determines whether the content of a file is a photo of a supported type, whatever type the client claimed
+     * @param {Buffer} buffer - the content of the file
+     * @return {Boolean} true if the file starts like a JPEG or PNG image, false otherwise
+     */
+    var isSupportedImage = function (buffer) {
+        return Object.keys(SIGNATURES).some(function (type) {
+            var signature = SIGNATURES[type];
+            return buffer.length > signature.length && buffer.slice(0, signature.length).equals(signature);
+        });
+    };
+
+    /**
+     * Reads the size of a JPEG image from the header of its first frame
+     * @param {Buffer} buffer - the content of the image
+     * @return {Object} { width, height } or null if there is no frame header
+     */
+    var readJpegSize = function (buffer) {
+        var offset = SIGNATURES["image/jpeg"].length - 1;
+        while (offset + 9 <= buffer.length && buffer[offset] === 0xFF) {
+            var marker = buffer[offset + 1];
+            if (marker === 0xFF) {
+                // Padding before a marker
+                offset += 1;
+            } else if (JPEG_STANDALONE_MARKERS.indexOf(marker) !== -1) {
+                offset += 2;
+            } else if (JPEG_FRAME_MARKERS.indexOf(marker) !== -1) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            } else {
+                offset += 2 + buffer.readUInt16BE(offset + 2);
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Reads the size of a photo from its header, without decoding it
+     * @param {Buffer} buffer - the content of a JPEG or PNG image
+     * @return {Object} { width, height } or null if the header cannot be read
+     */
+    var readSize = function (buffer) {
+        if (buffer.slice(0, SIGNATURES["image/png"].length).equals(SIGNATURES["image/png"])) {
+            // The IHDR chunk, which must come first, holds the width and then the height
+            return buffer.length >= 24 && buffer.toString("ascii", 12, 16) === "IHDR"
+                ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+                : null;
+        }
+        return readJpegSize(buffer);
+    };
+
+    /**
+     * Re-encodes an image in its own format
+     * @param {Jimp} image - the image to encode
+     * @param {function} callback - called with (err, buffer)
+     */
+    var encode = function (image, callback) {
+        image.quality(JPEG_QUALITY).getBuffer(image.getMIME(), callback);
+    };
+
+    /**
+     * Stores every one of the given files, removing the ones already stored if one fails
+     * @param {Object[]} files - of the form { name, buffer }
+     * @param {function} callback - called with (err, urls) where urls are in the same order as the files
+     */
+    var saveAll = function (files, callback) {
+        if (files.length === 0) {
+            callback(null, []);
+        } else {
+            PhotoStorage.save(files[0].name, files[0].buffer, function (err, url) {
+                if (err) {
+                    callback({ msg: err });
+                } else {
+                    saveAll(files.slice(1), function (err, urls) {
+                        if (err) {
+                            PhotoStorage.remove(files[0].name, function () {
+                                callback(err);
+                            });
+                        } else {
+                            callback(null, [url].concat(urls));
+                        }
+                    });
+                }
+            });
+        }
+    };
+
+    /**
+     * Resizes, re-encodes and stores a photo that has been read, along with its thumbnail
+     * @param {Jimp} image - the photo
+     * @param {function} callback - called with (err, photo) as described in upload
+     */
+    var saveImage = function (image, callback) {
+        var extension = EXTENSIONS[image.getMIME()];
+        // The orientation is part of the EXIF metadata, so it is applied before it is stripped
+        image.exifRotate();
+        if (image.bitmap.width > MAX_DIMENSION || image.bitmap.height > MAX_DIMENSION) {
+            image.scaleToFit(MAX_DIMENSION, MAX_DIMENSION);
+        }
+        var thumbnail = image.clone().cover(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+        encode(image, function (err, photoBuffer) {
+            if (err) {
+                callback({ msg: err });
+                return;
+            }
+            encode(thumbnail, function (err, thumbnailBuffer) {
+                if (err) {
+                    callback({ msg: err });
+                    return;
+                }
+                var name = crypto.randomBytes(16).toString("hex");
+                var files = [
+                    { name: name + extension, buffer: photoBuffer },
+                    { name: name + "-thumbnail" + extension, buffer: thumbnailBuffer }
+                ];
+                saveAll(files, function (err, urls) {
+                    if (err) {
+                        callback(err);
+                    } else {
+                        callback(null, {
+                            file: files[0].name,
+                            url: urls[0],
+                            thumbnail: files[1].name,
+                            thumbnailUrl: urls[1]
+                        });
+                    }
+                });
+            });
+        });
+    };
+
+    /**
+     * Reads the photo uploaded with a request
+     * @param {Object} req - a multipart request with the photo as its "photo" field
+     * @param {Object} res - the response to the request
+     * @param {function} callback - called with (err, file) where file.buffer is the content of the photo
+     */
+    var receive = function (req, res, callback) {
+        upload(req, res, function (err) {
+            if (err && err.code === "LIMIT_FILE_SIZE") {
+                callback({ msg: "Photos cannot be larger than 5MB!", http_status: PAYLOAD_TOO_LARGE });
+            } else if (err && err.code) {
+                callback({ msg: "Please upload a single photo as the photo field.", http_status: BAD_REQUEST });
+            } else if (err) {
+                callback({ msg: err });
+            } else if (req.unsupportedPhoto) {
+                callback({ msg: UNSUPPORTED_PHOTO, http_status: UNSUPPORTED_MEDIA_TYPE });
+            } else if (!req.file) {
+                callback({ msg: "Please upload a single photo as the photo field.", http_status: BAD_REQUEST });
+            } else {
+                callback(null, req.file);
+            }
+        });
+    };
+
+    /**
+     * Processes the photo uploaded with a request and stores it along with its thumbnail
+     * @param {Object} req - a multipart request with the photo as its "photo" field
+     * @param {Object} res - the response to the request
+     * @param {function} callback - called with (err, photo) where photo is of the form
+     *                              { file, url, thumbnail, thumbnailUrl }
+     *                              file and thumbnail are the names that the files are stored with
+     */
+    that.upload = function (req, res, callback) {
+        receive(req, res, function (err, file) {
+            var unreadable = { msg: "The photo could not be read. " + UNSUPPORTED_PHOTO, http_status: UNSUPPORTED_MEDIA_TYPE };
+            var size = err ? null : readSize(file.buffer);
+            if (err) {
+                callback(err);
+            } else if (!isSupportedImage(file.buffer) || size === null) {
+                callback(unreadable);
+            } else if (size.width * size.height > MAX_PIXELS) {
+                callback({ msg: "Photos cannot be larger than 50 megapixels!", http_status: BAD_REQUEST });
+            } else {
+                Jimp.read(file.buffer).then(function (image) {
+                    // Leave the promise so that errors after this point are not taken for an unreadable photo
+                    setImmediate(function () {
+                        if (image) {
+                            saveImage(image, callback);
+                        } else {
+                            callback(unreadable);
+                        }
+                    });
+                }, function () {
+                    callback(unreadable);
+                });
+            }
+        });
+    };
+
+    /**
+     * Removes the stored files of photos
+     * Files that cannot be removed are left behind, so that removing a Spot or Review never fails because of them
+     * @param {Object[]} photos - the photos whose files will be removed, as given by upload
+     * @param {function} callback - called with (failed) once every file has been removed, where failed is the
+     *                              names of the files that could not be removed, empty if there are none
+     */
+    that.remove = function (photos, callback) {
+        var names = [];
+        photos.forEach(function (photo) {
+            names.push(photo.file, photo.thumbnail);
+        });
+        var remaining = names.length;
+        var failed = [];
+        if (remaining === 0) {
+            callback(failed);
+            return;
+        }
+        names.forEach(function (name) {
+            PhotoStorage.remove(name, function (err) {
+                if (err) {
+                    failed.push(name);
+                }
+                remaining -= 1;
+                if (remaining === 0) {
+                    callback(failed);
+                }
+            });
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Photos();
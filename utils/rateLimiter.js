@@ -0,0 +1,351 @@
+// @author: Maryam Archie
+
+/**
+ * Limits how often Users can try to log in and how much they can post, so that passwords cannot be
+ * guessed and the app cannot be flooded.
+ * Logging in: failed logins are counted for each account and each IP address. After too many failures,
+ * the account (or address) is locked out for a minute, and every lockout within a day is twice as long
+ * as the one before it, up to an hour. Logging in successfully clears the failures of the account.
+ * Posting: each User has an hourly quota of new Spots, reviews, votes, reports and photos. Requests that fail
+ * do not count towards the quota.
+ * Requests over a limit receive a 429: Too Many Requests HTTP status code, with a Retry-After header
+ * giving the number of seconds to wait.
+ * The counts are kept in a store, so that servers can share them. A store must provide:
+ *      increment(key, windowMs, callback): adds one to the count of the key, starting a new count that lasts
+ *                                          for windowMs if there is none, and calls callback with
+ *                                          (err, { count, msBeforeReset })
+ *      decrement(key, callback): takes one from the count of the key and calls callback with (err)
+ *      get(key, callback): calls callback with (err, { count, msBeforeReset }), or (err, null) if there is no count
+ *      reset(key, callback): removes the count of the key and calls callback with (err)
+ * By default, counts are kept in the memory of this process.
+ * Logging in and posting are not blocked when the store fails. The failures are reported to a logger instead,
+ * which is the "6170-sweet-spots:rateLimiter" debug log by default (shown when DEBUG includes it).
+ */
+
+var debug = require("debug");
+var utils = require("./utils");
+
+const TOO_MANY_REQUESTS = 429;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// How many increments the memory store makes between removing the counts that have run out
+const PRUNE_INTERVAL = 1000;
+
+// How many failed logins are allowed within the window before locking out, for accounts and IP addresses
+const LOGIN_POLICIES = {
+    account: { maxFailures: 5, windowMs: 15 * MINUTE },
+    ip: { maxFailures: 20, windowMs: 15 * MINUTE }
+};
+const FIRST_LOCKOUT = MINUTE;
+const LONGEST_LOCKOUT = HOUR;
+// How long lockouts are remembered when deciding how long the next one is
+const LOCKOUT_MEMORY = 24 * HOUR;
+
+// How many of each thing a User can post within the window
+const QUOTAS = {
+    spot: { max: 20, windowMs: HOUR, description: "new spots" },
+    review: { max: 30, windowMs: HOUR, description: "reviews" },
+    vote: { max: 100, windowMs: HOUR, description: "votes" },
+    report: { max: 20, windowMs: HOUR, description: "reports" },
+    photo: { max: 20, windowMs: HOUR, description: "photos" }
+};
+
+/**
+ * Describes how long to wait, for error messages
+ * @param {Number} ms - the time to wait, in milliseconds
+ * @return {String} the time in seconds if it is less than a minute, otherwise in minutes
+ */
+var describeWait = function (ms) {
+    var seconds = Math.max(1, Math.ceil(ms / 1000));
+    if (seconds < 60) {
+        return seconds + (seconds === 1 ? " second" : " seconds");
+    }
+    var minutes = Math.ceil(seconds / 60);
+    return minutes + (minutes === 1 ? " minute" : " minutes");
+};
+
+/**
+ * Store that keeps the counts in the memory of this process
+ * @param {function} clock - (optional) gives the current time in milliseconds, Date.now by default
+ */
+var MemoryStore = function (clock) {
+    var that = Object.create(MemoryStore.prototype);
+
+    var now = clock || Date.now;
+    var counters = Object.create(null);
+    var incrementsSincePrune = 0;
+
+    /**
+     * Gets the count of a key, removing it if it has run out
+     * @param {String} key - the key of the count
+     * @return {Object} the count, of the form { count, resetAt }, undefined if there is none
+     */
+    var getCounter = function (key) {
+        var counter = counters[key];
+        if (counter && counter.resetAt <= now()) {
+            delete counters[key];
+            return undefined;
+        }
+        return counter;
+    };
+
+    /**
+     * Removes every count that has run out, so that the counts of IP addresses and accounts that stop
+     * making requests do not pile up
+     */
+    var prune = function () {
+        Object.keys(counters).forEach(getCounter);
+        incrementsSincePrune = 0;
+    };
+
+    that.increment = function (key, windowMs, callback) {
+        incrementsSincePrune += 1;
+        if (incrementsSincePrune >= PRUNE_INTERVAL) {
+            prune();
+        }
+        var counter = getCounter(key);
+        if (!counter) {
+            counter = { count: 0, resetAt: now() + windowMs };
+            counters[key] = counter;
+        }
+        counter.count += 1;
+        callback(null, { count: counter.count, msBeforeReset: counter.resetAt - now() });
+    };
+
+    that.decrement = function (key, callback) {
+        var counter = getCounter(key);
+        if (counter && counter.count > 0) {
+            counter.count -= 1;
+        }
+        callback(null);
+    };
+
+    that.get = function (key, callback) {
+        var counter = getCounter(key);
+        callback(null, counter ? { count: counter.count, msBeforeReset: counter.resetAt - now() } : null);
+    };
+
+    that.reset = function (key, callback) {
+        delete counters[key];
+        callback(null);
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+var RateLimiter = function () {
+    var that = Object.create(RateLimiter.prototype);
+
+    var store = MemoryStore();
+    var log = debug("6170-sweet-spots:rateLimiter");
+
+    that.MemoryStore = MemoryStore;
+    that.QUOTAS = QUOTAS;
+
+    /**
+     * Replaces the store that the counts are kept in
+     * @param {Object} newStore - provides increment, decrement, get and reset as described above
+     */
+    that.use = function (newStore) {
+        store = newStore;
+    };
+
+    /**
+     * Replaces the logger that failures of the store are reported to
+     * @param {function} newLogger - called with the message of each failure
+     */
+    that.useLogger = function (newLogger) {
+        log = newLogger;
+    };
+
+    /**
+     * Sends a 429: Too Many Requests response
+     * @param {Object} res - the response
+     * @param {Number} retryAfter - how long the client has to wait, in milliseconds
+     * @param {String} message - the error message, which is followed by how long to wait
+     */
+    var sendTooManyRequests = function (res, retryAfter, message) {
+        res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfter / 1000))));
+        utils.sendErrorResponse(res, TOO_MANY_REQUESTS, message + " Please try again in " + describeWait(retryAfter) + ".");
+    };
+
+    /**
+     * Gives the keys that the login failures and lockouts of an account or IP address are counted under
+     * @param {String} kind - account or ip
+     * @param {String} id - the email of the account, or the IP address
+     * @return {Object} the keys, of the form { failures, lockouts, locked }
+     */
+    var getLoginKeys = function (kind, id) {
+        var prefix = "login:" + kind + ":" + id + ":";
+        return { failures: prefix + "failures", lockouts: prefix + "lockouts", locked: prefix + "locked" };
+    };
+
+    /**
+     * Finds out how long an account or IP address is locked out for
+     * @param {String} kind - account or ip
+     * @param {String} id - the email of the account, or the IP address
+     * @param {function} callback - called with (err, retryAfter) where retryAfter is 0 if it is not locked out
+     */
+    var getLockout = function (kind, id, callback) {
+        store.get(getLoginKeys(kind, id).locked, function (err, lock) {
+            callback(err, lock ? lock.msBeforeReset : 0);
+        });
+    };
+
+    /**
+     * Counts a failed login for an account or IP address, locking it out if it has failed too often
+     * @param {String} kind - account or ip
+     * @param {String} id - the email of the account, or the IP address
+     * @param {function} callback - called with (err)
+     */
+    var recordFailure = function (kind, id, callback) {
+        var policy = LOGIN_POLICIES[kind];
+        var keys = getLoginKeys(kind, id);
+        store.increment(keys.failures, policy.windowMs, function (err, failures) {
+            if (err || failures.count < policy.maxFailures) {
+                callback(err);
+            } else {
+                store.increment(keys.lockouts, LOCKOUT_MEMORY, function (err, lockouts) {
+                    if (err) {
+                        callback(err);
+                    } else {
+                        var duration = Math.min(LONGEST_LOCKOUT, FIRST_LOCKOUT * Math.pow(2, lockouts.count - 1));
+                        store.reset(keys.failures, function (err) {
+                            if (err) {
+                                callback(err);
+                            } else {
+                                store.increment(keys.locked, duration, function (err) {
+                                    callback(err);
+                                });
+                            }
+                        });
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Normalizes an email so that the failures of an account are counted together however the email is typed
+     * @param {String} email - the email that the login was for
+     * @return {String} the email in lowercase without surrounding whitespace
+     */
+    var normalizeEmail = function (email) {
+        return String(email).trim().toLowerCase();
+    };
+
+    /**
+     * Checks that a login may be tried, sending a 429 response if the account or IP address is locked out
+     * @param {Object} req - the login request
+     * @param {Object} res - the response, which is sent if the login may not be tried
+     * @param {String} email - the email of the account that is being logged in to
+     * @param {function} callback - called with no arguments if the login may be tried
+     */
+    that.checkLogin = function (req, res, email, callback) {
+        getLockout("ip", req.ip, function (err, ipRetryAfter) {
+            if (err) {
+                // Logging in is not blocked because the store is unavailable
+                log("Could not check login lockouts: " + err);
+                callback();
+                return;
+            }
+            getLockout("account", normalizeEmail(email), function (err, accountRetryAfter) {
+                if (err) {
+                    log("Could not check login lockouts: " + err);
+                    callback();
+                } else if (ipRetryAfter > 0 || accountRetryAfter > 0) {
+                    sendTooManyRequests(res, Math.max(ipRetryAfter, accountRetryAfter), "Too many failed logins.");
+                } else {
+                    callback();
+                }
+            });
+        });
+    };
+
+    /**
+     * Counts a failed login, such as a wrong password or code, against the account and the IP address it came from
+     * @param {Object} req - the login request
+     * @param {String} email - the email of the account that was being logged in to
+     * @param {function} callback - called once the failure has been counted
+     */
+    that.recordLoginFailure = function (req, email, callback) {
+        recordFailure("ip", req.ip, function (err) {
+            if (err) {
+                log("Could not count a failed login: " + err);
+            }
+            recordFailure("account", normalizeEmail(email), function (err) {
+                if (err) {
+                    log("Could not count a failed login: " + err);
+                }
+                callback();
+            });
+        });
+    };
+
+    /**
+     * Clears the failed logins of an account once it has been logged in to, with its code if it needs one
+     * The failures of the IP address are kept, so that guesses cannot be hidden by logging in to another account
+     * @param {String} email - the email of the account
+     * @param {function} callback - called once the failures have been cleared
+     */
+    that.recordLoginSuccess = function (email, callback) {
+        var keys = getLoginKeys("account", normalizeEmail(email));
+        store.reset(keys.failures, function (err) {
+            if (err) {
+                log("Could not clear failed logins: " + err);
+            }
+            store.reset(keys.lockouts, function (err) {
+                if (err) {
+                    log("Could not clear failed logins: " + err);
+                }
+                callback();
+            });
+        });
+    };
+
+    /**
+     * Makes middleware that limits how many of something the current User can post, as given by QUOTAS
+     * The request is counted when it starts, so that requests made at the same time cannot go over the quota,
+     * and is no longer counted if it fails.
+     * Must come after Authorization.requireAuthentication
+     * @param {String} name - spot, review, vote, report or photo
+     * @return {function} the middleware, which is called with (req, res, next)
+     */
+    that.quota = function (name) {
+        var quota = QUOTAS[name];
+        return function (req, res, next) {
+            var key = "quota:" + name + ":" + req.currentUser._id;
+            var release = function () {
+                store.decrement(key, function (err) {
+                    if (err) {
+                        log("Could not update the " + name + " quota: " + err);
+                    }
+                });
+            };
+            store.increment(key, quota.windowMs, function (err, counter) {
+                if (err) {
+                    // Posting is not blocked because the store is unavailable
+                    log("Could not check the " + name + " quota: " + err);
+                    next();
+                } else if (counter.count > quota.max) {
+                    release();
+                    sendTooManyRequests(res, counter.msBeforeReset,
+                        "You can only post " + quota.max + " " + quota.description + " an hour.");
+                } else {
+                    res.on("finish", function () {
+                        if (res.statusCode >= 400) {
+                            release();
+                        }
+                    });
+                    next();
+                }
+            });
+        };
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = RateLimiter();
@@ -0,0 +1,161 @@
+// @author: Maryam Archie
+
+/**
+ * The rules for the fields that several routes check (see utils/validation.js)
+ * Fields that the models also check are given the same error messages as the models, so that a request
+ * gets the same error whichever of them catches it.
+ */
+
+var _ = require("lodash");
+var Reports = require("../models/Reports").Reports;
+
+const INVALID_COORDINATES = "Please provide a valid latitude and longitude!";
+const INVALID_BOUNDS = "Please provide valid bounds!";
+// Between 1 and 30 characters, not counting the spaces around them
+const NAME_PATTERN = /^\s*\S(.{0,28}\S)?\s*$/;
+
+var Schemas = function () {
+    var that = Object.create(Schemas.prototype);
+
+    /**
+     * Makes a copy of a rule for a field that must be given
+     * @param {Object} rule - the rule of the field
+     * @return {Object} the same rule, with required set
+     */
+    that.required = function (rule) {
+        return _.assign({}, rule, { required: true });
+    };
+
+    /**
+     * Makes the rule for the id of a document in the params
+     * @param {String} name - what the document is, such as spot
+     * @return {Object} the rule, which requires a valid id
+     */
+    that.id = function (name) {
+        return { type: "objectId", required: true, name: name + " id" };
+    };
+
+    /**
+     * Makes the rule for the name that a User gives to something, such as a collection
+     * @param {String} message - the error message for a name that is not between 1 and 30 characters
+     * @return {Object} the rule
+     */
+    that.name = function (message) {
+        return { type: "string", pattern: NAME_PATTERN, message: message };
+    };
+
+    // Spots
+    that.TITLE = {
+        type: "string",
+        pattern: /^[a-zA-Z0-9\s']{3,20}$/,
+        message: "The title must be a unique name between 3 and 20 characters!"
+    };
+    that.FLOOR = {
+        type: "string",
+        pattern: /^[A-Z0-9]{1,3}$/,
+        message: "The floor must be alphanumerics and cannot be greater than 3 characters!"
+    };
+    that.LABEL = {
+        type: "string",
+        pattern: /^[a-zA-Z0-9\s]{3,20}$/,
+        message: "Tags must be alphanumerics only and must be between 3 and 20 characters long!"
+    };
+    that.LOCATION = {
+        type: "object",
+        message: INVALID_COORDINATES,
+        fields: {
+            latitude: { type: "number", required: true, min: -90, max: 90, message: INVALID_COORDINATES },
+            longitude: { type: "number", required: true, min: -180, max: 180, message: INVALID_COORDINATES }
+        }
+    };
+
+    // A point in the query, such as GET /spots/near?lat=&lng=
+    that.POINT = {
+        lat: { type: "number", min: -90, max: 90, message: INVALID_COORDINATES },
+        lng: { type: "number", min: -180, max: 180, message: INVALID_COORDINATES }
+    };
+    // The bounds of the map in the query, such as GET /spots?minLat=&maxLat=&minLng=&maxLng=
+    that.BOUNDS = {
+        minLat: { type: "number", min: -90, max: 90, message: INVALID_BOUNDS },
+        maxLat: { type: "number", min: -90, max: 90, message: INVALID_BOUNDS },
+        minLng: { type: "number", min: -180, max: 180, message: INVALID_BOUNDS },
+        maxLng: { type: "number", min: -180, max: 180, message: INVALID_BOUNDS }
+    };
+
+    // How many Spots to list at once, such as GET /spots/near?limit=
+    that.LIMIT = { type: "integer", min: 1, max: 50, message: "The limit must be an integer between 1 and 50!" };
+
+    /**
+     * Makes the rules for choosing which fields of an item to send, such as GET /reviews/:reviewId/spot?fields=&populate=
+     * @param {String[]} fields - the fields of the item that can be chosen
+     * @param {String[]} paths - the fields of the item that can be populated
+     * @return {Object} the rules for fields and populate, each a list separated by commas
+     */
+    that.selection = function (fields, paths) {
+        return {
+            fields: {
+                type: "array",
+                separator: ",",
+                items: { type: "enum", values: fields, message: "Only these fields can be chosen: " + fields.join(", ") + "." }
+            },
+            populate: {
+                type: "array",
+                separator: ",",
+                items: { type: "enum", values: paths, message: "Only these fields can be populated: " + paths.join(", ") + "." }
+            }
+        };
+    };
+
+    /**
+     * Makes the rules for a list that is sent a page at a time (see utils/pages.js), such as GET /spots?limit=&after=
+     * @param {String[]} fields - the fields of an item that can be chosen
+     * @param {String[]} paths - the fields of an item that can be populated
+     * @return {Object} the rules for limit, after, fields and populate
+     */
+    that.page = function (fields, paths) {
+        return _.assign({ limit: that.LIMIT, after: { type: "string", name: "cursor" } }, that.selection(fields, paths));
+    };
+
+    // Reviews
+    that.DESCRIPTION = {
+        type: "string",
+        maxLength: 500,
+        message: "Description must be less than 500 characters!",
+        missingMessage: "Please enter a description for the review."
+    };
+    that.RATING = {
+        type: "integer",
+        min: 0,
+        max: 5,
+        message: "Rating must be an integer between 0 and 5 inclusive!"
+    };
+
+    // Reports
+    that.REPORT = {
+        reason: {
+            type: "enum",
+            required: true,
+            values: Reports.REASONS,
+            message: "Please give one of the following reasons for the report: " + Reports.REASONS.join(", ") + "."
+        },
+        comment: { type: "string", maxLength: 500, message: "The comment must be less than 500 characters!" }
+    };
+
+    // Users
+    that.USERNAME = {
+        type: "string",
+        pattern: /^[a-zA-Z0-9]{3,15}$/,
+        message: "Usernames must be between 3 and 15 non-whitespace characters."
+    };
+    // A password that is being chosen, rather than one that is being checked
+    that.NEW_PASSWORD = {
+        type: "string",
+        pattern: /^\S{3,}$/,
+        message: "Passwords must be at least 3 non-whitespace characters."
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Schemas();
@@ -0,0 +1,85 @@
+// @author: Maryam Archie
+
+/**
+ * The settings of the sessions of signed in Users, taken from the environment:
+ *      SESSION_SECRET: the secret that session cookies are signed with. Several secrets can be given,
+ *                      separated by commas, to change the secret without signing everyone out: cookies
+ *                      are signed with the first one and accepted if they were signed with any of them.
+ *                      It must be set in production.
+ *      SESSION_LIFETIME_HOURS: how long a session lasts without being used, 14 days by default
+ *      SESSION_COOKIE_SECURE: "true" to only send the cookie over HTTPS, which is the default in production
+ *      SESSION_COOKIE_HTTPONLY: "false" to let scripts on the page read the cookie, which they cannot by default
+ *      SESSION_COOKIE_SAMESITE: "strict", "lax" (the default) or "none", which needs a secure cookie
+ * Outside of production, a missing secret is reported to the "6170-sweet-spots:session" debug log.
+ */
+
+var debug = require("debug")("6170-sweet-spots:session");
+
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+const COOKIE_NAME = "sweetspots.sid";
+const DEVELOPMENT_SECRET = "sweetspots-development";
+const DEFAULT_LIFETIME_HOURS = 14 * 24;
+const SAME_SITE = ["strict", "lax", "none"];
+
+/**
+ * Reads a true/false setting
+ * @param {String} value - the value of the setting, undefined if it is not set
+ * @param {Boolean} defaultValue - the value when the setting is not set
+ * @param {String} name - the name of the setting, for the error message
+ * @return {Boolean} the value of the setting
+ * @throws Will throw an error if the setting is not "true" or "false"
+ */
+var readFlag = function (value, defaultValue, name) {
+    if (value === undefined || value === "") {
+        return defaultValue;
+    } else if (value === "true" || value === "false") {
+        return value === "true";
+    } else {
+        throw new Error("Invalid session config: " + name + " must be true or false");
+    }
+};
+
+/**
+ * Reads and checks the session settings
+ * @param {Object} env - the environment, such as process.env
+ * @return {Object} the settings, of the form { name, secret, lifetime, cookie } where name is the name of the cookie,
+ *                  lifetime is in milliseconds and cookie is given to express-session as is
+ * @throws Will throw an error if a setting is invalid, or if there is no secret in production
+ */
+var loadConfig = function (env) {
+    var secrets = (env.SESSION_SECRET || "").split(",").map(function (secret) {
+        return secret.trim();
+    }).filter(function (secret) {
+        return secret.length > 0;
+    });
+    if (secrets.length === 0 && IS_PRODUCTION) {
+        throw new Error("Invalid session config: SESSION_SECRET must be set in production");
+    } else if (secrets.length === 0) {
+        debug("SESSION_SECRET is not set, so sessions are signed with a secret that is not secret.");
+        secrets = [DEVELOPMENT_SECRET];
+    }
+
+    var hours = env.SESSION_LIFETIME_HOURS === undefined ? DEFAULT_LIFETIME_HOURS : Number(env.SESSION_LIFETIME_HOURS);
+    if (!(hours > 0)) {
+        throw new Error("Invalid session config: SESSION_LIFETIME_HOURS must be a positive number");
+    }
+
+    var secure = readFlag(env.SESSION_COOKIE_SECURE, IS_PRODUCTION, "SESSION_COOKIE_SECURE");
+    var httpOnly = readFlag(env.SESSION_COOKIE_HTTPONLY, true, "SESSION_COOKIE_HTTPONLY");
+    var sameSite = (env.SESSION_COOKIE_SAMESITE || "lax").toLowerCase();
+    if (SAME_SITE.indexOf(sameSite) === -1) {
+        throw new Error("Invalid session config: SESSION_COOKIE_SAMESITE must be one of " + SAME_SITE.join(", "));
+    } else if (sameSite === "none" && !secure) {
+        throw new Error("Invalid session config: browsers only accept SESSION_COOKIE_SAMESITE=none on secure cookies");
+    }
+
+    var lifetime = hours * 60 * 60 * 1000;
+    return {
+        name: COOKIE_NAME,
+        secret: secrets,
+        lifetime: lifetime,
+        cookie: { secure: secure, httpOnly: httpOnly, sameSite: sameSite, maxAge: lifetime }
+    };
+};
+
+module.exports = loadConfig(process.env);
@@ -0,0 +1,108 @@
+// @author: Maryam Archie
+
+/**
+ * A store for express-session that keeps sessions in MongoDB, as described in models/Sessions.js
+ * Sessions are saved with the User they belong to (session.userId) and the device they were started
+ * on (session.userAgent and session.ip), so that Users can see and revoke their sessions.
+ */
+
+var session = require("express-session");
+var util = require("util");
+var sessionsFile = require("../models/Sessions");
+
+var sessionModel = sessionsFile.sessionModel;
+var Sessions = sessionsFile.Sessions;
+
+/**
+ * Gives when a session expires
+ * @param {Object} sess - the session, whose cookie may have an expiry
+ * @param {Number} lifetime - how long sessions last without a cookie expiry, in milliseconds
+ * @return {Date} when the session expires
+ */
+var getExpires = function (sess, lifetime) {
+    if (sess.cookie && sess.cookie.expires) {
+        return new Date(sess.cookie.expires);
+    } else {
+        return new Date(Date.now() + lifetime);
+    }
+};
+
+/**
+ * Makes a store that keeps sessions in MongoDB
+ * @param {Number} lifetime - how long sessions last when their cookie does not say, in milliseconds
+ */
+var MongoStore = function (lifetime) {
+    session.Store.call(this);
+    this.lifetime = lifetime;
+};
+
+util.inherits(MongoStore, session.Store);
+
+/**
+ * Gets a session that can still be used
+ * @param {String} sid - the session id
+ * @param {function} callback - called with (err, session) where session is null if there is none
+ */
+MongoStore.prototype.get = function (sid, callback) {
+    var query = { _id: sid, revoked: { $ne: true }, expires: { $gt: new Date() } };
+    sessionModel.findOne(query).lean().exec(function (err, record) {
+        if (err) {
+            callback(err);
+        } else {
+            callback(null, record ? record.session : null);
+        }
+    });
+};
+
+/**
+ * Saves a session, unless it has been signed out or revoked
+ * @param {String} sid - the session id
+ * @param {Object} sess - the session
+ * @param {function} callback - called with (err)
+ */
+MongoStore.prototype.set = function (sid, sess, callback) {
+    var update = {
+        $set: {
+            // Sessions hold Dates and methods, so they are stored as the JSON that they are sent as
+            session: JSON.parse(JSON.stringify(sess)),
+            user: sess.userId || null,
+            userAgent: sess.userAgent || null,
+            ip: sess.ip || null,
+            lastActive: new Date(),
+            expires: getExpires(sess, this.lifetime)
+        },
+        $setOnInsert: { handle: Sessions.getHandle(sid), createdAt: new Date() }
+    };
+    sessionModel.update({ _id: sid, revoked: { $ne: true } }, update, { upsert: true }, function (err) {
+        // A revoked session already has this id, so it is left signed out
+        callback(err && err.code !== 11000 ? err : null);
+    });
+};
+
+/**
+ * Extends a session that is still being used
+ * @param {String} sid - the session id
+ * @param {Object} sess - the session
+ * @param {function} callback - called with (err)
+ */
+MongoStore.prototype.touch = function (sid, sess, callback) {
+    var update = { lastActive: new Date(), expires: getExpires(sess, this.lifetime) };
+    sessionModel.update({ _id: sid, revoked: { $ne: true } }, update, function (err) {
+        callback(err);
+    });
+};
+
+/**
+ * Signs a session out
+ * @param {String} sid - the session id
+ * @param {function} callback - (optional) called with (err)
+ */
+MongoStore.prototype.destroy = function (sid, callback) {
+    sessionModel.update({ _id: sid }, { revoked: true }, function (err) {
+        if (callback) {
+            callback(err);
+        }
+    });
+};
+
+module.exports = MongoStore;
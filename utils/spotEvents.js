@@ -0,0 +1,87 @@
+// @author: Maryam Archie
+
+/**
+ * Broadcasts changes to the Spots to every open page using Server-Sent Events,
+ * so that pages can update themselves instead of polling the server.
+ * The events are:
+ *      spot-created: { spot: the new Spot }
+ *      spot-updated: { spot: the edited Spot }
+ *      spot-deleted: { spotId: the id of the removed Spot }
+ *      review-added: { spot: the Spot that was reviewed }
+ *      vote-changed: { reviewId: the id of the Review, score: the new score of the Review }
+ * Spots are sent with their Tag and Reviews populated, as GET /spots/:spotId sends them.
+ */
+
+var Spots = require("../models/Spots").Spots;
+
+// Comments are sent this often so that idle connections are not closed by proxies
+const KEEP_ALIVE_INTERVAL = 25000;
+
+var SpotEvents = function () {
+    var that = Object.create(SpotEvents.prototype);
+
+    var subscribers = [];
+
+    var keepAlive = setInterval(function () {
+        subscribers.forEach(function (res) {
+            res.write(":\n\n");
+        });
+    }, KEEP_ALIVE_INTERVAL);
+    // The timer should not keep the process alive on its own
+    keepAlive.unref();
+
+    /**
+     * Opens an event stream on the response and keeps it open until the client disconnects
+     * @param {Object} req - the request of the client
+     * @param {Object} res - the response that the events will be written to
+     */
+    that.subscribe = function (req, res) {
+        req.socket.setTimeout(0);
+        res.status(200).set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive"
+        });
+        res.write(":\n\n");
+        subscribers.push(res);
+        req.on("close", function () {
+            subscribers = subscribers.filter(function (subscriber) {
+                return subscriber !== res;
+            });
+        });
+    };
+
+    /**
+     * Sends an event to every subscriber
+     * @param {String} type - the type of the event
+     * @param {Object} data - the content of the event
+     */
+    that.publish = function (type, data) {
+        var message = "event: " + type + "\ndata: " + JSON.stringify(data) + "\n\n";
+        subscribers.forEach(function (res) {
+            res.write(message);
+        });
+    };
+
+    /**
+     * Sends an event with the latest version of a Spot to every subscriber
+     * Nothing is sent if the Spot cannot be found
+     * @param {String} type - the type of the event
+     * @param {ObjectId} spotId - the id of the Spot
+     */
+    that.publishSpot = function (type, spotId) {
+        if (subscribers.length === 0) {
+            return;
+        }
+        Spots.getSpotById(spotId, function (err, spot) {
+            if (!err) {
+                that.publish(type, { spot: spot });
+            }
+        });
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = SpotEvents();
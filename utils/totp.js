@@ -0,0 +1,170 @@
+// @author: Maryam Archie
+
+/**
+ * Time-based one-time passwords (RFC 6238), which authenticator apps show for two-factor authentication.
+ * The app and the server share a secret. Every 30 seconds, each of them makes a 6 digit code by signing
+ * the number of 30 second steps since the epoch with the secret (HOTP, RFC 4226). A code is accepted during
+ * its own step and the steps either side of it, to allow for clocks that are slightly off.
+ * Secrets are given to apps as otpauth:// links, usually by scanning them as a QR code, with the secret
+ * encoded in base32 (RFC 4648).
+ * The time is read from a clock that can be replaced, so that codes can be tested without waiting.
+ */
+
+var crypto = require("crypto");
+
+const STEP_MS = 30 * 1000;
+const DIGITS = 6;
+// How many steps before and after the current one are accepted
+const WINDOW = 1;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const ISSUER = "Sweet Spots";
+
+/**
+ * Encodes bytes in base32, without padding
+ * @param {Buffer} bytes - the bytes to encode
+ * @return {String} the bytes in base32
+ */
+var encodeBase32 = function (bytes) {
+    var bits = 0;
+    var value = 0;
+    var encoded = "";
+    for (var i = 0; i < bytes.length; i++) {
+        value = (value << 8) | bytes[i];
+        bits += 8;
+        while (bits >= 5) {
+            encoded += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        encoded += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return encoded;
+};
+
+/**
+ * Decodes base32, ignoring case, spaces and padding
+ * @param {String} encoded - the text in base32
+ * @return {Buffer} the bytes, null if the text is not base32
+ */
+var decodeBase32 = function (encoded) {
+    var text = String(encoded).toUpperCase().replace(/[\s=]/g, "");
+    var bits = 0;
+    var value = 0;
+    var bytes = [];
+    for (var i = 0; i < text.length; i++) {
+        var index = BASE32_ALPHABET.indexOf(text[i]);
+        if (index === -1) {
+            return null;
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Makes the HOTP code for a counter
+ * @param {Buffer} key - the shared secret
+ * @param {Number} counter - the number of the step
+ * @return {String} the code, padded with zeros to 6 digits
+ */
+var hotp = function (key, counter) {
+    var message = Buffer.alloc(8);
+    // Counters fit in 53 bits, so they are written as two 32 bit halves
+    message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    message.writeUInt32BE(counter % 0x100000000, 4);
+    var digest = crypto.createHmac("sha1", key).update(message).digest();
+    var offset = digest[digest.length - 1] & 15;
+    var binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    var code = String(binary % Math.pow(10, DIGITS));
+    while (code.length < DIGITS) {
+        code = "0" + code;
+    }
+    return code;
+};
+
+var Totp = function () {
+    var that = Object.create(Totp.prototype);
+
+    var clock = Date.now;
+
+    /**
+     * Replaces the clock that codes are made and checked with
+     * @param {function} newClock - gives the current time in milliseconds, Date.now if not given
+     */
+    that.useClock = function (newClock) {
+        clock = newClock || Date.now;
+    };
+
+    /**
+     * Gives the current time of the clock
+     * @return {Number} the time in milliseconds since the epoch
+     */
+    that.now = function () {
+        return clock();
+    };
+
+    /**
+     * Makes a new secret
+     * @return {String} the secret in base32
+     */
+    that.generateSecret = function () {
+        return encodeBase32(crypto.randomBytes(SECRET_BYTES));
+    };
+
+    /**
+     * Makes the link that authenticator apps are given the secret with
+     * @param {String} secret - the secret in base32
+     * @param {String} account - the name of the account in the app, such as the email of the User
+     * @return {String} the otpauth:// link
+     */
+    that.getUri = function (secret, account) {
+        var label = encodeURIComponent(ISSUER) + ":" + encodeURIComponent(account);
+        return "otpauth://totp/" + label + "?secret=" + secret + "&issuer=" + encodeURIComponent(ISSUER) +
+            "&algorithm=SHA1&digits=" + DIGITS + "&period=" + (STEP_MS / 1000);
+    };
+
+    /**
+     * Makes the code for a secret at a time
+     * @param {String} secret - the secret in base32
+     * @param {Number} time - (optional) the time in milliseconds, the time of the clock by default
+     * @return {String} the 6 digit code
+     */
+    that.generateCode = function (secret, time) {
+        var step = Math.floor((time === undefined ? clock() : time) / STEP_MS);
+        return hotp(decodeBase32(secret), step);
+    };
+
+    /**
+     * Checks a code against a secret at the time of the clock
+     * @param {String} secret - the secret in base32
+     * @param {String} code - the code that the User typed in, which may contain spaces
+     * @return {Number} the number of the step that the code is for, -1 if the code is not valid
+     */
+    that.verifyCode = function (secret, code) {
+        var key = decodeBase32(secret);
+        var digits = String(code).replace(/\s/g, "");
+        var step = Math.floor(clock() / STEP_MS);
+        if (!key || key.length === 0 || !/^\d+$/.test(digits) || digits.length !== DIGITS) {
+            return -1;
+        }
+        for (var i = -WINDOW; i <= WINDOW; i++) {
+            var expected = Buffer.from(hotp(key, step + i));
+            if (crypto.timingSafeEqual(expected, Buffer.from(digits))) {
+                return step + i;
+            }
+        }
+        return -1;
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Totp();
@@ -14,12 +14,18 @@ var Utils = function () {
       Send a 200 OK with success:true in the request body to the
       response argument provided.
       The caller of this function should return after calling
+      fields is optional: the { in, field, message } of each field
+      that made the request invalid (see utils/validation.js)
     */
-    that.sendErrorResponse = function (res, errorCode, error) {
-        res.status(errorCode).json({
+    that.sendErrorResponse = function (res, errorCode, error, fields) {
+        var body = {
             success: false,
             err: error
-        }).end();
+        };
+        if (fields) {
+            body.fields = fields;
+        }
+        res.status(errorCode).json(body).end();
     };
 
     /*
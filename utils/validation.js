@@ -0,0 +1,230 @@
+// @author: Maryam Archie
+
+/**
+ * Middleware shared by the routers that checks the params, query and body of a request before its handler runs
+ * Each route declares a schema of the form { params: fields, query: fields, body: fields }, where fields maps the
+ * name of each field to a rule (see utils/schemas.js for the rules that several routes share). A rule has:
+ *      type: objectId, string, enum, integer, number, boolean, object, array or json (an object given as JSON text)
+ *      required: (optional) true if the field must be given. Fields that are undefined, null or "" are not given.
+ *      name: (optional) what the field is called in error messages, the name of the field by default
+ *      message: (optional) the error message for the field, instead of one made from the rule
+ *      missingMessage: (optional) the error message for a required field that is not given, message by default
+ *      values: the values of an enum
+ *      min, max: (optional) the smallest and largest integer or number
+ *      minLength, maxLength, pattern: (optional) the shortest and longest string, and a RegExp it must match
+ *      fields: the rules for the fields of an object, or of the object given as JSON
+ *      items: the rule for every item of an array
+ *      separator: (optional) the text that separates the items of an array in the query, such as "," for fields=a,b
+ * Fields that are not in the schema are left alone. Fields that match their rule are converted in place, so that
+ * handlers get numbers and booleans instead of the text of the query, and a single value for an array in the
+ * query becomes an array of one value.
+ * Requests that do not match receive a 400: Bad Request HTTP status code, with err (the message of the first
+ * field that is wrong) and fields (a { in, field, message } for every field that is wrong, where in is params,
+ * query or body and field is the path to the field, such as location.latitude).
+ */
+
+var utils = require("./utils");
+
+const BAD_REQUEST = 400;
+const LOCATIONS = ["params", "query", "body"];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const INTEGER = /^-?\d+$/;
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)$/;
+
+// Stands for a value that does not have the type of its rule
+const INVALID = {};
+
+var Validation = function () {
+    var that = Object.create(Validation.prototype);
+
+    /**
+     * Determines whether a field was given
+     * @param {any} value - the value of the field
+     * @return {Boolean} true if the value is undefined, null or ""
+     */
+    var isMissing = function (value) {
+        return value === undefined || value === null || value === "";
+    };
+
+    /**
+     * Describes the values that a rule allows, for error messages
+     * @param {Object} rule - the rule of a field
+     * @return {String} a description, such as "a whole number from 1 to 50"
+     */
+    var describe = function (rule) {
+        var range = "";
+        if (rule.min !== undefined && rule.max !== undefined) {
+            range = " from " + rule.min + " to " + rule.max;
+        } else if (rule.min !== undefined) {
+            range = " of at least " + rule.min;
+        } else if (rule.max !== undefined) {
+            range = " of at most " + rule.max;
+        }
+        switch (rule.type) {
+        case "objectId":
+            return "a valid id";
+        case "enum":
+            return "one of: " + rule.values.join(", ");
+        case "integer":
+            return "a whole number" + range;
+        case "number":
+            return "a number" + range;
+        case "boolean":
+            return "true or false";
+        case "array":
+            return "a list";
+        case "object":
+        case "json":
+            return "an object";
+        default:
+            return rule.maxLength !== undefined ? "text of at most " + rule.maxLength + " characters" : "valid text";
+        }
+    };
+
+    /**
+     * Converts a value to the type of its rule
+     * @param {Object} rule - the rule of the field
+     * @param {any} value - the value that was given
+     * @param {String} location - params, query or body
+     * @return {any} the converted value, or INVALID if it does not have the type of the rule
+     */
+    var convert = function (rule, value, location) {
+        switch (rule.type) {
+        case "objectId":
+            return typeof value === "string" && OBJECT_ID.test(value) ? value : INVALID;
+        case "string":
+            return typeof value === "string" ? value : INVALID;
+        case "enum":
+            return rule.values.indexOf(value) !== -1 ? value : INVALID;
+        case "integer":
+            value = typeof value === "string" && INTEGER.test(value.trim()) ? Number(value) : value;
+            return Number.isInteger(value) ? value : INVALID;
+        case "number":
+            value = typeof value === "string" && NUMBER.test(value.trim()) ? Number(value) : value;
+            return typeof value === "number" && isFinite(value) ? value : INVALID;
+        case "boolean":
+            if (value === "true" || value === "false") {
+                return value === "true";
+            }
+            return typeof value === "boolean" ? value : INVALID;
+        case "array":
+            if (location === "query") {
+                // A field that is given once in the query is not parsed as an array
+                value = [].concat(value);
+                if (rule.separator) {
+                    value = value.join(rule.separator).split(rule.separator);
+                }
+            }
+            return Array.isArray(value) ? value : INVALID;
+        case "object":
+            return typeof value === "object" && !Array.isArray(value) ? value : INVALID;
+        case "json":
+            try {
+                value = typeof value === "string" ? JSON.parse(value) : value;
+            } catch (err) {
+                return INVALID;
+            }
+            return value !== null && typeof value === "object" && !Array.isArray(value) ? value : INVALID;
+        default:
+            throw new Error("Unknown type of field: " + rule.type);
+        }
+    };
+
+    /**
+     * Checks that a value of the right type is within the limits of its rule
+     * @param {Object} rule - the rule of the field
+     * @param {any} value - the converted value
+     * @return {Boolean} true if the value is within the limits
+     */
+    var isWithinLimits = function (rule, value) {
+        if (rule.type === "integer" || rule.type === "number") {
+            return (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max);
+        } else if (rule.type === "string") {
+            return (rule.minLength === undefined || value.length >= rule.minLength)
+                && (rule.maxLength === undefined || value.length <= rule.maxLength)
+                && (rule.pattern === undefined || rule.pattern.test(value));
+        } else {
+            return true;
+        }
+    };
+
+    /**
+     * Checks the fields of an object against their rules, converting the ones that match in place
+     * @param {Object} fields - the rule of each field
+     * @param {Object} values - the object that the fields are in
+     * @param {String} location - params, query or body
+     * @param {String} prefix - the path to the object, "" for the params, query or body itself
+     * @param {Object[]} errors - the list that a { in, field, message } is added to for every field that is wrong
+     */
+    var checkFields = function (fields, values, location, prefix, errors) {
+        Object.keys(fields).forEach(function (field) {
+            var value = checkValue(fields[field], values[field], location, prefix + field, errors);
+            if (value !== values[field]) {
+                values[field] = value;
+            }
+        });
+    };
+
+    /**
+     * Checks a value against its rule
+     * @param {Object} rule - the rule of the field
+     * @param {any} value - the value that was given
+     * @param {String} location - params, query or body
+     * @param {String} path - the path to the field, such as location.latitude
+     * @param {Object[]} errors - the list that a { in, field, message } is added to if the value is wrong
+     * @return {any} the converted value if it matches, otherwise the value that was given
+     */
+    var checkValue = function (rule, value, location, path, errors) {
+        var name = rule.name || path;
+        var addError = function (message) {
+            errors.push({ in: location, field: path, message: message });
+        };
+        if (isMissing(value)) {
+            if (rule.required) {
+                addError(rule.missingMessage || rule.message || "Please provide the " + name + ".");
+            }
+            return value;
+        }
+        var converted = convert(rule, value, location);
+        if (converted === INVALID || !isWithinLimits(rule, converted)) {
+            addError(rule.message || "The " + name + " must be " + describe(rule) + ".");
+            return value;
+        }
+        if (rule.fields) {
+            checkFields(rule.fields, converted, location, path + ".", errors);
+        }
+        if (rule.items) {
+            converted = converted.map(function (item, index) {
+                return checkValue(rule.items, item, location, path + "[" + index + "]", errors);
+            });
+        }
+        return converted;
+    };
+
+    /**
+     * Makes middleware that checks a request against a schema
+     * @param {Object} schema - of the form { params: fields, query: fields, body: fields }, each of them optional
+     * @return {function} the middleware, which is called with (req, res, next)
+     */
+    that.validate = function (schema) {
+        return function (req, res, next) {
+            var errors = [];
+            LOCATIONS.forEach(function (location) {
+                if (schema[location]) {
+                    req[location] = req[location] || {};
+                    checkFields(schema[location], req[location], location, "", errors);
+                }
+            });
+            if (errors.length > 0) {
+                utils.sendErrorResponse(res, BAD_REQUEST, errors[0].message, errors);
+            } else {
+                next();
+            }
+        };
+    };
+
+    Object.freeze(that);
+    return that;
+};
+
+module.exports = Validation();